@@ -5,10 +5,99 @@
  * from content scripts to detect distractions and provide nudges.
  */
 
-import { EVENT_TYPES } from './src/events/schema.js';
-import { storeEvents, getEvents } from './src/events/storage.js';
-import ModelManager from './models/ModelManager.js';
+import { EVENT_TYPES, createEvent, getValidationStats } from './src/events/schema.js';
+import {
+  storeEvents,
+  queryEvents,
+  storeSession,
+  getSession,
+  getSessions,
+  pruneOldEvents,
+  rollUpOldEvents,
+  forgetSites,
+  getEncryptionStatus,
+  enableEncryption,
+  unlockEncryption,
+  lockEncryption,
+  rotateEncryptionKey,
+  disableEncryption,
+  getStorageStats
+} from './src/events/storage.js';
+import {
+  SESSION_END_REASONS,
+  createSessionRecord,
+  updateSessionSummary,
+  closeSessionRecord,
+  forgetSessionDomains
+} from './src/events/sessions.js';
+import ModelManager, { recordModelDisagreement } from './models/ModelManager.js';
+import { formatExplanation } from './models/explanation.js';
+import { FEATURES as MODEL_FEATURES } from './models/random-forest/model.js';
 import { detectTask, getTaskSpecificNudges, TASK_TYPES } from './src/features/taskDetection.js';
+import { extractFeaturesFromEvents } from './src/features/extractor.js';
+import {
+  getAllFocusTasks,
+  getFocusTask,
+  saveFocusTask,
+  deleteFocusTask,
+  evaluateTaskRelevance,
+  TASK_RELEVANCE
+} from './src/features/focusTasks.js';
+import {
+  DOMAIN_CATEGORIES,
+  loadDomainRegistry,
+  getDomainRegistry,
+  saveDomainRegistry,
+  resetDomainRegistry,
+  exportDomainRegistry,
+  importDomainRegistry,
+  isDistractionDomain,
+  domainMatches
+} from './src/features/domainRegistry.js';
+import {
+  startPomodoro,
+  advancePomodoro,
+  isBreakPhase,
+  POMODORO_PHASES
+} from './src/features/pomodoro.js';
+import {
+  loadFocusSchedules,
+  saveFocusSchedule,
+  deleteFocusSchedule,
+  getActiveScheduleWindow,
+  getNextScheduleBoundary
+} from './src/features/focusSchedules.js';
+import {
+  loadNudgeFeedback,
+  recordNudgeShown,
+  recordNudgeResponse,
+  computeThresholdShifts,
+  getEffectiveThreshold,
+  forgetNudgeFeedback,
+  NUDGE_RESPONSES
+} from './src/features/nudgeFeedback.js';
+import { evaluateNudge, recordSuppressedNudge } from './src/features/nudgeGovernor.js';
+import {
+  loadPrivacySettings,
+  getPrivacySettings,
+  savePrivacySettings,
+  getCaptureLevel,
+  applyPrivacySettings,
+  normalizeDomain
+} from './src/features/privacy.js';
+import { saveLocalPreferences, getFocusModePreferences } from './src/features/preferences.js';
+import {
+  MIN_JUSTIFICATION_LENGTH,
+  MAX_BYPASS_DURATION,
+  hasActiveBypass,
+  isBlockedInStrictMode,
+  createBypass,
+  removeExpiredBypasses,
+  saveFocusSession,
+  loadFocusSession
+} from './src/features/strictMode.js';
+import { evaluateModel } from './src/analytics/replay.js';
+import { exportData, importData, encodeBase64, decodeBase64 } from './src/analytics/dataExport.js';
 
 // Configuration
 const CONFIG = {
@@ -18,6 +107,10 @@ const CONFIG = {
   maxEventsPerProcessing: 1000,             // Maximum events to process at once
   distractionScoreInterval: 5 * 60 * 1000,  // Calculate distraction score every 5 minutes
   taskDetectionInterval: 2 * 60 * 1000,     // Detect tasks every 2 minutes
+  maxPomodoroCycleHistory: 100,             // Pomodoro cycles kept in focusStats
+  idleDetectionInterval: 60,                // Seconds without input before chrome.idle reports idle
+  sessionSweepInterval: 5 * 60 * 1000,      // Close timed-out sessions every 5 minutes
+  storageMaintenanceInterval: 60 * 60 * 1000, // Roll up and prune stored events every hour
   debugMode: true                           // Enable debug logging
 };
 
@@ -30,6 +123,7 @@ let userPreferences = {
   focusModeStartTime: null,
   focusModeEndTime: null,
   distractionThreshold: 0.7,
+  quietHours: { enabled: false, start: '22:00', end: '07:00' }, // No nudges in this window
   allowedSites: [],
   taskDetectionEnabled: true,
   taskSpecificNudgesEnabled: true
@@ -43,6 +137,11 @@ let eventQueue = [];
 let eventProcessorTimer = null;
 let modelManager = null;
 let distractionScores = []; // Array to store periodic distraction scores
+let thresholdShifts = {}; // Per-domain threshold adjustments learned from nudge feedback
+const lastNudgeByTab = new Map(); // Most recent nudge shown in each tab
+const tabOpenedAt = new Map(); // When each tab opened since the service worker started, for TAB_CLOSE
+let systemIdleSince = null; // When chrome.idle last reported idle or locked
+const incognitoTabs = new Set(); // Incognito tabs seen since the service worker started, never recorded
 let currentDetectedTask = {
   taskType: TASK_TYPES.UNKNOWN,
   confidence: 0,
@@ -56,6 +155,13 @@ let focusMode = {
   startTime: null,
   endTime: null,
   taskType: null,
+  taskId: null,
+  task: null,      // Active task definition (see focusTasks.js)
+  strict: false,   // Redirect blocked domains to the interstitial page
+  bypasses: {},    // Strict mode bypasses: domain -> expiry timestamp
+  pomodoro: null,  // Pomodoro state (see pomodoro.js), null for a single timer
+  cycleDistractions: 0, // Distractions in the current Pomodoro work interval
+  scheduleId: null, // Schedule entry that started this session (see focusSchedules.js)
   stats: {
     focusScore: 95,
     focusTime: 0,
@@ -145,6 +251,12 @@ async function initialize() {
       userPreferences = { ...userPreferences, ...storedPreferences.userPreferences };
     }
     
+    // Preferences saved from the popup are kept in local storage
+    const localPreferences = await chrome.storage.local.get('userPreferences');
+    if (localPreferences.userPreferences) {
+      userPreferences = { ...userPreferences, ...localPreferences.userPreferences };
+    }
+    
     // Load session data
     const storedSessionData = await chrome.storage.local.get('sessionData');
     if (storedSessionData.sessionData) {
@@ -157,6 +269,18 @@ async function initialize() {
       distractionScores = storedDistractionScores.distractionScores;
     }
     
+    // Load the domain registry before any model uses it
+    await loadDomainRegistry();
+    
+    // Privacy settings apply to every event queued from here on
+    await loadPrivacySettings();
+
+    // Learn per-domain thresholds from past nudge feedback
+    thresholdShifts = computeThresholdShifts(await loadNudgeFeedback());
+    
+    // Pick up the sessions that were open when the service worker stopped
+    await restoreSessions();
+    
     // Set up event listeners
     setupEventListeners();
     
@@ -182,6 +306,22 @@ async function initialize() {
       periodInMinutes: CONFIG.taskDetectionInterval / (60 * 1000)
     });
     
+    // Set up alarm for closing sessions without recent events
+    chrome.alarms.create('sessionSweep', {
+      periodInMinutes: CONFIG.sessionSweepInterval / (60 * 1000)
+    });
+    
+    // Set up alarm for rolling up old samples and keeping storage within its limits
+    chrome.alarms.create('storageMaintenance', {
+      periodInMinutes: CONFIG.storageMaintenanceInterval / (60 * 1000)
+    });
+    
+    // Pick up the focus session, with strict mode and its bypasses, if the service worker stopped during it
+    await restoreFocusSession();
+    
+    // Start or stop task mode for the focus schedule, including after a restart mid-window
+    await applyFocusSchedule();
+    
     if (CONFIG.debugMode) {
       console.log('Focus Nudge: Background script initialized');
     }
@@ -208,6 +348,14 @@ function setupEventListeners() {
   // Listen for tab updates
   chrome.tabs.onUpdated.addListener(handleTabUpdated);
   
+  // Listen for tabs opening and closing
+  chrome.tabs.onCreated.addListener(handleTabCreated);
+  chrome.tabs.onRemoved.addListener(handleTabRemoved);
+  
+  // Listen for the system going idle, locking, or becoming active
+  chrome.idle.setDetectionInterval(CONFIG.idleDetectionInterval);
+  chrome.idle.onStateChanged.addListener(handleIdleStateChanged);
+  
   // Listen for alarms
   chrome.alarms.onAlarm.addListener(handleAlarm);
 }
@@ -218,25 +366,50 @@ function setupEventListeners() {
 async function handleMessage(message, sender, sendResponse) {
   try {
     const tabId = sender.tab?.id;
-    console.log(`[Focus Nudge] Received message type: ${message.type} from tab ${tabId}`, message);
+    // Encryption messages carry passphrases, which must not reach the console
+    const { passphrase, newPassphrase, ...loggedMessage } = message;
+    console.log(`[Focus Nudge] Received message type: ${message.type} from tab ${tabId}`, loggedMessage);
     
     switch (message.type) {
-      case 'TRACK_EVENT':
-        // Track event
-        const event = {
-          event_type: message.eventType,
-          payload: message.payload,
-          url: message.url,
-          timestamp: message.timestamp,
-          tab_id: tabId,
-          session_id: getSessionIdForTab(tabId),
-          sequence_id: getNextSequenceId(tabId)
-        };
+      case 'GET_TAB_INFO':
+        // The content script's event stream adopts the tab's session, and
+        // doesn't read page text the capture level would remove
+        trackIncognitoTab(sender.tab);
+        sendResponse({
+          success: true,
+          tabId,
+          url: sender.tab?.url,
+          sessionId: tabId !== undefined ? getSessionIdForTab(tabId) : null,
+          captureLevel: getCaptureLevel(sender.tab?.url, { incognito: sender.tab?.incognito })
+        });
+        break;
         
-        // Add to event queue
-        eventQueue.push(event);
+      case 'TRACK_EVENTS':
+        // Batch of events from the content script's event stream
+        trackIncognitoTab(sender.tab);
+        sendResponse({ success: true, ...queueStreamEvents(message.events || [], tabId) });
+        break;
         
-        sendResponse({ success: true });
+      case 'get_sessions':
+        // Sessions active in a time range, with their summaries
+        sendResponse({
+          success: true,
+          sessions: await getSessions({
+            startTime: message.startTime,
+            endTime: message.endTime,
+            tabId: message.tabId,
+            limit: message.limit
+          })
+        });
+        break;
+        
+      case 'get_event_validation_stats':
+        sendResponse({ success: true, stats: getValidationStats() });
+        break;
+        
+      case 'get_storage_stats':
+        // Event counts, bytes per event type and the compression ratio
+        sendResponse({ success: true, stats: await getStorageStats() });
         break;
         
       case 'FLUSH_EVENTS':
@@ -245,24 +418,14 @@ async function handleMessage(message, sender, sendResponse) {
         sendResponse({ success: true });
         break;
         
-      case 'GET_EVENT_STREAM_FUNCTIONS':
-        // Return event stream functions
-        sendResponse({
-          success: true,
-          functions: {
-            trackEvent: true,
-            flushEvents: true,
-            cleanup: true
-          }
-        });
-        break;
-        
       case 'get_model_info':
         // Return model info
         if (modelManager) {
           sendResponse({
             type: modelManager.getActiveModelType(),
-            version: modelManager.getActiveModelVersion()
+            version: modelManager.getActiveModelVersion(),
+            featureImportance: modelManager.getActiveModelFeatureImportance(),
+            availableTypes: modelManager.getAvailableModelTypes()
           });
         } else {
           sendResponse(null);
@@ -272,12 +435,14 @@ async function handleMessage(message, sender, sendResponse) {
       case 'set_model_type':
         // Set model type
         if (modelManager && message.modelType) {
-          const success = modelManager.setActiveModelType(message.modelType);
+          const success = await modelManager.setActiveModelType(message.modelType);
           sendResponse({
             success,
             modelInfo: {
               type: modelManager.getActiveModelType(),
-              version: modelManager.getActiveModelVersion()
+              version: modelManager.getActiveModelVersion(),
+              featureImportance: modelManager.getActiveModelFeatureImportance(),
+              availableTypes: modelManager.getAvailableModelTypes()
             }
           });
         } else {
@@ -285,6 +450,97 @@ async function handleMessage(message, sender, sendResponse) {
         }
         break;
         
+      case 'get_model_registry':
+        // Return registered model versions, the active one and shadow versions
+        if (modelManager) {
+          sendResponse({ success: true, registry: modelManager.getModelRegistry() });
+        } else {
+          sendResponse({ success: false });
+        }
+        break;
+        
+      case 'promote_model_version':
+        // Make a registered model version the active one
+        if (modelManager && message.versionId) {
+          await modelManager.promoteModelVersion(message.versionId);
+          sendResponse({ success: true, registry: modelManager.getModelRegistry() });
+        } else {
+          sendResponse({ success: false });
+        }
+        break;
+        
+      case 'rollback_model':
+        // Return to the model version that was active before the last promotion
+        if (modelManager) {
+          await modelManager.rollbackModel();
+          sendResponse({ success: true, registry: modelManager.getModelRegistry() });
+        } else {
+          sendResponse({ success: false });
+        }
+        break;
+        
+      case 'set_shadow_model':
+        // Run a model version in shadow mode, or stop doing so
+        if (modelManager && message.versionId) {
+          await modelManager.setShadowModel(message.versionId, message.enabled === true);
+          sendResponse({ success: true, registry: modelManager.getModelRegistry() });
+        } else {
+          sendResponse({ success: false });
+        }
+        break;
+        
+      case 'run_model_evaluation':
+        // Replay stored events through a model version and report how it would have done
+        if (modelManager) {
+          const versionId = message.versionId || modelManager.getModelRegistry().activeId;
+          const predictor = await modelManager.createPredictor(versionId);
+          const report = await evaluateModel(predictor, {
+            startTime: Date.now() - (message.days || 7) * 24 * 60 * 60 * 1000,
+            mode: message.mode,
+            userPreferences
+          });
+          sendResponse({ success: true, report: { ...report, versionId } });
+        } else {
+          sendResponse({ success: false });
+        }
+        break;
+        
+      case 'get_calibrations':
+        // Return the probability calibration fitted for each model version
+        if (modelManager) {
+          sendResponse({ success: true, calibrations: modelManager.getCalibrations() });
+        } else {
+          sendResponse({ success: false });
+        }
+        break;
+        
+      case 'fit_calibrations':
+        // Refit the calibrations on the rated nudges so far
+        if (modelManager) {
+          sendResponse({ success: true, calibrations: await modelManager.fitCalibrations() });
+        } else {
+          sendResponse({ success: false });
+        }
+        break;
+        
+      case 'get_ensemble_config':
+        // Return ensemble weights and combining method
+        if (modelManager) {
+          sendResponse({ success: true, config: modelManager.getEnsembleConfig() });
+        } else {
+          sendResponse({ success: false });
+        }
+        break;
+        
+      case 'set_ensemble_config':
+        // Change ensemble weights and combining method
+        if (modelManager && message.config) {
+          sendResponse({ success: true, config: await modelManager.setEnsembleConfig(message.config) });
+        } else {
+          sendResponse({ success: false });
+        }
+        break;
+        
       case 'update_preferences':
         // Update preferences
         if (message.preferences) {
@@ -302,16 +558,197 @@ async function handleMessage(message, sender, sendResponse) {
         break;
         
       case 'ENABLE_TASK_MODE':
-        handleEnableTaskMode(message, sender);
+        await handleEnableTaskMode(message, sender);
+        await setScheduleOverride();
+        sendResponse({ success: true, taskId: focusMode.taskId });
         break;
         
       case 'DISABLE_TASK_MODE':
-        handleDisableTaskMode();
+        await handleDisableTaskMode();
+        await setScheduleOverride();
+        sendResponse({ success: true });
+        break;
+        
+      case 'GET_FOCUS_SCHEDULES': {
+        const { focusScheduleOverride } = await chrome.storage.local.get('focusScheduleOverride');
+        sendResponse({
+          success: true,
+          schedules: await loadFocusSchedules(),
+          activeScheduleId: focusMode.active ? focusMode.scheduleId : null,
+          overrideUntil: focusScheduleOverride && focusScheduleOverride.until > Date.now()
+            ? focusScheduleOverride.until
+            : null
+        });
+        break;
+      }
+        
+      case 'SAVE_FOCUS_SCHEDULE': {
+        const schedule = await saveFocusSchedule(message.schedule);
+        await applyFocusSchedule();
+        sendResponse({ success: true, schedule });
+        break;
+      }
+        
+      case 'DELETE_FOCUS_SCHEDULE': {
+        const deleted = await deleteFocusSchedule(message.scheduleId);
+        await applyFocusSchedule();
+        sendResponse({ success: deleted });
+        break;
+      }
+        
+      case 'GET_FOCUS_TASKS':
+        sendResponse({
+          success: true,
+          tasks: await getAllFocusTasks(),
+          activeTaskId: focusMode.active ? focusMode.taskId : null,
+          endTime: focusMode.active ? focusMode.endTime : null,
+          strict: focusMode.active && focusMode.strict,
+          pomodoro: focusMode.active ? focusMode.pomodoro : null
+        });
+        break;
+        
+      case 'SAVE_FOCUS_TASK':
+        sendResponse({ success: true, task: await handleSaveFocusTask(message.task) });
+        break;
+        
+      case 'DELETE_FOCUS_TASK':
+        sendResponse({ success: await deleteFocusTask(message.taskId) });
+        break;
+        
+      case 'GET_STRICT_MODE_STATUS':
+        sendResponse({
+          success: true,
+          active: focusMode.active,
+          strict: focusMode.strict,
+          taskName: focusMode.task ? focusMode.task.name : null,
+          // With Pomodoro cycles blocking lifts at the next break
+          endTime: focusMode.pomodoro ? focusMode.pomodoro.phaseEndTime : focusMode.endTime,
+          bypassMinutes: MAX_BYPASS_DURATION / (60 * 1000),
+          minJustificationLength: MIN_JUSTIFICATION_LENGTH
+        });
+        break;
+        
+      case 'REQUEST_STRICT_BYPASS':
+        sendResponse({ success: true, expiresAt: await grantStrictBypass(message, sender) });
+        break;
+        
+      case 'GET_DOMAIN_REGISTRY':
+        sendResponse({ success: true, entries: getDomainRegistry(), categories: DOMAIN_CATEGORIES });
+        break;
+        
+      case 'SAVE_DOMAIN_REGISTRY':
+        sendResponse({ success: true, entries: await saveDomainRegistry(message.entries) });
+        break;
+        
+      case 'RESET_DOMAIN_REGISTRY':
+        sendResponse({ success: true, entries: await resetDomainRegistry() });
+        break;
+        
+      case 'EXPORT_DOMAIN_REGISTRY':
+        sendResponse({ success: true, json: exportDomainRegistry() });
+        break;
+        
+      case 'IMPORT_DOMAIN_REGISTRY':
+        sendResponse({
+          success: true,
+          entries: await importDomainRegistry(message.json, { merge: message.merge === true })
+        });
+        break;
+        
+      case 'EXPORT_DATA':
+        // Store queued events first so the export includes them
+        await processEventQueue();
+        sendResponse({
+          success: true,
+          data: encodeBase64(await exportData({
+            format: message.format,
+            redaction: message.redaction,
+            startTime: message.startTime,
+            endTime: message.endTime
+          }))
+        });
+        break;
+        
+      case 'IMPORT_DATA':
+        sendResponse({ success: true, summary: await importData(decodeBase64(message.data)) });
+        break;
+        
+      case 'GET_PRIVACY_SETTINGS':
+        sendResponse({ success: true, settings: getPrivacySettings() });
+        break;
+        
+      case 'SAVE_PRIVACY_SETTINGS':
+        sendResponse({ success: true, settings: await savePrivacySettings(message.settings || {}) });
+        break;
+        
+      case 'FORGET_SITE':
+        sendResponse({ success: true, ...await forgetSite(message.domain) });
+        break;
+        
+      case 'GET_ENCRYPTION_STATUS':
+        sendResponse({ success: true, status: await getEncryptionStatus() });
+        break;
+        
+      case 'ENABLE_ENCRYPTION':
+        sendResponse({ success: true, status: await enableEncryption(message.passphrase) });
+        break;
+        
+      case 'UNLOCK_ENCRYPTION':
+        sendResponse({ success: true, status: await unlockEncryption(message.passphrase) });
+        break;
+        
+      case 'LOCK_ENCRYPTION':
+        // Store queued events first, so they aren't held in memory until the next unlock
+        await processEventQueue();
+        sendResponse({ success: true, status: await lockEncryption() });
+        break;
+        
+      case 'ROTATE_ENCRYPTION_KEY':
+        sendResponse({
+          success: true,
+          status: await rotateEncryptionKey(message.passphrase, message.newPassphrase)
+        });
+        break;
+        
+      case 'DISABLE_ENCRYPTION':
+        sendResponse({ success: true, status: await disableEncryption(message.passphrase) });
+        break;
+        
+      case 'NUDGE_FEEDBACK':
+        sendResponse({
+          success: true,
+          record: await handleNudgeResponse(tabId, message.nudgeId, message.response)
+        });
+        break;
+        
+      case 'REFOCUS':
+        await handleNudgeResponse(tabId, message.nudgeId, NUDGE_RESPONSES.REFOCUS);
+        sendResponse({ success: true });
+        break;
+        
+      case 'DISMISS_DISTRACTION':
+        await handleNudgeResponse(tabId, message.nudgeId, NUDGE_RESPONSES.DISMISS);
+        sendResponse({ success: true });
+        break;
+        
+      case 'GET_DOMAIN_THRESHOLDS':
+        sendResponse({
+          success: true,
+          baseThreshold: userPreferences.distractionThreshold,
+          thresholds: Object.keys(thresholdShifts).map(domain => ({
+            domain,
+            threshold: getDistractionThreshold(domain)
+          }))
+        });
         break;
         
       case 'distraction_detected':
-        focusMode.stats.distractionCount++;
-        updateFocusStats();
+        // Distractions don't count during Pomodoro breaks
+        if (!isBreakPhase(focusMode.pomodoro)) {
+          focusMode.stats.distractionCount++;
+          focusMode.cycleDistractions++;
+          updateFocusStats();
+        }
         break;
         
       default:
@@ -324,18 +761,195 @@ async function handleMessage(message, sender, sendResponse) {
 }
 
 // Session and sequence ID tracking
-const tabSessions = new Map();
+const tabSessions = new Map(); // Tab ID -> open session record (see src/events/sessions.js)
 const tabSequences = new Map();
 
 /**
  * Get the session ID for a tab
+ *
+ * A tab keeps its session across page loads until it has had no events for
+ * CONFIG.sessionTimeout, the tab closes or the system goes idle; the next
+ * event starts a new session with its own sequence. Content scripts learn the
+ * session from GET_TAB_INFO and TRACK_EVENTS responses. Events without a tab,
+ * such as from the popup, have no session.
+ *
+ * @param {number|null|undefined} tabId - Tab ID
+ * @returns {string|null} Session ID, or null without a tab
  */
 function getSessionIdForTab(tabId) {
-  if (!tabSessions.has(tabId)) {
+  if (typeof tabId !== 'number') return null;
+  
+  const now = Date.now();
+  let session = tabSessions.get(tabId);
+  
+  if (session && now - session.last_activity > CONFIG.sessionTimeout) {
+    endSession(tabId, SESSION_END_REASONS.TIMEOUT);
+    session = null;
+  }
+  
+  if (!session) {
     const sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-    tabSessions.set(tabId, sessionId);
+    session = createSessionRecord(sessionId, tabId, now);
+    tabSessions.set(tabId, session);
+    tabSequences.set(tabId, 0);
+    storeSession(session);
+  }
+  
+  session.last_activity = now;
+  return session.session_id;
+}
+
+/**
+ * Close a tab's open session and persist it
+ * @param {number|null} tabId - Tab whose session ends
+ * @param {string} reason - Value from SESSION_END_REASONS
+ * @param {number} [endTime] - When the session ended (defaults to its last activity)
+ */
+function endSession(tabId, reason, endTime) {
+  const session = tabSessions.get(tabId);
+  if (!session) return;
+  
+  tabSessions.delete(tabId);
+  tabSequences.delete(tabId);
+  storeSession(closeSessionRecord(session, reason, endTime));
+  
+  if (CONFIG.debugMode) {
+    console.log(`[Focus Nudge] Session ${session.session_id} of tab ${tabId} ended (${reason})`);
+  }
+}
+
+/**
+ * Close the sessions that had no events for the session timeout
+ */
+function closeExpiredSessions() {
+  const now = Date.now();
+  
+  for (const [tabId, session] of [...tabSessions]) {
+    if (now - session.last_activity > CONFIG.sessionTimeout) {
+      endSession(tabId, SESSION_END_REASONS.TIMEOUT);
+    }
+  }
+}
+
+/**
+ * Restore the sessions that were open when the service worker stopped
+ *
+ * Sessions that timed out meanwhile are closed at their last activity; the
+ * others continue with their sequence.
+ *
+ * @returns {Promise<void>}
+ */
+async function restoreSessions() {
+  const now = Date.now();
+  
+  for (const session of await getSessions({ openOnly: true })) {
+    if (typeof session.tab_id !== 'number') {
+      // Sessions were once created for events without a tab
+      await storeSession(closeSessionRecord(session, SESSION_END_REASONS.INTERRUPTED));
+    } else if (now - session.last_activity > CONFIG.sessionTimeout) {
+      await storeSession(closeSessionRecord(session, SESSION_END_REASONS.TIMEOUT));
+    } else if (tabSessions.has(session.tab_id)) {
+      // An event already started a new session for the tab
+      await storeSession(closeSessionRecord(session, SESSION_END_REASONS.INTERRUPTED));
+    } else {
+      tabSessions.set(session.tab_id, session);
+      tabSequences.set(session.tab_id, session.last_sequence_id);
+    }
+  }
+}
+
+/**
+ * Add processed events to the summaries of their sessions and persist them
+ * @param {Array} events - Processed events
+ * @returns {Promise<void>}
+ */
+async function updateSessionSummaries(events) {
+  const eventsBySession = new Map();
+  for (const event of events) {
+    if (!eventsBySession.has(event.session_id)) {
+      eventsBySession.set(event.session_id, []);
+    }
+    eventsBySession.get(event.session_id).push(event);
+  }
+  
+  const openSessions = new Map([...tabSessions.values()].map(session => [session.session_id, session]));
+  const detectedTask = currentDetectedTask.taskType !== TASK_TYPES.UNKNOWN ? currentDetectedTask.taskType : null;
+  
+  for (const [sessionId, sessionEvents] of eventsBySession) {
+    // Events can be processed after their session closed
+    const session = openSessions.get(sessionId) || await getSession(sessionId);
+    if (!session) continue;
+    
+    updateSessionSummary(session, sessionEvents, { detectedTask: session.end_time === null ? detectedTask : null });
+    await storeSession(session);
+  }
+}
+
+/**
+ * Queue a batch of events from a content script's event stream
+ *
+ * Events are validated again, since a page can send anything, and the
+ * privacy settings are applied. The events that are kept get the tab's
+ * session and the next sequence IDs in the order they were tracked.
+ *
+ * @param {Array} events - Events created by the event stream
+ * @param {number} tabId - Tab that sent the batch
+ * @returns {Object} Counts ({ accepted, rejected, excluded }) and the tab's session ID
+ */
+function queueStreamEvents(events, tabId) {
+  let accepted = 0;
+  let excluded = 0;
+  
+  for (const streamEvent of events) {
+    const event = createEvent(streamEvent.event_type, streamEvent.payload, {
+      url: streamEvent.url,
+      timestamp: streamEvent.timestamp,
+      tab_id: tabId,
+      session_id: getSessionIdForTab(tabId)
+    });
+    if (!event) continue;
+    
+    // Rejected and excluded events don't use up a sequence ID
+    const privateEvent = applyPrivacySettings(event, { incognito: incognitoTabs.has(tabId) });
+    if (privateEvent) {
+      privateEvent.sequence_id = getNextSequenceId(tabId);
+      eventQueue.push(privateEvent);
+      accepted++;
+    } else {
+      excluded++;
+    }
+  }
+  
+  return {
+    accepted,
+    rejected: events.length - accepted - excluded,
+    excluded,
+    sessionId: getSessionIdForTab(tabId)
+  };
+}
+
+/**
+ * Apply the privacy settings to an event and queue it for processing
+ * @param {Object|null} event - Validated event, or null if it failed validation
+ * @returns {boolean} Whether the event was queued
+ */
+function queueEvent(event) {
+  const privateEvent = event && applyPrivacySettings(event, { incognito: incognitoTabs.has(event.tab_id) });
+  
+  if (privateEvent) {
+    eventQueue.push(privateEvent);
+  }
+  return !!privateEvent;
+}
+
+/**
+ * Remember a tab as incognito, so events the service worker observes for it aren't recorded
+ * @param {Object} [tab] - Tab
+ */
+function trackIncognitoTab(tab) {
+  if (tab && tab.incognito) {
+    incognitoTabs.add(tab.id);
   }
-  return tabSessions.get(tabId);
 }
 
 /**
@@ -373,6 +987,8 @@ async function handleTabActivated(activeInfo) {
  */
 function handleTabUpdated(tabId, changeInfo, tab) {
   try {
+    trackIncognitoTab(tab);
+    
     // Only process if this is the active tab and it has a URL
     if (tabId === activeTabId && changeInfo.url) {
       activeTabUrl = changeInfo.url;
@@ -382,6 +998,11 @@ function handleTabUpdated(tabId, changeInfo, tab) {
       activeTabTitle = changeInfo.title;
     }
     
+    // Redirect blocked domains while strict focus mode is on
+    if (changeInfo.url) {
+      enforceStrictMode(tabId, changeInfo.url);
+    }
+    
     if (CONFIG.debugMode && (changeInfo.url || changeInfo.title)) {
       console.log(`Tab updated: ${tabId}, URL: ${changeInfo.url}, Title: ${changeInfo.title}`);
     }
@@ -390,6 +1011,105 @@ function handleTabUpdated(tabId, changeInfo, tab) {
   }
 }
 
+/**
+ * Handle tab created event
+ */
+async function handleTabCreated(tab) {
+  try {
+    tabOpenedAt.set(tab.id, Date.now());
+    trackIncognitoTab(tab);
+    const tabs = await chrome.tabs.query({});
+    
+    queueBrowserEvent(EVENT_TYPES.TAB_OPEN, {
+      opener_tab_id: tab.openerTabId || 0,
+      window_id: tab.windowId,
+      tab_count: tabs.length,
+      is_active_tab: tab.active
+    }, tab.id, tab.pendingUrl || tab.url || '');
+  } catch (error) {
+    console.error('Error handling tab created:', error);
+  }
+}
+
+/**
+ * Handle tab removed event
+ */
+async function handleTabRemoved(tabId, removeInfo) {
+  try {
+    const openedAt = tabOpenedAt.get(tabId);
+    tabOpenedAt.delete(tabId);
+    const tabs = await chrome.tabs.query({});
+    
+    queueBrowserEvent(EVENT_TYPES.TAB_CLOSE, {
+      window_id: removeInfo.windowId,
+      tab_count: tabs.length,
+      time_open: openedAt ? Date.now() - openedAt : 0,
+      is_window_closing: removeInfo.isWindowClosing
+    }, tabId);
+    incognitoTabs.delete(tabId);
+    
+    endSession(tabId, SESSION_END_REASONS.TAB_CLOSE);
+  } catch (error) {
+    console.error('Error handling tab removed:', error);
+  }
+}
+
+/**
+ * Handle system idle state changes
+ * @param {string} newState - 'active', 'idle' or 'locked'
+ */
+function handleIdleStateChanged(newState) {
+  try {
+    const now = Date.now();
+    
+    if (newState === 'active') {
+      if (systemIdleSince === null) return;
+      
+      queueBrowserEvent(EVENT_TYPES.SYSTEM_ACTIVE, {
+        idle_state: newState,
+        idle_duration: now - systemIdleSince
+      }, activeTabId, activeTabUrl);
+      systemIdleSince = null;
+      return;
+    }
+    
+    // Going from idle to locked continues the same idle period
+    if (systemIdleSince !== null) return;
+    
+    // Idle is reported after the detection interval without input; locking can happen at any time
+    const idleTime = newState === 'idle' ? CONFIG.idleDetectionInterval * 1000 : 0;
+    systemIdleSince = now - idleTime;
+    
+    queueBrowserEvent(EVENT_TYPES.SYSTEM_IDLE, {
+      idle_state: newState,
+      idle_time: idleTime
+    }, activeTabId, activeTabUrl);
+    
+    // Browsing stopped when the user went idle, so every open session ends there
+    for (const tabId of [...tabSessions.keys()]) {
+      endSession(tabId, SESSION_END_REASONS.IDLE, systemIdleSince);
+    }
+  } catch (error) {
+    console.error('Error handling idle state change:', error);
+  }
+}
+
+/**
+ * Queue an event observed by the service worker rather than a content script
+ * @param {string} eventType - Event type from EVENT_TYPES
+ * @param {Object} payload - Event payload
+ * @param {number|null} tabId - Tab the event belongs to
+ * @param {string} url - URL of the tab, if known
+ */
+function queueBrowserEvent(eventType, payload, tabId, url = '') {
+  queueEvent(createEvent(eventType, payload, {
+    url,
+    tab_id: tabId,
+    session_id: getSessionIdForTab(tabId),
+    sequence_id: getNextSequenceId(tabId)
+  }));
+}
+
 /**
  * Handle alarm event
  */
@@ -403,40 +1123,81 @@ async function handleAlarm(alarm) {
     } else if (alarm.name === 'distractionScore') {
       // Calculate distraction scores
       await calculateDistractionScores();
+    } else if (alarm.name === 'sessionSweep') {
+      closeExpiredSessions();
+    } else if (alarm.name === 'storageMaintenance') {
+      const rolledUp = await rollUpOldEvents();
+      const pruned = await pruneOldEvents();
+      if (CONFIG.debugMode) {
+        console.log(`Focus Nudge: Rolled up ${rolledUp} samples and pruned ${pruned} events`);
+      }
     } else if (alarm.name === 'taskDetection') {
       // Detect current task
       if (userPreferences.taskDetectionEnabled) {
         await detectCurrentTask();
       }
     } else if (alarm.name === 'focusModeEnd') {
-      // Focus mode timer expired
-      console.log('[Focus Nudge] Focus mode timer expired');
-      
-      // Disable focus mode
-      focusMode.active = false;
-      focusMode.startTime = null;
-      focusMode.endTime = null;
-      
-      // Save user preferences
-      await chrome.storage.sync.set({ userPreferences });
-      
-      // Notify user that focus mode has ended
-      if (activeTabId) {
-        try {
-          await chrome.tabs.sendMessage(activeTabId, {
-            type: 'FOCUS_MODE_ENDED',
-            message: 'Your 30-minute job application focus session has ended.'
-          });
-        } catch (error) {
-          console.error('[Focus Nudge] Error sending focus mode ended notification:', error);
-        }
+      if (focusMode.active && focusMode.pomodoro) {
+        // Pomodoro phase finished, move on to the next one
+        await advancePomodoroPhase();
+      } else {
+        await handleFocusModeTimerExpired();
       }
+    } else if (alarm.name === 'focusSchedule') {
+      // A schedule window started or ended
+      await applyFocusSchedule();
+    } else if (alarm.name.startsWith('strictBypassEnd')) {
+      // A strict mode bypass expired, block the domain again
+      focusMode.bypasses = removeExpiredBypasses(focusMode.bypasses);
+      await saveFocusSession(focusMode);
+      await enforceStrictModeOnOpenTabs();
     }
   } catch (error) {
     console.error('Error handling alarm:', error);
   }
 }
 
+/**
+ * Handle the end of a timed focus session
+ */
+async function handleFocusModeTimerExpired() {
+  try {
+    // Focus mode timer expired
+    console.log('[Focus Nudge] Focus mode timer expired');
+    const endedMessage = getFocusModeEndedMessage();
+    
+    // Disable focus mode
+    focusMode.active = false;
+    focusMode.startTime = null;
+    focusMode.endTime = null;
+    focusMode.strict = false;
+    focusMode.bypasses = {};
+    focusMode.pomodoro = null;
+    focusMode.scheduleId = null;
+    await saveFocusSession(focusMode);
+    
+    // Send any tabs sitting on the interstitial page back to where they were going
+    await releaseBlockedTabs();
+    
+    // Save user preferences
+    await chrome.storage.sync.set({ userPreferences });
+    
+    // Notify user that focus mode has ended
+    if (activeTabId) {
+      try {
+        await chrome.tabs.sendMessage(activeTabId, {
+          type: 'FOCUS_MODE_ENDED',
+          message: endedMessage
+        });
+      } catch (error) {
+        console.error('[Focus Nudge] Error sending focus mode ended notification:', error);
+      }
+    }
+  } catch (error) {
+    console.error('[Focus Nudge] Error ending focus mode:', error);
+  }
+}
+
 /**
  * Calculate distraction scores based on recent events
  */
@@ -449,7 +1210,7 @@ async function calculateDistractionScores() {
     // Get events from the last 5 minutes
     const now = Date.now();
     const fiveMinutesAgo = now - CONFIG.distractionScoreInterval;
-    const recentEvents = await getEvents(fiveMinutesAgo, now);
+    const { events: recentEvents } = await queryEvents({ startTime: fiveMinutesAgo, endTime: now });
     
     if (recentEvents.length === 0) {
       if (CONFIG.debugMode) {
@@ -500,7 +1261,8 @@ async function calculateDistractionScores() {
         userPreferences: userPreferences
       };
       
-      const prediction = await modelManager.predict(modelInput);
+      // Shadow versions are compared on the per-tab predictions only
+      const prediction = await modelManager.predict(modelInput, { runShadows: false });
       
       // Store domain score
       domainScores[domain] = {
@@ -590,6 +1352,7 @@ async function processEventQueue() {
     // Store events in storage
     console.log('[Focus Nudge] Storing events in IndexedDB...');
     await storeEvents(eventsToProcess);
+    await updateSessionSummaries(eventsToProcess);
     
     // Process events
     console.log('[Focus Nudge] Processing events for feature extraction and prediction...');
@@ -637,7 +1400,7 @@ async function processEvents(events) {
       
       // Check for distractions
       if (userPreferences.nudgingEnabled) {
-        await checkForDistractions(tabId, tabEvents, features);
+        await checkForDistractions(Number(tabId), tabEvents, features);
       }
     }
     
@@ -648,110 +1411,6 @@ async function processEvents(events) {
   }
 }
 
-/**
- * Extract features from events
- */
-function extractFeaturesFromEvents(events) {
-  // Initialize features
-  const features = {
-    timeSpent: 0,
-    scrollCount: 0,
-    scrollDepth: 0,
-    clickCount: 0,
-    tabSwitches: 0,
-    videoPlayCount: 0,
-    videoPauseCount: 0,
-    videoWatchTime: 0,
-    keyPressCount: 0,
-    copyCount: 0,
-    pasteCount: 0,
-    idleTime: 0,
-    pageVisits: 0,
-    contentType: null,
-    hasVideo: false,
-    hasAudio: false,
-    hasForms: false,
-    hasComments: false,
-    readabilityScore: 0
-  };
-  
-  // Extract page metadata from PAGE_VISIT events
-  const pageVisitEvents = events.filter(event => event.event_type === EVENT_TYPES.PAGE_VISIT);
-  if (pageVisitEvents.length > 0) {
-    const latestPageVisit = pageVisitEvents[pageVisitEvents.length - 1];
-    features.url = latestPageVisit.url;
-    features.domain = latestPageVisit.payload?.domain || new URL(latestPageVisit.url).hostname;
-    features.pageTitle = latestPageVisit.payload?.page_title || '';
-    features.pageVisits = pageVisitEvents.length;
-  }
-  
-  // Calculate time range
-  const timestamps = events.map(event => event.timestamp);
-  const minTime = Math.min(...timestamps);
-  const maxTime = Math.max(...timestamps);
-  features.timeSpent = maxTime - minTime;
-  
-  // Process each event
-  events.forEach(event => {
-    switch (event.event_type) {
-      case EVENT_TYPES.PAGE_SCROLL:
-        features.scrollCount++;
-        features.scrollDepth = Math.max(features.scrollDepth, event.payload?.scroll_depth || 0);
-        break;
-        
-      case EVENT_TYPES.MOUSE_CLICK:
-        features.clickCount++;
-        break;
-        
-      case EVENT_TYPES.TAB_SWITCH:
-        features.tabSwitches++;
-        break;
-        
-      case EVENT_TYPES.VIDEO_PLAY:
-        features.videoPlayCount++;
-        features.hasVideo = true;
-        break;
-        
-      case EVENT_TYPES.VIDEO_PAUSE:
-        features.videoPauseCount++;
-        features.hasVideo = true;
-        break;
-        
-      case EVENT_TYPES.VIDEO_PROGRESS:
-        features.videoWatchTime += event.payload?.watch_time || 0;
-        features.hasVideo = true;
-        break;
-        
-      case EVENT_TYPES.KEY_PRESS:
-        features.keyPressCount++;
-        break;
-        
-      case EVENT_TYPES.COPY:
-        features.copyCount++;
-        break;
-        
-      case EVENT_TYPES.PASTE:
-        features.pasteCount++;
-        break;
-        
-      case EVENT_TYPES.SYSTEM_IDLE:
-        features.idleTime += event.payload?.idle_time || 0;
-        break;
-        
-      case EVENT_TYPES.CONTENT_LOAD:
-        features.contentType = event.payload?.content_type || null;
-        features.hasVideo = features.hasVideo || event.payload?.has_video || false;
-        features.hasAudio = event.payload?.has_audio || false;
-        features.hasForms = event.payload?.has_forms || false;
-        features.hasComments = event.payload?.has_comments || false;
-        features.readabilityScore = event.payload?.readability_score || 0;
-        break;
-    }
-  });
-  
-  return features;
-}
-
 /**
  * Update session data
  */
@@ -801,31 +1460,22 @@ async function checkForDistractions(tabId, events, features) {
     // Skip if no domain or model manager
     if (!features.domain || !modelManager) return;
     
-    // Get current task mode
-    const taskMode = focusMode.taskType;
-    
-    // Define allowed domains for different task modes
-    const allowedDomains = {
-      'job_application': [
-        'linkedin.com',
-        'indeed.com',
-        'glassdoor.com',
-        'monster.com',
-        'ziprecruiter.com',
-        'careers.google.com',
-        'jobs.lever.co',
-        'greenhouse.io',
-        'workday.com'
-      ]
-    };
+    // Judge relevance against the active task definition
+    const activeTask = focusMode.active ? focusMode.task : null;
+    const relevance = evaluateTaskRelevance(activeTask, features.url, features.domain);
+    
+    // Skip if this domain is in the user's allowed sites list or allowed for the active task
+    if (userPreferences.allowedSites.includes(features.domain) || relevance === TASK_RELEVANCE.ALLOWED) {
+      return;
+    }
     
-    // Check if site is allowed for current task mode
-    const isAllowedForTaskMode = taskMode && 
-      allowedDomains[taskMode] && 
-      allowedDomains[taskMode].some(domain => features.domain.includes(domain));
+    // Skip if the user was let through by strict mode
+    if (hasActiveBypass(focusMode.bypasses, features.domain)) {
+      return;
+    }
     
-    // Skip if this domain is in the user's allowed sites list or allowed for current task mode
-    if (userPreferences.allowedSites.includes(features.domain) || isAllowedForTaskMode) {
+    // Distraction checks are suspended during Pomodoro breaks
+    if (isBreakPhase(focusMode.pomodoro)) {
       return;
     }
     
@@ -839,25 +1489,14 @@ async function checkForDistractions(tabId, events, features) {
       }
     }
     
-    // Known distraction domains should always be flagged in task mode
-    const knownDistractionDomains = [
-      'youtube.com',
-      'facebook.com',
-      'twitter.com',
-      'instagram.com',
-      'reddit.com',
-      'tiktok.com',
-      'netflix.com',
-      'hulu.com',
-      'twitch.tv'
-    ];
-    
-    // If in task mode and on a known distraction site, mark as distraction
-    if (focusMode.active && knownDistractionDomains.some(d => features.domain.includes(d))) {
+    // If in task mode and on a blocked or known distraction site, mark as distraction
+    const isBlockedForTask = relevance === TASK_RELEVANCE.BLOCKED;
+    if (focusMode.active && (isBlockedForTask || isDistractionDomain(features.domain))) {
       console.log('[Focus Nudge] Known distraction domain detected:', features.domain);
       
       // Increment distraction count and update stats
       focusMode.stats.distractionCount++;
+      focusMode.cycleDistractions++;
       
       // Update focus score based on distractions
       const result = await chrome.storage.local.get(['focusStats']);
@@ -880,23 +1519,22 @@ async function checkForDistractions(tabId, events, features) {
       // Update focus mode state
       focusMode.stats = currentStats;
       
-      // Send distraction detected message to content script
-      if (tabId) {
+      // Generate and send nudge, with the companion alert only when the nudge gets through
+      const nudge = generateNudge(features.domain, { probability: 1.0, confidence: 1.0 });
+      if (nudge) {
+        nudge.reason = `${features.domain} is on your focus mode block list`;
+      }
+      if (nudge && tabId && await deliverNudge(tabId, nudge, features)) {
         try {
           await chrome.tabs.sendMessage(tabId, { 
             type: 'distraction_detected',
-            domain: features.domain
+            domain: features.domain,
+            reason: nudge.reason
           });
         } catch (error) {
           console.error('[Focus Nudge] Error sending distraction alert:', error);
         }
       }
-      
-      // Generate and send nudge
-      const nudge = generateNudge(features.domain, { probability: 1.0, confidence: 1.0 });
-      if (nudge) {
-        sendNudgeToTab(tabId, nudge);
-      }
       return;
     }
     
@@ -910,6 +1548,7 @@ async function checkForDistractions(tabId, events, features) {
     
     // Get prediction from model
     const prediction = await modelManager.predict(modelInput);
+    queueModelPredictionEvents(tabId, prediction);
     
     // Update distraction score in session data
     if (sessionData[features.domain]) {
@@ -922,7 +1561,13 @@ async function checkForDistractions(tabId, events, features) {
       sessionData[features.domain].distractionHistory.push({
         timestamp: Date.now(),
         score: prediction.probability,
-        confidence: prediction.confidence
+        confidence: prediction.confidence,
+        explanation: prediction.explanation || null,
+        ...(prediction.contributions && {
+          contributions: prediction.contributions.map(({ modelType, probability, contribution }) => ({
+            modelType, probability, contribution
+          }))
+        })
       });
       
       // Keep history limited to last 100 entries
@@ -931,14 +1576,19 @@ async function checkForDistractions(tabId, events, features) {
       }
     }
     
-    // Check if distraction threshold is exceeded
-    if (prediction.probability >= userPreferences.distractionThreshold) {
+    // Keep ensemble predictions the models disagreed on for later review
+    if (prediction.modelsDisagree) {
+      await recordModelDisagreement(features.domain, prediction);
+    }
+    
+    // Check if the threshold for this domain is exceeded
+    if (prediction.probability >= getDistractionThreshold(features.domain)) {
       // Generate nudge
       const nudge = generateNudge(features.domain, prediction);
       
-      // Send nudge to content script
-      if (nudge) {
-        sendNudgeToTab(tabId, nudge);
+      // Send nudge to content script; delivered nudges count towards the Pomodoro work interval
+      if (nudge && await deliverNudge(tabId, nudge, features) && focusMode.active && focusMode.pomodoro) {
+        focusMode.cycleDistractions++;
       }
     }
   } catch (error) {
@@ -946,6 +1596,37 @@ async function checkForDistractions(tabId, events, features) {
   }
 }
 
+/**
+ * Queue MODEL_PREDICTION events for the active model and each shadow version
+ * @param {number|string} tabId - Tab the prediction was made for
+ * @param {Object} prediction - Prediction from the model manager
+ */
+function queueModelPredictionEvents(tabId, prediction) {
+  const predictions = [
+    { ...prediction, predictionType: 'active' },
+    ...(prediction.shadowPredictions || []).map(shadow => ({ ...shadow, predictionType: 'shadow' }))
+  ];
+  
+  for (const { predictionType, modelType, modelVersion, probability, confidence, explanation } of predictions) {
+    if (!modelVersion) continue;
+    
+    const event = createEvent(EVENT_TYPES.MODEL_PREDICTION, {
+      prediction_type: predictionType,
+      distraction_score: probability,
+      confidence,
+      features_used: explanation ? explanation.features.map(feature => feature.name) : [],
+      model_type: modelType,
+      model_version: modelVersion
+    }, {
+      tab_id: tabId,
+      session_id: getSessionIdForTab(tabId),
+      sequence_id: getNextSequenceId(tabId)
+    });
+    
+    queueEvent(event);
+  }
+}
+
 /**
  * Generate a nudge
  */
@@ -995,11 +1676,16 @@ function generateNudge(domain, prediction) {
     }
     
     return {
+      id: createNudgeId(),
       type: nudgeType,
       message: message,
       domain: domain,
       distractionScore: prediction.probability,
+      rawScore: prediction.rawProbability,
+      modelVersionId: prediction.versionId,
       confidence: prediction.confidence,
+      explanation: prediction.explanation || null,
+      reason: formatExplanation(prediction.explanation) || null,
       timestamp: Date.now()
     };
   } catch (error) {
@@ -1065,19 +1751,94 @@ function generateTaskSpecificNudge(domain, prediction, detectedTask) {
   const randomNudge = nudges[Math.floor(Math.random() * nudges.length)];
   
   return {
+    id: createNudgeId(),
     type: 'task_specific',
     title: `${formatTaskType(detectedTask.taskType)} Focus`,
     message: randomNudge,
+    domain: domain,
     taskType: detectedTask.taskType,
-    distractionScore: prediction.distraction_score,
+    distractionScore: prediction.probability,
+    rawScore: prediction.rawProbability,
+    modelVersionId: prediction.versionId,
+    confidence: prediction.confidence,
+    explanation: prediction.explanation || null,
+    reason: formatExplanation(prediction.explanation) || null,
     timestamp: Date.now()
   };
 }
 
+/**
+ * Create a unique nudge ID so feedback can be matched to the nudge
+ * @returns {string} Nudge ID
+ */
+function createNudgeId() {
+  return `nudge-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+}
+
+/**
+ * Keep only the feature values the random forest is trained on
+ * @param {Object} features - Extracted features
+ * @returns {Object} Model feature values by name
+ */
+function pickModelFeatures(features) {
+  return MODEL_FEATURES.reduce((acc, { name }) => {
+    acc[name] = features[name] || 0;
+    return acc;
+  }, {});
+}
+
+/**
+ * Get the distraction threshold for a domain, adjusted by nudge feedback
+ * @param {string} domain - Website domain
+ * @returns {number} Effective threshold
+ */
+function getDistractionThreshold(domain) {
+  return getEffectiveThreshold(thresholdShifts, domain, userPreferences.distractionThreshold);
+}
+
+/**
+ * Send a distraction nudge unless cooldowns, the daily budget or quiet hours hold it back
+ * @param {number} tabId - Tab to show the nudge in
+ * @param {Object} nudge - Nudge from generateNudge
+ * @param {Object} features - Features the nudge was predicted from
+ * @returns {Promise<boolean>} Whether the nudge was sent
+ */
+async function deliverNudge(tabId, nudge, features) {
+  // Every detected distraction reaches here, whether or not the nudge is shown
+  const session = tabSessions.get(tabId);
+  if (session) {
+    session.summary.distraction_count++;
+  }
+  
+  const decision = evaluateNudge(await loadNudgeFeedback(), nudge.domain, userPreferences);
+  
+  if (!decision.allowed) {
+    await recordSuppressedNudge(nudge, decision.reason);
+    
+    if (CONFIG.debugMode) {
+      console.log(`[Focus Nudge] Suppressed nudge for ${nudge.domain} (${decision.reason})`);
+    }
+    return false;
+  }
+  
+  // Earlier nudges for this domain were ignored, so make this one harder to miss
+  if (decision.escalationLevel > 0) {
+    nudge.escalationLevel = decision.escalationLevel;
+    nudge.persistent = true;
+    nudge.title = nudge.title || `Still on ${nudge.domain}?`;
+  }
+  
+  await sendNudgeToTab(tabId, nudge, features);
+  return true;
+}
+
 /**
  * Send nudge to tab
+ * @param {number} tabId - Tab to show the nudge in
+ * @param {Object} nudge - Nudge to show
+ * @param {Object} features - Features the nudge was predicted from, kept as a training example
  */
-async function sendNudgeToTab(tabId, nudge) {
+async function sendNudgeToTab(tabId, nudge, features = null) {
   try {
     await chrome.tabs.sendMessage(tabId, {
       type: 'SHOW_NUDGE',
@@ -1087,11 +1848,86 @@ async function sendNudgeToTab(tabId, nudge) {
     if (CONFIG.debugMode) {
       console.log(`Sent nudge to tab ${tabId}:`, nudge);
     }
+    
+    if (!nudge.id) return;
+    
+    // Remember the nudge so refocus/dismiss from the companion can be attributed to it
+    lastNudgeByTab.set(tabId, nudge);
+    
+    const threshold = nudge.domain ? getDistractionThreshold(nudge.domain) : 0;
+    await recordNudgeShown(nudge, threshold, features && pickModelFeatures(features));
+    
+    const event = createEvent(EVENT_TYPES.NUDGE_SHOWN, {
+      nudge_id: nudge.id,
+      nudge_type: nudge.type,
+      domain: nudge.domain || '',
+      distraction_score: nudge.distractionScore || 0,
+      threshold
+    }, {
+      tab_id: tabId,
+      session_id: getSessionIdForTab(tabId),
+      sequence_id: getNextSequenceId(tabId)
+    });
+    
+    queueEvent(event);
   } catch (error) {
     console.error('Error sending nudge to tab:', error);
   }
 }
 
+/**
+ * Record the user's response to a nudge
+ *
+ * Every response is logged as a NUDGE_INTERACTION event; explicit useful/wrong
+ * ratings are also logged as USER_FEEDBACK. The response then updates the
+ * per-domain threshold used by checkForDistractions.
+ *
+ * @param {number} tabId - Tab the nudge was shown in
+ * @param {string} nudgeId - Nudge ID, or null for the latest nudge in the tab
+ * @param {string} response - Value from NUDGE_RESPONSES
+ * @returns {Promise<Object|null>} The updated nudge record
+ */
+async function handleNudgeResponse(tabId, nudgeId, response) {
+  const id = nudgeId || lastNudgeByTab.get(tabId)?.id;
+  if (!id) return null;
+  
+  const record = await recordNudgeResponse(id, response);
+  if (!record) return null;
+  
+  const baseData = {
+    tab_id: tabId,
+    session_id: getSessionIdForTab(tabId),
+    sequence_id: getNextSequenceId(tabId)
+  };
+  
+  const events = [
+    createEvent(EVENT_TYPES.NUDGE_INTERACTION, {
+      nudge_id: id,
+      interaction: response,
+      domain: record.domain || '',
+      time_to_interaction: record.respondedAt - record.timestamp
+    }, baseData)
+  ];
+  
+  if (response === NUDGE_RESPONSES.USEFUL || response === NUDGE_RESPONSES.WRONG) {
+    events.push(createEvent(EVENT_TYPES.USER_FEEDBACK, {
+      feedback_type: `nudge_${response}`,
+      domain: record.domain || '',
+      task_id: focusMode.taskId || ''
+    }, { ...baseData, sequence_id: getNextSequenceId(tabId) }));
+  }
+  
+  events.forEach(queueEvent);
+  
+  thresholdShifts = computeThresholdShifts(await loadNudgeFeedback());
+  
+  if (CONFIG.debugMode && record.domain) {
+    console.log(`[Focus Nudge] Nudge ${response} on ${record.domain}, threshold now ${getDistractionThreshold(record.domain).toFixed(2)}`);
+  }
+  
+  return record;
+}
+
 /**
  * Format time in a human-readable format
  */
@@ -1147,14 +1983,15 @@ async function detectCurrentTask() {
       return;
     }
     
-    // Get recent events for this session
-    const recentEvents = await getEvents({
+    // Get the last 100 events of this session, oldest first
+    const { events: latestEvents } = await queryEvents({
       sessionId: sessionId,
       limit: 100,
-      sortDirection: 'desc'
+      reverse: true
     });
+    const recentEvents = latestEvents.reverse();
     
-    if (!recentEvents || recentEvents.length === 0) {
+    if (recentEvents.length === 0) {
       if (CONFIG.debugMode) {
         console.log('Focus Nudge: No recent events for task detection');
       }
@@ -1281,9 +2118,24 @@ function formatTaskType(taskType) {
  */
 async function handleEnableTaskMode(message, sender) {
   try {
-    const { taskType, useTimer, timerDuration } = message;
-    const startTime = Date.now();
-    const endTime = useTimer ? startTime + timerDuration : null;
+    const { useTimer, timerDuration } = message;
+    
+    // Scheduled sessions keep the window's start time when restarted mid-window
+    const startTime = message.scheduledStartTime || Date.now();
+    
+    // Pomodoro cycles replace the single timer and run until stopped or all cycles are done
+    const pomodoro = message.pomodoro ? startPomodoro(message.pomodoro, startTime) : null;
+    let endTime = null;
+    if (useTimer && !pomodoro) {
+      endTime = startTime + timerDuration;
+    } else if (message.scheduledEndTime) {
+      // Scheduled sessions are ended by the focusSchedule alarm, not the timer
+      endTime = message.scheduledEndTime;
+    }
+    
+    // Resolve the task definition; built-in tasks are keyed by task type
+    const task = await getFocusTask(message.taskId || message.taskType);
+    const taskType = message.taskType || task?.taskType || 'custom';
 
     // Update focus mode state
     focusMode = {
@@ -1291,27 +2143,42 @@ async function handleEnableTaskMode(message, sender) {
       startTime,
       endTime,
       taskType,
+      taskId: task ? task.id : null,
+      task,
+      strict: message.strict === true,
+      bypasses: {},
+      pomodoro,
+      cycleDistractions: 0,
+      scheduleId: message.scheduleId || null,
       stats: {
         ...focusMode.stats,
         focusTime: 0
       }
     };
 
-    // Update user preferences
-    const userPreferences = {
-      focusMode: true,
-      focusModeStartTime: startTime,
-      focusModeEndTime: endTime,
-      currentTaskType: taskType
-    };
-
-    await chrome.storage.local.set({ userPreferences });
+    // Update user preferences, keeping the settings saved from the popup
+    await saveLocalPreferences(getFocusModePreferences(focusMode));
+    await saveFocusSession(focusMode);
 
-    // Set alarm for focus mode end if timer is used
-    if (useTimer) {
+    // Set alarm for focus mode end if timer is used, or for the end of the first work interval
+    if (pomodoro) {
+      chrome.alarms.create('focusModeEnd', {
+        when: pomodoro.phaseEndTime
+      });
+    } else if (useTimer && endTime) {
       chrome.alarms.create('focusModeEnd', {
         when: endTime
       });
+    } else {
+      chrome.alarms.clear('focusModeEnd');
+    }
+    
+    // Publish Pomodoro progress for the Focus Companion
+    await savePomodoroStats();
+    
+    // Block distractions that are already open
+    if (focusMode.strict) {
+      await enforceStrictModeOnOpenTabs();
     }
 
     // Start tracking focus time
@@ -1321,6 +2188,23 @@ async function handleEnableTaskMode(message, sender) {
   }
 }
 
+/**
+ * Save a focus task, applying the edits to the running session if it uses the task
+ * @param {Object} task - Task definition
+ * @returns {Promise<Object>} The saved task
+ */
+async function handleSaveFocusTask(task) {
+  const savedTask = await saveFocusTask(task);
+  
+  // The session keeps a copy of its task, which would otherwise go stale until the next session
+  if (focusMode.active && focusMode.taskId === savedTask.id) {
+    focusMode.task = savedTask;
+    await saveFocusSession(focusMode);
+  }
+  
+  return savedTask;
+}
+
 /**
  * Handle disabling task mode
  */
@@ -1328,6 +2212,11 @@ async function handleDisableTaskMode() {
   try {
     // Update final stats before disabling
     await updateFocusStats();
+    
+    // Keep the interrupted work interval in the cycle history
+    const interruptedCycle = focusMode.pomodoro && focusMode.pomodoro.phase === POMODORO_PHASES.WORK
+      ? createPomodoroCycleRecord(Date.now(), false)
+      : null;
 
     // Clear focus mode state
     focusMode = {
@@ -1335,26 +2224,404 @@ async function handleDisableTaskMode() {
       startTime: null,
       endTime: null,
       taskType: null,
+      taskId: null,
+      task: null,
+      strict: false,
+      bypasses: {},
+      pomodoro: null,
+      cycleDistractions: 0,
+      scheduleId: null,
       stats: focusMode.stats
     };
 
-    // Update user preferences
-    const userPreferences = {
-      focusMode: false,
-      focusModeStartTime: null,
-      focusModeEndTime: null,
-      currentTaskType: null
-    };
-
-    await chrome.storage.local.set({ userPreferences });
+    // Update user preferences, keeping the settings saved from the popup
+    await saveLocalPreferences(getFocusModePreferences(focusMode));
+    await saveFocusSession(focusMode);
 
     // Clear focus mode end alarm
     chrome.alarms.clear('focusModeEnd');
+    
+    // Let blocked tabs continue
+    await releaseBlockedTabs();
+    
+    await savePomodoroStats(interruptedCycle);
   } catch (error) {
     console.error('Error disabling task mode:', error);
   }
 }
 
+/**
+ * Get the message shown when a focus session ends
+ */
+function getFocusModeEndedMessage() {
+  return focusMode.task
+    ? `Your ${focusMode.task.name} focus session has ended.`
+    : 'Your focus session has ended.';
+}
+
+/**
+ * Start or stop task mode to match the focus schedule and set the alarm for the next boundary
+ */
+async function applyFocusSchedule() {
+  try {
+    const now = Date.now();
+    const schedules = await loadFocusSchedules();
+    
+    const nextBoundary = getNextScheduleBoundary(schedules, now);
+    if (nextBoundary) {
+      chrome.alarms.create('focusSchedule', { when: nextBoundary });
+    } else {
+      chrome.alarms.clear('focusSchedule');
+    }
+    
+    // A manual start or stop wins until the next boundary
+    const { focusScheduleOverride } = await chrome.storage.local.get('focusScheduleOverride');
+    if (focusScheduleOverride) {
+      if (focusScheduleOverride.until > now) {
+        return;
+      }
+      await chrome.storage.local.remove('focusScheduleOverride');
+    }
+    
+    const activeWindow = getActiveScheduleWindow(schedules, now);
+    
+    if (activeWindow) {
+      const { entry } = activeWindow;
+      if (focusMode.active && focusMode.scheduleId === entry.id) return;
+      
+      console.log(`[Focus Nudge] Starting scheduled focus session ${entry.id} for task ${entry.taskId}`);
+      await handleEnableTaskMode({
+        taskId: entry.taskId,
+        strict: entry.strict,
+        scheduleId: entry.id,
+        scheduledStartTime: activeWindow.start,
+        scheduledEndTime: activeWindow.end
+      }, {});
+    } else if (focusMode.active && focusMode.scheduleId) {
+      console.log(`[Focus Nudge] Scheduled focus session ${focusMode.scheduleId} ended`);
+      const endedMessage = getFocusModeEndedMessage();
+      await handleDisableTaskMode();
+      
+      if (activeTabId) {
+        try {
+          await chrome.tabs.sendMessage(activeTabId, {
+            type: 'FOCUS_MODE_ENDED',
+            message: endedMessage
+          });
+        } catch (error) {
+          console.error('[Focus Nudge] Error sending focus mode ended notification:', error);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[Focus Nudge] Error applying focus schedule:', error);
+  }
+}
+
+/**
+ * Keep a manual start or stop in place until the next schedule boundary
+ */
+async function setScheduleOverride() {
+  try {
+    const schedules = await loadFocusSchedules();
+    const nextBoundary = getNextScheduleBoundary(schedules);
+    
+    if (nextBoundary) {
+      await chrome.storage.local.set({
+        focusScheduleOverride: { until: nextBoundary, setAt: Date.now() }
+      });
+    }
+  } catch (error) {
+    console.error('[Focus Nudge] Error saving schedule override:', error);
+  }
+}
+
+/**
+ * Move the Pomodoro session to its next phase when the focusModeEnd alarm fires
+ */
+async function advancePomodoroPhase() {
+  try {
+    const now = Date.now();
+    const previousState = focusMode.pomodoro;
+    
+    // Record the finished work interval
+    let cycleRecord = null;
+    if (previousState.phase === POMODORO_PHASES.WORK) {
+      cycleRecord = createPomodoroCycleRecord(now, true);
+      focusMode.cycleDistractions = 0;
+    }
+    
+    focusMode.pomodoro = advancePomodoro(previousState, now);
+    await saveFocusSession(focusMode);
+    await savePomodoroStats(cycleRecord);
+    
+    if (focusMode.pomodoro.finished) {
+      await handleFocusModeTimerExpired();
+      return;
+    }
+    
+    chrome.alarms.create('focusModeEnd', {
+      when: focusMode.pomodoro.phaseEndTime
+    });
+    
+    // Blocked sites are available during breaks
+    if (isBreakPhase(focusMode.pomodoro)) {
+      await releaseBlockedTabs();
+    } else if (focusMode.strict) {
+      await enforceStrictModeOnOpenTabs();
+    }
+    
+    // Notify the user about the new phase
+    if (activeTabId) {
+      try {
+        await chrome.tabs.sendMessage(activeTabId, {
+          type: 'POMODORO_PHASE_CHANGED',
+          phase: focusMode.pomodoro.phase,
+          cycle: focusMode.pomodoro.cycle,
+          completedCycles: focusMode.pomodoro.completedCycles,
+          phaseEndTime: focusMode.pomodoro.phaseEndTime,
+          message: getPomodoroPhaseMessage(focusMode.pomodoro)
+        });
+      } catch (error) {
+        console.error('[Focus Nudge] Error sending Pomodoro phase notification:', error);
+      }
+    }
+  } catch (error) {
+    console.error('[Focus Nudge] Error advancing Pomodoro phase:', error);
+  }
+}
+
+/**
+ * Describe a Pomodoro phase for the user
+ */
+function getPomodoroPhaseMessage(state) {
+  const minutes = Math.round((state.phaseEndTime - state.phaseStartTime) / 60000);
+  
+  if (state.phase === POMODORO_PHASES.WORK) {
+    const taskName = focusMode.task ? focusMode.task.name : 'your task';
+    return `Break's over! Cycle ${state.cycle}: ${minutes} minutes on ${taskName}.`;
+  }
+  
+  if (state.phase === POMODORO_PHASES.LONG_BREAK) {
+    return `Cycle ${state.completedCycles} done! Take a ${minutes}-minute long break.`;
+  }
+  
+  return `Cycle ${state.completedCycles} done! Take a ${minutes}-minute break.`;
+}
+
+/**
+ * Create the focusStats record for the current Pomodoro work interval
+ */
+function createPomodoroCycleRecord(now, completed) {
+  const state = focusMode.pomodoro;
+  
+  return {
+    cycle: state.cycle,
+    taskId: focusMode.taskId,
+    startTime: state.phaseStartTime,
+    endTime: now,
+    focusTime: Math.floor((now - state.phaseStartTime) / 1000), // In seconds
+    distractionCount: focusMode.cycleDistractions,
+    completed
+  };
+}
+
+/**
+ * Save Pomodoro progress and finished cycles to focusStats
+ */
+async function savePomodoroStats(cycleRecord = null) {
+  try {
+    const result = await chrome.storage.local.get(['focusStats']);
+    const stats = result.focusStats || focusMode.stats;
+    
+    if (cycleRecord) {
+      stats.pomodoroCycles = [...(stats.pomodoroCycles || []), cycleRecord]
+        .slice(-CONFIG.maxPomodoroCycleHistory);
+    }
+    
+    const state = focusMode.pomodoro;
+    stats.pomodoro = state && !state.finished
+      ? {
+          phase: state.phase,
+          cycle: state.cycle,
+          completedCycles: state.completedCycles,
+          phaseStartTime: state.phaseStartTime,
+          phaseEndTime: state.phaseEndTime,
+          longBreakEvery: state.config.longBreakEvery,
+          totalCycles: state.config.totalCycles
+        }
+      : null;
+    
+    await chrome.storage.local.set({ focusStats: stats });
+    focusMode.stats = stats;
+  } catch (error) {
+    console.error('[Focus Nudge] Error saving Pomodoro stats:', error);
+  }
+}
+
+/**
+ * Get the URL of the strict mode interstitial page for a blocked URL
+ */
+function getBlockedPageUrl(url) {
+  return `${chrome.runtime.getURL('blocked.html')}?url=${encodeURIComponent(url)}`;
+}
+
+/**
+ * Restore the focus session saved before the service worker stopped
+ */
+async function restoreFocusSession() {
+  try {
+    const session = await loadFocusSession();
+    if (!session || !session.active) return;
+    
+    focusMode = { ...focusMode, ...session };
+    
+    // Tabs may have been opened while the worker was stopped
+    if (focusMode.strict) {
+      await enforceStrictModeOnOpenTabs();
+    }
+  } catch (error) {
+    console.error('[Focus Nudge] Error restoring focus session:', error);
+  }
+}
+
+/**
+ * Redirect a tab to the interstitial page if strict mode blocks its URL
+ */
+async function enforceStrictMode(tabId, url) {
+  try {
+    if (!isBlockedInStrictMode(focusMode, url, userPreferences.allowedSites)) return;
+    
+    console.log('[Focus Nudge] Strict mode blocked:', url);
+    await chrome.tabs.update(tabId, { url: getBlockedPageUrl(url) });
+  } catch (error) {
+    console.error('[Focus Nudge] Error enforcing strict mode:', error);
+  }
+}
+
+/**
+ * Apply strict mode to every open tab
+ */
+async function enforceStrictModeOnOpenTabs() {
+  try {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      await enforceStrictMode(tab.id, tab.url);
+    }
+  } catch (error) {
+    console.error('[Focus Nudge] Error enforcing strict mode on open tabs:', error);
+  }
+}
+
+/**
+ * Send tabs showing the interstitial page back to the page they were blocked from
+ */
+async function releaseBlockedTabs() {
+  try {
+    const blockedPagePrefix = chrome.runtime.getURL('blocked.html');
+    const tabs = await chrome.tabs.query({});
+    
+    for (const tab of tabs) {
+      if (!tab.url || !tab.url.startsWith(blockedPagePrefix)) continue;
+      
+      const originalUrl = new URL(tab.url).searchParams.get('url');
+      if (originalUrl) {
+        await chrome.tabs.update(tab.id, { url: originalUrl });
+      }
+    }
+  } catch (error) {
+    console.error('[Focus Nudge] Error releasing blocked tabs:', error);
+  }
+}
+
+/**
+ * Let the user through to a blocked domain for a limited time
+ * @returns {Promise<number>} Time the bypass expires
+ */
+async function grantStrictBypass(message, sender) {
+  if (!focusMode.active || !focusMode.strict) {
+    throw new Error('Strict focus mode is not active');
+  }
+  
+  // Only the blocked site can be bypassed, not whatever the message names
+  if (!isBlockedInStrictMode(focusMode, message.url, userPreferences.allowedSites)) {
+    throw new Error('Strict focus mode does not block this site');
+  }
+  
+  const { hostname, expiresAt, duration, justification, bypasses } = createBypass(focusMode.bypasses, message);
+  
+  focusMode.bypasses = bypasses;
+  await saveFocusSession(focusMode);
+  chrome.alarms.create(`strictBypassEnd:${hostname}`, { when: expiresAt });
+  
+  // Record the bypass so it can be used as feedback
+  const tabId = sender.tab?.id;
+  const event = createEvent(EVENT_TYPES.USER_FEEDBACK, {
+    feedback_type: 'strict_bypass',
+    domain: hostname,
+    task_id: focusMode.taskId || '',
+    comment: justification,
+    duration
+  }, {
+    url: message.url,
+    tab_id: tabId,
+    session_id: getSessionIdForTab(tabId),
+    sequence_id: getNextSequenceId(tabId)
+  });
+  
+  queueEvent(event);
+  
+  console.log(`[Focus Nudge] Strict mode bypass for ${hostname} until ${new Date(expiresAt).toLocaleTimeString()}`);
+  return expiresAt;
+}
+
+/**
+ * Forget a site: purge its events, session summaries, scores and nudge records
+ *
+ * Queued events are stored first, so none of the site's events are stored
+ * after the purge. Subdomains are forgotten with the site.
+ *
+ * @param {string} value - Domain or URL of the site
+ * @returns {Promise<Object>} The forgotten domain and counts of what was removed
+ */
+async function forgetSite(value) {
+  const domain = normalizeDomain(value);
+  const isForgotten = hostname => domainMatches(hostname, domain);
+  
+  // Encrypted events can't be searched for the site while the store is locked
+  if ((await getEncryptionStatus()).locked) {
+    throw new Error('Unlock the event store to forget a site');
+  }
+  
+  await processEventQueue();
+  
+  // Open sessions are persisted again with their next events
+  for (const session of tabSessions.values()) {
+    if (forgetSessionDomains(session, isForgotten)) {
+      await storeSession(session);
+    }
+  }
+  
+  const counts = await forgetSites(isForgotten);
+  
+  Object.keys(sessionData).filter(isForgotten).forEach(key => delete sessionData[key]);
+  await chrome.storage.local.set({ sessionData });
+  
+  distractionScores.forEach(score => {
+    Object.keys(score.domainScores || {}).filter(isForgotten).forEach(key => delete score.domainScores[key]);
+  });
+  await chrome.storage.local.set({ distractionScores });
+  
+  const feedback = await forgetNudgeFeedback(isForgotten);
+  thresholdShifts = computeThresholdShifts(await loadNudgeFeedback());
+  
+  if (CONFIG.debugMode) {
+    console.log(`[Focus Nudge] Forgot ${domain}: ${counts.deleted} events deleted, ${counts.updated} events and ${counts.sessions} sessions updated`);
+  }
+  
+  return { domain, ...counts, feedback };
+}
+
 /**
  * Update focus stats
  */
@@ -0,0 +1,136 @@
+/**
+ * Focus Nudge - Blocked Page Script
+ *
+ * This script drives the interstitial page shown when strict focus mode blocks
+ * a site. It shows the active task and time remaining and lets the user through
+ * for a few minutes after typing a justification.
+ */
+
+// DOM Elements
+const blockedUrlElement = document.getElementById('blocked-url');
+const taskNameElement = document.getElementById('task-name');
+const timeRemainingElement = document.getElementById('time-remaining');
+const backToWorkButton = document.getElementById('back-to-work');
+const bypassMinutesSelect = document.getElementById('bypass-minutes');
+const bypassJustificationInput = document.getElementById('bypass-justification');
+const requestBypassButton = document.getElementById('request-bypass');
+const bypassErrorElement = document.getElementById('bypass-error');
+
+// URL the user was trying to reach
+const blockedUrl = new URLSearchParams(window.location.search).get('url') || '';
+
+// Strict mode status from the background script
+let strictModeStatus = null;
+
+// Load strict mode status from the background script
+const loadStatus = () => {
+  chrome.runtime.sendMessage({ type: 'GET_STRICT_MODE_STATUS' }, (response) => {
+    if (!response || !response.success) {
+      console.error('Error loading strict mode status:', response?.error);
+      return;
+    }
+
+    // The session ended while this page was open
+    if (!response.active || !response.strict) {
+      continueToBlockedUrl();
+      return;
+    }
+
+    strictModeStatus = response;
+    taskNameElement.textContent = response.taskName || 'Focus session';
+
+    // Drop bypass options longer than the background allows
+    Array.from(bypassMinutesSelect.options).forEach(option => {
+      option.disabled = parseInt(option.value, 10) > response.bypassMinutes;
+    });
+
+    bypassJustificationInput.placeholder = `At least ${response.minJustificationLength} characters`;
+    updateBypassButton();
+    updateTimeRemaining();
+  });
+};
+
+// Show the time left in the focus session
+const updateTimeRemaining = () => {
+  if (!strictModeStatus) return;
+
+  if (!strictModeStatus.endTime) {
+    timeRemainingElement.textContent = 'Until you stop the session';
+    return;
+  }
+
+  const remaining = strictModeStatus.endTime - Date.now();
+  if (remaining <= 0) {
+    continueToBlockedUrl();
+    return;
+  }
+
+  const totalSeconds = Math.floor(remaining / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  timeRemainingElement.textContent = hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds)} left`
+    : `${minutes}:${pad(seconds)} left`;
+};
+
+// Only enable the bypass once a long enough justification was typed
+const updateBypassButton = () => {
+  const minLength = strictModeStatus ? strictModeStatus.minJustificationLength : 1;
+  requestBypassButton.disabled = bypassJustificationInput.value.trim().length < minLength;
+};
+
+// Ask the background script to let the user through
+const requestBypass = () => {
+  bypassErrorElement.textContent = '';
+
+  chrome.runtime.sendMessage({
+    type: 'REQUEST_STRICT_BYPASS',
+    url: blockedUrl,
+    minutes: parseInt(bypassMinutesSelect.value, 10),
+    justification: bypassJustificationInput.value
+  }, (response) => {
+    if (!response || !response.success) {
+      console.error('Error requesting bypass:', response?.error);
+      bypassErrorElement.textContent = response?.error || 'Could not let you through';
+      return;
+    }
+
+    continueToBlockedUrl();
+  });
+};
+
+// Navigate to the page that was blocked
+const continueToBlockedUrl = () => {
+  if (blockedUrl) {
+    window.location.replace(blockedUrl);
+  }
+};
+
+// Leave the blocked site (going back would land on it again)
+const backToWork = () => {
+  chrome.tabs.getCurrent((tab) => {
+    if (tab) {
+      chrome.tabs.remove(tab.id);
+    }
+  });
+};
+
+// Initialize blocked page
+document.addEventListener('DOMContentLoaded', () => {
+  try {
+    blockedUrlElement.textContent = blockedUrl;
+    loadStatus();
+
+    backToWorkButton.addEventListener('click', backToWork);
+    bypassJustificationInput.addEventListener('input', updateBypassButton);
+    requestBypassButton.addEventListener('click', requestBypass);
+
+    // Update the countdown every second
+    setInterval(updateTimeRemaining, 1000);
+  } catch (error) {
+    console.error('Error initializing blocked page:', error);
+  }
+});
@@ -6,54 +6,64 @@
  */
 
 // Define variables to hold our functions
-let initEventStream, trackEvent, flushEvents, cleanup, EVENT_TYPES;
+let initEventStream, trackEvent, flushEvents, cleanup, getCaptureLevel, EVENT_TYPES;
 
 // Configuration
 const CONFIG = {
   contentSampleLength: 1000,    // Length of page content to sample
-  scrollSampleRate: 250,        // Capture scroll events every 250ms
-  mouseSampleRate: 500,         // Capture mouse position every 500ms
   idleThreshold: 60000,         // 1 minute of inactivity is considered idle
   periodicFlushInterval: 30000, // Flush events every 30 seconds
+  mutationSampleInterval: 5000, // Report DOM mutations at most every 5 seconds
+  minMutationNodes: 10,         // Smaller changes (counters, cursors) are not reported
   debugMode: true               // Enable debug logging
 };
 
 // State
 let lastScrollTime = 0;
-let lastMouseMoveTime = 0;
+let lastScrollY = 0;
 let lastActivityTime = Date.now();
 let pageLoadTime = Date.now();
 let isIdle = false;
 let periodicTasksInterval = null;
 let isInitialized = false;
 let pageMetadata = null;
+let currentUrl = window.location.href;
+let lastNavigationTime = Date.now();
+let pendingMutations = null;
+let mutationTimer = null;
+
+// Event dispatched by src/events/historyHooks.js for History API navigations
+const NAVIGATION_EVENT = 'focus-nudge-navigation';
+
+// Elements the extension adds to the page, whose mutations aren't reported
+const OWN_ELEMENTS_SELECTOR = '#focus-nudge-container, .focus-companion';
 
 /**
  * Load the event stream functionality
  */
-function loadEventStream() {
+async function loadEventStream() {
   console.log('[Focus Nudge] Loading event stream functionality...');
   
-  // We'll use message passing to communicate with the background script
-  chrome.runtime.sendMessage({ type: 'GET_EVENT_STREAM_FUNCTIONS' }, response => {
-    if (chrome.runtime.lastError) {
-      console.error('[Focus Nudge] Error loading event stream:', chrome.runtime.lastError);
-      // Try again after a delay
-      console.log('[Focus Nudge] Retrying in 1 second...');
-      setTimeout(loadEventStream, 1000);
-      return;
-    }
-
-    if (!response || !response.success) {
-      console.error('[Focus Nudge] Failed to get event stream functions:', response?.error || 'Unknown error');
-      return;
-    }
-
-    console.log('[Focus Nudge] Event stream functions loaded successfully');
+  try {
+    const eventStream = await import(chrome.runtime.getURL('src/events/eventStream.js'));
+    ({ trackEvent, flushEvents, cleanup, getCaptureLevel, EVENT_TYPES } = eventStream);
+    initEventStream = eventStream.initialize;
     
-    // Initialize the content script now that we have the functions
-    initialize();
-  });
+    if (!await initEventStream()) {
+      throw new Error('Event stream failed to initialize');
+    }
+  } catch (error) {
+    console.error('[Focus Nudge] Error loading event stream:', error);
+    // Try again after a delay
+    console.log('[Focus Nudge] Retrying in 1 second...');
+    setTimeout(loadEventStream, 1000);
+    return;
+  }
+  
+  console.log('[Focus Nudge] Event stream loaded successfully');
+  
+  // Initialize the content script now that the event stream is ready
+  initialize();
 }
 
 /**
@@ -109,24 +119,34 @@ async function initialize() {
 }
 
 /**
- * Send an event to the background script
+ * Check whether page text and titles are recorded on this page, so text the
+ * service worker would remove isn't read from the page in the first place
+ * @returns {boolean} Whether the capture level is 'full'
+ */
+function capturesPageText() {
+  return !!getCaptureLevel && getCaptureLevel() === 'full';
+}
+
+/**
+ * Track an event in the event stream, which samples it and sends it to the
+ * background script in the next batch
+ * @returns {Object|null} The event, or null if it was sampled out or invalid
  */
 function sendEvent(eventType, payload = {}) {
-  console.log(`[Focus Nudge] Sending event: ${eventType}`, payload);
+  if (!trackEvent) return null;
   
-  chrome.runtime.sendMessage({
-    type: 'TRACK_EVENT',
-    eventType,
-    payload,
-    url: window.location.href,
-    timestamp: Date.now()
-  }, response => {
-    if (response && response.success) {
-      console.log(`[Focus Nudge] Event ${eventType} sent successfully`);
-    } else {
-      console.error(`[Focus Nudge] Failed to send event ${eventType}:`, response?.error || 'Unknown error');
-    }
-  });
+  return trackEvent(eventType, payload);
+}
+
+/**
+ * Send the buffered events and have the background script process its queue
+ */
+async function flushEventStream() {
+  if (flushEvents) {
+    await flushEvents();
+  }
+  
+  chrome.runtime.sendMessage({ type: 'FLUSH_EVENTS' });
 }
 
 // Start loading the event stream
@@ -193,12 +213,20 @@ function setupEventListeners() {
   // Tab visibility changes
   document.addEventListener('visibilitychange', handleVisibilityChange);
   
-  // Video interactions
+  // Single-page app navigations
+  window.addEventListener(NAVIGATION_EVENT, handleHistoryNavigation);
+  window.addEventListener('popstate', handlePopState);
+  window.addEventListener('hashchange', handleHashChange);
+  
+  // Video and audio interactions
   trackVideoElements();
+  trackAudioElements();
   
-  // Track DOM mutations to detect new videos
-  const observer = new MutationObserver(() => {
+  // Track DOM mutations to detect new media and content changes
+  const observer = new MutationObserver(mutations => {
     trackVideoElements();
+    trackAudioElements();
+    recordMutations(mutations);
   });
   
   observer.observe(document.body, {
@@ -221,8 +249,8 @@ function setupEventListeners() {
       time_spent: Date.now() - pageLoadTime
     });
     
-    // Flush events synchronously before page unloads
-    chrome.runtime.sendMessage({ type: 'FLUSH_EVENTS' });
+    // Flush events before page unloads
+    flushEventStream();
   });
 }
 
@@ -241,7 +269,7 @@ function setupPeriodicTasks() {
     checkIdleState();
     
     // Flush events periodically
-    chrome.runtime.sendMessage({ type: 'FLUSH_EVENTS' });
+    flushEventStream();
     
     // Update content analysis periodically
     if (!isIdle) {
@@ -262,41 +290,36 @@ function handleScroll() {
   const now = Date.now();
   updateActivityTime();
   
-  // Throttle scroll events
-  if (now - lastScrollTime < CONFIG.scrollSampleRate) return;
-  
-  lastScrollTime = now;
-  
   // Calculate scroll metrics
   const scrollY = window.scrollY;
   const scrollX = window.scrollX;
-  const scrollDepth = Math.min(1, scrollY / (document.body.scrollHeight - window.innerHeight));
+  const scrollableHeight = document.body.scrollHeight - window.innerHeight;
+  const scrollDepth = scrollableHeight > 0 ? Math.min(1, scrollY / scrollableHeight) : 1;
   
-  sendEvent('PAGE_SCROLL', {
+  // The event stream samples scrolls, so direction and speed are measured from the last sampled scroll
+  const event = sendEvent('PAGE_SCROLL', {
     scroll_position_y: scrollY,
     scroll_position_x: scrollX,
     scroll_depth: scrollDepth,
     scroll_direction: lastScrollY < scrollY ? 'down' : 'up',
-    scroll_speed: Math.abs(scrollY - lastScrollY) / (now - lastScrollTime),
+    scroll_speed: Math.abs(scrollY - lastScrollY) / Math.max(1, now - lastScrollTime),
     viewport_height: window.innerHeight,
     document_height: document.body.scrollHeight
   });
   
-  lastScrollY = scrollY;
+  if (event) {
+    lastScrollTime = now;
+    lastScrollY = scrollY;
+  }
 }
 
 /**
  * Handle mouse move events
  */
 function handleMouseMove(event) {
-  const now = Date.now();
   updateActivityTime();
   
-  // Throttle mouse move events
-  if (now - lastMouseMoveTime < CONFIG.mouseSampleRate) return;
-  
-  lastMouseMoveTime = now;
-  
+  // Sampled by the event stream
   sendEvent('MOUSE_MOVE', {
     x: event.clientX,
     y: event.clientY,
@@ -313,7 +336,7 @@ function handleMouseClick(event) {
   
   // Get information about the clicked element
   const target = event.target;
-  const targetText = target.textContent?.trim().substring(0, 100) || '';
+  const targetText = capturesPageText() ? target.textContent?.trim().substring(0, 100) || '' : '';
   const isLink = target.tagName === 'A' || target.closest('a') !== null;
   const linkElement = isLink ? (target.tagName === 'A' ? target : target.closest('a')) : null;
   const linkUrl = linkElement?.href || '';
@@ -373,7 +396,7 @@ function handleVisibilityChange() {
     });
     
     // Flush events when tab loses focus
-    chrome.runtime.sendMessage({ type: 'FLUSH_EVENTS' });
+    flushEventStream();
   }
 }
 
@@ -399,7 +422,7 @@ function trackVideoElements() {
       sendEvent('VIDEO_PLAY', {
         video_url: video.currentSrc,
         video_title: videoTitle,
-        video_duration: video.duration,
+        video_duration: toFiniteNumber(video.duration),
         video_current_time: video.currentTime,
         is_fullscreen: isFullscreen(),
         player_type: detectPlayerType(video)
@@ -412,7 +435,7 @@ function trackVideoElements() {
       sendEvent('VIDEO_PAUSE', {
         video_url: video.currentSrc,
         video_title: videoTitle,
-        video_duration: video.duration,
+        video_duration: toFiniteNumber(video.duration),
         video_current_time: video.currentTime,
         is_fullscreen: isFullscreen(),
         player_type: detectPlayerType(video)
@@ -427,7 +450,7 @@ function trackVideoElements() {
         sendEvent('VIDEO_PROGRESS', {
           video_url: video.currentSrc,
           video_title: videoTitle,
-          video_duration: video.duration,
+          video_duration: toFiniteNumber(video.duration),
           video_current_time: video.currentTime,
           watch_time: 5, // Approximate, since we sample every 5 seconds
           is_fullscreen: isFullscreen(),
@@ -438,6 +461,164 @@ function trackVideoElements() {
   });
 }
 
+/**
+ * Track audio elements on the page
+ */
+function trackAudioElements() {
+  const audios = document.querySelectorAll('audio');
+  
+  audios.forEach(audio => {
+    // Skip if we've already attached listeners
+    if (audio._focusNudgeTracked) return;
+    
+    // Mark as tracked
+    audio._focusNudgeTracked = true;
+    
+    const getAudioPayload = () => ({
+      audio_url: audio.currentSrc,
+      audio_title: getAudioTitle(audio),
+      audio_duration: toFiniteNumber(audio.duration),
+      audio_current_time: audio.currentTime
+    });
+    
+    // Play event
+    audio.addEventListener('play', () => {
+      updateActivityTime();
+      sendEvent('AUDIO_PLAY', getAudioPayload());
+    });
+    
+    // Pause event
+    audio.addEventListener('pause', () => {
+      updateActivityTime();
+      sendEvent('AUDIO_PAUSE', getAudioPayload());
+    });
+  });
+}
+
+/**
+ * Handle a navigation reported by the History API hooks
+ * @param {CustomEvent} event - Event with the navigation type in its detail
+ */
+function handleHistoryNavigation(event) {
+  handleNavigation(event.detail?.navigationType || 'push_state');
+}
+
+/**
+ * Handle back and forward navigations
+ */
+function handlePopState() {
+  handleNavigation('pop_state');
+}
+
+/**
+ * Handle fragment navigations
+ */
+function handleHashChange() {
+  handleNavigation('hash_change');
+}
+
+/**
+ * Send a NAVIGATION event if the URL changed without a page load
+ * @param {string} navigationType - 'push_state', 'replace_state', 'pop_state' or 'hash_change'
+ */
+function handleNavigation(navigationType) {
+  const toUrl = window.location.href;
+  
+  // replaceState often only updates the state object, and a fragment change
+  // fires both popstate and hashchange
+  if (toUrl === currentUrl) return;
+  
+  const fromUrl = currentUrl;
+  const now = Date.now();
+  
+  // popstate fires first for fragment changes, so classify them by the URLs
+  if (navigationType === 'pop_state' && fromUrl.split('#')[0] === toUrl.split('#')[0]) {
+    navigationType = 'hash_change';
+  }
+  
+  updateActivityTime();
+  sendEvent('NAVIGATION', {
+    from_url: fromUrl,
+    to_url: toUrl,
+    navigation_type: navigationType,
+    page_title: document.title,
+    time_on_previous_url: now - lastNavigationTime
+  });
+  
+  currentUrl = toUrl;
+  lastNavigationTime = now;
+}
+
+/**
+ * Accumulate DOM mutations and report them once per sampling interval
+ * @param {Array<MutationRecord>} mutations - Mutations from the observer
+ */
+function recordMutations(mutations) {
+  if (!pendingMutations) {
+    pendingMutations = {
+      startTime: Date.now(),
+      mutation_count: 0,
+      added_nodes: 0,
+      removed_nodes: 0,
+      added_text_length: 0,
+      has_new_video: false,
+      has_new_audio: false
+    };
+  }
+  
+  for (const mutation of mutations) {
+    if (isOwnElement(mutation.target)) continue;
+    
+    pendingMutations.mutation_count++;
+    pendingMutations.removed_nodes += mutation.removedNodes.length;
+    
+    mutation.addedNodes.forEach(node => {
+      if (isOwnElement(node)) return;
+      
+      pendingMutations.added_nodes++;
+      pendingMutations.added_text_length += (node.textContent || '').length;
+      
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        pendingMutations.has_new_video ||= node.matches('video') || !!node.querySelector('video');
+        pendingMutations.has_new_audio ||= node.matches('audio') || !!node.querySelector('audio');
+      }
+    });
+  }
+  
+  if (!mutationTimer) {
+    mutationTimer = setTimeout(flushMutations, CONFIG.mutationSampleInterval);
+  }
+}
+
+/**
+ * Send the accumulated DOM mutations as a CONTENT_MUTATION event
+ */
+function flushMutations() {
+  const { startTime, ...summary } = pendingMutations;
+  pendingMutations = null;
+  mutationTimer = null;
+  
+  if (summary.added_nodes + summary.removed_nodes < CONFIG.minMutationNodes &&
+      !summary.has_new_video && !summary.has_new_audio) {
+    return;
+  }
+  
+  sendEvent('CONTENT_MUTATION', {
+    ...summary,
+    window_duration: Date.now() - startTime
+  });
+}
+
+/**
+ * Check whether a node belongs to the nudge or the Focus Companion
+ * @param {Node} node - Node to check
+ * @returns {boolean} Whether the extension added the node
+ */
+function isOwnElement(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return !!element && !!element.closest(OWN_ELEMENTS_SELECTOR);
+}
+
 /**
  * Track content load
  */
@@ -459,7 +640,7 @@ function trackContentLoad() {
   sendEvent('CONTENT_LOAD', {
     content_type: detectContentType(),
     content_length: content.length,
-    content_summary: content.substring(0, 100),
+    content_summary: capturesPageText() ? content.substring(0, 100) : '',
     has_video: hasVideo,
     has_audio: hasAudio,
     has_forms: hasForms,
@@ -472,12 +653,16 @@ function trackContentLoad() {
  * Update the last activity time
  */
 function updateActivityTime() {
-  lastActivityTime = Date.now();
+  const now = Date.now();
+  const idleDuration = now - lastActivityTime;
+  lastActivityTime = now;
   
   // If we were idle, we're now active
   if (isIdle) {
     isIdle = false;
-    sendEvent('SYSTEM_ACTIVE');
+    sendEvent('PAGE_ACTIVE', {
+      idle_duration: idleDuration
+    });
   }
 }
 
@@ -491,7 +676,7 @@ function checkIdleState() {
   // If idle time exceeds threshold and we're not already marked as idle
   if (idleTime >= CONFIG.idleThreshold && !isIdle) {
     isIdle = true;
-    sendEvent('SYSTEM_IDLE', {
+    sendEvent('PAGE_IDLE', {
       idle_time: idleTime
     });
   }
@@ -507,14 +692,23 @@ function cleanupContentScript() {
   window.removeEventListener('click', handleMouseClick);
   document.removeEventListener('keydown', handleKeyPress);
   document.removeEventListener('visibilitychange', handleVisibilityChange);
+  window.removeEventListener(NAVIGATION_EVENT, handleHistoryNavigation);
+  window.removeEventListener('popstate', handlePopState);
+  window.removeEventListener('hashchange', handleHashChange);
   
+
   // Clear intervals
   if (periodicTasksInterval) {
     clearInterval(periodicTasksInterval);
   }
+  if (mutationTimer) {
+    clearTimeout(mutationTimer);
+  }
   
-  // Clean up event stream
-  chrome.runtime.sendMessage({ type: 'CLEANUP_EVENTS' });
+  // Flush and stop the event stream
+  if (cleanup) {
+    cleanup();
+  }
   
   isInitialized = false;
 }
@@ -561,6 +755,24 @@ function getVideoTitle(video) {
   return document.title;
 }
 
+/**
+ * Replace NaN and Infinity, which message passing turns into null
+ * @param {number} value - Number from the page (e.g. a media duration)
+ * @returns {number} The value, or 0 if it isn't finite
+ */
+function toFiniteNumber(value) {
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Get a title for an audio element
+ * @param {HTMLAudioElement} audio - Audio element
+ * @returns {string} Title from the element's attributes, or the page title
+ */
+function getAudioTitle(audio) {
+  return audio.title || audio.getAttribute('aria-label') || document.title;
+}
+
 function detectPlayerType(video) {
   const url = window.location.href;
   
@@ -620,7 +832,7 @@ function capturePageMetadata() {
     url: window.location.href,
     title: document.title,
     domain: window.location.hostname,
-    pageContent: document.body.innerText.substring(0, CONFIG.contentSampleLength),
+    pageContent: capturesPageText() ? document.body.innerText.substring(0, CONFIG.contentSampleLength) : '',
     pageLoadTime: pageLoadTime
   };
 }
@@ -636,7 +848,7 @@ function handleMessage(message, sender, sendResponse) {
     showNudge(message.nudge);
     sendResponse({ success: true });
   } else if (message.type === 'GET_PAGE_CONTENT') {
-    const pageContent = document.body.innerText.substring(0, 5000);
+    const pageContent = capturesPageText() ? document.body.innerText.substring(0, 5000) : '';
     sendResponse({ success: true, pageContent });
   } else if (message.type === 'TASK_DETECTED') {
     // Check if focus mode is active
@@ -696,13 +908,28 @@ function handleMessage(message, sender, sendResponse) {
       });
     }
     
+    sendResponse({ success: true });
+  } else if (message.type === 'POMODORO_PHASE_CHANGED') {
+    // Handle Pomodoro work/break transitions
+    console.log('[Focus Nudge] Pomodoro phase changed:', message);
+    
+    loadFocusCompanion().then((focusCompanion) => {
+      focusCompanion.showPomodoroPhase(message);
+    }).catch(error => {
+      console.error('[Focus Nudge] Error loading Focus Companion:', error);
+      
+      // Fallback to simple notification
+      showSimpleNotification('Focus Nudge', message.message);
+    });
+    
     sendResponse({ success: true });
   } else if (message.type === 'distraction_detected') {
     // Show distraction alert using Focus Companion
     if (window._focusCompanionInstance) {
       window._focusCompanionInstance.showDistractionAlert({
         distractionType: 'entertainment',
-        confidence: 1.0
+        confidence: 1.0,
+        reason: message.reason
       });
     }
     sendResponse({ success: true });
@@ -768,6 +995,9 @@ function showNudge(nudge) {
   } else if (nudge.type === 'task_change') {
     nudgeHeader.style.background = 'linear-gradient(135deg, #3498db, #2980b9)';
     nudgeHeader.style.color = 'white';
+  } else if (nudge.escalationLevel >= 2) {
+    nudgeHeader.style.background = 'linear-gradient(135deg, #e74c3c, #c0392b)';
+    nudgeHeader.style.color = 'white';
   } else {
     nudgeHeader.style.background = 'linear-gradient(135deg, #6e8efb, #a777e3)';
     nudgeHeader.style.color = 'white';
@@ -799,6 +1029,7 @@ function showNudge(nudge) {
   
   // Add close button event listener
   closeButton.addEventListener('click', () => {
+    sendNudgeFeedback(nudge, 'dismiss');
     nudgeElement.style.opacity = '0';
     nudgeElement.style.transform = 'translateY(20px)';
     
@@ -848,6 +1079,24 @@ function showNudge(nudge) {
   // Add message to content
   nudgeContent.appendChild(message);
   
+  // Say why the nudge was shown, e.g. "timeSpent 22m (+0.35), scrollCount 80 (+0.2)"
+  if (nudge.reason) {
+    const reason = document.createElement('div');
+    reason.className = 'focus-nudge-reason';
+    reason.textContent = `Why: ${nudge.reason}`;
+    reason.style.cssText = `
+      font-size: 11px;
+      color: #888;
+      margin: 0 0 10px 0;
+    `;
+    nudgeContent.appendChild(reason);
+  }
+  
+  // Let the user rate nudges that can be matched back to a prediction
+  if (nudge.id) {
+    nudgeContent.appendChild(createNudgeFeedbackRow(nudge));
+  }
+  
   // Add header and content to nudge
   nudgeElement.appendChild(nudgeHeader);
   nudgeElement.appendChild(nudgeContent);
@@ -861,6 +1110,11 @@ function showNudge(nudge) {
     nudgeElement.style.transform = 'translateY(0)';
   }, 10);
   
+  // Escalated nudges stay until the user responds
+  if (nudge.persistent) {
+    return;
+  }
+  
   // Auto-remove nudge after 10 seconds
   setTimeout(() => {
     if (nudgeContainer.contains(nudgeElement)) {
@@ -876,6 +1130,72 @@ function showNudge(nudge) {
   }, 10000);
 }
 
+/**
+ * Create the "Useful" / "Wrong" feedback row for a nudge
+ * @param {Object} nudge - Nudge data
+ * @returns {HTMLElement} Feedback row
+ */
+function createNudgeFeedbackRow(nudge) {
+  const feedbackRow = document.createElement('div');
+  feedbackRow.className = 'focus-nudge-feedback';
+  feedbackRow.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 12px;
+    color: #666;
+  `;
+  
+  const label = document.createElement('span');
+  label.textContent = 'Was this nudge right?';
+  feedbackRow.appendChild(label);
+  
+  [['useful', 'Useful'], ['wrong', 'Wrong']].forEach(([response, text]) => {
+    const button = document.createElement('button');
+    button.className = `focus-nudge-feedback-${response}`;
+    button.textContent = text;
+    button.style.cssText = `
+      background: none;
+      border: 1px solid #ccc;
+      border-radius: 4px;
+      color: #333;
+      font-size: 12px;
+      cursor: pointer;
+      padding: 2px 8px;
+    `;
+    
+    button.addEventListener('click', () => {
+      sendNudgeFeedback(nudge, response);
+      feedbackRow.textContent = response === 'useful'
+        ? 'Thanks! Nudges like this will show up a little sooner.'
+        : 'Thanks! This site will be flagged less often.';
+    });
+    
+    feedbackRow.appendChild(button);
+  });
+  
+  return feedbackRow;
+}
+
+/**
+ * Report the user's response to a nudge to the background script
+ * @param {Object} nudge - Nudge data
+ * @param {string} response - 'useful', 'wrong' or 'dismiss'
+ */
+function sendNudgeFeedback(nudge, response) {
+  if (!nudge.id) return;
+  
+  try {
+    chrome.runtime.sendMessage({
+      type: 'NUDGE_FEEDBACK',
+      nudgeId: nudge.id,
+      response
+    });
+  } catch (error) {
+    console.error('Focus Nudge: Error sending nudge feedback:', error);
+  }
+}
+
 /**
  * Format task type for display
  * @param {string} taskType - Task type
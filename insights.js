@@ -14,12 +14,65 @@ const distractionTableBody = document.getElementById('distraction-table-body');
 const modelTypeElement = document.getElementById('model-type');
 const modelVersionElement = document.getElementById('model-version');
 const featureImportanceElement = document.getElementById('feature-importance');
+const modelSelect = document.getElementById('model-select');
+const modelDescriptionElement = document.getElementById('model-description');
+const ensembleSettingsElement = document.getElementById('ensemble-settings');
+const ensembleMethodSelect = document.getElementById('ensemble-method');
+const ensembleWeightsElement = document.getElementById('ensemble-weights');
+const ensembleSaveButton = document.getElementById('ensemble-save');
+const ensembleStatusElement = document.getElementById('ensemble-status');
+const modelDisagreementsElement = document.getElementById('model-disagreements');
+const modelRegistryElement = document.getElementById('model-registry');
+const modelRollbackButton = document.getElementById('model-rollback');
+const modelRegistryStatusElement = document.getElementById('model-registry-status');
+const evaluationVersionSelect = document.getElementById('evaluation-version');
+const evaluationDaysSelect = document.getElementById('evaluation-days');
+const evaluationModeSelect = document.getElementById('evaluation-mode');
+const evaluationRunButton = document.getElementById('evaluation-run');
+const evaluationStatusElement = document.getElementById('evaluation-status');
+const evaluationReportElement = document.getElementById('evaluation-report');
+const calibrationCurvesElement = document.getElementById('calibration-curves');
+const calibrationFitButton = document.getElementById('calibration-fit');
+const calibrationStatusElement = document.getElementById('calibration-status');
 const distractionTimelineElement = document.getElementById('distraction-timeline');
+const nudgeChartElement = document.getElementById('nudge-chart');
+const nudgeChartEmptyState = nudgeChartElement.innerHTML;
+const domainRegistryBody = document.getElementById('domain-registry-body');
+const registryNewDomainInput = document.getElementById('registry-new-domain');
+const registryAddButton = document.getElementById('registry-add');
+const registrySaveButton = document.getElementById('registry-save');
+const registryResetButton = document.getElementById('registry-reset');
+const registryExportButton = document.getElementById('registry-export');
+const registryImportButton = document.getElementById('registry-import');
+const registryImportMergeCheckbox = document.getElementById('registry-import-merge');
+const registryImportFileInput = document.getElementById('registry-import-file');
+const registryStatusElement = document.getElementById('registry-status');
+const exportDaysSelect = document.getElementById('export-days');
+const exportFormatSelect = document.getElementById('export-format');
+const exportRedactionSelect = document.getElementById('export-redaction');
+const dataExportButton = document.getElementById('data-export');
+const dataImportButton = document.getElementById('data-import');
+const dataImportFileInput = document.getElementById('data-import-file');
+const dataStatusElement = document.getElementById('data-status');
+const privacyDefaultLevelSelect = document.getElementById('privacy-default-level');
+const privacyExcludeSensitiveCheckbox = document.getElementById('privacy-exclude-sensitive');
+const privacyStripQueriesCheckbox = document.getElementById('privacy-strip-queries');
+const privacyScrubPiiCheckbox = document.getElementById('privacy-scrub-pii');
+const privacyLevelsBody = document.getElementById('privacy-levels-body');
+const privacyNewDomainInput = document.getElementById('privacy-new-domain');
+const privacyAddButton = document.getElementById('privacy-add');
+const privacySaveButton = document.getElementById('privacy-save');
+const forgetSiteDomainInput = document.getElementById('forget-site-domain');
+const forgetSiteButton = document.getElementById('forget-site');
+const privacyStatusElement = document.getElementById('privacy-status');
 
 // State
 let sessionData = {};
 let nudgeFeedback = [];
+let suppressedNudges = [];
 let distractionScores = [];
+let modelDisagreements = [];
+let ensembleConfig = null;
 let modelInfo = {
   type: 'random-forest',
   version: '0.1.0'
@@ -34,7 +87,7 @@ let stats = {
 
 // Load data from storage
 const loadData = () => {
-  chrome.storage.local.get(['sessionData', 'nudgeFeedback', 'userPreferences', 'distractionScores'], (result) => {
+  chrome.storage.local.get(['sessionData', 'nudgeFeedback', 'suppressedNudges', 'userPreferences', 'distractionScores', 'modelDisagreements'], (result) => {
     if (result.sessionData) {
       sessionData = result.sessionData;
     }
@@ -43,10 +96,18 @@ const loadData = () => {
       nudgeFeedback = result.nudgeFeedback;
     }
     
+    if (result.suppressedNudges) {
+      suppressedNudges = result.suppressedNudges;
+    }
+    
     if (result.distractionScores) {
       distractionScores = result.distractionScores;
     }
     
+    if (result.modelDisagreements) {
+      modelDisagreements = result.modelDisagreements;
+    }
+    
     // Get model info
     chrome.runtime.sendMessage({ type: 'get_model_info' }, (response) => {
       if (response) {
@@ -54,60 +115,452 @@ const loadData = () => {
         updateModelInfo();
       }
     });
+    loadModelRegistry();
+    loadCalibrations();
     
     // Process data based on selected time range
     processData(timeRangeSelect.value);
   });
 };
 
+// Display names and descriptions for model types
+const MODEL_TYPE_INFO = {
+  'random-forest': {
+    name: 'Random Forest',
+    description: 'The current detection model uses the following features to determine distraction levels:'
+  },
+  'sequence-model': {
+    name: 'Sequence (Markov)',
+    description: 'The sequence model scores the order of recent events, such as scrolling, typing, tab switches and site changes, against patterns of focused and distracted browsing.'
+  },
+  'rule-based': {
+    name: 'Rule-based',
+    description: 'The rule-based model uses predefined rules to detect distractions based on browsing patterns.'
+  },
+  'ensemble': {
+    name: 'Ensemble',
+    description: 'The ensemble combines the other models, either as a weighted average of their scores or by stacking them. Each flagged site shows how much every model contributed.'
+  }
+};
+
+// Short model name for tables
+const getModelName = (type) => MODEL_TYPE_INFO[type] ? MODEL_TYPE_INFO[type].name : type;
+
 // Update model info display
 const updateModelInfo = () => {
-  let modelName = 'Unknown';
+  const typeInfo = MODEL_TYPE_INFO[modelInfo.type];
   
-  switch (modelInfo.type) {
-    case 'rule-based':
-      modelName = 'Rule-based';
-      break;
-    case 'random-forest':
-      modelName = 'Random Forest';
-      break;
-    case 'neural-network':
-      modelName = 'Neural Network';
-      break;
-  }
-  
-  modelTypeElement.textContent = modelName;
+  modelTypeElement.textContent = typeInfo ? typeInfo.name : 'Unknown';
   modelVersionElement.textContent = modelInfo.version;
   
-  // Update feature importance if it's a Random Forest model
+  // List the models that can be selected
+  modelSelect.innerHTML = '';
+  (modelInfo.availableTypes || [modelInfo.type]).forEach(type => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = getModelName(type);
+    modelSelect.appendChild(option);
+  });
+  modelSelect.value = modelInfo.type;
+  
+  modelDescriptionElement.textContent = typeInfo ? typeInfo.description : '';
+  
+  // Feature importance is only reported by the Random Forest model
   if (modelInfo.type === 'random-forest') {
+    featureImportanceElement.style.display = '';
     updateFeatureImportance();
   } else {
-    // Hide feature importance for other models
-    const featureSection = featureImportanceElement.closest('.section');
-    if (featureSection) {
-      if (modelInfo.type === 'rule-based') {
-        featureSection.querySelector('p').textContent = 'The rule-based model uses predefined rules to detect distractions based on browsing patterns.';
-        featureImportanceElement.style.display = 'none';
-      } else {
-        featureSection.style.display = 'none';
-      }
+    featureImportanceElement.style.display = 'none';
+  }
+  
+  // Ensemble settings are only shown while the ensemble is active
+  if (modelInfo.type === 'ensemble') {
+    ensembleSettingsElement.style.display = '';
+    loadEnsembleConfig();
+  } else {
+    ensembleSettingsElement.style.display = 'none';
+  }
+};
+
+// Load the ensemble settings from the background script
+const loadEnsembleConfig = () => {
+  chrome.runtime.sendMessage({ type: 'get_ensemble_config' }, (response) => {
+    if (response && response.success) {
+      ensembleConfig = response.config;
+      renderEnsembleSettings();
     }
+  });
+};
+
+// Show the ensemble method, one weight input per member model and recent disagreements
+const renderEnsembleSettings = () => {
+  ensembleMethodSelect.value = ensembleConfig.method;
+  
+  // Weights apply to averaging, coefficients to stacking
+  const values = ensembleConfig.method === 'stacking'
+    ? ensembleConfig.stacking.coefficients
+    : ensembleConfig.weights;
+  
+  ensembleWeightsElement.innerHTML = '';
+  (modelInfo.availableTypes || [])
+    .filter(type => type !== 'ensemble')
+    .forEach(type => {
+      const label = document.createElement('label');
+      label.textContent = `${getModelName(type)} `;
+      
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = '0.1';
+      input.className = 'registry-input';
+      input.dataset.modelType = type;
+      input.value = values[type] || 0;
+      
+      label.appendChild(input);
+      ensembleWeightsElement.appendChild(label);
+    });
+  
+  renderModelDisagreements();
+};
+
+// Save the ensemble method and weights
+const saveEnsembleConfig = () => {
+  const method = ensembleMethodSelect.value;
+  const values = {};
+  ensembleWeightsElement.querySelectorAll('input').forEach(input => {
+    values[input.dataset.modelType] = Number(input.value) || 0;
+  });
+  
+  const config = method === 'stacking'
+    ? { method, stacking: { coefficients: values } }
+    : { method, weights: values };
+  
+  chrome.runtime.sendMessage({ type: 'set_ensemble_config', config }, (response) => {
+    if (response && response.success) {
+      ensembleConfig = response.config;
+      renderEnsembleSettings();
+      ensembleStatusElement.textContent = 'Ensemble settings saved.';
+    } else {
+      ensembleStatusElement.textContent = `Could not save ensemble settings: ${response ? response.error : 'no response'}`;
+    }
+  });
+};
+
+// Switch between weights and stacking coefficients without saving
+const changeEnsembleMethod = () => {
+  if (!ensembleConfig) return;
+  ensembleConfig = { ...ensembleConfig, method: ensembleMethodSelect.value };
+  renderEnsembleSettings();
+};
+
+// List the latest predictions the models disagreed on
+const renderModelDisagreements = () => {
+  const recent = modelDisagreements.slice(-10).reverse();
+  
+  if (recent.length === 0) {
+    modelDisagreementsElement.innerHTML = '<p class="model-info">The models have not disagreed on any page yet.</p>';
+    return;
   }
+  
+  const rows = recent.map(entry => `
+    <tr>
+      <td>${new Date(entry.timestamp).toLocaleString()}</td>
+      <td>${entry.domain}</td>
+      <td>${Math.round(entry.probability * 100)}%</td>
+      <td>${entry.predictions.map(p => `${getModelName(p.modelType)} ${Math.round(p.probability * 100)}%`).join(', ')}</td>
+    </tr>
+  `).join('');
+  
+  modelDisagreementsElement.innerHTML = `
+    <table>
+      <thead>
+        <tr><th>Time</th><th>Website</th><th>Ensemble</th><th>Model Scores</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+};
+
+// Switch the active detection model
+const changeModelType = () => {
+  chrome.runtime.sendMessage({ type: 'set_model_type', modelType: modelSelect.value }, (response) => {
+    if (response && response.success) {
+      modelInfo = response.modelInfo;
+    }
+    updateModelInfo();
+    loadModelRegistry();
+  });
+};
+
+// Load the registered model versions from the background script
+const loadModelRegistry = () => {
+  chrome.runtime.sendMessage({ type: 'get_model_registry' }, (response) => {
+    if (response && response.success) {
+      renderModelRegistry(response.registry);
+    }
+  });
+};
+
+// Describe the metrics of a model version
+const formatVersionMetrics = (metrics) => {
+  const parts = [];
+  if (metrics.sampleCount) {
+    parts.push(`${metrics.sampleCount} labels (${metrics.positiveCount} distracted)`);
+  }
+  if (metrics.shadow && metrics.shadow.predictions > 0) {
+    parts.push(`${Math.round(metrics.shadow.agreements / metrics.shadow.predictions * 100)}% agreement over ${metrics.shadow.predictions} shadow predictions`);
+  }
+  return parts.join(', ') || '—';
+};
+
+// Show the registered model versions with promote and shadow controls
+const renderModelRegistry = (registry) => {
+  const rows = registry.versions
+    .slice()
+    .sort((a, b) => b.registeredAt - a.registeredAt)
+    .map(version => {
+      const status = version.active ? 'Active' : version.shadow ? 'Shadow' : version.available ? '' : 'Unavailable';
+      const actions = version.active || !version.available ? '' : `
+        <button class="button secondary" data-action="promote" data-version-id="${version.id}">Promote</button>
+        <button class="button secondary" data-action="shadow" data-version-id="${version.id}" data-enabled="${!version.shadow}">
+          ${version.shadow ? 'Stop Shadow' : 'Run in Shadow'}
+        </button>
+      `;
+      
+      return `
+        <tr>
+          <td>${getModelName(version.modelType)} ${version.version}</td>
+          <td>${version.trainedAt ? new Date(version.trainedAt).toLocaleString() : 'Shipped'}</td>
+          <td>${version.featureSchema.length} features</td>
+          <td>${formatVersionMetrics(version.metrics)}</td>
+          <td>${status}</td>
+          <td>${actions}</td>
+        </tr>
+      `;
+    })
+    .join('');
+  
+  modelRegistryElement.innerHTML = `
+    <table>
+      <thead>
+        <tr><th>Version</th><th>Trained</th><th>Schema</th><th>Metrics</th><th>Status</th><th></th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  
+  modelRollbackButton.disabled = !registry.canRollback;
+  renderEvaluationVersions(registry);
+};
+
+// Send a registry change and refresh the model information
+const updateModelRegistry = (message, successText) => {
+  chrome.runtime.sendMessage(message, (response) => {
+    if (response && response.success) {
+      renderModelRegistry(response.registry);
+      modelRegistryStatusElement.textContent = successText;
+      
+      // The active model may have changed
+      chrome.runtime.sendMessage({ type: 'get_model_info' }, (info) => {
+        if (info) {
+          modelInfo = info;
+          updateModelInfo();
+        }
+      });
+    } else {
+      modelRegistryStatusElement.textContent = `Could not update the model registry: ${response ? response.error : 'no response'}`;
+    }
+  });
+};
+
+// Promote or shadow a version from the registry table
+const handleModelRegistryClick = (event) => {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  
+  const versionId = button.dataset.versionId;
+  if (button.dataset.action === 'promote') {
+    updateModelRegistry({ type: 'promote_model_version', versionId }, `${versionId} is now active.`);
+  } else {
+    const enabled = button.dataset.enabled === 'true';
+    updateModelRegistry(
+      { type: 'set_shadow_model', versionId, enabled },
+      enabled ? `${versionId} now runs in shadow mode.` : `${versionId} no longer runs in shadow mode.`
+    );
+  }
+};
+
+// Return to the previously active model version
+const rollbackModel = () => {
+  updateModelRegistry({ type: 'rollback_model' }, 'Rolled back to the previous model version.');
+};
+
+// List the versions that can be evaluated, keeping the current choice
+const renderEvaluationVersions = (registry) => {
+  const selected = evaluationVersionSelect.value || registry.activeId;
+  evaluationVersionSelect.innerHTML = registry.versions
+    .filter(version => version.available)
+    .map(version => `
+      <option value="${version.id}" ${version.id === selected ? 'selected' : ''}>
+        ${getModelName(version.modelType)} ${version.version}${version.active ? ' (active)' : ''}
+      </option>
+    `)
+    .join('');
+};
+
+// Replay stored events through the chosen version
+const runModelEvaluation = () => {
+  evaluationRunButton.disabled = true;
+  evaluationStatusElement.textContent = 'Replaying stored events...';
+  
+  chrome.runtime.sendMessage({
+    type: 'run_model_evaluation',
+    versionId: evaluationVersionSelect.value,
+    days: parseInt(evaluationDaysSelect.value, 10),
+    mode: evaluationModeSelect.value
+  }, (response) => {
+    evaluationRunButton.disabled = false;
+    
+    if (response && response.success) {
+      evaluationStatusElement.textContent = '';
+      renderEvaluationReport(response.report);
+    } else {
+      evaluationStatusElement.textContent = `Could not evaluate the model: ${response ? response.error : 'no response'}`;
+    }
+  });
+};
+
+// Format a rate as a percentage, or a dash when there was nothing to measure
+const formatRate = (rate) => rate === null ? '—' : `${Math.round(rate * 100)}%`;
+
+// Show precision, recall, calibration and nudge volume from an evaluation
+const renderEvaluationReport = (report) => {
+  const suppressed = Object.entries(report.nudgeVolume.suppressed)
+    .map(([reason, count]) => `${count} ${reason.replace(/_/g, ' ')}`)
+    .join(', ') || 'none';
+  
+  const calibrationRows = report.calibration
+    .map(bin => `
+      <tr>
+        <td>${formatRate(bin.from)}–${formatRate(bin.to)}</td>
+        <td>${bin.count}</td>
+        <td>${formatRate(bin.meanProbability)}</td>
+        <td>${formatRate(bin.observedRate)}</td>
+      </tr>
+    `)
+    .join('');
+  
+  evaluationReportElement.innerHTML = `
+    <table>
+      <tbody>
+        <tr><td>Version</td><td>${report.versionId}</td></tr>
+        <tr><td>Events replayed</td><td>${report.eventCount} in ${report.windowCount} windows</td></tr>
+        <tr><td>Windows with feedback</td><td>${report.labelledCount}</td></tr>
+        <tr><td>Precision at ${formatRate(report.threshold)}</td><td>${formatRate(report.precision)}</td></tr>
+        <tr><td>Recall at ${formatRate(report.threshold)}</td><td>${formatRate(report.recall)}</td></tr>
+        <tr><td>Nudges</td><td>${report.nudgeVolume.delivered} delivered of ${report.nudgeVolume.flagged} flagged (${report.nudgeVolume.perDay.toFixed(1)} per day), held back: ${suppressed}</td></tr>
+      </tbody>
+    </table>
+    ${calibrationRows ? `
+      <table>
+        <thead>
+          <tr><th>Predicted</th><th>Windows</th><th>Mean Prediction</th><th>Rated Distracting</th></tr>
+        </thead>
+        <tbody>${calibrationRows}</tbody>
+      </table>
+    ` : '<p>No rated nudges fall in this range, so precision, recall and calibration can\'t be measured.</p>'}
+  `;
+};
+
+// Names of the calibration methods
+const CALIBRATION_METHOD_NAMES = {
+  platt: 'Platt scaling',
+  isotonic: 'Isotonic regression'
+};
+
+// Load the fitted calibrations from the background script
+const loadCalibrations = () => {
+  chrome.runtime.sendMessage({ type: 'get_calibrations' }, (response) => {
+    if (response && response.success) {
+      renderCalibrations(response.calibrations);
+    }
+  });
+};
+
+// Refit the calibrations on the rated nudges
+const fitCalibrations = () => {
+  calibrationFitButton.disabled = true;
+  
+  chrome.runtime.sendMessage({ type: 'fit_calibrations' }, (response) => {
+    calibrationFitButton.disabled = false;
+    
+    if (response && response.success) {
+      renderCalibrations(response.calibrations);
+      calibrationStatusElement.textContent = 'Calibration updated.';
+    } else {
+      calibrationStatusElement.textContent = `Could not update the calibration: ${response ? response.error : 'no response'}`;
+    }
+  });
+};
+
+// Show, per model version, how often nudges in each score range were rated as distractions
+// before and after calibration
+const renderCalibrations = (calibrations) => {
+  const entries = Object.entries(calibrations);
+  if (entries.length === 0) {
+    calibrationCurvesElement.innerHTML = '<p>No model version has enough rated nudges to be calibrated yet, so raw scores are used.</p>';
+    return;
+  }
+  
+  const formatBin = (bin) => bin ? `${bin.count} rated, ${formatRate(bin.observedRate)} distracting` : '—';
+  
+  calibrationCurvesElement.innerHTML = entries.map(([versionId, calibration]) => {
+    const binCount = 10;
+    const rows = Array.from({ length: binCount }, (_, i) => {
+      const from = i / binCount;
+      const before = calibration.curve.before.find(bin => Math.abs(bin.from - from) < 1e-9);
+      const after = calibration.curve.after.find(bin => Math.abs(bin.from - from) < 1e-9);
+      if (!before && !after) return '';
+      
+      return `
+        <tr>
+          <td>${formatRate(from)}–${formatRate((i + 1) / binCount)}</td>
+          <td>${formatBin(before)}</td>
+          <td>${formatBin(after)}</td>
+        </tr>
+      `;
+    }).join('');
+    
+    return `
+      <p>
+        <strong>${versionId}</strong>: ${CALIBRATION_METHOD_NAMES[calibration.method] || calibration.method}
+        on ${calibration.sampleCount} ratings (${calibration.positiveCount} distracting), fitted ${new Date(calibration.fittedAt).toLocaleString()}
+      </p>
+      <table>
+        <thead>
+          <tr><th>Score</th><th>Raw Scores</th><th>Calibrated Scores</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }).join('');
+};
+
+// Display names for model features
+const FEATURE_LABELS = {
+  timeSpent: 'Time Spent',
+  scrollCount: 'Scroll Count',
+  scrollDepth: 'Scroll Depth',
+  clickCount: 'Click Count',
+  tabSwitches: 'Tab Switches',
+  videoWatchTime: 'Video Watch Time'
 };
 
 // Update feature importance visualization
 const updateFeatureImportance = () => {
-  // For MVP, we'll use hardcoded feature importance values
-  // In a future version, this would come from the model
-  const features = [
-    { name: 'Time Spent', importance: 0.3 },
-    { name: 'Scroll Count', importance: 0.2 },
-    { name: 'Scroll Depth', importance: 0.15 },
-    { name: 'Click Count', importance: 0.1 },
-    { name: 'Tab Switches', importance: 0.15 },
-    { name: 'Video Watch Time', importance: 0.1 }
-  ];
+  // Feature importance reported by the loaded model, largest first
+  const features = Object.entries(modelInfo.featureImportance || {})
+    .map(([name, importance]) => ({ name: FEATURE_LABELS[name] || name, importance }))
+    .sort((a, b) => b.importance - a.importance);
   
   // Clear existing content
   featureImportanceElement.innerHTML = '';
@@ -201,17 +654,22 @@ const processData = (timeRange) => {
       
       // Store distraction by domain
       if (!stats.distractionsByDomain[domain]) {
+        const history = domainData.distractionHistory || [];
+        const lastPrediction = history[history.length - 1];
         stats.distractionsByDomain[domain] = {
           score: domainData.distractionScore,
           timeSpent: domainData.totalTimeSpent,
-          visits: domainData.visits
+          visits: domainData.visits,
+          contributions: lastPrediction ? lastPrediction.contributions : null,
+          explanation: lastPrediction ? lastPrediction.explanation : null
         };
       }
     }
   }
   
   // Process nudge feedback
-  stats.nudgeCount = nudgeFeedback.filter(feedback => feedback.timestamp >= startTimestamp).length;
+  const filteredFeedback = nudgeFeedback.filter(feedback => feedback.timestamp >= startTimestamp);
+  stats.nudgeCount = filteredFeedback.length;
   
   // Calculate focus score (simple formula: 100 - (distractions / total browsing hours * 10))
   const browsingHours = stats.totalBrowsingTime / (60 * 60 * 1000) || 1; // Avoid division by zero
@@ -225,6 +683,10 @@ const processData = (timeRange) => {
   
   // Update distraction timeline
   updateDistractionTimeline(filteredScores);
+  
+  // Update nudge effectiveness
+  const filteredSuppressed = suppressedNudges.filter(entry => entry.timestamp >= startTimestamp);
+  updateNudgeEffectiveness(filteredFeedback, filteredSuppressed);
 };
 
 // Update UI with processed data
@@ -265,6 +727,16 @@ const updateUI = () => {
             <div class="progress-fill" style="width: ${domainData.score * 100}%"></div>
           </div>
           <div style="margin-top: 5px; font-size: 12px;">${Math.round(domainData.score * 100)}%</div>
+          ${domainData.contributions ? `
+            <div class="model-contributions">
+              ${domainData.contributions.map(c => `${getModelName(c.modelType)} ${Math.round(c.probability * 100)}%`).join(' · ')}
+            </div>
+          ` : ''}
+          ${domainData.explanation && domainData.explanation.features.length > 0 ? `
+            <div class="model-contributions">
+              Why: ${domainData.explanation.features.map(f => `${f.name} (${f.contribution >= 0 ? '+' : ''}${f.contribution})`).join(', ')}
+            </div>
+          ` : ''}
         </td>
         <td>${formatTime(domainData.timeSpent)}</td>
         <td>${domainData.visits}</td>
@@ -275,6 +747,110 @@ const updateUI = () => {
   }
 };
 
+// Responses users can give to a nudge (see src/features/nudgeFeedback.js)
+const NUDGE_RESPONSE_LABELS = {
+  useful: 'Marked useful',
+  refocus: 'Refocused',
+  wrong: 'Marked wrong',
+  dismiss: 'Dismissed',
+  none: 'No response'
+};
+
+// Reasons a nudge was held back (see src/features/nudgeGovernor.js)
+const SUPPRESSION_REASON_LABELS = {
+  quiet_hours: 'Quiet hours',
+  daily_budget: 'Daily limit reached',
+  global_interval: 'Too soon after another nudge',
+  domain_interval: 'Too soon after a nudge for the same site'
+};
+
+// Update nudge effectiveness breakdown, suppressed nudges and per-domain thresholds
+const updateNudgeEffectiveness = (feedback, suppressed) => {
+  const responded = feedback.filter(record => record.response);
+  
+  if (responded.length === 0 && suppressed.length === 0) {
+    // No data, show empty state
+    nudgeChartElement.innerHTML = nudgeChartEmptyState;
+    return;
+  }
+  
+  const counts = {};
+  feedback.forEach(record => {
+    const response = record.response || 'none';
+    counts[response] = (counts[response] || 0) + 1;
+  });
+  
+  const responseRows = Object.keys(NUDGE_RESPONSE_LABELS)
+    .filter(response => counts[response])
+    .map(response => {
+      const share = counts[response] / feedback.length;
+      return `
+        <tr>
+          <td>${NUDGE_RESPONSE_LABELS[response]}</td>
+          <td>
+            <div class="progress-bar">
+              <div class="progress-fill" style="width: ${share * 100}%"></div>
+            </div>
+          </td>
+          <td>${counts[response]} (${Math.round(share * 100)}%)</td>
+        </tr>
+      `;
+    })
+    .join('');
+  
+  const suppressedCounts = {};
+  suppressed.forEach(entry => {
+    suppressedCounts[entry.reason] = (suppressedCounts[entry.reason] || 0) + 1;
+  });
+  
+  const suppressedRows = Object.keys(suppressedCounts)
+    .map(reason => `<tr><td>${SUPPRESSION_REASON_LABELS[reason] || reason}</td><td>${suppressedCounts[reason]}</td></tr>`)
+    .join('');
+  
+  nudgeChartElement.innerHTML = `
+    ${feedback.length > 0 ? `
+      <table>
+        <thead>
+          <tr><th>Response</th><th>Share</th><th>Nudges</th></tr>
+        </thead>
+        <tbody>${responseRows}</tbody>
+      </table>
+    ` : ''}
+    ${suppressed.length > 0 ? `
+      <table>
+        <thead>
+          <tr><th>Held Back</th><th>Nudges (${suppressed.length} total)</th></tr>
+        </thead>
+        <tbody>${suppressedRows}</tbody>
+      </table>
+    ` : ''}
+    <div id="nudge-thresholds"></div>
+  `;
+  
+  // Show the thresholds learned from the feedback
+  chrome.runtime.sendMessage({ type: 'GET_DOMAIN_THRESHOLDS' }, (response) => {
+    if (!response || !response.success || response.thresholds.length === 0) return;
+    
+    const thresholdRows = response.thresholds
+      .sort((a, b) => a.threshold - b.threshold)
+      .map(({ domain, threshold }) => {
+        const change = Math.round((threshold - response.baseThreshold) * 100);
+        const changeText = change === 0 ? 'unchanged' : `${change > 0 ? '+' : ''}${change} points`;
+        return `<tr><td>${domain}</td><td>${Math.round(threshold * 100)}%</td><td>${changeText}</td></tr>`;
+      })
+      .join('');
+    
+    document.getElementById('nudge-thresholds').innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Domain</th><th>Nudge Threshold</th><th>vs. Default (${Math.round(response.baseThreshold * 100)}%)</th></tr>
+        </thead>
+        <tbody>${thresholdRows}</tbody>
+      </table>
+    `;
+  });
+};
+
 // Update distraction timeline
 const updateDistractionTimeline = (scores) => {
   // Clear previous content
@@ -425,6 +1001,352 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// Domain registry categories, as sent by the background script
+let registryCategories = {};
+
+// Domain registry entries being edited
+let registryEntries = [];
+
+// Load the domain registry from the background script
+const loadDomainRegistry = () => {
+  chrome.runtime.sendMessage({ type: 'GET_DOMAIN_REGISTRY' }, (response) => {
+    registryCategories = response?.categories || registryCategories;
+    handleRegistryResponse(response, 'Error loading domain registry');
+  });
+};
+
+// Apply a registry response from the background script
+const handleRegistryResponse = (response, errorMessage, successMessage) => {
+  if (!response || !response.success) {
+    console.error(`${errorMessage}:`, response?.error);
+    registryStatusElement.textContent = response?.error || errorMessage;
+    return;
+  }
+  
+  registryEntries = response.entries;
+  renderDomainRegistry();
+  registryStatusElement.textContent = successMessage || '';
+};
+
+// Render the domain registry table
+const renderDomainRegistry = () => {
+  domainRegistryBody.innerHTML = '';
+  
+  const sortedEntries = [...registryEntries].sort((a, b) => {
+    return a.category.localeCompare(b.category) || a.domain.localeCompare(b.domain);
+  });
+  
+  sortedEntries.forEach(entry => {
+    const row = document.createElement('tr');
+    
+    const domainCell = document.createElement('td');
+    domainCell.textContent = entry.domain;
+    row.appendChild(domainCell);
+    
+    const categoryCell = document.createElement('td');
+    const categorySelect = document.createElement('select');
+    categorySelect.className = 'registry-input';
+    Object.values(registryCategories).forEach(category => {
+      const option = document.createElement('option');
+      option.value = category;
+      option.textContent = category;
+      categorySelect.appendChild(option);
+    });
+    categorySelect.value = entry.category;
+    categorySelect.addEventListener('change', () => {
+      entry.category = categorySelect.value;
+    });
+    categoryCell.appendChild(categorySelect);
+    row.appendChild(categoryCell);
+    
+    const distractionCell = document.createElement('td');
+    const distractionCheckbox = document.createElement('input');
+    distractionCheckbox.type = 'checkbox';
+    distractionCheckbox.checked = entry.distraction;
+    distractionCheckbox.addEventListener('change', () => {
+      entry.distraction = distractionCheckbox.checked;
+    });
+    distractionCell.appendChild(distractionCheckbox);
+    row.appendChild(distractionCell);
+    
+    const adjustmentCell = document.createElement('td');
+    const adjustmentInput = document.createElement('input');
+    adjustmentInput.type = 'number';
+    adjustmentInput.className = 'registry-input';
+    adjustmentInput.min = '-1';
+    adjustmentInput.max = '1';
+    adjustmentInput.step = '0.05';
+    adjustmentInput.value = entry.adjustment;
+    adjustmentInput.addEventListener('change', () => {
+      entry.adjustment = parseFloat(adjustmentInput.value) || 0;
+    });
+    adjustmentCell.appendChild(adjustmentInput);
+    row.appendChild(adjustmentCell);
+    
+    const removeCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.className = 'button secondary';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+      registryEntries = registryEntries.filter(e => e !== entry);
+      renderDomainRegistry();
+    });
+    removeCell.appendChild(removeButton);
+    row.appendChild(removeCell);
+    
+    domainRegistryBody.appendChild(row);
+  });
+};
+
+// Add a domain to the registry table (saved with the rest of the changes)
+const addRegistryDomain = () => {
+  const domain = registryNewDomainInput.value.trim().toLowerCase();
+  if (!domain) return;
+  
+  if (registryEntries.some(entry => entry.domain === domain)) {
+    registryStatusElement.textContent = `${domain} is already in the registry`;
+    return;
+  }
+  
+  registryEntries.push({ domain, category: registryCategories.OTHER, distraction: true, adjustment: 0 });
+  registryNewDomainInput.value = '';
+  renderDomainRegistry();
+};
+
+// Save the edited registry
+const saveDomainRegistry = () => {
+  chrome.runtime.sendMessage({ type: 'SAVE_DOMAIN_REGISTRY', entries: registryEntries }, (response) => {
+    handleRegistryResponse(response, 'Error saving domain registry', 'Domain registry saved');
+  });
+};
+
+// Restore the default registry
+const resetDomainRegistry = () => {
+  chrome.runtime.sendMessage({ type: 'RESET_DOMAIN_REGISTRY' }, (response) => {
+    handleRegistryResponse(response, 'Error restoring domain registry', 'Default domain registry restored');
+  });
+};
+
+// Download the registry as a JSON file
+const exportDomainRegistry = () => {
+  chrome.runtime.sendMessage({ type: 'EXPORT_DOMAIN_REGISTRY' }, (response) => {
+    if (!response || !response.success) {
+      console.error('Error exporting domain registry:', response?.error);
+      return;
+    }
+    
+    const blob = new Blob([response.json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'focus-nudge-domains.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+};
+
+// Import a registry from the selected JSON file
+const importDomainRegistry = () => {
+  const file = registryImportFileInput.files[0];
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    chrome.runtime.sendMessage({
+      type: 'IMPORT_DOMAIN_REGISTRY',
+      json: reader.result,
+      merge: registryImportMergeCheckbox.checked
+    }, (response) => {
+      handleRegistryResponse(response, 'Error importing domain registry', 'Domain registry imported');
+    });
+    registryImportFileInput.value = '';
+  };
+  reader.readAsText(file);
+};
+
+// Download the chosen data as a ZIP archive
+const exportData = () => {
+  const days = exportDaysSelect.value;
+  dataExportButton.disabled = true;
+  dataStatusElement.textContent = 'Exporting...';
+  
+  chrome.runtime.sendMessage({
+    type: 'EXPORT_DATA',
+    format: exportFormatSelect.value,
+    redaction: exportRedactionSelect.value,
+    startTime: days === 'all' ? undefined : Date.now() - parseInt(days, 10) * 24 * 60 * 60 * 1000
+  }, (response) => {
+    dataExportButton.disabled = false;
+    
+    if (!response || !response.success) {
+      dataStatusElement.textContent = `Could not export data: ${response ? response.error : 'no response'}`;
+      return;
+    }
+    
+    const bytes = Uint8Array.from(atob(response.data), char => char.charCodeAt(0));
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([bytes], { type: 'application/zip' }));
+    link.download = `focus-nudge-data-${new Date().toISOString().slice(0, 10)}.zip`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    dataStatusElement.textContent = '';
+  });
+};
+
+// Import a JSON Lines export from the selected ZIP archive
+const importData = () => {
+  const file = dataImportFileInput.files[0];
+  if (!file) return;
+  
+  dataStatusElement.textContent = 'Importing...';
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    chrome.runtime.sendMessage({
+      type: 'IMPORT_DATA',
+      data: reader.result.slice(reader.result.indexOf(',') + 1) // Base64 after the data URL prefix
+    }, (response) => {
+      if (!response || !response.success) {
+        dataStatusElement.textContent = `Could not import data: ${response ? response.error : 'no response'}`;
+        return;
+      }
+      
+      const { events, sessions, feedback } = response.summary;
+      const rejected = events.rejected > 0 ? `, ${events.rejected} events failed validation` : '';
+      dataStatusElement.textContent = `Imported ${events.added} events, ${sessions.added} sessions and ` +
+        `${feedback.added} nudge ratings (${events.duplicates} events were already stored${rejected}).`;
+      loadData();
+    });
+    dataImportFileInput.value = '';
+  };
+  reader.readAsDataURL(file);
+};
+
+// Capture levels (mirrors CAPTURE_LEVELS in src/features/privacy.js)
+const CAPTURE_LEVEL_LABELS = {
+  full: 'Everything',
+  url: 'Page addresses',
+  domain: 'Site name only',
+  none: 'Nothing'
+};
+
+// Per-site capture levels being edited
+let privacyDomainLevels = {};
+
+// Load the privacy settings from the background script
+const loadPrivacySettings = () => {
+  chrome.runtime.sendMessage({ type: 'GET_PRIVACY_SETTINGS' }, (response) => {
+    handlePrivacyResponse(response, 'Error loading privacy settings');
+  });
+};
+
+// Apply a privacy settings response from the background script
+const handlePrivacyResponse = (response, errorMessage, successMessage) => {
+  if (!response || !response.success) {
+    console.error(errorMessage, response?.error);
+    privacyStatusElement.textContent = response?.error || errorMessage;
+    return;
+  }
+  
+  const settings = response.settings;
+  privacyDefaultLevelSelect.value = settings.defaultLevel;
+  privacyExcludeSensitiveCheckbox.checked = settings.excludeSensitiveSites;
+  privacyStripQueriesCheckbox.checked = settings.stripQueryStrings;
+  privacyScrubPiiCheckbox.checked = settings.scrubPII;
+  privacyDomainLevels = { ...settings.domainLevels };
+  renderPrivacyLevels();
+  privacyStatusElement.textContent = successMessage || '';
+};
+
+// Render the per-site capture levels
+const renderPrivacyLevels = () => {
+  privacyLevelsBody.innerHTML = '';
+  
+  Object.keys(privacyDomainLevels).sort().forEach(domain => {
+    const row = document.createElement('tr');
+    
+    const domainCell = document.createElement('td');
+    domainCell.textContent = domain;
+    row.appendChild(domainCell);
+    
+    const levelCell = document.createElement('td');
+    const levelSelect = document.createElement('select');
+    levelSelect.className = 'registry-input';
+    Object.entries(CAPTURE_LEVEL_LABELS).forEach(([level, label]) => {
+      const option = document.createElement('option');
+      option.value = level;
+      option.textContent = label;
+      option.selected = privacyDomainLevels[domain] === level;
+      levelSelect.appendChild(option);
+    });
+    levelSelect.addEventListener('change', () => {
+      privacyDomainLevels[domain] = levelSelect.value;
+    });
+    levelCell.appendChild(levelSelect);
+    row.appendChild(levelCell);
+    
+    const removeCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.className = 'button secondary';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => {
+      delete privacyDomainLevels[domain];
+      renderPrivacyLevels();
+    });
+    removeCell.appendChild(removeButton);
+    row.appendChild(removeCell);
+    
+    privacyLevelsBody.appendChild(row);
+  });
+};
+
+// Add a site to the per-site levels (saved with the rest of the settings)
+const addPrivacyDomain = () => {
+  const domain = privacyNewDomainInput.value.trim().toLowerCase();
+  if (!domain) return;
+  
+  privacyDomainLevels[domain] = privacyDomainLevels[domain] || 'none';
+  privacyNewDomainInput.value = '';
+  renderPrivacyLevels();
+};
+
+// Save the edited privacy settings
+const savePrivacySettings = () => {
+  chrome.runtime.sendMessage({
+    type: 'SAVE_PRIVACY_SETTINGS',
+    settings: {
+      defaultLevel: privacyDefaultLevelSelect.value,
+      domainLevels: privacyDomainLevels,
+      excludeSensitiveSites: privacyExcludeSensitiveCheckbox.checked,
+      stripQueryStrings: privacyStripQueriesCheckbox.checked,
+      scrubPII: privacyScrubPiiCheckbox.checked
+    }
+  }, (response) => {
+    handlePrivacyResponse(response, 'Error saving privacy settings', 'Privacy settings saved');
+  });
+};
+
+// Delete everything recorded on a site
+const forgetSite = () => {
+  const domain = forgetSiteDomainInput.value.trim();
+  if (!domain) return;
+  if (!confirm(`Delete everything Focus Nudge recorded on ${domain}?`)) return;
+  
+  forgetSiteButton.disabled = true;
+  chrome.runtime.sendMessage({ type: 'FORGET_SITE', domain }, (response) => {
+    forgetSiteButton.disabled = false;
+    
+    if (!response || !response.success) {
+      privacyStatusElement.textContent = `Could not forget ${domain}: ${response ? response.error : 'no response'}`;
+      return;
+    }
+    
+    privacyStatusElement.textContent = `Forgot ${response.domain}: deleted ${response.deleted} events and ` +
+      `${response.feedback} nudge ratings, and removed it from ${response.updated} other events and ${response.sessions} sessions.`;
+    forgetSiteDomainInput.value = '';
+    loadData();
+  });
+};
+
 // Initialize insights page
 document.addEventListener('DOMContentLoaded', () => {
   // Load data
@@ -434,4 +1356,31 @@ document.addEventListener('DOMContentLoaded', () => {
   timeRangeSelect.addEventListener('change', () => {
     processData(timeRangeSelect.value);
   });
+  modelSelect.addEventListener('change', changeModelType);
+  ensembleMethodSelect.addEventListener('change', changeEnsembleMethod);
+  ensembleSaveButton.addEventListener('click', saveEnsembleConfig);
+  modelRegistryElement.addEventListener('click', handleModelRegistryClick);
+  modelRollbackButton.addEventListener('click', rollbackModel);
+  evaluationRunButton.addEventListener('click', runModelEvaluation);
+  calibrationFitButton.addEventListener('click', fitCalibrations);
+  
+  // Domain registry editor
+  loadDomainRegistry();
+  registryAddButton.addEventListener('click', addRegistryDomain);
+  registrySaveButton.addEventListener('click', saveDomainRegistry);
+  registryResetButton.addEventListener('click', resetDomainRegistry);
+  registryExportButton.addEventListener('click', exportDomainRegistry);
+  registryImportButton.addEventListener('click', () => registryImportFileInput.click());
+  registryImportFileInput.addEventListener('change', importDomainRegistry);
+  
+  // Data export and import
+  dataExportButton.addEventListener('click', exportData);
+  dataImportButton.addEventListener('click', () => dataImportFileInput.click());
+  dataImportFileInput.addEventListener('change', importData);
+  
+  // Privacy settings
+  loadPrivacySettings();
+  privacyAddButton.addEventListener('click', addPrivacyDomain);
+  privacySaveButton.addEventListener('click', savePrivacySettings);
+  forgetSiteButton.addEventListener('click', forgetSite);
 }); 
\ No newline at end of file
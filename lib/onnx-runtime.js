@@ -2,18 +2,21 @@
  * ONNX Runtime Web Integration
  * 
  * This script loads and initializes ONNX Runtime Web for model inference.
+ * It runs in the offscreen document (offscreen.html), since service workers
+ * can't run ONNX Runtime Web.
  */
 
-// We'll load ONNX Runtime Web from CDN for the MVP
-// In a production environment, you might want to bundle it with the extension
-const ONNX_RUNTIME_CDN = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.14.0/dist/ort.min.js';
+// ONNX Runtime Web is bundled with the extension: MV3 doesn't allow remotely
+// hosted code, and the model has to work offline (see lib/README.md)
+const ONNX_RUNTIME_DIR = 'lib/onnxruntime-web/';
+const ONNX_RUNTIME_SCRIPT = `${ONNX_RUNTIME_DIR}ort.min.js`;
 
 // State
 let ort = null;
 let isInitialized = false;
 
 /**
- * Load ONNX Runtime Web from CDN
+ * Load the bundled ONNX Runtime Web
  * @returns {Promise<void>}
  */
 const loadOnnxRuntime = async () => {
@@ -25,7 +28,7 @@ const loadOnnxRuntime = async () => {
     }
 
     const script = document.createElement('script');
-    script.src = ONNX_RUNTIME_CDN;
+    script.src = chrome.runtime.getURL(ONNX_RUNTIME_SCRIPT);
     script.async = true;
     
     script.onload = () => {
@@ -34,7 +37,7 @@ const loadOnnxRuntime = async () => {
     };
     
     script.onerror = () => {
-      reject(new Error('Failed to load ONNX Runtime Web'));
+      reject(new Error(`Failed to load ONNX Runtime Web from ${ONNX_RUNTIME_SCRIPT}`));
     };
     
     document.head.appendChild(script);
@@ -51,18 +54,9 @@ const initializeOnnxRuntime = async () => {
   try {
     await loadOnnxRuntime();
     
-    // Configure ONNX Runtime Web
-    // For the MVP, we'll use WebAssembly backend
-    const config = {
-      executionProviders: ['wasm'],
-      graphOptimizationLevel: 'all',
-      enableCpuMemArena: true,
-      enableMemPattern: true,
-      executionMode: 'sequential'
-    };
-    
-    // Initialize session options
-    ort.env.wasm.numThreads = 1; // Use single thread for MVP
+    // The WebAssembly files are bundled next to the script
+    ort.env.wasm.wasmPaths = chrome.runtime.getURL(ONNX_RUNTIME_DIR);
+    ort.env.wasm.numThreads = 1; // Threads need cross-origin isolation
     ort.env.wasm.simd = false;   // Disable SIMD for broader compatibility
     
     console.log('ONNX Runtime Web initialized successfully');
@@ -84,7 +78,10 @@ const createSession = async (modelBuffer) => {
   }
   
   try {
-    const session = await ort.InferenceSession.create(modelBuffer);
+    const session = await ort.InferenceSession.create(modelBuffer, {
+      executionProviders: ['wasm'],
+      graphOptimizationLevel: 'all'
+    });
     return session;
   } catch (error) {
     console.error('Failed to create inference session:', error);
@@ -120,4 +117,4 @@ window.onnxRuntime = {
   initialize: initializeOnnxRuntime,
   createSession,
   runInference
-}; 
\ No newline at end of file
+};
@@ -6,24 +6,90 @@
  * making predictions based on event streams.
  */
 
-import RandomForestModel from './random-forest/model.js';
+import RandomForestModel, { FEATURES, SHIPPED_VERSION } from './random-forest/model.js';
+import { loadTrainedModel, trainFromFeedback } from './random-forest/trainer.js';
+import OnnxClient from './random-forest/onnxClient.js';
+import SequenceModel, { SEQUENCE_MODEL_VERSION, SEQUENCE_SYMBOLS } from './sequence-model/model.js';
+import ModelRegistry, { createVersionId } from './ModelRegistry.js';
+import { isDistractionDomain } from '../src/features/domainRegistry.js';
+import { loadNudgeFeedback } from '../src/features/nudgeFeedback.js';
+import { createExplanation, combineExplanations } from './explanation.js';
+import {
+  applyCalibration,
+  buildCalibrationSamples,
+  fitCalibration,
+  loadCalibrations,
+  saveCalibrations,
+  logit,
+  sigmoid
+} from './calibration.js';
 
 // Model types
 export const MODEL_TYPES = {
   RANDOM_FOREST: 'random-forest',
   SEQUENCE_MODEL: 'sequence-model',
-  RULE_BASED: 'rule-based'
+  RULE_BASED: 'rule-based',
+  ENSEMBLE: 'ensemble'
 };
 
+// Ways the ensemble combines its members
+export const ENSEMBLE_METHODS = {
+  WEIGHTED: 'weighted', // Weighted average of the member probabilities
+  STACKING: 'stacking'  // Logistic regression over the member log-odds
+};
+
+// Default ensemble settings; weights and coefficients are keyed by model type
+export const DEFAULT_ENSEMBLE_CONFIG = {
+  method: ENSEMBLE_METHODS.WEIGHTED,
+  weights: {
+    [MODEL_TYPES.RANDOM_FOREST]: 0.5,
+    [MODEL_TYPES.RULE_BASED]: 0.3,
+    [MODEL_TYPES.SEQUENCE_MODEL]: 0.2
+  },
+  stacking: {
+    intercept: 0,
+    coefficients: {
+      [MODEL_TYPES.RANDOM_FOREST]: 1.0,
+      [MODEL_TYPES.RULE_BASED]: 0.6,
+      [MODEL_TYPES.SEQUENCE_MODEL]: 0.4
+    }
+  },
+  disagreementThreshold: 0.4 // Spread between member probabilities that gets logged
+};
+
+// Storage key and size of the model disagreement log
+const DISAGREEMENTS_KEY = 'modelDisagreements';
+const MAX_DISAGREEMENTS = 200;
+
+// Versions of the models that ship as code rather than trained artifacts
+const RULE_BASED_VERSION = '0.1.0';
+const ENSEMBLE_VERSION = '0.1.0';
+
+// Inputs the rule-based model reads
+const RULE_BASED_FEATURES = [
+  'domain', 'timeSpent', 'scrollCount', 'clickCount', 'hasVideo',
+  'videoWatchTime', 'contentType', 'idleTime', 'visits'
+];
+
+// Shadow results are saved to the registry after this many shadow predictions
+const SHADOW_SAVE_INTERVAL = 20;
+
 /**
  * Model Manager class
  */
 export default class ModelManager {
   constructor() {
-    this.models = {};
+    this.models = {}; // Model type -> model for the type's current version
+    this.shadowModels = new Map(); // Version ID -> model running in shadow mode
+    this.loadedVersions = new Map(); // Version ID -> model loaded for this.models
+    this.registry = new ModelRegistry();
+    this.onnxClient = new OnnxClient(); // Runs the shipped forest in the offscreen document
     this.activeModelType = MODEL_TYPES.RANDOM_FOREST;
     this.isInitialized = false;
     this.version = '0.2.0';
+    this.ensembleConfig = normalizeEnsembleConfig(DEFAULT_ENSEMBLE_CONFIG);
+    this.calibrations = {}; // Version ID -> calibration fitted on the user's rated nudges
+    this.unsavedShadowResults = 0;
   }
 
   /**
@@ -32,19 +98,53 @@ export default class ModelManager {
    */
   async initialize() {
     try {
-      // Load Random Forest model
-      this.models[MODEL_TYPES.RANDOM_FOREST] = new RandomForestModel();
-      await this.models[MODEL_TYPES.RANDOM_FOREST].load();
+      await this.registry.load();
       
-      // Initialize rule-based model
-      this.models[MODEL_TYPES.RULE_BASED] = {
-        predict: this.ruleBasedPredict.bind(this),
-        version: '0.1.0',
-        isLoaded: true
-      };
+      // Register the versions shipped with the extension
+      this.registry.register({
+        modelType: MODEL_TYPES.RANDOM_FOREST,
+        version: SHIPPED_VERSION,
+        featureSchema: FEATURES.map(feature => feature.name)
+      });
+      this.registry.register({
+        modelType: MODEL_TYPES.SEQUENCE_MODEL,
+        version: SEQUENCE_MODEL_VERSION,
+        featureSchema: Object.values(SEQUENCE_SYMBOLS)
+      });
+      this.registry.register({
+        modelType: MODEL_TYPES.RULE_BASED,
+        version: RULE_BASED_VERSION,
+        featureSchema: RULE_BASED_FEATURES
+      });
+      this.registry.register({
+        modelType: MODEL_TYPES.ENSEMBLE,
+        version: ENSEMBLE_VERSION,
+        featureSchema: [MODEL_TYPES.RANDOM_FOREST, MODEL_TYPES.RULE_BASED, MODEL_TYPES.SEQUENCE_MODEL]
+      });
+      
+      // Register the forest trained on the user's feedback, if there is one for this model version
+      const trainedModel = await loadTrainedModel();
+      if (trainedModel && trainedModel.baseVersion === SHIPPED_VERSION) {
+        this._registerTrainedForest(trainedModel);
+      }
+      
+      // Without a usable active version, the newest forest is active
+      const active = this.registry.getActive();
+      if (!active || !this._isAvailable(active)) {
+        this.registry.promote(this.registry.getCurrent(MODEL_TYPES.RANDOM_FOREST).id);
+      }
+      
+      const { ensembleConfig } = await chrome.storage.local.get('ensembleConfig');
+      if (ensembleConfig) {
+        this.ensembleConfig = normalizeEnsembleConfig({ ...DEFAULT_ENSEMBLE_CONFIG, ...ensembleConfig });
+      }
+      this.calibrations = await loadCalibrations();
+      
+      await this._applyRegistry();
+      await this.registry.save();
       
       this.isInitialized = true;
-      console.log(`Model Manager initialized with ${Object.keys(this.models).length} models`);
+      console.log(`Model Manager initialized with ${Object.keys(this.models).length} models, ${this.registry.activeId} active`);
       return true;
     } catch (error) {
       console.error('Failed to initialize Model Manager:', error);
@@ -54,15 +154,38 @@ export default class ModelManager {
 
   /**
    * Update models
+   *
+   * A newly trained forest replaces the current one (and becomes active if a
+   * forest was active). The forest it replaces keeps running in shadow mode so
+   * the two can be compared, and can be restored with a rollback.
+   *
    * @returns {Promise<boolean>} Whether update was successful
    */
   async updateModels() {
     try {
-      // Reload Random Forest model
-      if (this.models[MODEL_TYPES.RANDOM_FOREST]) {
-        await this.models[MODEL_TYPES.RANDOM_FOREST].load();
+      const records = await loadNudgeFeedback();
+      await this.fitCalibrations(records);
+      
+      // Falls back to the current forest when there are too few labels
+      const trainedModel = await trainFromFeedback(records, SHIPPED_VERSION);
+      // Only a new version replaces the current forest, so rollbacks stick
+      if (trainedModel && !this.registry.get(createVersionId(MODEL_TYPES.RANDOM_FOREST, trainedModel.version))) {
+        const previous = this.registry.getCurrent(MODEL_TYPES.RANDOM_FOREST);
+        const entry = this._registerTrainedForest(trainedModel);
+        
+        if (previous) {
+          if (this.registry.activeId === previous.id) {
+            this.registry.promote(entry.id);
+          } else {
+            this.registry.setCurrent(entry.id);
+          }
+          this.registry.setShadow(previous.id, true);
+        }
       }
       
+      await this._applyRegistry();
+      await this.registry.save();
+      
       console.log('Models updated successfully');
       return true;
     } catch (error) {
@@ -74,15 +197,16 @@ export default class ModelManager {
   /**
    * Set active model type
    * @param {string} modelType - Model type from MODEL_TYPES
-   * @returns {boolean} Whether model type was set successfully
+   * @returns {Promise<boolean>} Whether model type was set successfully
    */
-  setActiveModelType(modelType) {
-    if (!this.models[modelType]) {
+  async setActiveModelType(modelType) {
+    const entry = this.registry.getCurrent(modelType);
+    if (!this.models[modelType] || !entry) {
       console.error(`Model type ${modelType} not available`);
       return false;
     }
     
-    this.activeModelType = modelType;
+    await this.promoteModelVersion(entry.id);
     console.log(`Active model set to ${modelType}`);
     return true;
   }
@@ -95,6 +219,14 @@ export default class ModelManager {
     return this.activeModelType;
   }
 
+  /**
+   * Get the model types that can be selected
+   * @returns {Array<string>} Loaded model types
+   */
+  getAvailableModelTypes() {
+    return Object.keys(this.models).filter(modelType => this.models[modelType].isLoaded);
+  }
+
   /**
    * Get active model version
    * @returns {string} Active model version
@@ -104,6 +236,108 @@ export default class ModelManager {
     return model ? model.version : 'unknown';
   }
 
+  /**
+   * Get feature importance of the active model
+   * @returns {Object|null} Feature importance by name, or null if the model doesn't report it
+   */
+  getActiveModelFeatureImportance() {
+    const model = this.models[this.activeModelType];
+    return model && typeof model.getFeatureImportance === 'function' ? model.getFeatureImportance() : null;
+  }
+
+  /**
+   * Get the registered model versions
+   * @returns {Object} Versions with their metadata, the active version and whether a rollback is possible
+   */
+  getModelRegistry() {
+    return {
+      versions: this.registry.list().map(version => ({
+        ...version,
+        available: this._isAvailable(this.registry.get(version.id))
+      })),
+      activeId: this.registry.activeId,
+      canRollback: this.registry.history.some(id => this.registry.get(id))
+    };
+  }
+
+  /**
+   * Make a model version the active one
+   * @param {string} versionId - Version ID from the registry
+   * @returns {Promise<Object>} Promoted version
+   */
+  async promoteModelVersion(versionId) {
+    this._requireAvailable(versionId);
+    const version = this.registry.promote(versionId);
+    await this._applyRegistry();
+    await this.registry.save();
+    return version;
+  }
+
+  /**
+   * Return to the model version that was active before the last promotion
+   * @returns {Promise<Object>} Version that is active again
+   */
+  async rollbackModel() {
+    const version = this.registry.rollback();
+    await this._applyRegistry();
+    await this.registry.save();
+    console.log(`Rolled back to model ${version.id}`);
+    return version;
+  }
+
+  /**
+   * Run a model version in shadow mode, or stop doing so
+   * @param {string} versionId - Version ID from the registry
+   * @param {boolean} enabled - Whether the version should run in shadow mode
+   * @returns {Promise<Object>} Version
+   */
+  async setShadowModel(versionId, enabled) {
+    if (enabled) {
+      this._requireAvailable(versionId);
+    }
+    const version = this.registry.setShadow(versionId, enabled);
+    await this._applyRegistry();
+    await this.registry.save();
+    return version;
+  }
+
+  /**
+   * Create a predictor for a registered version that doesn't share state with the live models
+   *
+   * Used to replay stored events: the version (and, for the ensemble, each
+   * member) gets its own freshly loaded model, so replays don't disturb the
+   * sequence model's rolling windows.
+   *
+   * @param {string} versionId - Version ID from the registry
+   * @returns {Promise<Function>} Async function taking predict() input and returning a prediction
+   */
+  async createPredictor(versionId) {
+    this._requireAvailable(versionId);
+    const entry = this.registry.get(versionId);
+    
+    if (entry.modelType === MODEL_TYPES.ENSEMBLE) {
+      const members = {};
+      for (const modelType of Object.keys(this.ensembleConfig.weights)) {
+        const member = this.registry.getCurrent(modelType);
+        const model = member && await this._createModel(member);
+        if (model) {
+          members[modelType] = model;
+        }
+      }
+      
+      return async (input) => {
+        const prediction = this.ensemblePredict(input, members);
+        return prediction ? this.applyUserPreferences(this.calibrate(prediction, versionId), input.userPreferences) : null;
+      };
+    }
+    
+    const model = await this._createModel(entry);
+    return async (input) => {
+      const prediction = this.predictWithModel(entry.modelType, input, model);
+      return prediction ? this.applyUserPreferences(this.calibrate(prediction, versionId), input.userPreferences) : null;
+    };
+  }
+
   /**
    * Predict whether the current behavior is a distraction
    * @param {Object} input - Input data
@@ -111,62 +345,33 @@ export default class ModelManager {
    * @param {Object} input.features - Extracted features
    * @param {Object} input.sessionData - Session data for the domain
    * @param {Object} input.userPreferences - User preferences
+   * @param {Object} [options] - Prediction options
+   * @param {boolean} [options.runShadows=true] - Whether shadow versions predict on the same input
    * @returns {Object} Prediction result
    */
-  async predict(input) {
+  async predict(input, { runShadows = true } = {}) {
     if (!this.isInitialized) {
       console.error('Model Manager not initialized');
       return { isDistraction: false, probability: 0, confidence: 0 };
     }
     
     try {
-      const model = this.models[this.activeModelType];
-      
-      if (!model) {
-        console.error(`Model ${this.activeModelType} not available`);
-        return { isDistraction: false, probability: 0, confidence: 0 };
-      }
+      let prediction = this.activeModelType === MODEL_TYPES.ENSEMBLE
+        ? this.ensemblePredict(input)
+        : await this.predictWithModelAsync(this.activeModelType, input);
       
-      if (!model.isLoaded) {
-        console.error(`Model ${this.activeModelType} not loaded`);
+      if (!prediction) {
         return { isDistraction: false, probability: 0, confidence: 0 };
       }
       
-      // Different models may require different input formats
-      let prediction;
-      
-      switch (this.activeModelType) {
-        case MODEL_TYPES.RANDOM_FOREST:
-          // Random Forest model expects features and domain
-          prediction = model.predict(input.features, input.features.domain);
-          break;
-          
-        case MODEL_TYPES.SEQUENCE_MODEL:
-          // Sequence model would expect the raw event stream
-          prediction = model.predict(input.events, input.features.domain);
-          break;
-          
-        case MODEL_TYPES.RULE_BASED:
-          // Rule-based model uses our custom function
-          prediction = this.ruleBasedPredict(input);
-          break;
-          
-        default:
-          console.error(`Unknown model type: ${this.activeModelType}`);
-          return { isDistraction: false, probability: 0, confidence: 0 };
-      }
-      
-      // Ensure prediction has the expected format
-      if (typeof prediction === 'number') {
-        prediction = {
-          isDistraction: prediction > 0.5,
-          probability: prediction,
-          confidence: 0.7 // Default confidence for simple models
-        };
-      }
+      // Calibrate the score before it is compared with the threshold
+      prediction = this.calibrate(prediction, createVersionId(this.activeModelType, this.getActiveModelVersion()));
       
       // Apply user preference adjustments
       prediction = this.applyUserPreferences(prediction, input.userPreferences);
+      prediction.modelType = this.activeModelType;
+      prediction.modelVersion = this.getActiveModelVersion();
+      prediction.shadowPredictions = runShadows ? await this.predictShadows(input, prediction) : [];
       
       return prediction;
     } catch (error) {
@@ -175,6 +380,452 @@ export default class ModelManager {
     }
   }
 
+  /**
+   * Run the shadow versions on the same input as the active version
+   * @param {Object} input - Input data (see predict)
+   * @param {Object} activePrediction - Prediction of the active version
+   * @returns {Promise<Array>} Shadow predictions
+   */
+  async predictShadows(input, activePrediction) {
+    const shadowPredictions = [];
+    
+    for (const [versionId, model] of this.shadowModels) {
+      // A failing shadow version must not affect the active prediction
+      try {
+        const { modelType } = this.registry.get(versionId);
+        let prediction = modelType === MODEL_TYPES.ENSEMBLE
+          ? this.ensemblePredict(input)
+          : this.predictWithModel(modelType, input, model);
+        
+        // Versions without enough data to predict (confidence 0) are not compared
+        if (!prediction || !(prediction.confidence > 0)) continue;
+        
+        prediction = this.applyUserPreferences(this.calibrate(prediction, versionId), input.userPreferences);
+        this.registry.recordShadowResult(versionId, prediction.isDistraction === activePrediction.isDistraction);
+        this.unsavedShadowResults++;
+        
+        shadowPredictions.push({
+          versionId,
+          modelType,
+          modelVersion: model.version,
+          isDistraction: prediction.isDistraction,
+          probability: prediction.probability,
+          confidence: prediction.confidence,
+          explanation: prediction.explanation || null
+        });
+      } catch (error) {
+        console.error(`Shadow prediction error for ${versionId}:`, error);
+      }
+    }
+    
+    if (this.unsavedShadowResults >= SHADOW_SAVE_INTERVAL) {
+      this.unsavedShadowResults = 0;
+      await this.registry.save();
+    }
+    
+    return shadowPredictions;
+  }
+
+  /**
+   * Predict with a single model, before user preference adjustments
+   * @param {string} modelType - Model type from MODEL_TYPES
+   * @param {Object} input - Input data (see predict)
+   * @param {Object} [model] - Model to use instead of the type's current version
+   * @returns {Object|null} Prediction result, or null if the model can't predict
+   */
+  predictWithModel(modelType, input, model = this.models[modelType]) {
+    if (!model) {
+      console.error(`Model ${modelType} not available`);
+      return null;
+    }
+    
+    if (!model.isLoaded) {
+      console.error(`Model ${modelType} not loaded`);
+      return null;
+    }
+    
+    // Different models may require different input formats
+    let prediction;
+    
+    switch (modelType) {
+      case MODEL_TYPES.RANDOM_FOREST:
+        // Random Forest model expects features and domain
+        prediction = model.predict(input.features, input.features.domain);
+        break;
+        
+      case MODEL_TYPES.SEQUENCE_MODEL:
+        // Sequence model would expect the raw event stream
+        prediction = model.predict(input.events, input.features.domain);
+        break;
+        
+      case MODEL_TYPES.RULE_BASED:
+        // Rule-based model uses our custom function
+        prediction = this.ruleBasedPredict(input);
+        break;
+        
+      default:
+        // Models registered later take the same input as predict()
+        if (modelType === MODEL_TYPES.ENSEMBLE || typeof model.predict !== 'function') {
+          console.error(`Unknown model type: ${modelType}`);
+          return null;
+        }
+        prediction = model.predict(input);
+    }
+    
+    // Ensure prediction has the expected format
+    if (typeof prediction === 'number') {
+      prediction = {
+        isDistraction: prediction > 0.5,
+        probability: prediction,
+        confidence: 0.7 // Default confidence for simple models
+      };
+    }
+    
+    return prediction;
+  }
+
+  /**
+   * Predict with a single model, running the forest as an ONNX model when it can
+   *
+   * Only the active forest uses the ONNX model; shadow versions, ensemble
+   * members and replays run in JavaScript so they don't queue up behind it.
+   *
+   * @param {string} modelType - Model type from MODEL_TYPES
+   * @param {Object} input - Input data (see predict)
+   * @param {Object} [model] - Model to use instead of the type's current version
+   * @returns {Promise<Object|null>} Prediction result, or null if the model can't predict
+   */
+  async predictWithModelAsync(modelType, input, model = this.models[modelType]) {
+    if (modelType === MODEL_TYPES.RANDOM_FOREST && model && model.isLoaded && typeof model.predictAsync === 'function') {
+      return model.predictAsync(input.features, input.features.domain);
+    }
+    return this.predictWithModel(modelType, input, model);
+  }
+
+  /**
+   * Combine the predictions of the ensemble members
+   *
+   * Members without enough data to predict (confidence 0) are left out, so the
+   * sequence model doesn't pull the result towards 0 until it has seen enough
+   * events. Each member's share of the result is reported in contributions:
+   * its share of the weighted average, or its log-odds term when stacking.
+   *
+   * @param {Object} input - Input data (see predict)
+   * @param {Object} [models] - Member models by type, instead of the current versions
+   * @returns {Object|null} Prediction result with contributions and disagreement
+   */
+  ensemblePredict(input, models = this.models) {
+    const { method, weights, stacking, disagreementThreshold } = this.ensembleConfig;
+    
+    const members = [];
+    for (const [modelType, weight] of Object.entries(weights)) {
+      if (!(weight > 0) || !models[modelType]) continue;
+      
+      const prediction = this.predictWithModel(modelType, input, models[modelType]);
+      if (!prediction || !(prediction.confidence > 0)) continue;
+      
+      members.push({
+        modelType,
+        version: models[modelType].version,
+        probability: prediction.probability,
+        confidence: prediction.confidence,
+        weight,
+        explanation: prediction.explanation || null
+      });
+    }
+    
+    if (members.length === 0) {
+      return null;
+    }
+    
+    const totalWeight = members.reduce((sum, member) => sum + member.weight, 0);
+    let probability;
+    let contributions;
+    
+    if (method === ENSEMBLE_METHODS.STACKING) {
+      contributions = members.map(member => ({
+        ...member,
+        weight: stacking.coefficients[member.modelType] || 0,
+        contribution: (stacking.coefficients[member.modelType] || 0) * logit(member.probability)
+      }));
+      probability = sigmoid(contributions.reduce((sum, member) => sum + member.contribution, stacking.intercept));
+    } else {
+      contributions = members.map(member => ({
+        ...member,
+        contribution: member.weight * member.probability / totalWeight
+      }));
+      probability = contributions.reduce((sum, member) => sum + member.contribution, 0);
+    }
+    
+    const probabilities = members.map(member => member.probability);
+    const disagreement = Math.max(...probabilities) - Math.min(...probabilities);
+    
+    // Members explain the result in proportion to their weight (or coefficient when stacking)
+    const totalInfluence = contributions.reduce((sum, member) => sum + Math.abs(member.weight), 0);
+    const explanation = combineExplanations(contributions.map(member => ({
+      explanation: member.explanation,
+      share: totalInfluence > 0 ? Math.abs(member.weight) / totalInfluence : 0
+    })));
+    
+    return {
+      isDistraction: probability > 0.5,
+      probability,
+      confidence: members.reduce((sum, member) => sum + member.weight * member.confidence, 0) / totalWeight,
+      explanation,
+      method,
+      contributions: contributions.map(({ explanation, ...member }) => member),
+      disagreement,
+      modelsDisagree: members.length > 1 && disagreement >= disagreementThreshold
+    };
+  }
+
+  /**
+   * Get the ensemble configuration
+   * @returns {Object} Ensemble configuration
+   */
+  getEnsembleConfig() {
+    return this.ensembleConfig;
+  }
+
+  /**
+   * Change and save the ensemble configuration
+   * @param {Object} config - Partial ensemble configuration
+   * @returns {Promise<Object>} Ensemble configuration
+   */
+  async setEnsembleConfig(config) {
+    const ensembleConfig = normalizeEnsembleConfig({
+      ...this.ensembleConfig,
+      ...config,
+      weights: { ...this.ensembleConfig.weights, ...(config && config.weights) },
+      stacking: {
+        intercept: this.ensembleConfig.stacking.intercept,
+        ...(config && config.stacking),
+        coefficients: {
+          ...this.ensembleConfig.stacking.coefficients,
+          ...(config && config.stacking && config.stacking.coefficients)
+        }
+      }
+    });
+    
+    if (!Object.values(ensembleConfig.weights).some(weight => weight > 0)) {
+      throw new Error('At least one ensemble model needs a weight above 0');
+    }
+    
+    this.ensembleConfig = ensembleConfig;
+    await chrome.storage.local.set({ ensembleConfig });
+    return ensembleConfig;
+  }
+
+  /**
+   * Add a trained forest to the registry
+   * @param {Object} trainedModel - Trained forest from trainer.js
+   * @returns {Object} Registered version
+   * @private
+   */
+  _registerTrainedForest(trainedModel) {
+    const { trees, featureImportance, version, baseVersion, revision, trainedAt, sampleCount, positiveCount } = trainedModel;
+    
+    return this.registry.register({
+      modelType: MODEL_TYPES.RANDOM_FOREST,
+      version,
+      trainedAt,
+      featureSchema: FEATURES.map(feature => feature.name),
+      metrics: { sampleCount, positiveCount },
+      artifact: { trees, featureImportance, version, baseVersion, revision, trainedAt }
+    });
+  }
+
+  /**
+   * Check whether a registered version can be run by this build of the extension
+   * @param {Object} entry - Registered version
+   * @returns {boolean} Whether the version can be loaded
+   * @private
+   */
+  _isAvailable(entry) {
+    if (!entry) return false;
+    
+    // Trained forests need the shipped model they were trained against
+    if (entry.artifact) {
+      return entry.modelType === MODEL_TYPES.RANDOM_FOREST && entry.artifact.baseVersion === SHIPPED_VERSION;
+    }
+    
+    const builtInVersions = {
+      [MODEL_TYPES.RANDOM_FOREST]: SHIPPED_VERSION,
+      [MODEL_TYPES.SEQUENCE_MODEL]: SEQUENCE_MODEL_VERSION,
+      [MODEL_TYPES.RULE_BASED]: RULE_BASED_VERSION,
+      [MODEL_TYPES.ENSEMBLE]: ENSEMBLE_VERSION
+    };
+    return builtInVersions[entry.modelType] === entry.version;
+  }
+
+  /**
+   * Fail unless a version can be run
+   * @private
+   */
+  _requireAvailable(versionId) {
+    const entry = this.registry.get(versionId);
+    if (!entry) {
+      throw new Error(`Unknown model version: ${versionId}`);
+    }
+    if (!this._isAvailable(entry)) {
+      throw new Error(`Model version ${versionId} can't be loaded by this version of the extension`);
+    }
+  }
+
+  /**
+   * Load the model for a registered version
+   * @param {Object} entry - Registered version
+   * @returns {Promise<Object|null>} Loaded model, or null if the version can't be loaded
+   * @private
+   */
+  async _createModel(entry) {
+    if (!this._isAvailable(entry)) return null;
+    
+    switch (entry.modelType) {
+      case MODEL_TYPES.RANDOM_FOREST: {
+        const model = new RandomForestModel();
+        await model.load();
+        if (entry.artifact) {
+          model.useTrainedForest(entry.artifact);
+        } else {
+          // Only the shipped forest has an ONNX export
+          model.useOnnx(input => this.onnxClient.predict(input));
+        }
+        return model;
+      }
+      
+      case MODEL_TYPES.SEQUENCE_MODEL: {
+        // Sequence model for raw event streams
+        const model = new SequenceModel();
+        await model.load();
+        return model;
+      }
+      
+      case MODEL_TYPES.RULE_BASED:
+        return {
+          predict: this.ruleBasedPredict.bind(this),
+          version: entry.version,
+          isLoaded: true
+        };
+        
+      case MODEL_TYPES.ENSEMBLE:
+        // The ensemble combines the current versions of the other models
+        return {
+          version: entry.version,
+          isLoaded: true
+        };
+        
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Load the current version of each model type and the shadow versions
+   *
+   * Models that are already loaded are kept. Shadow versions get their own
+   * model, so models that keep state between predictions (the sequence model's
+   * rolling window) don't see the same events twice.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyRegistry() {
+    const loaded = this.loadedVersions;
+    this.loadedVersions = new Map();
+    this.models = {};
+    
+    for (const modelType of Object.values(MODEL_TYPES)) {
+      let entry = this.registry.getCurrent(modelType);
+      let model = entry && (loaded.get(entry.id) || await this._createModel(entry));
+      
+      // Fall back to the shipped version when the current one can't be loaded
+      if (!model) {
+        const builtInId = this.registry.versions
+          .filter(version => version.modelType === modelType && !version.artifact && this._isAvailable(version))
+          .map(version => version.id)[0];
+        entry = this.registry.get(builtInId);
+        model = entry && (loaded.get(entry.id) || await this._createModel(entry));
+      }
+      
+      if (model) {
+        this.models[modelType] = model;
+        this.loadedVersions.set(entry.id, model);
+      }
+    }
+    
+    const shadowModels = new Map();
+    for (const versionId of this.registry.shadowIds) {
+      const model = this.shadowModels.get(versionId) || await this._createModel(this.registry.get(versionId));
+      if (model) {
+        shadowModels.set(versionId, model);
+      }
+    }
+    this.shadowModels = shadowModels;
+    
+    const active = this.registry.getActive();
+    this.activeModelType = active && this.models[active.modelType] ? active.modelType : MODEL_TYPES.RANDOM_FOREST;
+  }
+
+  /**
+   * Fit a calibration for each registered version from the user's rated nudges
+   *
+   * Versions without enough labels keep their previous calibration, if any.
+   *
+   * @param {Array} [records] - Nudge records, loaded from storage if not given
+   * @returns {Promise<Object>} Calibrations by version ID
+   */
+  async fitCalibrations(records) {
+    records = records || await loadNudgeFeedback();
+    
+    for (const { id } of this.registry.versions) {
+      const calibration = fitCalibration(buildCalibrationSamples(records, id));
+      if (calibration) {
+        this.calibrations[id] = calibration;
+      }
+    }
+    
+    // Forget versions that are no longer registered
+    for (const id of Object.keys(this.calibrations)) {
+      if (!this.registry.get(id)) {
+        delete this.calibrations[id];
+      }
+    }
+    
+    await saveCalibrations(this.calibrations);
+    return this.calibrations;
+  }
+
+  /**
+   * Get the fitted calibrations
+   * @returns {Object} Calibrations by version ID
+   */
+  getCalibrations() {
+    return this.calibrations;
+  }
+
+  /**
+   * Calibrate a prediction for the version that made it
+   *
+   * The model's own score is kept as rawProbability, so nudges can record it
+   * and later calibrations are fitted on uncalibrated scores.
+   *
+   * @param {Object} prediction - Prediction result
+   * @param {string} versionId - Version that made the prediction
+   * @returns {Object} Prediction with a calibrated probability
+   */
+  calibrate(prediction, versionId) {
+    const calibration = this.calibrations[versionId] || null;
+    
+    return {
+      ...prediction,
+      versionId,
+      rawProbability: prediction.probability,
+      probability: applyCalibration(calibration, prediction.probability),
+      calibrated: calibration !== null
+    };
+  }
+
   /**
    * Apply user preferences to prediction
    * @param {Object} prediction - Prediction result
@@ -185,15 +836,19 @@ export default class ModelManager {
     // Clone prediction to avoid modifying the original
     const adjustedPrediction = { ...prediction };
     
-    // Adjust based on nudge frequency preference
-    switch (userPreferences.nudgeFrequency) {
-      case 'low':
-        adjustedPrediction.probability *= 0.7;
-        break;
-      case 'high':
-        adjustedPrediction.probability *= 1.3;
-        break;
-      // 'medium' is default, no adjustment needed
+    // Adjust uncalibrated scores based on nudge frequency preference. Calibrated
+    // probabilities are left alone: scaling them would undo the calibration, and
+    // the nudge governor already spaces nudges out by nudge frequency.
+    if (!prediction.calibrated) {
+      switch (userPreferences.nudgeFrequency) {
+        case 'low':
+          adjustedPrediction.probability *= 0.7;
+          break;
+        case 'high':
+          adjustedPrediction.probability *= 1.3;
+          break;
+        // 'medium' is default, no adjustment needed
+      }
     }
     
     // Cap probability at 1.0
@@ -216,65 +871,121 @@ export default class ModelManager {
     
     let distractionScore = 0;
     let confidence = 0.6; // Base confidence for rule-based model
+    let domainAdjustment = 0;
+    const contributions = {};
+    const values = { ...features, visits: sessionData.visits };
     
     // Rule 1: Known distraction domains
-    const knownDistractionDomains = [
-      'youtube.com',
-      'facebook.com',
-      'twitter.com',
-      'instagram.com',
-      'reddit.com',
-      'tiktok.com',
-      'netflix.com',
-      'hulu.com',
-      'twitch.tv'
-    ];
-    
-    if (knownDistractionDomains.some(d => domain.includes(d))) {
+    if (isDistractionDomain(domain)) {
       distractionScore += 0.4;
+      domainAdjustment = 0.4;
     }
     
     // Rule 2: Time spent on domain
     if (features.timeSpent > 15 * 60 * 1000) { // More than 15 minutes
-      distractionScore += 0.4;
+      contributions.timeSpent = 0.4;
     } else if (features.timeSpent > 10 * 60 * 1000) { // More than 10 minutes
-      distractionScore += 0.3;
+      contributions.timeSpent = 0.3;
     } else if (features.timeSpent > 5 * 60 * 1000) { // More than 5 minutes
-      distractionScore += 0.2;
+      contributions.timeSpent = 0.2;
     }
     
     // Rule 3: Scroll behavior (high scroll count with low click count suggests mindless scrolling)
     if (features.scrollCount > 50 && features.clickCount < 5) {
-      distractionScore += 0.3;
+      contributions.scrollCount = 0.3;
     }
     
     // Rule 4: Video watching
     if (features.hasVideo && features.videoWatchTime > 5 * 60) { // More than 5 minutes
-      distractionScore += 0.3;
+      contributions.videoWatchTime = 0.3;
     }
     
     // Rule 5: Content type
     if (features.contentType === 'video' || features.contentType === 'social') {
-      distractionScore += 0.2;
+      contributions.contentType = 0.2;
     }
     
     // Rule 6: Session history
     if (sessionData.visits > 5) { // Visited many times
-      distractionScore += 0.1;
+      contributions.visits = 0.1;
     }
     
     // Rule 7: Idle time
     if (features.idleTime > 2 * 60 * 1000) { // More than 2 minutes idle
-      distractionScore -= 0.2; // Less likely to be a distraction if user is idle
+      contributions.idleTime = -0.2; // Less likely to be a distraction if user is idle
     }
     
+    distractionScore += Object.values(contributions).reduce((sum, contribution) => sum + contribution, 0);
+    
     // Cap at 1.0
     distractionScore = Math.min(distractionScore, 1.0);
     
     return {
       isDistraction: distractionScore > 0.5,
       probability: distractionScore,
-      confidence: confidence
+      confidence: confidence,
+      explanation: createExplanation(contributions, values, domainAdjustment)
     };
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Load the model disagreement log
+ * @returns {Promise<Array>} Disagreements, oldest first
+ */
+export async function loadModelDisagreements() {
+  const result = await chrome.storage.local.get(DISAGREEMENTS_KEY);
+  return Array.isArray(result[DISAGREEMENTS_KEY]) ? result[DISAGREEMENTS_KEY] : [];
+}
+
+/**
+ * Log an ensemble prediction whose members disagreed, for later review
+ * @param {string} domain - Domain the prediction was made for
+ * @param {Object} prediction - Ensemble prediction result
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function recordModelDisagreement(domain, prediction) {
+  const entry = {
+    timestamp: Date.now(),
+    domain,
+    method: prediction.method,
+    probability: prediction.probability,
+    disagreement: prediction.disagreement,
+    predictions: prediction.contributions.map(({ modelType, version, probability, confidence }) => ({
+      modelType, version, probability, confidence
+    }))
+  };
+
+  const disagreements = await loadModelDisagreements();
+  disagreements.push(entry);
+  await chrome.storage.local.set({ [DISAGREEMENTS_KEY]: disagreements.slice(-MAX_DISAGREEMENTS) });
+
+  return entry;
+}
+
+/**
+ * Fill in and clamp an ensemble configuration
+ * @param {Object} config - Ensemble configuration
+ * @returns {Object} Ensemble configuration
+ */
+function normalizeEnsembleConfig(config) {
+  const toNumbers = (values, min) => Object.fromEntries(
+    Object.entries(values || {})
+      .filter(([, value]) => Number.isFinite(Number(value)))
+      .map(([modelType, value]) => [modelType, Math.max(min, Number(value))])
+  );
+  const stacking = config.stacking || DEFAULT_ENSEMBLE_CONFIG.stacking;
+  const disagreementThreshold = Number(config.disagreementThreshold);
+
+  return {
+    method: Object.values(ENSEMBLE_METHODS).includes(config.method) ? config.method : ENSEMBLE_METHODS.WEIGHTED,
+    weights: toNumbers(config.weights, 0),
+    stacking: {
+      intercept: Number(stacking.intercept) || 0,
+      coefficients: toNumbers(stacking.coefficients, -Infinity)
+    },
+    disagreementThreshold: Number.isFinite(disagreementThreshold)
+      ? Math.max(0, Math.min(1, disagreementThreshold))
+      : DEFAULT_ENSEMBLE_CONFIG.disagreementThreshold
+  };
+}
@@ -0,0 +1,267 @@
+/**
+ * Focus Nudge - Model Registry
+ *
+ * This module keeps track of the model versions the extension can run, with
+ * their metadata (training date, feature schema, metrics). One version is
+ * active and makes the predictions that drive nudges; other versions can run
+ * in shadow mode on the same inputs so they can be compared before they are
+ * promoted. Every promotion is remembered so it can be rolled back.
+ */
+
+// Storage key for the registry
+const STORAGE_KEY = 'modelRegistry';
+
+// Registry limits
+export const REGISTRY_LIMITS = {
+  maxTrainedVersions: 5, // Older trained versions are dropped unless active or in shadow
+  maxHistory: 10         // Promotions that can be rolled back
+};
+
+/**
+ * Build the ID of a model version
+ * @param {string} modelType - Model type from MODEL_TYPES
+ * @param {string} version - Model version
+ * @returns {string} Version ID
+ */
+export function createVersionId(modelType, version) {
+  return `${modelType}@${version}`;
+}
+
+/**
+ * Model Registry class
+ */
+export default class ModelRegistry {
+  constructor() {
+    this.versions = [];
+    this.activeId = null;
+    this.currentIds = {}; // Model type -> version used for that type (e.g. by the ensemble)
+    this.shadowIds = [];
+    this.history = [];    // Previously active version IDs, most recent last
+  }
+
+  /**
+   * Load the registry from storage
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    const stored = result[STORAGE_KEY];
+    if (!stored) return;
+
+    this.versions = Array.isArray(stored.versions) ? stored.versions : [];
+    this.activeId = stored.activeId || null;
+    this.currentIds = stored.currentIds || {};
+    this.shadowIds = Array.isArray(stored.shadowIds) ? stored.shadowIds : [];
+    this.history = Array.isArray(stored.history) ? stored.history : [];
+  }
+
+  /**
+   * Save the registry to storage
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await chrome.storage.local.set({
+      [STORAGE_KEY]: {
+        versions: this.versions,
+        activeId: this.activeId,
+        currentIds: this.currentIds,
+        shadowIds: this.shadowIds,
+        history: this.history
+      }
+    });
+  }
+
+  /**
+   * Add a model version, or update the metadata of a known one
+   * @param {Object} entry - Version metadata
+   * @param {string} entry.modelType - Model type from MODEL_TYPES
+   * @param {string} entry.version - Model version
+   * @param {number} [entry.trainedAt] - When the version was trained
+   * @param {Array<string>} [entry.featureSchema] - Features the version reads
+   * @param {Object} [entry.metrics] - Training metrics
+   * @param {Object} [entry.artifact] - Data needed to rebuild the version (e.g. trained trees)
+   * @returns {Object} Registered version
+   */
+  register(entry) {
+    const id = createVersionId(entry.modelType, entry.version);
+    const existing = this.get(id);
+
+    if (existing) {
+      Object.assign(existing, {
+        trainedAt: entry.trainedAt !== undefined ? entry.trainedAt : existing.trainedAt,
+        featureSchema: entry.featureSchema || existing.featureSchema,
+        metrics: { ...existing.metrics, ...entry.metrics },
+        artifact: entry.artifact || existing.artifact
+      });
+      return existing;
+    }
+
+    const version = {
+      id,
+      modelType: entry.modelType,
+      version: entry.version,
+      registeredAt: Date.now(),
+      trainedAt: entry.trainedAt || null,
+      featureSchema: entry.featureSchema || [],
+      metrics: entry.metrics || {},
+      artifact: entry.artifact || null
+    };
+
+    this.versions.push(version);
+    this._prune();
+    return version;
+  }
+
+  /**
+   * Get a model version
+   * @param {string} id - Version ID
+   * @returns {Object|null} Version, or null if unknown
+   */
+  get(id) {
+    return this.versions.find(version => version.id === id) || null;
+  }
+
+  /**
+   * Get the active model version
+   * @returns {Object|null} Active version
+   */
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * Get the version used for a model type
+   * @param {string} modelType - Model type from MODEL_TYPES
+   * @returns {Object|null} Current version of the type, or its latest registered version
+   */
+  getCurrent(modelType) {
+    return this.get(this.currentIds[modelType]) ||
+      this.versions.filter(version => version.modelType === modelType).pop() ||
+      null;
+  }
+
+  /**
+   * Make a version the active one
+   * @param {string} id - Version ID
+   * @returns {Object} Promoted version
+   */
+  promote(id) {
+    const version = this._require(id);
+
+    if (this.activeId && this.activeId !== id) {
+      this.history = [...this.history, this.activeId].slice(-REGISTRY_LIMITS.maxHistory);
+    }
+
+    this.activeId = id;
+    this.currentIds[version.modelType] = id;
+    this.shadowIds = this.shadowIds.filter(shadowId => shadowId !== id);
+    return version;
+  }
+
+  /**
+   * Make a version the one used for its model type without making it active
+   * @param {string} id - Version ID
+   * @returns {Object} Version
+   */
+  setCurrent(id) {
+    const version = this._require(id);
+    this.currentIds[version.modelType] = id;
+    return version;
+  }
+
+  /**
+   * Return to the version that was active before the last promotion
+   * @returns {Object} Version that is active again
+   */
+  rollback() {
+    const previousId = [...this.history].reverse().find(id => this.get(id));
+    if (!previousId) {
+      throw new Error('There is no earlier model version to roll back to');
+    }
+
+    this.history = this.history.slice(0, this.history.lastIndexOf(previousId));
+    const version = this.get(previousId);
+    this.activeId = previousId;
+    this.currentIds[version.modelType] = previousId;
+    this.shadowIds = this.shadowIds.filter(shadowId => shadowId !== previousId);
+    return version;
+  }
+
+  /**
+   * Run a version in shadow mode, or stop doing so
+   * @param {string} id - Version ID
+   * @param {boolean} enabled - Whether the version should run in shadow mode
+   * @returns {Object} Version
+   */
+  setShadow(id, enabled) {
+    const version = this._require(id);
+
+    if (enabled && id === this.activeId) {
+      throw new Error('The active model version can\'t also run in shadow mode');
+    }
+
+    this.shadowIds = this.shadowIds.filter(shadowId => shadowId !== id);
+    if (enabled) {
+      this.shadowIds.push(id);
+    }
+    return version;
+  }
+
+  /**
+   * Count a shadow prediction and whether it agreed with the active version
+   * @param {string} id - Version ID
+   * @param {boolean} agreed - Whether both versions made the same call
+   */
+  recordShadowResult(id, agreed) {
+    const version = this.get(id);
+    if (!version) return;
+
+    const shadow = version.metrics.shadow || { predictions: 0, agreements: 0 };
+    version.metrics.shadow = {
+      predictions: shadow.predictions + 1,
+      agreements: shadow.agreements + (agreed ? 1 : 0)
+    };
+  }
+
+  /**
+   * List the versions without their artifacts
+   * @returns {Array} Version metadata with active and shadow flags
+   */
+  list() {
+    return this.versions.map(({ artifact, ...version }) => ({
+      ...version,
+      active: version.id === this.activeId,
+      shadow: this.shadowIds.includes(version.id)
+    }));
+  }
+
+  /**
+   * Get a version or fail
+   * @private
+   */
+  _require(id) {
+    const version = this.get(id);
+    if (!version) {
+      throw new Error(`Unknown model version: ${id}`);
+    }
+    return version;
+  }
+
+  /**
+   * Drop the oldest trained versions that are not in use
+   * @private
+   */
+  _prune() {
+    const inUse = new Set([this.activeId, ...this.shadowIds, ...Object.values(this.currentIds)]);
+    const trained = this.versions.filter(version => version.artifact);
+
+    const removable = trained
+      .filter(version => !inUse.has(version.id))
+      .slice(0, Math.max(0, trained.length - REGISTRY_LIMITS.maxTrainedVersions));
+    if (removable.length === 0) return;
+
+    const removed = new Set(removable.map(version => version.id));
+    this.versions = this.versions.filter(version => !removed.has(version.id));
+    this.history = this.history.filter(id => !removed.has(id));
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * Focus Nudge - Probability Calibration
+ *
+ * Model scores are not probabilities: the rule-based model adds fixed
+ * increments and the forest averages votes. This module fits a calibration
+ * for each model version from the user's rated nudges, so that a calibrated
+ * score of 0.7 means roughly a 70% chance the user agrees it was a
+ * distraction. Platt scaling (a logistic fit over the score's log-odds) is
+ * used until there are enough labels for isotonic regression.
+ *
+ * Only nudged behavior gets rated, so the labels cluster above the
+ * distraction threshold; calibration below it is extrapolated.
+ */
+
+import { RESPONSE_LABELS } from '../src/features/nudgeFeedback.js';
+
+// Storage key for the fitted calibrations, keyed by model version ID
+const STORAGE_KEY = 'probabilityCalibration';
+
+// Ways a calibration is fitted
+export const CALIBRATION_METHODS = {
+  PLATT: 'platt',      // Logistic regression over the score's log-odds
+  ISOTONIC: 'isotonic' // Monotonic step function (pool adjacent violators)
+};
+
+// Calibration settings
+export const CALIBRATION_CONFIG = {
+  minLabels: 20,         // Same minimum as on-device training
+  minPerClass: 5,
+  isotonicMinLabels: 100, // Isotonic regression overfits small samples
+  plattIterations: 50,
+  plattSlopePrior: 1,     // Ridge penalty keeping the slope near 1 when the scores barely vary
+  curveBins: 10
+};
+
+/**
+ * Get the labelled scores of a model version from nudge records
+ * @param {Array} records - Nudge records from nudgeFeedback.js
+ * @param {string} versionId - Model version ID
+ * @returns {Array} Samples ({ probability, label }) with the uncalibrated score
+ */
+export function buildCalibrationSamples(records, versionId) {
+  return records
+    .filter(record => record.modelVersionId === versionId &&
+      record.response in RESPONSE_LABELS &&
+      Number.isFinite(record.rawScore))
+    .map(record => ({ probability: record.rawScore, label: RESPONSE_LABELS[record.response] }));
+}
+
+/**
+ * Fit a calibration to labelled scores
+ * @param {Array} samples - Samples ({ probability, label })
+ * @param {Object} config - Calibration settings
+ * @returns {Object|null} Calibration ({ method, params, sampleCount, positiveCount, fittedAt, curve }),
+ *   or null if there are too few labels
+ */
+export function fitCalibration(samples, config = CALIBRATION_CONFIG) {
+  const positiveCount = samples.filter(sample => sample.label === 1).length;
+  const negativeCount = samples.length - positiveCount;
+  if (samples.length < config.minLabels || Math.min(positiveCount, negativeCount) < config.minPerClass) {
+    return null;
+  }
+
+  const method = samples.length >= config.isotonicMinLabels ? CALIBRATION_METHODS.ISOTONIC : CALIBRATION_METHODS.PLATT;
+  const calibration = {
+    method,
+    params: method === CALIBRATION_METHODS.ISOTONIC ? fitIsotonic(samples) : fitPlatt(samples, config),
+    sampleCount: samples.length,
+    positiveCount,
+    fittedAt: Date.now()
+  };
+
+  // Reliability of the scores before and after calibration, for the insights page
+  calibration.curve = {
+    before: buildCalibrationCurve(samples, config.curveBins),
+    after: buildCalibrationCurve(samples.map(({ probability, label }) => ({
+      probability: applyCalibration(calibration, probability),
+      label
+    })), config.curveBins)
+  };
+
+  return calibration;
+}
+
+/**
+ * Map a model score to a calibrated probability
+ * @param {Object|null} calibration - Calibration from fitCalibration
+ * @param {number} probability - Model score
+ * @returns {number} Calibrated probability (the score itself without a calibration)
+ */
+export function applyCalibration(calibration, probability) {
+  if (!calibration) return probability;
+
+  if (calibration.method === CALIBRATION_METHODS.PLATT) {
+    const { slope, intercept } = calibration.params;
+    return sigmoid(slope * logit(probability) + intercept);
+  }
+
+  // Interpolate between the isotonic blocks, flat beyond the first and last
+  const points = calibration.params.points;
+  if (probability <= points[0].x) return points[0].y;
+
+  for (let i = 1; i < points.length; i++) {
+    if (probability <= points[i].x) {
+      const from = points[i - 1];
+      const to = points[i];
+      return from.y + (to.y - from.y) * (probability - from.x) / (to.x - from.x);
+    }
+  }
+  return points[points.length - 1].y;
+}
+
+/**
+ * Fit Platt scaling with Newton's method
+ *
+ * Labels are smoothed as in Platt's paper, so a few labels of one class
+ * don't push the calibrated probabilities to 0 or 1. A ridge penalty keeps
+ * the slope near 1 (scores taken as they are) when the scores are too close
+ * together to estimate it.
+ *
+ * @param {Array} samples - Samples ({ probability, label })
+ * @param {Object} config - Calibration settings
+ * @returns {Object} Parameters ({ slope, intercept }) applied to the score's log-odds
+ */
+export function fitPlatt(samples, config = CALIBRATION_CONFIG) {
+  const positives = samples.filter(sample => sample.label === 1).length;
+  const negatives = samples.length - positives;
+  const highTarget = (positives + 1) / (positives + 2);
+  const lowTarget = 1 / (negatives + 2);
+
+  const points = samples.map(({ probability, label }) => ({
+    x: logit(probability),
+    target: label === 1 ? highTarget : lowTarget
+  }));
+
+  // Penalized log loss (targets are smoothed, so it is the cross-entropy)
+  const loss = (slope, intercept) => points.reduce((sum, { x, target }) => {
+    const z = slope * x + intercept;
+    // log(1 + e^z) - target * z, computed without overflow
+    return sum + Math.max(z, 0) + Math.log1p(Math.exp(-Math.abs(z))) - target * z;
+  }, config.plattSlopePrior * (slope - 1) ** 2 / 2);
+
+  let slope = 1;
+  let intercept = 0;
+  let currentLoss = loss(slope, intercept);
+
+  for (let iteration = 0; iteration < config.plattIterations; iteration++) {
+    // Gradient and Hessian of the penalized log loss
+    let gradSlope = config.plattSlopePrior * (slope - 1), gradIntercept = 0;
+    let hSlope = config.plattSlopePrior, hIntercept = 1e-6, hCross = 0;
+
+    for (const { x, target } of points) {
+      const p = sigmoid(slope * x + intercept);
+      const weight = p * (1 - p);
+      gradSlope += (p - target) * x;
+      gradIntercept += p - target;
+      hSlope += weight * x * x;
+      hIntercept += weight;
+      hCross += weight * x;
+    }
+
+    const determinant = hSlope * hIntercept - hCross * hCross;
+    if (Math.abs(determinant) < 1e-12) break;
+
+    const stepSlope = (hIntercept * gradSlope - hCross * gradIntercept) / determinant;
+    const stepIntercept = (hSlope * gradIntercept - hCross * gradSlope) / determinant;
+
+    // Newton steps overshoot when the scores are saturated, so halve the step until the loss drops
+    let stepSize = 1;
+    while (stepSize > 1e-6 && loss(slope - stepSize * stepSlope, intercept - stepSize * stepIntercept) > currentLoss) {
+      stepSize /= 2;
+    }
+    if (stepSize <= 1e-6) break;
+
+    slope -= stepSize * stepSlope;
+    intercept -= stepSize * stepIntercept;
+    currentLoss = loss(slope, intercept);
+
+    if (Math.abs(stepSize * stepSlope) < 1e-6 && Math.abs(stepSize * stepIntercept) < 1e-6) break;
+  }
+
+  return { slope, intercept };
+}
+
+/**
+ * Fit isotonic regression with the pool adjacent violators algorithm
+ * @param {Array} samples - Samples ({ probability, label })
+ * @returns {Object} Parameters ({ points: [{ x, y }] }), one point per block at its mean score
+ */
+export function fitIsotonic(samples) {
+  const blocks = [];
+
+  for (const { probability, label } of [...samples].sort((a, b) => a.probability - b.probability)) {
+    blocks.push({ scoreSum: probability, labelSum: label, count: 1 });
+
+    // Merge blocks until the observed rates increase with the score
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.labelSum / previous.count < last.labelSum / last.count) break;
+
+      blocks.pop();
+      previous.scoreSum += last.scoreSum;
+      previous.labelSum += last.labelSum;
+      previous.count += last.count;
+    }
+  }
+
+  return {
+    points: blocks.map(block => ({
+      x: block.scoreSum / block.count,
+      y: clampProbability(block.labelSum / block.count)
+    }))
+  };
+}
+
+/**
+ * Bin labelled scores by predicted probability
+ * @param {Array} samples - Samples ({ probability, label })
+ * @param {number} binCount - Number of equal-width bins
+ * @returns {Array} Non-empty bins ({ from, to, count, meanProbability, observedRate })
+ */
+export function buildCalibrationCurve(samples, binCount = CALIBRATION_CONFIG.curveBins) {
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: i / binCount,
+    to: (i + 1) / binCount,
+    count: 0,
+    probabilitySum: 0,
+    positives: 0
+  }));
+
+  for (const { probability, label } of samples) {
+    const bin = bins[Math.max(0, Math.min(binCount - 1, Math.floor(probability * binCount)))];
+    bin.count++;
+    bin.probabilitySum += probability;
+    bin.positives += label;
+  }
+
+  return bins
+    .filter(bin => bin.count > 0)
+    .map(({ from, to, count, probabilitySum, positives }) => ({
+      from,
+      to,
+      count,
+      meanProbability: probabilitySum / count,
+      observedRate: positives / count
+    }));
+}
+
+/**
+ * Load the fitted calibrations
+ * @returns {Promise<Object>} Calibrations by model version ID
+ */
+export async function loadCalibrations() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  return result[STORAGE_KEY] || {};
+}
+
+/**
+ * Save the fitted calibrations
+ * @param {Object} calibrations - Calibrations by model version ID
+ * @returns {Promise<void>}
+ */
+export async function saveCalibrations(calibrations) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: calibrations });
+}
+
+/**
+ * Log-odds of a probability, clamped so 0 and 1 stay finite
+ * @param {number} probability - Probability
+ * @returns {number} Log-odds
+ */
+export function logit(probability) {
+  const p = clampProbability(probability);
+  return Math.log(p / (1 - p));
+}
+
+/**
+ * Logistic function
+ * @param {number} score - Log-odds
+ * @returns {number} Probability
+ */
+export function sigmoid(score) {
+  return 1 / (1 + Math.exp(-score));
+}
+
+/**
+ * Keep a probability away from 0 and 1
+ * @param {number} probability - Probability
+ * @returns {number} Probability between 0.01 and 0.99
+ */
+function clampProbability(probability) {
+  return Math.max(0.01, Math.min(0.99, probability));
+}
@@ -0,0 +1,125 @@
+/**
+ * Focus Nudge - Prediction Explanations
+ *
+ * Every prediction carries an explanation: the features that moved the
+ * probability the most, with their values and contributions, and the domain
+ * adjustment that was applied on top. Contributions are in probability units,
+ * so "timeSpent 22m (+0.35)" means time spent raised the score by 0.35.
+ */
+
+// Number of features kept in an explanation
+export const TOP_FEATURES = 3;
+
+/**
+ * Build an explanation from per-feature contributions
+ * @param {Object} contributions - Contribution per feature name
+ * @param {Object} values - Feature values by name
+ * @param {number} domainAdjustment - Domain adjustment that was applied
+ * @returns {Object} Explanation ({ features: [{ name, value, contribution }], domainAdjustment })
+ */
+export function createExplanation(contributions, values, domainAdjustment = 0) {
+  const features = Object.entries(contributions)
+    .filter(([, contribution]) => Math.abs(contribution) >= 0.005)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, TOP_FEATURES)
+    .map(([name, contribution]) => ({
+      name,
+      value: values[name] !== undefined ? values[name] : null,
+      contribution: round(contribution)
+    }));
+
+  return { features, domainAdjustment: round(domainAdjustment) };
+}
+
+/**
+ * Combine the explanations of several models
+ * @param {Array<{explanation: Object, share: number}>} members - Explanations and the share each model has in the result
+ * @returns {Object|null} Combined explanation, or null if no model explained its prediction
+ */
+export function combineExplanations(members) {
+  const explained = members.filter(member => member.explanation);
+  if (explained.length === 0) return null;
+
+  const contributions = {};
+  const values = {};
+  let domainAdjustment = 0;
+
+  for (const { explanation, share } of explained) {
+    for (const { name, value, contribution } of explanation.features) {
+      contributions[name] = (contributions[name] || 0) + share * contribution;
+      values[name] = value;
+    }
+    domainAdjustment += share * explanation.domainAdjustment;
+  }
+
+  return createExplanation(contributions, values, domainAdjustment);
+}
+
+/**
+ * Describe an explanation in one line, e.g. "timeSpent 22m (+0.35), scrollCount 80 (+0.2)"
+ * @param {Object} explanation - Explanation
+ * @returns {string} Description, empty if there is nothing to explain
+ */
+export function formatExplanation(explanation) {
+  if (!explanation) return '';
+
+  const parts = explanation.features.map(({ name, value, contribution }) =>
+    `${name}${value !== null ? ` ${formatFeatureValue(name, value)}` : ''} (${formatContribution(contribution)})`
+  );
+
+  if (explanation.domainAdjustment) {
+    parts.push(`domain adjustment (${formatContribution(explanation.domainAdjustment)})`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Format a feature value for display
+ * @param {string} name - Feature name
+ * @param {*} value - Feature value
+ * @returns {string} Formatted value
+ */
+function formatFeatureValue(name, value) {
+  if (typeof value !== 'number') return String(value);
+
+  switch (name) {
+    case 'timeSpent':
+    case 'idleTime':
+      return formatDuration(value);
+    case 'videoWatchTime':
+      return formatDuration(value * 1000); // Seconds
+    case 'scrollDepth':
+      return `${Math.round(value * 100)}%`;
+    default:
+      return String(Math.round(value * 100) / 100);
+  }
+}
+
+/**
+ * Format a duration
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  return minutes >= 1 ? `${minutes}m` : `${Math.round(ms / 1000)}s`;
+}
+
+/**
+ * Format a signed contribution
+ * @param {number} contribution - Contribution
+ * @returns {string} Formatted contribution
+ */
+function formatContribution(contribution) {
+  return `${contribution >= 0 ? '+' : ''}${contribution}`;
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
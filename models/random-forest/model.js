@@ -2,15 +2,19 @@
  * Random Forest Model for Distraction Detection
  * 
  * This module implements a Random Forest model for distraction detection.
- * It uses a simplified JavaScript implementation for service worker compatibility.
+ * Predictions run in JavaScript, which works in the service worker. The shipped
+ * forest can also run as an ONNX model in an offscreen document (see
+ * onnxClient.js); predictAsync uses it when available and falls back to the
+ * JavaScript trees otherwise.
  */
 
-// ONNX Runtime is not supported in service workers, so we'll use only the JS implementation
-const ort = null;
+import { getDomainAdjustment } from '../../src/features/domainRegistry.js';
+import { createExplanation } from '../explanation.js';
 
-// Feature names and their importance (based on actual model training)
-const FEATURES = [
-  { name: 'timeSpent', importance: 0.3644 },
+// Feature names and their importance (based on actual model training).
+// exportScale converts train_model.py units to extension units (seconds to milliseconds).
+export const FEATURES = [
+  { name: 'timeSpent', importance: 0.3644, exportScale: 1000 },
   { name: 'scrollDepth', importance: 0.3392 },
   { name: 'videoWatchTime', importance: 0.1497 },
   { name: 'tabSwitches', importance: 0.0577 },
@@ -18,6 +22,16 @@ const FEATURES = [
   { name: 'scrollCount', importance: 0.0320 }
 ];
 
+// Input order of the ONNX model (the column order in train_model.py)
+export const ONNX_INPUT_FEATURES = ['timeSpent', 'scrollCount', 'scrollDepth', 'clickCount', 'tabSwitches', 'videoWatchTime'];
+
+// Version of the model shipped with the extension
+export const SHIPPED_VERSION = '0.2.0';
+
+// Files written by train_model.py
+const TREES_DATA_URL = new URL('./model_data/trees_data.json', import.meta.url);
+const FEATURE_IMPORTANCE_URL = new URL('./model_data/feature_importance.json', import.meta.url);
+
 // Decision thresholds for each feature (simplified decision trees)
 const DECISION_THRESHOLDS = {
   timeSpent: [
@@ -52,37 +66,19 @@ const DECISION_THRESHOLDS = {
   ]
 };
 
-// Domain-specific adjustments
-const DOMAIN_ADJUSTMENTS = {
-  'youtube.com': 0.2,
-  'facebook.com': 0.2,
-  'twitter.com': 0.2,
-  'instagram.com': 0.2,
-  'reddit.com': 0.2,
-  'tiktok.com': 0.3,
-  'netflix.com': 0.2,
-  'hulu.com': 0.2,
-  'amazon.com': 0.1,
-  'ebay.com': 0.1
-};
-
 /**
  * Random Forest Model class
  */
 export default class RandomForestModel {
   constructor() {
-    this.version = '0.2.0';
+    this.version = SHIPPED_VERSION;
     this.isLoaded = false;
     this.trees = [];
-    this.featureImportance = FEATURES.reduce((acc, feature) => {
-      acc[feature.name] = feature.importance;
-      return acc;
-    }, {});
-    
-    // ONNX is disabled in service workers
-    this.useOnnx = false;
-    this.onnxSession = null;
-    this.onnxModel = null;
+    this.exportedTrees = null; // Trees loaded from trees_data.json
+    this.trainedTrees = null; // Trees trained on the user's feedback (see trainer.js)
+    this.trainedAt = null;
+    this.featureImportance = getShippedFeatureImportance();
+    this.onnxPredictor = null; // Runs the ONNX model, see useOnnx
   }
 
   /**
@@ -91,12 +87,31 @@ export default class RandomForestModel {
    */
   async load() {
     try {
-      console.log('Loading Random Forest model (JavaScript implementation)');
+      console.log('Loading Random Forest model');
       
-      // Always use JavaScript implementation in service workers
-      this.useOnnx = false;
       this.trees = this._createDecisionTrees();
       
+      // Start from the shipped model; a trained forest is applied afterwards
+      this.trainedTrees = null;
+      this.trainedAt = null;
+      this.version = SHIPPED_VERSION;
+      this.featureImportance = getShippedFeatureImportance();
+      
+      // Prefer the exported forest, keeping the threshold trees if it can't be used
+      try {
+        this.exportedTrees = parseTreesData(await fetchJson(TREES_DATA_URL));
+        console.log(`Loaded ${this.exportedTrees.length} exported trees`);
+      } catch (error) {
+        this.exportedTrees = null;
+        console.warn(`Using built-in threshold trees: ${error.message}`);
+      }
+      
+      try {
+        this.featureImportance = parseFeatureImportance(await fetchJson(FEATURE_IMPORTANCE_URL));
+      } catch (error) {
+        console.warn(`Using built-in feature importance: ${error.message}`);
+      }
+      
       this.isLoaded = true;
       return true;
     } catch (error) {
@@ -105,6 +120,26 @@ export default class RandomForestModel {
     }
   }
 
+  /**
+   * Use a forest trained on the user's feedback instead of the shipped trees
+   * @param {Object} trainedModel - Trained forest from trainer.js
+   */
+  useTrainedForest(trainedModel) {
+    this.trainedTrees = trainedModel.trees;
+    this.trainedAt = trainedModel.trainedAt;
+    this.version = trainedModel.version;
+    this.featureImportance = trainedModel.featureImportance;
+  }
+
+  /**
+   * Run the shipped forest as an ONNX model when possible
+   * @param {Function|null} predictor - Async function taking ONNX inputs (see toOnnxInput) and
+   *   returning the probability of distraction, or null when the ONNX model can't be run
+   */
+  useOnnx(predictor) {
+    this.onnxPredictor = predictor;
+  }
+
   /**
    * Predict whether the current behavior is a distraction
    * @param {Object} features - Feature values
@@ -117,42 +152,81 @@ export default class RandomForestModel {
       return { isDistraction: false, probability: 0, confidence: 0 };
     }
     
-    let probability, confidence;
+    // Get predictions from each tree, summing what each feature added along the way
+    const forest = this.trainedTrees || this.exportedTrees;
+    const treeContributions = {};
+    const predictions = forest
+      ? forest.map(tree => this._evaluateTree(tree, features, treeContributions))
+      : this.trees.map(tree => this._predictTree(tree, features, treeContributions));
     
-    if (this.useOnnx && this.onnxSession) {
-      // Use ONNX model for prediction
-      const result = this._predictOnnx(features);
-      probability = result.probability;
-      confidence = result.confidence;
-    } else {
-      // Use JavaScript implementation
-      // Get predictions from each tree
-      const predictions = this.trees.map(tree => this._predictTree(tree, features));
-      
-      // Average the predictions
-      probability = predictions.reduce((sum, pred) => sum + pred, 0) / predictions.length;
-      
-      // Calculate confidence based on variance of predictions
-      const variance = predictions.reduce((sum, pred) => sum + Math.pow(pred - probability, 2), 0) / predictions.length;
-      confidence = 1 - Math.sqrt(variance);
+    // Average the predictions (soft voting)
+    const probability = predictions.reduce((sum, pred) => sum + pred, 0) / predictions.length;
+    
+    const contributions = {};
+    for (const [name, contribution] of Object.entries(treeContributions)) {
+      contributions[name] = contribution / predictions.length;
     }
     
-    // Apply domain-specific adjustments
-    if (domain) {
-      for (const [domainPattern, adjustment] of Object.entries(DOMAIN_ADJUSTMENTS)) {
-        if (domain.includes(domainPattern)) {
-          probability += adjustment;
-          break;
+    // Calculate confidence based on variance of predictions
+    const variance = predictions.reduce((sum, pred) => sum + Math.pow(pred - probability, 2), 0) / predictions.length;
+    
+    return this._createPrediction(probability, 1 - Math.sqrt(variance), contributions, features, domain);
+  }
+
+  /**
+   * Predict with the ONNX model, falling back to predict()
+   *
+   * Only the shipped forest has an ONNX export; forests trained on the user's
+   * feedback always run in JavaScript. The ONNX model reports a probability
+   * but not the path through each tree, so its explanation only carries the
+   * domain adjustment.
+   *
+   * @param {Object} features - Feature values
+   * @param {string} domain - Current domain
+   * @returns {Promise<Object>} Prediction result
+   */
+  async predictAsync(features, domain) {
+    if (this.isLoaded && this.onnxPredictor && !this.trainedTrees) {
+      try {
+        const probability = await this.onnxPredictor(toOnnxInput(features));
+        if (Number.isFinite(probability)) {
+          // The share of the vote won by the predicted class
+          return this._createPrediction(probability, Math.max(probability, 1 - probability), {}, features, domain);
         }
+      } catch (error) {
+        console.error('ONNX prediction failed:', error);
       }
+    }
+    
+    return this.predict(features, domain);
+  }
+
+  /**
+   * Apply the domain adjustment and build the prediction result
+   * @param {number} probability - Probability from the forest
+   * @param {number} confidence - Confidence of the forest
+   * @param {Object} contributions - Contribution per feature
+   * @param {Object} features - Feature values
+   * @param {string} domain - Current domain
+   * @returns {Object} Prediction result
+   * @private
+   */
+  _createPrediction(probability, confidence, contributions, features, domain) {
+    // Apply domain-specific adjustments
+    let domainAdjustment = 0;
+    if (domain) {
+      const unadjusted = probability;
+      probability += getDomainAdjustment(domain);
       // Ensure probability is between 0 and 1
       probability = Math.max(0, Math.min(1, probability));
+      domainAdjustment = probability - unadjusted;
     }
     
     return {
       isDistraction: probability > 0.5,
       probability,
-      confidence
+      confidence,
+      explanation: createExplanation(contributions, features, domainAdjustment)
     };
   }
 
@@ -195,10 +269,11 @@ export default class RandomForestModel {
    * Predict using a single decision tree
    * @param {Object} tree - Decision tree
    * @param {Object} features - Feature values
+   * @param {Object} [contributions] - Adds each feature's share of the score
    * @returns {number} Prediction
    * @private
    */
-  _predictTree(tree, features) {
+  _predictTree(tree, features, contributions = {}) {
     let score = 0;
     
     // Calculate score based on feature values and weights
@@ -219,26 +294,147 @@ export default class RandomForestModel {
       }
       
       score += featureScore * weight;
+      contributions[featureName] = (contributions[featureName] || 0) + featureScore * weight;
     });
     
     return Math.min(score, 1.0);
   }
 
   /**
-   * Load ONNX model - disabled in service workers
+   * Predict using an exported or trained decision tree
+   *
+   * Each split on the path adds the change in mean prediction between the node
+   * and the child taken to that feature's contribution. Nodes without a mean
+   * (forests trained before means were stored) contribute nothing.
+   *
+   * @param {Object} node - Tree node ({ feature, threshold, mean, left, right } or { value })
+   * @param {Object} features - Feature values
+   * @param {Object} [contributions] - Adds each feature's contribution along the path
+   * @returns {number} Prediction
    * @private
    */
-  async _loadOnnxModel() {
-    console.warn('ONNX models are not supported in service workers');
-    throw new Error('ONNX not supported in service workers');
+  _evaluateTree(node, features, contributions = {}) {
+    while (node.value === undefined) {
+      const child = (Number(features[node.feature]) || 0) <= node.threshold ? node.left : node.right;
+      const childMean = child.value !== undefined ? child.value : child.mean;
+      
+      if (node.mean !== undefined && childMean !== undefined) {
+        contributions[node.feature] = (contributions[node.feature] || 0) + childMean - node.mean;
+      }
+      
+      node = child;
+    }
+    
+    return node.value;
   }
 
-  /**
-   * Predict using ONNX model - disabled in service workers
-   * @private
-   */
-  _predictOnnx(features) {
-    console.warn('ONNX prediction is not supported in service workers');
-    return { probability: 0.5, confidence: 0.5 };
+} 
+
+/**
+ * Convert feature values to the ONNX model's input, in train_model.py units
+ * @param {Object} features - Feature values in extension units
+ * @returns {Array<number>} Values in ONNX_INPUT_FEATURES order
+ */
+export function toOnnxInput(features) {
+  const scales = new Map(FEATURES.map(({ name, exportScale = 1 }) => [name, exportScale]));
+  return ONNX_INPUT_FEATURES.map(name => (Number(features[name]) || 0) / scales.get(name));
+}
+
+/**
+ * Get the feature importance of the shipped model
+ * @returns {Object} Feature importance by name
+ */
+function getShippedFeatureImportance() {
+  return FEATURES.reduce((acc, feature) => {
+    acc[feature.name] = feature.importance;
+    return acc;
+  }, {});
+}
+
+/**
+ * Fetch and parse a JSON file
+ * @param {URL} url - File URL
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url.pathname}: ${response.status}`);
   }
-} 
\ No newline at end of file
+  return response.json();
+}
+
+/**
+ * Validate exported trees and convert them to nested nodes
+ *
+ * Each tree holds sklearn's parallel node arrays (children_left,
+ * children_right, feature, threshold, value). Its feature_names must match
+ * FEATURES, and thresholds are converted to extension units on the way in.
+ * Split nodes keep their value as the mean used to explain predictions.
+ *
+ * @param {Array} treesData - Contents of trees_data.json
+ * @returns {Array} Trees as nested nodes ({ feature, threshold, mean, left, right } or { value })
+ */
+export function parseTreesData(treesData) {
+  if (!Array.isArray(treesData) || treesData.length === 0) {
+    throw new Error('trees_data.json contains no trees');
+  }
+
+  const knownFeatures = new Map(FEATURES.map(feature => [feature.name, feature]));
+
+  return treesData.map((tree, treeIndex) => {
+    const names = tree.feature_names;
+    if (!Array.isArray(names) || names.length !== knownFeatures.size || !names.every(name => knownFeatures.has(name))) {
+      throw new Error(`Tree ${treeIndex} features [${names}] don't match the model features`);
+    }
+
+    const { children_left: left, children_right: right, feature, threshold, value } = tree;
+    const nodeCount = Array.isArray(left) ? left.length : 0;
+    if (nodeCount === 0 || [right, feature, threshold, value].some(array => !Array.isArray(array) || array.length !== nodeCount)) {
+      throw new Error(`Tree ${treeIndex} has no tree structure; re-run train_model.py`);
+    }
+
+    const buildNode = (index) => {
+      if (left[index] === -1) {
+        if (!(value[index] >= 0 && value[index] <= 1)) {
+          throw new Error(`Tree ${treeIndex} leaf ${index} has invalid value ${value[index]}`);
+        }
+        return { value: value[index] };
+      }
+
+      // sklearn numbers children after their parent, which also rules out cycles
+      const validChild = child => Number.isInteger(child) && child > index && child < nodeCount;
+      if (!validChild(left[index]) || !validChild(right[index]) ||
+          !names[feature[index]] || !Number.isFinite(threshold[index])) {
+        throw new Error(`Tree ${treeIndex} node ${index} is malformed`);
+      }
+
+      const { name, exportScale = 1 } = knownFeatures.get(names[feature[index]]);
+      return {
+        feature: name,
+        threshold: threshold[index] * exportScale,
+        mean: value[index],
+        left: buildNode(left[index]),
+        right: buildNode(right[index])
+      };
+    };
+
+    return buildNode(0);
+  });
+}
+
+/**
+ * Validate exported feature importance
+ * @param {Object} importanceData - Contents of feature_importance.json
+ * @returns {Object} Feature importance by name
+ */
+export function parseFeatureImportance(importanceData) {
+  return FEATURES.reduce((acc, { name }) => {
+    const importance = importanceData ? importanceData[name] : undefined;
+    if (!Number.isFinite(importance) || importance < 0) {
+      throw new Error(`feature_importance.json has no valid value for ${name}`);
+    }
+    acc[name] = importance;
+    return acc;
+  }, {});
+}
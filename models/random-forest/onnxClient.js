@@ -0,0 +1,116 @@
+/**
+ * ONNX Client for the Random Forest Model
+ *
+ * Service workers can't run ONNX Runtime Web, so the ONNX model runs in an
+ * offscreen document (offscreen.html) and is reached by message passing. A
+ * request that fails or doesn't answer within the timeout returns null, and
+ * the ONNX model is not tried again until the retry interval has passed, so
+ * predictions fall back to the JavaScript forest without waiting each time.
+ * Until the document has answered once, requests wait for the longer cold
+ * start timeout: the document has to load ONNX Runtime Web, compile its
+ * WebAssembly and load the model first.
+ */
+
+// Offscreen document settings
+export const ONNX_CLIENT_CONFIG = {
+  documentPath: 'offscreen.html',
+  timeout: 1000,                // Longest wait for a prediction, in milliseconds
+  coldStartTimeout: 15000,      // Longest wait for the first prediction of a new document
+  retryInterval: 10 * 60 * 1000 // Wait after a failure before the ONNX model is tried again
+};
+
+/**
+ * ONNX Client class
+ */
+export default class OnnxClient {
+  constructor(config = ONNX_CLIENT_CONFIG) {
+    this.config = config;
+    this.failedAt = null;
+    this.creatingDocument = null;
+    this.isWarm = false;
+  }
+
+  /**
+   * Check whether the ONNX model should be tried
+   * @param {number} now - Current time
+   * @returns {boolean} Whether offscreen documents are supported and no failure is recent
+   */
+  isAvailable(now = Date.now()) {
+    if (typeof chrome === 'undefined' || !chrome.offscreen || !chrome.runtime) {
+      return false;
+    }
+    return this.failedAt === null || now - this.failedAt >= this.config.retryInterval;
+  }
+
+  /**
+   * Run the ONNX model in the offscreen document
+   * @param {Array<number>} input - Model input (see toOnnxInput in model.js)
+   * @returns {Promise<number|null>} Probability of distraction, or null if the ONNX model can't be run
+   */
+  async predict(input) {
+    if (!this.isAvailable()) return null;
+
+    try {
+      if (await this._ensureDocument()) {
+        this.isWarm = false;
+      }
+      const response = await withTimeout(
+        chrome.runtime.sendMessage({ target: 'offscreen', type: 'onnx_predict', input }),
+        this.isWarm ? this.config.timeout : this.config.coldStartTimeout
+      );
+
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'No response from the offscreen document');
+      }
+
+      this.failedAt = null;
+      this.isWarm = true;
+      return response.probability;
+    } catch (error) {
+      this.failedAt = Date.now();
+      console.warn(`ONNX model unavailable, using the JavaScript forest: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Create the offscreen document unless it already exists
+   * @returns {Promise<boolean>} Whether the document was created
+   * @private
+   */
+  async _ensureDocument() {
+    const documentUrl = chrome.runtime.getURL(this.config.documentPath);
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [documentUrl]
+    });
+    if (contexts.length > 0) return false;
+
+    // Only one offscreen document can exist, so concurrent callers share the creation
+    if (!this.creatingDocument) {
+      this.creatingDocument = chrome.offscreen.createDocument({
+        url: this.config.documentPath,
+        reasons: ['WORKERS'],
+        justification: 'Run the distraction detection model with ONNX Runtime Web (WebAssembly)'
+      }).finally(() => {
+        this.creatingDocument = null;
+      });
+    }
+    await this.creatingDocument;
+    return true;
+  }
+}
+
+/**
+ * Reject a promise that doesn't settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise} Result of the promise
+ */
+function withTimeout(promise, timeout) {
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${timeout}ms`)), timeout);
+  });
+  return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
@@ -12,6 +12,7 @@ from sklearn.model_selection import train_test_split
 from sklearn.metrics import accuracy_score, classification_report, confusion_matrix
 from skl2onnx import convert_sklearn
 from skl2onnx.common.data_types import FloatTensorType
+import argparse
 import os
 import json
 
@@ -66,12 +67,61 @@ def generate_synthetic_data(n_samples=1000):
     
     return df, y
 
-def train_and_export_model():
+# Feature columns, in the model's input order (ONNX_INPUT_FEATURES in model.js)
+FEATURE_COLUMNS = ["timeSpent", "scrollCount", "scrollDepth", "clickCount", "tabSwitches", "videoWatchTime"]
+
+# Nudge responses that label the nudged behavior (RESPONSE_LABELS in nudgeFeedback.js)
+RESPONSE_LABELS = {"useful": 1, "refocus": 1, "wrong": 0}
+
+def load_exported_feedback(path):
+    """
+    Load rated nudges from the feedback.csv of a Focus Nudge data export.
+    
+    Parameters:
+    -----------
+    path : str
+        Path to feedback.csv (exported as CSV, with any redaction profile)
+        
+    Returns:
+    --------
+    X : DataFrame
+        Features dataframe, in train_model.py units
+    y : Series
+        Labels (0 = Focused, 1 = Distracted)
+    """
+    df = pd.read_csv(path)
+    
+    # Nudges shown before feature logging, or never rated, can't be used
+    columns = [f"features.{name}" for name in FEATURE_COLUMNS]
+    missing = [column for column in columns if column not in df.columns]
+    if missing:
+        raise ValueError(f"{path} has no {', '.join(missing)} columns")
+    
+    df = df[df["response"].isin(RESPONSE_LABELS.keys())].dropna(subset=columns)
+    
+    X = df[columns].rename(columns=dict(zip(columns, FEATURE_COLUMNS))).reset_index(drop=True)
+    X["timeSpent"] = X["timeSpent"] / 1000  # The extension records milliseconds
+    y = df["response"].map(RESPONSE_LABELS).reset_index(drop=True)
+    
+    return X, y
+
+def train_and_export_model(data_path=None):
     """
     Train a Random Forest model and export it to ONNX format
+    
+    Parameters:
+    -----------
+    data_path : str, optional
+        feedback.csv from a data export to train on instead of synthetic data
     """
-    print("Generating synthetic training data...")
-    X, y = generate_synthetic_data(n_samples=2000)
+    if data_path:
+        print(f"Loading rated nudges from {data_path}...")
+        X, y = load_exported_feedback(data_path)
+        if len(X) < 20 or y.nunique() < 2:
+            raise ValueError(f"Need at least 20 rated nudges with both labels, got {len(X)}")
+    else:
+        print("Generating synthetic training data...")
+        X, y = generate_synthetic_data(n_samples=2000)
     
     # Split into training and test sets
     X_train, X_test, y_train, y_test = train_test_split(X, y, test_size=0.2, random_state=42)
@@ -119,8 +169,14 @@ def train_and_export_model():
     # Define input type
     initial_type = [('float_input', FloatTensorType([None, len(features)]))]
     
-    # Convert model
-    onnx_model = convert_sklearn(model, initial_types=initial_type, target_opset=12)
+    # Convert model. Without ZipMap, output_probability is a [N, 2] tensor,
+    # which ONNX Runtime Web can return (it doesn't support sequences of maps)
+    onnx_model = convert_sklearn(
+        model,
+        initial_types=initial_type,
+        target_opset=12,
+        options={id(model): {'zipmap': False}}
+    )
     
     # Save model
     output_path = 'onnx/random_forest_model.onnx'
@@ -129,15 +185,25 @@ def train_and_export_model():
     
     print(f"ONNX model saved to {output_path}")
     
-    # Extract and save decision trees (simplified for JavaScript implementation)
+    # Extract and save decision trees for the JavaScript implementation
     print("\nExtracting decision trees for JavaScript implementation...")
     
-    # We'll extract a simplified version of the first few trees
+    # Each tree is exported as sklearn's parallel node arrays. Leaves have
+    # children_left == -1; value holds the probability of "Distracted".
     trees_data = []
-    for i, tree in enumerate(model.estimators_[:5]):  # Just use first 5 trees for simplicity
+    for i, tree in enumerate(model.estimators_):
+        tree_ = tree.tree_
+        class_values = tree_.value[:, 0, :]
+        distracted_probability = class_values[:, 1] / class_values.sum(axis=1)
+        
         tree_data = {
             "treeIndex": i,
-            "feature_names": list(features)
+            "feature_names": list(features),
+            "children_left": tree_.children_left.tolist(),
+            "children_right": tree_.children_right.tolist(),
+            "feature": tree_.feature.tolist(),
+            "threshold": [round(float(t), 6) for t in tree_.threshold],
+            "value": [round(float(v), 6) for v in distracted_probability]
         }
         trees_data.append(tree_data)
     
@@ -151,11 +217,15 @@ if __name__ == "__main__":
     print("Focus Nudge - Random Forest Model Training")
     print("==========================================")
     
+    parser = argparse.ArgumentParser(description="Train the distraction detection model")
+    parser.add_argument("--data", help="feedback.csv from a Focus Nudge data export (CSV format)")
+    args = parser.parse_args()
+    
     try:
-        train_and_export_model()
+        train_and_export_model(args.data)
         print("\nNext steps:")
         print("1. Use the ONNX model with onnxruntime-web in your extension")
-        print("2. Update the JavaScript implementation with the extracted tree data")
+        print("2. Reload the extension so model.js picks up model_data/trees_data.json")
         print("3. For production, train on real user behavior data")
     except Exception as e:
         print(f"Error: {e}")
@@ -0,0 +1,244 @@
+/**
+ * Random Forest Trainer
+ *
+ * This module trains a small random forest in the service worker from the
+ * user's own labelled feature vectors. Labels come from nudge feedback: a nudge
+ * marked useful (or followed by a refocus) labels its feature vector as a
+ * distraction, a nudge marked wrong labels it as focused work. The trained
+ * forest is stored with a version so it survives service worker restarts.
+ */
+
+import { FEATURES } from './model.js';
+import { RESPONSE_LABELS } from '../../src/features/nudgeFeedback.js';
+
+// Storage key for the trained forest
+const STORAGE_KEY = 'trainedRandomForest';
+
+// Training configuration
+export const TRAINING_CONFIG = {
+  minLabels: 20,        // Fewer labels than this keeps the shipped model
+  minPerClass: 5,       // Both classes need at least this many labels
+  treeCount: 15,
+  maxDepth: 4,
+  minSamplesLeaf: 2,
+  seed: 42              // Seed for bootstrap and feature sampling
+};
+
+/**
+ * Build a training set from nudge records
+ * @param {Array} records - Nudge records with features and a response
+ * @returns {Array} Samples ({ values, label }), values ordered as FEATURES
+ */
+export function buildTrainingSet(records) {
+  return records
+    .filter(record => record.features && record.response in RESPONSE_LABELS)
+    .map(record => ({
+      values: FEATURES.map(({ name }) => Number(record.features[name]) || 0),
+      label: RESPONSE_LABELS[record.response]
+    }));
+}
+
+/**
+ * Check whether a training set has enough labels to train on
+ * @param {Array} samples - Samples from buildTrainingSet
+ * @param {Object} config - Training configuration
+ * @returns {boolean} Whether training should run
+ */
+export function hasEnoughLabels(samples, config = TRAINING_CONFIG) {
+  const positives = samples.filter(sample => sample.label === 1).length;
+  const negatives = samples.length - positives;
+
+  return samples.length >= config.minLabels &&
+    positives >= config.minPerClass &&
+    negatives >= config.minPerClass;
+}
+
+/**
+ * Train a random forest
+ * @param {Array} samples - Samples from buildTrainingSet
+ * @param {Object} config - Training configuration
+ * @returns {Object} Forest ({ trees, featureImportance })
+ */
+export function trainRandomForest(samples, config = TRAINING_CONFIG) {
+  const random = createRandom(config.seed);
+  const importance = new Array(FEATURES.length).fill(0);
+  const featuresPerSplit = Math.max(1, Math.round(Math.sqrt(FEATURES.length)));
+  const trees = [];
+
+  for (let i = 0; i < config.treeCount; i++) {
+    // Bootstrap sample of the same size as the training set
+    const bootstrap = samples.map(() => samples[Math.floor(random() * samples.length)]);
+    trees.push(buildNode(bootstrap, 0, config, featuresPerSplit, random, importance));
+  }
+
+  const totalImportance = importance.reduce((sum, value) => sum + value, 0);
+  const featureImportance = FEATURES.reduce((acc, { name }, index) => {
+    acc[name] = totalImportance > 0 ? importance[index] / totalImportance : 0;
+    return acc;
+  }, {});
+
+  return { trees, featureImportance };
+}
+
+/**
+ * Hash a training set, to tell whether it changed since the last training run
+ * @param {Array} samples - Samples from buildTrainingSet
+ * @returns {string} FNV-1a hash of the samples, in hex
+ */
+export function hashTrainingSet(samples) {
+  const text = JSON.stringify(samples.map(sample => [sample.label, ...sample.values]));
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Load the stored trained forest
+ * @returns {Promise<Object|null>} Trained forest, or null if none was trained
+ */
+export async function loadTrainedModel() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  return result[STORAGE_KEY] || null;
+}
+
+/**
+ * Retrain the forest from nudge records if there are new labels
+ * @param {Array} records - Nudge records from nudgeFeedback.js
+ * @param {string} baseVersion - Version of the shipped model
+ * @returns {Promise<Object|null>} The trained forest to use, or null to use the shipped model
+ */
+export async function trainFromFeedback(records, baseVersion) {
+  const samples = buildTrainingSet(records);
+  const stored = await loadTrainedModel();
+
+  if (!hasEnoughLabels(samples)) {
+    console.log(`Random Forest trainer: ${samples.length} labels, keeping the shipped model`);
+    return null;
+  }
+
+  // Nothing new to learn from since the last training run. Feedback is capped, so once it's full
+  // new labels replace old ones and only the samples themselves tell whether anything changed
+  const sampleHash = hashTrainingSet(samples);
+  if (stored && stored.baseVersion === baseVersion && stored.sampleHash === sampleHash) {
+    return stored;
+  }
+
+  const revision = stored ? stored.revision + 1 : 1;
+  const forest = trainRandomForest(samples);
+  const trainedModel = {
+    version: `${baseVersion}-user.${revision}`,
+    baseVersion,
+    revision,
+    trainedAt: Date.now(),
+    sampleCount: samples.length,
+    sampleHash,
+    positiveCount: samples.filter(sample => sample.label === 1).length,
+    ...forest
+  };
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: trainedModel });
+  console.log(`Random Forest trainer: trained ${trainedModel.version} on ${samples.length} labels`);
+
+  return trainedModel;
+}
+
+/**
+ * Grow a tree node by splitting on the best Gini impurity decrease
+ * @private
+ */
+function buildNode(samples, depth, config, featuresPerSplit, random, importance) {
+  const positives = samples.filter(sample => sample.label === 1).length;
+  const leaf = { value: samples.length > 0 ? positives / samples.length : 0.5 };
+
+  if (depth >= config.maxDepth || positives === 0 || positives === samples.length ||
+      samples.length < config.minSamplesLeaf * 2) {
+    return leaf;
+  }
+
+  const parentImpurity = gini(positives, samples.length);
+  let best = null;
+  let inspected = 0;
+
+  // Features that are constant in this node don't count towards featuresPerSplit
+  for (const featureIndex of shuffleFeatures(random)) {
+    if (inspected >= featuresPerSplit && best) break;
+
+    const values = Array.from(new Set(samples.map(sample => sample.values[featureIndex]))).sort((a, b) => a - b);
+    if (values.length > 1) inspected++;
+
+    for (let i = 0; i < values.length - 1; i++) {
+      const threshold = (values[i] + values[i + 1]) / 2;
+      const left = samples.filter(sample => sample.values[featureIndex] <= threshold);
+      const right = samples.filter(sample => sample.values[featureIndex] > threshold);
+
+      if (left.length < config.minSamplesLeaf || right.length < config.minSamplesLeaf) continue;
+
+      const leftPositives = left.filter(sample => sample.label === 1).length;
+      const rightPositives = positives - leftPositives;
+      const impurity = (left.length * gini(leftPositives, left.length) +
+        right.length * gini(rightPositives, right.length)) / samples.length;
+      const decrease = parentImpurity - impurity;
+
+      if (decrease > 0 && (!best || decrease > best.decrease)) {
+        best = { featureIndex, threshold, left, right, decrease };
+      }
+    }
+  }
+
+  if (!best) return leaf;
+
+  importance[best.featureIndex] += best.decrease * samples.length;
+
+  return {
+    feature: FEATURES[best.featureIndex].name,
+    threshold: best.threshold,
+    mean: leaf.value, // Used to explain predictions
+    left: buildNode(best.left, depth + 1, config, featuresPerSplit, random, importance),
+    right: buildNode(best.right, depth + 1, config, featuresPerSplit, random, importance)
+  };
+}
+
+/**
+ * Gini impurity of a two-class node
+ * @private
+ */
+function gini(positives, total) {
+  const p = positives / total;
+  return 1 - p * p - (1 - p) * (1 - p);
+}
+
+/**
+ * Get the feature indexes in random order
+ * @private
+ */
+function shuffleFeatures(random) {
+  const indexes = FEATURES.map((_, index) => index);
+
+  for (let i = indexes.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+  }
+
+  return indexes;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32) so training is reproducible
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
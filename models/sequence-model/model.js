@@ -0,0 +1,259 @@
+/**
+ * Sequence Model for Distraction Detection
+ *
+ * This module implements a first-order Markov chain model over the raw event
+ * stream. Events are reduced to a small set of symbols (scroll, click, type,
+ * switch, ...), and the transitions between them are scored against two
+ * chains: one describing distracted browsing (scroll→scroll→switch, video→video)
+ * and one describing focused work (type→type, click→type). It runs on the CPU
+ * in the service worker without any dependencies.
+ */
+
+import { isDistractionDomain } from '../../src/features/domainRegistry.js';
+import { createExplanation } from '../explanation.js';
+
+// Symbols the event stream is reduced to
+export const SEQUENCE_SYMBOLS = {
+  SCROLL: 'SCROLL',
+  CLICK: 'CLICK',
+  TYPE: 'TYPE',
+  SWITCH: 'SWITCH',
+  NAVIGATE: 'NAVIGATE',
+  NAVIGATE_DISTRACTING: 'NAVIGATE_DISTRACTING',
+  MEDIA: 'MEDIA',
+  IDLE: 'IDLE',
+  DOMAIN_CHANGE: 'DOMAIN_CHANGE'
+};
+
+const S = SEQUENCE_SYMBOLS;
+
+// Event types mapped to symbols; other event types are ignored
+const EVENT_SYMBOLS = {
+  PAGE_SCROLL: S.SCROLL,
+  MOUSE_CLICK: S.CLICK,
+  KEY_PRESS: S.TYPE,
+  COPY: S.TYPE,
+  PASTE: S.TYPE,
+  TAB_SWITCH: S.SWITCH,
+  TAB_OPEN: S.SWITCH,
+  TAB_CLOSE: S.SWITCH,
+  PAGE_BLUR: S.SWITCH,
+  PAGE_FOCUS: S.SWITCH,
+  PAGE_VISIT: S.NAVIGATE,
+  NAVIGATION: S.NAVIGATE,
+  VIDEO_PLAY: S.MEDIA,
+  VIDEO_PROGRESS: S.MEDIA,
+  AUDIO_PLAY: S.MEDIA,
+  PAGE_IDLE: S.IDLE,
+  SYSTEM_IDLE: S.IDLE
+};
+
+// Transition weights added on top of a uniform prior, per chain
+const DISTRACTED_TRANSITIONS = {
+  [`${S.SCROLL}>${S.SCROLL}`]: 8,
+  [`${S.SCROLL}>${S.SWITCH}`]: 4,
+  [`${S.SWITCH}>${S.SWITCH}`]: 5,
+  [`${S.SWITCH}>${S.DOMAIN_CHANGE}`]: 3,
+  [`${S.SWITCH}>${S.NAVIGATE_DISTRACTING}`]: 5,
+  [`${S.DOMAIN_CHANGE}>${S.NAVIGATE_DISTRACTING}`]: 6,
+  [`${S.NAVIGATE}>${S.NAVIGATE}`]: 3,
+  [`${S.NAVIGATE_DISTRACTING}>${S.SCROLL}`]: 5,
+  [`${S.NAVIGATE_DISTRACTING}>${S.MEDIA}`]: 5,
+  [`${S.CLICK}>${S.NAVIGATE_DISTRACTING}`]: 3,
+  [`${S.MEDIA}>${S.MEDIA}`]: 8
+};
+
+const FOCUSED_TRANSITIONS = {
+  [`${S.TYPE}>${S.TYPE}`]: 8,
+  [`${S.TYPE}>${S.CLICK}`]: 3,
+  [`${S.TYPE}>${S.SCROLL}`]: 2,
+  [`${S.CLICK}>${S.TYPE}`]: 4,
+  [`${S.CLICK}>${S.CLICK}`]: 2,
+  [`${S.CLICK}>${S.SCROLL}`]: 2,
+  [`${S.SCROLL}>${S.CLICK}`]: 3,
+  [`${S.SCROLL}>${S.TYPE}`]: 3,
+  [`${S.NAVIGATE}>${S.SCROLL}`]: 2,
+  [`${S.NAVIGATE}>${S.TYPE}`]: 3,
+  [`${S.IDLE}>${S.TYPE}`]: 2
+};
+
+// Version of the sequence model
+export const SEQUENCE_MODEL_VERSION = '0.1.0';
+
+// Model settings
+const SEQUENCE_CONFIG = {
+  maxEvents: 200,                   // Events kept per tab
+  maxEventAge: 10 * 60 * 1000,      // Events older than 10 minutes are forgotten
+  minTransitions: 5,                // Fewer transitions than this gives no prediction
+  confidentTransitions: 50,         // Transitions needed for full confidence
+  scoreScale: 2                     // Steepness of the log-likelihood to probability curve
+};
+
+/**
+ * Sequence Model class
+ */
+export default class SequenceModel {
+  constructor() {
+    this.version = SEQUENCE_MODEL_VERSION;
+    this.isLoaded = false;
+    this.distractedChain = null;
+    this.focusedChain = null;
+    this.recentEvents = new Map(); // Tab ID -> recent events, oldest first
+  }
+
+  /**
+   * Load the model
+   * @returns {Promise<boolean>}
+   */
+  async load() {
+    this.distractedChain = buildChain(DISTRACTED_TRANSITIONS);
+    this.focusedChain = buildChain(FOCUSED_TRANSITIONS);
+    this.recentEvents.clear();
+    this.isLoaded = true;
+    return true;
+  }
+
+  /**
+   * Predict whether the current behavior is a distraction
+   *
+   * Each call adds the new events to a rolling window for their tab, so
+   * patterns that span several event batches are still seen.
+   *
+   * @param {Array} events - New events for one tab, ordered by time
+   * @param {string} domain - Current domain, for events without a URL
+   * @returns {Object} Prediction result
+   */
+  predict(events, domain) {
+    if (!this.isLoaded) {
+      console.error('Model not loaded');
+      return { isDistraction: false, probability: 0, confidence: 0 };
+    }
+
+    const recent = this._updateWindow(events);
+    const symbols = toSymbols(recent, domain);
+
+    let logLikelihoodRatio = 0;
+    let transitions = 0;
+    const ratioByTransition = {};
+    const countByTransition = {};
+
+    for (let i = 1; i < symbols.length; i++) {
+      const transition = `${symbols[i - 1]}>${symbols[i]}`;
+      const ratio = Math.log(this.distractedChain[transition] / this.focusedChain[transition]);
+      logLikelihoodRatio += ratio;
+      ratioByTransition[transition] = (ratioByTransition[transition] || 0) + ratio;
+      countByTransition[transition] = (countByTransition[transition] || 0) + 1;
+      transitions++;
+    }
+
+    if (transitions < SEQUENCE_CONFIG.minTransitions) {
+      return { isDistraction: false, probability: 0, confidence: 0 };
+    }
+
+    // Average per transition so long sessions don't saturate the probability
+    const score = (logLikelihoodRatio / transitions) * SEQUENCE_CONFIG.scoreScale;
+    const probability = 1 / (1 + Math.exp(-score));
+    const confidence = Math.min(1, transitions / SEQUENCE_CONFIG.confidentTransitions);
+
+    // Transitions are explained by their share of the score, scaled by the
+    // slope of the sigmoid so contributions are roughly in probability units
+    const slope = probability * (1 - probability) * SEQUENCE_CONFIG.scoreScale / transitions;
+    const contributions = {};
+    for (const [transition, ratio] of Object.entries(ratioByTransition)) {
+      contributions[transition] = ratio * slope;
+    }
+
+    return {
+      isDistraction: probability > 0.5,
+      probability,
+      confidence,
+      explanation: createExplanation(contributions, countByTransition)
+    };
+  }
+
+  /**
+   * Add events to the rolling window for their tab
+   * @param {Array} events - New events
+   * @returns {Array} Window of recent events for the tab
+   * @private
+   */
+  _updateWindow(events) {
+    if (!events || events.length === 0) return [];
+
+    const tabId = events[0].tab_id;
+    const newest = events[events.length - 1].timestamp;
+    const previous = this.recentEvents.get(tabId) || [];
+
+    // The same batch can be scored more than once (e.g. by the ensemble and a shadow version)
+    const seen = new Set(previous);
+    const recent = [...previous, ...events.filter(event => !seen.has(event))]
+      .filter(event => newest - event.timestamp <= SEQUENCE_CONFIG.maxEventAge)
+      .slice(-SEQUENCE_CONFIG.maxEvents);
+
+    this.recentEvents.set(tabId, recent);
+    return recent;
+  }
+}
+
+/**
+ * Reduce events to sequence symbols
+ * @param {Array} events - Events ordered by time
+ * @param {string} fallbackDomain - Domain for events without a URL
+ * @returns {Array<string>} Symbols
+ */
+export function toSymbols(events, fallbackDomain = null) {
+  const symbols = [];
+  let previousDomain = null;
+
+  for (const event of events) {
+    let symbol = EVENT_SYMBOLS[event.event_type];
+    if (!symbol) continue;
+
+    const domain = getEventDomain(event) || fallbackDomain;
+    if (domain && previousDomain && domain !== previousDomain) {
+      symbols.push(S.DOMAIN_CHANGE);
+    }
+    previousDomain = domain || previousDomain;
+
+    if (symbol === S.NAVIGATE && domain && isDistractionDomain(domain)) {
+      symbol = S.NAVIGATE_DISTRACTING;
+    }
+
+    symbols.push(symbol);
+  }
+
+  return symbols;
+}
+
+/**
+ * Build transition probabilities from weights over a uniform prior
+ * @param {Object} weights - Extra weight per "FROM>TO" transition
+ * @returns {Object} Probability per "FROM>TO" transition
+ */
+function buildChain(weights) {
+  const symbols = Object.values(S);
+  const chain = {};
+
+  for (const from of symbols) {
+    const rowTotal = symbols.reduce((sum, to) => sum + 1 + (weights[`${from}>${to}`] || 0), 0);
+
+    for (const to of symbols) {
+      chain[`${from}>${to}`] = (1 + (weights[`${from}>${to}`] || 0)) / rowTotal;
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Get the domain of an event
+ * @param {Object} event - Event
+ * @returns {string|null} Domain without "www."
+ */
+function getEventDomain(event) {
+  try {
+    return event.url ? new URL(event.url).hostname.replace(/^www\./, '') : null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Focus Nudge - Offscreen Document Script
+ *
+ * This script runs the random forest's ONNX model for the service worker,
+ * which can't run ONNX Runtime Web itself. The service worker creates this
+ * document and sends it feature vectors (see models/random-forest/onnxClient.js).
+ */
+
+// ONNX model exported by models/random-forest/train_model.py
+const ONNX_MODEL_PATH = 'models/random-forest/onnx/random_forest_model.onnx';
+
+// Inference session, created on the first prediction
+let sessionPromise = null;
+
+/**
+ * Load the ONNX model into an inference session
+ * @returns {Promise<Object>} Inference session
+ */
+const getSession = () => {
+  if (!sessionPromise) {
+    sessionPromise = fetch(chrome.runtime.getURL(ONNX_MODEL_PATH))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to fetch ${ONNX_MODEL_PATH}: ${response.status}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(buffer => window.onnxRuntime.createSession(buffer));
+    
+    // Try again on the next prediction if loading failed
+    sessionPromise.catch(() => {
+      sessionPromise = null;
+    });
+  }
+  return sessionPromise;
+};
+
+/**
+ * Predict the probability of distraction
+ * @param {Array<number>} input - Feature values in the model's input order
+ * @returns {Promise<number>} Probability of the distracted class
+ */
+const predict = async (input) => {
+  const session = await getSession();
+  const outputs = await window.onnxRuntime.runInference(session, {
+    float_input: { type: 'float32', data: Float32Array.from(input), dims: [1, input.length] }
+  });
+  
+  // Class probabilities as a [1, 2] tensor (the model is exported without ZipMap)
+  const probabilities = outputs.output_probability;
+  if (!probabilities || !probabilities.data || probabilities.data.length < 2) {
+    throw new Error('The ONNX model has no probability tensor; re-export it with train_model.py');
+  }
+  return probabilities.data[1];
+};
+
+// Handle requests from the service worker
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+  
+  if (message.type === 'onnx_predict') {
+    predict(message.input)
+      .then(probability => sendResponse({ success: true, probability }))
+      .catch(error => {
+        console.error('ONNX prediction failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Keep the message channel open for the async response
+  }
+  
+  return false;
+});
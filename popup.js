@@ -15,7 +15,59 @@ const nudgeCountElement = document.getElementById('nudge-count');
 const refreshStatsButton = document.getElementById('refresh-stats');
 const nudgingToggle = document.getElementById('nudging-toggle');
 const taskDetectionToggle = document.getElementById('task-detection-toggle');
+const nudgeFrequencySelect = document.getElementById('nudge-frequency');
+const quietHoursToggle = document.getElementById('quiet-hours-toggle');
+const quietHoursStartInput = document.getElementById('quiet-hours-start');
+const quietHoursEndInput = document.getElementById('quiet-hours-end');
 const viewInsightsButton = document.getElementById('view-insights');
+const focusTaskSelect = document.getElementById('focus-task-select');
+const focusTaskDurationSelect = document.getElementById('focus-task-duration');
+const focusTaskStrictToggle = document.getElementById('focus-task-strict');
+const focusTaskPomodoroToggle = document.getElementById('focus-task-pomodoro');
+const pomodoroSettings = document.getElementById('pomodoro-settings');
+const pomodoroWorkInput = document.getElementById('pomodoro-work');
+const pomodoroShortBreakInput = document.getElementById('pomodoro-short-break');
+const pomodoroLongBreakInput = document.getElementById('pomodoro-long-break');
+const pomodoroLongBreakEveryInput = document.getElementById('pomodoro-long-break-every');
+const pomodoroTotalCyclesInput = document.getElementById('pomodoro-total-cycles');
+const startFocusTaskButton = document.getElementById('start-focus-task');
+const stopFocusTaskButton = document.getElementById('stop-focus-task');
+const focusTaskStatusElement = document.getElementById('focus-task-status');
+const newFocusTaskButton = document.getElementById('new-focus-task');
+const deleteFocusTaskButton = document.getElementById('delete-focus-task');
+const focusTaskEditor = document.getElementById('focus-task-editor');
+const focusTaskNameInput = document.getElementById('focus-task-name');
+const focusTaskAllowedDomainsInput = document.getElementById('focus-task-allowed-domains');
+const focusTaskAllowedPathsInput = document.getElementById('focus-task-allowed-paths');
+const focusTaskBlockedDomainsInput = document.getElementById('focus-task-blocked-domains');
+const saveFocusTaskButton = document.getElementById('save-focus-task');
+const cancelFocusTaskButton = document.getElementById('cancel-focus-task');
+const scheduleListElement = document.getElementById('schedule-list');
+const scheduleStatusElement = document.getElementById('schedule-status');
+const newScheduleButton = document.getElementById('new-schedule');
+const scheduleEditor = document.getElementById('schedule-editor');
+const scheduleDaysElement = document.getElementById('schedule-days');
+const scheduleStartInput = document.getElementById('schedule-start');
+const scheduleEndInput = document.getElementById('schedule-end');
+const scheduleTaskSelect = document.getElementById('schedule-task');
+const scheduleStrictToggle = document.getElementById('schedule-strict');
+const saveScheduleButton = document.getElementById('save-schedule');
+const cancelScheduleButton = document.getElementById('cancel-schedule');
+const privacySiteElement = document.getElementById('privacy-site');
+const privacySiteLevelSelect = document.getElementById('privacy-site-level');
+const forgetSiteButton = document.getElementById('forget-site');
+const privacyStatusElement = document.getElementById('privacy-status');
+const encryptionStateElement = document.getElementById('encryption-state');
+const encryptionPassphraseInput = document.getElementById('encryption-passphrase');
+const encryptionNewPassphraseInput = document.getElementById('encryption-new-passphrase');
+const encryptionEnableButton = document.getElementById('encryption-enable');
+const encryptionUnlockButton = document.getElementById('encryption-unlock');
+const encryptionLockButton = document.getElementById('encryption-lock');
+const encryptionChangeButton = document.getElementById('encryption-change');
+const encryptionEditor = document.getElementById('encryption-editor');
+const encryptionRotateButton = document.getElementById('encryption-rotate');
+const encryptionDisableButton = document.getElementById('encryption-disable');
+const encryptionStatusElement = document.getElementById('encryption-status');
 
 console.log('[Focus Nudge] DOM Elements initialized:', {
   focusScore: !!focusScoreElement,
@@ -60,6 +112,16 @@ const loadData = () => {
         if (taskDetectionToggle) {
           taskDetectionToggle.checked = userPreferences.taskDetectionEnabled !== false;
         }
+        
+        if (nudgeFrequencySelect) {
+          nudgeFrequencySelect.value = userPreferences.nudgeFrequency || 'medium';
+        }
+        
+        if (quietHoursToggle && userPreferences.quietHours) {
+          quietHoursToggle.checked = userPreferences.quietHours.enabled;
+          quietHoursStartInput.value = userPreferences.quietHours.start;
+          quietHoursEndInput.value = userPreferences.quietHours.end;
+        }
       }
       
       // Load focus stats
@@ -105,6 +167,18 @@ const savePreferences = () => {
       userPreferences.nudgingEnabled = nudgingToggle.checked;
     }
     
+    if (nudgeFrequencySelect) {
+      userPreferences.nudgeFrequency = nudgeFrequencySelect.value;
+    }
+    
+    if (quietHoursToggle) {
+      userPreferences.quietHours = {
+        enabled: quietHoursToggle.checked,
+        start: quietHoursStartInput.value || '22:00',
+        end: quietHoursEndInput.value || '07:00'
+      };
+    }
+    
     // Save to local storage
     chrome.storage.local.set({ userPreferences }, () => {
       console.log('Preferences saved:', userPreferences);
@@ -120,6 +194,413 @@ const savePreferences = () => {
   }
 };
 
+// Focus tasks
+let focusTasks = [];
+
+// Load focus tasks from the background script
+const loadFocusTasks = () => {
+  chrome.runtime.sendMessage({ type: 'GET_FOCUS_TASKS' }, (response) => {
+    if (!response || !response.success) {
+      console.error('Error loading focus tasks:', response?.error);
+      return;
+    }
+    
+    focusTasks = response.tasks;
+    renderFocusTasks(response.activeTaskId, response.endTime, response.strict, response.pomodoro);
+    
+    // Schedules show task names, so load them once tasks are known
+    loadSchedules();
+  });
+};
+
+// Render the focus task selector and status
+const renderFocusTasks = (activeTaskId, endTime, strict, pomodoro) => {
+  if (!focusTaskSelect) return;
+  
+  const selectedTaskId = activeTaskId || focusTaskSelect.value;
+  focusTaskSelect.innerHTML = '';
+  
+  focusTasks.forEach(task => {
+    const option = document.createElement('option');
+    option.value = task.id;
+    option.textContent = task.name;
+    focusTaskSelect.appendChild(option);
+  });
+  
+  if (selectedTaskId && focusTasks.some(task => task.id === selectedTaskId)) {
+    focusTaskSelect.value = selectedTaskId;
+  }
+  
+  if (focusTaskStatusElement) {
+    const activeTask = focusTasks.find(task => task.id === activeTaskId);
+    if (activeTask) {
+      const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      const until = endTime ? ` until ${formatTime(endTime)}` : '';
+      const mode = strict ? ' (strict)' : '';
+      const phase = pomodoro
+        ? ` - cycle ${pomodoro.cycle}, ${pomodoro.phase === 'work' ? 'work' : 'break'} until ${formatTime(pomodoro.phaseEndTime)}`
+        : '';
+      focusTaskStatusElement.textContent = `Focusing on "${activeTask.name}"${until}${mode}${phase}`;
+    } else {
+      focusTaskStatusElement.textContent = 'No focus task active';
+    }
+  }
+  
+  updateDeleteButton();
+};
+
+// Only user-defined tasks can be deleted
+const updateDeleteButton = () => {
+  if (!deleteFocusTaskButton || !focusTaskSelect) return;
+  const selectedTask = focusTasks.find(task => task.id === focusTaskSelect.value);
+  deleteFocusTaskButton.disabled = !selectedTask || selectedTask.builtIn === true;
+};
+
+// Start the selected focus task
+const startFocusTask = () => {
+  const task = focusTasks.find(t => t.id === focusTaskSelect.value);
+  if (!task) return;
+  
+  const minutes = parseInt(focusTaskDurationSelect.value, 10) || 0;
+  const usePomodoro = focusTaskPomodoroToggle && focusTaskPomodoroToggle.checked;
+  const toMilliseconds = (input) => (parseFloat(input.value) || 0) * 60 * 1000;
+  
+  chrome.runtime.sendMessage({
+    type: 'ENABLE_TASK_MODE',
+    taskId: task.id,
+    taskType: task.taskType || 'custom',
+    useTimer: minutes > 0,
+    timerDuration: minutes > 0 ? minutes * 60 * 1000 : null,
+    strict: focusTaskStrictToggle ? focusTaskStrictToggle.checked : false,
+    pomodoro: usePomodoro ? {
+      workDuration: toMilliseconds(pomodoroWorkInput),
+      shortBreakDuration: toMilliseconds(pomodoroShortBreakInput),
+      longBreakDuration: toMilliseconds(pomodoroLongBreakInput),
+      longBreakEvery: parseInt(pomodoroLongBreakEveryInput.value, 10),
+      totalCycles: parseInt(pomodoroTotalCyclesInput.value, 10) || 0
+    } : null
+  }, () => loadFocusTasks());
+};
+
+// Stop the active focus task
+const stopFocusTask = () => {
+  chrome.runtime.sendMessage({ type: 'DISABLE_TASK_MODE' }, () => loadFocusTasks());
+};
+
+// Pomodoro cycles replace the single session timer
+const togglePomodoroSettings = () => {
+  const usePomodoro = focusTaskPomodoroToggle.checked;
+  pomodoroSettings.classList.toggle('visible', usePomodoro);
+  focusTaskDurationSelect.disabled = usePomodoro;
+};
+
+// Show or hide the task editor
+const toggleFocusTaskEditor = (visible) => {
+  if (!focusTaskEditor) return;
+  focusTaskEditor.classList.toggle('visible', visible);
+  
+  if (visible) {
+    focusTaskNameInput.value = '';
+    focusTaskAllowedDomainsInput.value = '';
+    focusTaskAllowedPathsInput.value = '';
+    focusTaskBlockedDomainsInput.value = '';
+    focusTaskNameInput.focus();
+  }
+};
+
+// Save a new focus task from the editor
+const saveFocusTask = () => {
+  const task = {
+    name: focusTaskNameInput.value,
+    allowedDomains: focusTaskAllowedDomainsInput.value,
+    allowedPaths: focusTaskAllowedPathsInput.value,
+    blockedDomains: focusTaskBlockedDomainsInput.value
+  };
+  
+  chrome.runtime.sendMessage({ type: 'SAVE_FOCUS_TASK', task }, (response) => {
+    if (!response || !response.success) {
+      console.error('Error saving focus task:', response?.error);
+      focusTaskStatusElement.textContent = response?.error || 'Could not save task';
+      return;
+    }
+    
+    toggleFocusTaskEditor(false);
+    focusTaskSelect.value = response.task.id;
+    loadFocusTasks();
+  });
+};
+
+// Delete the selected user-defined focus task
+const deleteFocusTask = () => {
+  const task = focusTasks.find(t => t.id === focusTaskSelect.value);
+  if (!task || task.builtIn) return;
+  
+  chrome.runtime.sendMessage({ type: 'DELETE_FOCUS_TASK', taskId: task.id }, () => loadFocusTasks());
+};
+
+// Load focus schedules from the background script
+const loadSchedules = () => {
+  chrome.runtime.sendMessage({ type: 'GET_FOCUS_SCHEDULES' }, (response) => {
+    if (!response || !response.success) {
+      console.error('Error loading schedules:', response?.error);
+      return;
+    }
+    
+    renderSchedules(response.schedules, response.activeScheduleId, response.overrideUntil);
+  });
+};
+
+// Render the schedule list
+const renderSchedules = (schedules, activeScheduleId, overrideUntil) => {
+  if (!scheduleListElement) return;
+  
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  scheduleListElement.innerHTML = '';
+  
+  schedules.forEach(schedule => {
+    const task = focusTasks.find(t => t.id === schedule.taskId);
+    const days = schedule.days.map(day => dayNames[day]).join(', ');
+    
+    const item = document.createElement('div');
+    item.className = `schedule-item${schedule.id === activeScheduleId ? ' active' : ''}`;
+    
+    const label = document.createElement('span');
+    label.textContent = `${days} ${schedule.start}-${schedule.end}: ${task ? task.name : 'Missing task'}${schedule.strict ? ' (strict)' : ''}`;
+    item.appendChild(label);
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => deleteSchedule(schedule.id));
+    item.appendChild(deleteButton);
+    
+    scheduleListElement.appendChild(item);
+  });
+  
+  if (scheduleStatusElement) {
+    if (overrideUntil) {
+      const until = new Date(overrideUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      scheduleStatusElement.textContent = `Schedule paused by manual change until ${until}`;
+    } else {
+      scheduleStatusElement.textContent = schedules.length === 0 ? 'No schedules yet' : '';
+    }
+  }
+};
+
+// Show or hide the schedule editor
+const toggleScheduleEditor = (visible) => {
+  if (!scheduleEditor) return;
+  scheduleEditor.classList.toggle('visible', visible);
+  
+  if (visible) {
+    scheduleTaskSelect.innerHTML = '';
+    focusTasks.forEach(task => {
+      const option = document.createElement('option');
+      option.value = task.id;
+      option.textContent = task.name;
+      scheduleTaskSelect.appendChild(option);
+    });
+  }
+};
+
+// Save a new schedule from the editor
+const saveSchedule = () => {
+  const days = Array.from(scheduleDaysElement.querySelectorAll('input:checked'))
+    .map(input => parseInt(input.value, 10));
+  
+  const schedule = {
+    taskId: scheduleTaskSelect.value,
+    days,
+    start: scheduleStartInput.value,
+    end: scheduleEndInput.value,
+    strict: scheduleStrictToggle.checked
+  };
+  
+  chrome.runtime.sendMessage({ type: 'SAVE_FOCUS_SCHEDULE', schedule }, (response) => {
+    if (!response || !response.success) {
+      console.error('Error saving schedule:', response?.error);
+      scheduleStatusElement.textContent = response?.error || 'Could not save schedule';
+      return;
+    }
+    
+    toggleScheduleEditor(false);
+    loadFocusTasks();
+  });
+};
+
+// Delete a schedule
+const deleteSchedule = (scheduleId) => {
+  chrome.runtime.sendMessage({ type: 'DELETE_FOCUS_SCHEDULE', scheduleId }, () => loadFocusTasks());
+};
+
+// Site of the active tab, for the privacy controls
+let currentSite = null;
+let privacySettings = null;
+
+// Load the privacy settings for the active tab's site
+const loadSitePrivacy = () => {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    let hostname = '';
+    try {
+      hostname = new URL(tabs[0]?.url || '').hostname;
+    } catch (error) {
+      // Not a page URL
+    }
+    
+    currentSite = /^https?:/.test(tabs[0]?.url || '') && hostname ? hostname.replace(/^www\./, '') : null;
+    privacySiteElement.textContent = currentSite || 'No site open';
+    privacySiteLevelSelect.disabled = !currentSite;
+    forgetSiteButton.disabled = !currentSite;
+    
+    chrome.runtime.sendMessage({ type: 'GET_PRIVACY_SETTINGS' }, (response) => {
+      if (!response || !response.success) {
+        console.error('Error loading privacy settings:', response?.error);
+        return;
+      }
+      
+      privacySettings = response.settings;
+      privacySiteLevelSelect.value = (currentSite && privacySettings.domainLevels[currentSite]) || '';
+    });
+  });
+};
+
+// Save the capture level chosen for the active tab's site
+const saveSiteCaptureLevel = () => {
+  if (!currentSite || !privacySettings) return;
+  
+  const domainLevels = { ...privacySettings.domainLevels };
+  if (privacySiteLevelSelect.value) {
+    domainLevels[currentSite] = privacySiteLevelSelect.value;
+  } else {
+    delete domainLevels[currentSite];
+  }
+  
+  chrome.runtime.sendMessage({ type: 'SAVE_PRIVACY_SETTINGS', settings: { domainLevels } }, (response) => {
+    if (!response || !response.success) {
+      privacyStatusElement.textContent = response?.error || 'Could not save privacy settings';
+      return;
+    }
+    
+    privacySettings = response.settings;
+    privacyStatusElement.textContent = 'Saved. Reload the page for it to take effect there.';
+  });
+};
+
+// Delete everything recorded on the active tab's site
+const forgetCurrentSite = () => {
+  if (!currentSite) return;
+  if (!confirm(`Delete everything Focus Nudge recorded on ${currentSite}?`)) return;
+  
+  forgetSiteButton.disabled = true;
+  chrome.runtime.sendMessage({ type: 'FORGET_SITE', domain: currentSite }, (response) => {
+    forgetSiteButton.disabled = false;
+    
+    if (!response || !response.success) {
+      privacyStatusElement.textContent = response?.error || 'Could not forget this site';
+      return;
+    }
+    
+    privacyStatusElement.textContent = `Deleted ${response.deleted} events from ${response.domain}.`;
+    loadData();
+  });
+};
+
+// Show the encryption state and the actions it allows
+const showEncryptionStatus = (status) => {
+  let state = 'Off: events are stored unencrypted';
+  if (status.disabling) {
+    state = status.locked ? 'Turning off: unlock to finish decrypting events' : 'Turning off: decrypting events...';
+  } else if (status.enabled && status.locked) {
+    state = status.pendingEvents > 0
+      ? `Locked: ${status.pendingEvents} new events wait to be stored`
+      : 'Locked: unlock to see and store events';
+    if (status.lostEvents > 0) {
+      state += ` (${status.lostEvents} events were lost while locked, as the extension restarted or too many waited)`;
+    }
+  } else if (status.enabled) {
+    state = status.reencrypting ? 'Unlocked: encrypting stored events...' : 'Unlocked: events are encrypted';
+  }
+  encryptionStateElement.textContent = state;
+  
+  const show = (element, visible) => {
+    element.style.display = visible ? '' : 'none';
+  };
+  show(encryptionEnableButton, !status.enabled && !status.disabling);
+  show(encryptionUnlockButton, status.locked);
+  show(encryptionLockButton, status.enabled && !status.locked);
+  show(encryptionChangeButton, status.enabled && !status.locked);
+  if (!status.enabled || status.locked) {
+    encryptionEditor.classList.remove('visible');
+  }
+};
+
+// Load the encryption state of the event store
+const loadEncryptionStatus = () => {
+  chrome.runtime.sendMessage({ type: 'GET_ENCRYPTION_STATUS' }, (response) => {
+    if (!response || !response.success) {
+      console.error('Error loading encryption status:', response?.error);
+      return;
+    }
+    showEncryptionStatus(response.status);
+  });
+};
+
+// Send an encryption request with the passphrases entered, then clear them
+const sendEncryptionRequest = (message, doneText) => {
+  encryptionStatusElement.textContent = 'Working...';
+  chrome.runtime.sendMessage(message, (response) => {
+    if (!response || !response.success) {
+      encryptionStatusElement.textContent = response?.error || 'Could not update encryption';
+      return;
+    }
+    
+    encryptionPassphraseInput.value = '';
+    encryptionNewPassphraseInput.value = '';
+    encryptionEditor.classList.remove('visible');
+    encryptionStatusElement.textContent = doneText;
+    showEncryptionStatus(response.status);
+  });
+};
+
+// Encrypt the event store with the passphrase entered
+const enableEncryption = () => {
+  if (!confirm('Events can\'t be recovered without this passphrase. Encrypt events?')) return;
+  sendEncryptionRequest(
+    { type: 'ENABLE_ENCRYPTION', passphrase: encryptionPassphraseInput.value },
+    'Encryption is on.'
+  );
+};
+
+// Unlock the event store with the passphrase entered
+const unlockEncryption = () => {
+  sendEncryptionRequest(
+    { type: 'UNLOCK_ENCRYPTION', passphrase: encryptionPassphraseInput.value },
+    'Unlocked until the browser closes.'
+  );
+};
+
+// Lock the event store
+const lockEncryption = () => {
+  sendEncryptionRequest({ type: 'LOCK_ENCRYPTION' }, 'Locked.');
+};
+
+// Change the passphrase and rotate the data key
+const rotateEncryptionKey = () => {
+  sendEncryptionRequest({
+    type: 'ROTATE_ENCRYPTION_KEY',
+    passphrase: encryptionPassphraseInput.value,
+    newPassphrase: encryptionNewPassphraseInput.value
+  }, 'Key rotated.');
+};
+
+// Turn encryption off, decrypting the stored events
+const disableEncryption = () => {
+  if (!confirm('Stored events will be decrypted. Turn off encryption?')) return;
+  sendEncryptionRequest(
+    { type: 'DISABLE_ENCRYPTION', passphrase: encryptionPassphraseInput.value },
+    'Encryption is being turned off.'
+  );
+};
+
 // Update UI with current stats
 const updateUI = () => {
   try {
@@ -161,6 +642,7 @@ document.addEventListener('DOMContentLoaded', () => {
   try {
     // Load initial data
     loadData();
+    loadFocusTasks();
     
     // Set up event listeners
     if (nudgingToggle) {
@@ -171,6 +653,49 @@ document.addEventListener('DOMContentLoaded', () => {
       taskDetectionToggle.addEventListener('change', savePreferences);
     }
     
+    if (nudgeFrequencySelect) {
+      nudgeFrequencySelect.addEventListener('change', savePreferences);
+    }
+    
+    if (quietHoursToggle) {
+      [quietHoursToggle, quietHoursStartInput, quietHoursEndInput].forEach(input => {
+        input.addEventListener('change', savePreferences);
+      });
+    }
+    
+    if (focusTaskSelect) {
+      focusTaskSelect.addEventListener('change', updateDeleteButton);
+      startFocusTaskButton.addEventListener('click', startFocusTask);
+      stopFocusTaskButton.addEventListener('click', stopFocusTask);
+      newFocusTaskButton.addEventListener('click', () => toggleFocusTaskEditor(true));
+      cancelFocusTaskButton.addEventListener('click', () => toggleFocusTaskEditor(false));
+      saveFocusTaskButton.addEventListener('click', saveFocusTask);
+      deleteFocusTaskButton.addEventListener('click', deleteFocusTask);
+      focusTaskPomodoroToggle.addEventListener('change', togglePomodoroSettings);
+    }
+    
+    if (newScheduleButton) {
+      newScheduleButton.addEventListener('click', () => toggleScheduleEditor(true));
+      cancelScheduleButton.addEventListener('click', () => toggleScheduleEditor(false));
+      saveScheduleButton.addEventListener('click', saveSchedule);
+    }
+    
+    if (forgetSiteButton) {
+      loadSitePrivacy();
+      privacySiteLevelSelect.addEventListener('change', saveSiteCaptureLevel);
+      forgetSiteButton.addEventListener('click', forgetCurrentSite);
+    }
+    
+    if (encryptionEnableButton) {
+      loadEncryptionStatus();
+      encryptionEnableButton.addEventListener('click', enableEncryption);
+      encryptionUnlockButton.addEventListener('click', unlockEncryption);
+      encryptionLockButton.addEventListener('click', lockEncryption);
+      encryptionChangeButton.addEventListener('click', () => encryptionEditor.classList.toggle('visible'));
+      encryptionRotateButton.addEventListener('click', rotateEncryptionKey);
+      encryptionDisableButton.addEventListener('click', disableEncryption);
+    }
+    
     if (viewInsightsButton) {
       viewInsightsButton.addEventListener('click', () => {
         chrome.tabs.create({ url: 'insights.html' });
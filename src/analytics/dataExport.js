@@ -0,0 +1,437 @@
+/**
+ * Focus Nudge - Data Export and Import
+ *
+ * This module exports the user's data for a date range as a ZIP archive with
+ * one file per table, in JSON Lines or CSV, and imports JSON Lines exports
+ * back. A redaction profile can strip URLs down to their origin, remove page
+ * titles, page text and typed keys, and replace sites with pseudonyms before
+ * the data leaves the extension.
+ *
+ * Import merges events, sessions and nudge feedback. Preferences already sync
+ * through Chrome, and focus stats and distraction scores only cover the
+ * current day, so those tables are exported but not imported.
+ */
+
+import {
+  iterateEvents,
+  mergeEvents,
+  getSessions,
+  getSession,
+  storeSession,
+  getEncryptionStatus
+} from '../events/storage.js';
+import { validateEvent } from '../events/schema.js';
+import { migrateEvent } from '../events/migrations.js';
+import { closeSessionRecord, SESSION_END_REASONS } from '../events/sessions.js';
+import { loadNudgeFeedback, mergeNudgeFeedback } from '../features/nudgeFeedback.js';
+import { TEXT_FIELDS as EVENT_TEXT_FIELDS } from '../features/privacy.js';
+import { createZip, readZip } from './zip.js';
+
+// Version of the export layout; imports from newer versions are refused
+export const EXPORT_FORMAT_VERSION = 1;
+
+// File formats for the tables
+export const EXPORT_FORMATS = {
+  JSONL: 'jsonl', // One JSON object per line; the only format that can be imported
+  CSV: 'csv'      // Nested fields flattened to dotted columns
+};
+
+// How much identifying data an export keeps
+export const REDACTION_PROFILES = {
+  NONE: 'none',          // Everything as recorded
+  URLS: 'urls',          // URLs cut to their origin; titles, page text, comments and keys removed
+  ANONYMOUS: 'anonymous' // As URLS, with every site replaced by site-1, site-2, ...
+};
+
+// Tables in an export, in file order
+export const EXPORT_TABLES = ['events', 'sessions', 'distraction_scores', 'focus_stats', 'feedback', 'preferences'];
+
+// Fields holding text the user read or typed: the event fields privacy.js redacts, and titles
+// in the other tables
+const TEXT_FIELDS = new Set([...EVENT_TEXT_FIELDS, 'title']);
+
+// Objects keyed by domain, and lists of domains
+const DOMAIN_KEYED_FIELDS = new Set(['domains', 'domainScores']);
+const DOMAIN_LIST_FIELDS = new Set(['allowedSites']);
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Export the user's data
+ * @param {Object} options - Export options
+ * @param {string} [options.format] - Value from EXPORT_FORMATS
+ * @param {string} [options.redaction] - Value from REDACTION_PROFILES
+ * @param {number} [options.startTime] - Earliest record to export
+ * @param {number} [options.endTime] - Latest record to export
+ * @returns {Promise<Uint8Array>} ZIP archive
+ */
+export async function exportData(options = {}) {
+  const { format = EXPORT_FORMATS.JSONL, redaction = REDACTION_PROFILES.NONE, startTime, endTime } = options;
+
+  if (!Object.values(EXPORT_FORMATS).includes(format)) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  if (!Object.values(REDACTION_PROFILES).includes(redaction)) {
+    throw new Error(`Unknown redaction profile: ${redaction}`);
+  }
+
+  // Encrypted events would be left out
+  if ((await getEncryptionStatus()).locked) {
+    throw new Error('Unlock the event store to export data');
+  }
+
+  const tables = await collectTables(startTime, endTime);
+  return createZip(buildExportFiles(tables, { format, redaction, startTime, endTime, exportedAt: Date.now() }));
+}
+
+/**
+ * Import a JSON Lines export
+ * @param {Uint8Array} bytes - ZIP archive from exportData
+ * @returns {Promise<Object>} Counts per table ({ events, sessions, feedback }), each { added, duplicates },
+ *   events also with rejected
+ */
+export async function importData(bytes) {
+  const { events, sessions, feedback } = parseExportFiles(await readZip(bytes));
+
+  const eventCounts = await mergeEvents(events.events);
+
+  const sessionCounts = { added: 0, duplicates: 0 };
+  for (const session of sessions) {
+    if (await getSession(session.session_id)) {
+      sessionCounts.duplicates++;
+      continue;
+    }
+
+    // Open sessions belong to tabs on the other machine, which never end them here
+    if (session.end_time === null) {
+      closeSessionRecord(session, SESSION_END_REASONS.INTERRUPTED);
+    }
+    await storeSession(session);
+    sessionCounts.added++;
+  }
+
+  return {
+    events: {
+      added: eventCounts.added,
+      duplicates: eventCounts.duplicates + events.duplicates,
+      rejected: events.rejected
+    },
+    sessions: sessionCounts,
+    feedback: await mergeNudgeFeedback(feedback)
+  };
+}
+
+/**
+ * Build the files of an export
+ * @param {Object} tables - Rows by table name (see EXPORT_TABLES)
+ * @param {Object} options - Export options ({ format, redaction, startTime, endTime, exportedAt })
+ * @returns {Array} Files ({ name, content }), manifest.json first
+ */
+export function buildExportFiles(tables, options) {
+  const pseudonyms = new Map();
+  const counts = {};
+  const files = [];
+
+  for (const table of EXPORT_TABLES) {
+    const rows = (tables[table] || []).map(row => redactRecord(row, options.redaction, pseudonyms));
+    counts[table] = rows.length;
+    files.push({
+      name: `${table}.${options.format}`,
+      content: options.format === EXPORT_FORMATS.CSV ? toCsv(rows) : toJsonLines(rows)
+    });
+  }
+
+  const manifest = {
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date(options.exportedAt).toISOString(),
+    format: options.format,
+    redaction: options.redaction,
+    startTime: options.startTime ?? null,
+    endTime: options.endTime ?? null,
+    tables: counts
+  };
+
+  return [{ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) }, ...files];
+}
+
+/**
+ * Read the tables of a JSON Lines export
+ * @param {Array} files - Files ({ name, content }) from readZip
+ * @returns {Object} Import ({ manifest, events, sessions, feedback }), events from prepareImportedEvents
+ */
+export function parseExportFiles(files) {
+  // Archives repacked by other tools may put the files in a folder
+  const contents = new Map(files.map(file => [file.name.split('/').pop(), textDecoder.decode(file.content)]));
+
+  if (!contents.has('manifest.json')) {
+    throw new Error('Data import has no manifest.json');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(contents.get('manifest.json'));
+  } catch (error) {
+    throw new Error('Data import manifest is not valid JSON');
+  }
+
+  if (manifest.version > EXPORT_FORMAT_VERSION) {
+    throw new Error(`Unsupported data export version: ${manifest.version}`);
+  }
+  if (manifest.format !== EXPORT_FORMATS.JSONL) {
+    throw new Error('Only JSON Lines exports can be imported, CSV files lose the value types');
+  }
+  if (manifest.redaction !== REDACTION_PROFILES.NONE) {
+    throw new Error('Redacted exports can\'t be imported');
+  }
+
+  const readTable = table => parseJsonLines(contents.get(`${table}.jsonl`) || '', `${table}.jsonl`);
+
+  return {
+    manifest,
+    events: prepareImportedEvents(readTable('events')),
+    sessions: readTable('sessions').filter(session => typeof session.session_id === 'string'),
+    feedback: readTable('feedback').filter(record => record.id !== undefined && Number.isFinite(record.timestamp))
+  };
+}
+
+/**
+ * Validate imported events against the event schema
+ * @param {Array} rows - Events as exported
+ * @returns {Object} Result ({ events, rejected, duplicates }), duplicates being repeated IDs in the rows
+ */
+export function prepareImportedEvents(rows) {
+  const events = [];
+  const seenIds = new Set();
+  let rejected = 0;
+  let duplicates = 0;
+
+  for (const row of rows) {
+    // The domain is derived again when the event is stored
+    const { id, domain, ...stored } = row;
+    const event = migrateEvent(stored);
+
+    if (typeof id !== 'string' || !id || validateEvent(event).length > 0) {
+      rejected++;
+      continue;
+    }
+    if (seenIds.has(id)) {
+      duplicates++;
+      continue;
+    }
+
+    seenIds.add(id);
+    events.push({ ...event, id });
+  }
+
+  return { events, rejected, duplicates };
+}
+
+/**
+ * Remove what a redaction profile doesn't keep from a record
+ * @param {*} value - Record or field value
+ * @param {string} profile - Value from REDACTION_PROFILES
+ * @param {Map} pseudonyms - Pseudonyms by domain, shared by all tables of an export
+ * @param {string} field - Name of the field holding the value
+ * @returns {*} Redacted copy
+ */
+export function redactRecord(value, profile, pseudonyms, field = '') {
+  if (profile === REDACTION_PROFILES.NONE) return value;
+
+  if (Array.isArray(value)) {
+    return DOMAIN_LIST_FIELDS.has(field)
+      ? value.map(domain => redactDomain(domain, profile, pseudonyms))
+      : value.map(item => redactRecord(item, profile, pseudonyms));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+      DOMAIN_KEYED_FIELDS.has(field) ? redactDomain(key, profile, pseudonyms) : key,
+      redactRecord(fieldValue, profile, pseudonyms, key)
+    ]));
+  }
+
+  if (typeof value !== 'string' || value === '') return value;
+
+  if (isUrlField(field)) return redactUrl(value, profile, pseudonyms);
+  if (TEXT_FIELDS.has(field)) return '';
+  if (field === 'domain' || field.endsWith('_domain')) return redactDomain(value, profile, pseudonyms);
+  return value;
+}
+
+/**
+ * Write rows as JSON Lines
+ * @param {Array} rows - Rows
+ * @returns {string} One JSON object per line
+ */
+export function toJsonLines(rows) {
+  return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+}
+
+/**
+ * Write rows as CSV
+ *
+ * Nested objects become dotted columns (payload.scroll_depth), except
+ * objects keyed by domain, which are written as JSON like arrays are.
+ * Columns are the union over all rows, in order of first appearance.
+ *
+ * @param {Array} rows - Rows
+ * @returns {string} CSV with a header row
+ */
+export function toCsv(rows) {
+  const flatRows = rows.map(row => flattenRow(row));
+  const columns = [...new Set(flatRows.flatMap(row => Object.keys(row)))];
+
+  return [columns, ...flatRows.map(row => columns.map(column => row[column]))]
+    .map(cells => `${cells.map(formatCsvCell).join(',')}\r\n`)
+    .join('');
+}
+
+/**
+ * Encode bytes as base64, for sending an archive in a runtime message
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64
+ */
+export function encodeBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64
+ * @returns {Uint8Array} Bytes
+ */
+export function decodeBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Read the exported tables from storage
+ * @param {number} [startTime] - Earliest record
+ * @param {number} [endTime] - Latest record
+ * @returns {Promise<Object>} Rows by table name
+ */
+async function collectTables(startTime, endTime) {
+  const inRange = record => (startTime === undefined || record.timestamp >= startTime) &&
+    (endTime === undefined || record.timestamp <= endTime);
+
+  const events = [];
+  for await (const { domain, ...event } of iterateEvents({ startTime, endTime })) {
+    events.push(event);
+  }
+
+  const local = await chrome.storage.local.get(['distractionScores', 'focusStats', 'userPreferences']);
+  const sync = await chrome.storage.sync.get('userPreferences');
+  const preferences = sync.userPreferences || local.userPreferences;
+
+  return {
+    events,
+    sessions: await getSessions({ startTime, endTime }),
+    distraction_scores: (local.distractionScores || []).filter(inRange),
+    focus_stats: local.focusStats ? [local.focusStats] : [],
+    feedback: (await loadNudgeFeedback()).filter(inRange),
+    preferences: preferences ? [preferences] : []
+  };
+}
+
+/**
+ * Parse JSON Lines
+ * @param {string} text - JSON Lines
+ * @param {string} fileName - File name for errors
+ * @returns {Array} Rows
+ */
+function parseJsonLines(text, fileName) {
+  return text.split('\n').flatMap((line, index) => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      throw new Error(`Line ${index + 1} of ${fileName} is not valid JSON`);
+    }
+  });
+}
+
+/**
+ * Flatten a row to dotted columns
+ * @param {Object} value - Row or nested object
+ * @param {string} prefix - Column prefix of the nested object
+ * @param {Object} row - Flattened row being built
+ * @returns {Object} Flattened row
+ */
+function flattenRow(value, prefix = '', row = {}) {
+  for (const [key, fieldValue] of Object.entries(value)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+
+    if (fieldValue && typeof fieldValue === 'object' && !Array.isArray(fieldValue) && !DOMAIN_KEYED_FIELDS.has(key)) {
+      flattenRow(fieldValue, column, row);
+    } else {
+      row[column] = fieldValue;
+    }
+  }
+  return row;
+}
+
+/**
+ * Format a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Quoted where needed
+ */
+function formatCsvCell(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  // Spreadsheets run text starting with these as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Redact a URL
+ * @param {string} url - URL
+ * @param {string} profile - Value from REDACTION_PROFILES
+ * @param {Map} pseudonyms - Pseudonyms by domain
+ * @returns {string} Origin of the URL, with the host replaced for ANONYMOUS, or '' if it isn't a URL
+ */
+function redactUrl(url, profile, pseudonyms) {
+  try {
+    const { protocol, host, hostname, origin } = new URL(url);
+    if (profile === REDACTION_PROFILES.ANONYMOUS) {
+      return hostname ? `${protocol}//${redactDomain(hostname, profile, pseudonyms)}` : '';
+    }
+    return origin !== 'null' ? origin : `${protocol}//${host}`;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Redact a domain
+ * @param {string} domain - Domain
+ * @param {string} profile - Value from REDACTION_PROFILES
+ * @param {Map} pseudonyms - Pseudonyms by domain
+ * @returns {string} The domain, or its pseudonym for ANONYMOUS
+ */
+function redactDomain(domain, profile, pseudonyms) {
+  if (profile !== REDACTION_PROFILES.ANONYMOUS) return domain;
+
+  if (!pseudonyms.has(domain)) {
+    pseudonyms.set(domain, `site-${pseudonyms.size + 1}`);
+  }
+  return pseudonyms.get(domain);
+}
+
+/**
+ * Check whether a field holds a URL
+ * @param {string} field - Field name
+ * @returns {boolean} Whether the field is a URL
+ */
+function isUrlField(field) {
+  return field === 'url' || field === 'referrer' || field.endsWith('_url');
+}
@@ -8,6 +8,7 @@
 
 import { EVENT_TYPES } from '../events/schema.js';
 import { extractFeatures } from '../features/extractor.js';
+import { getDomainCategory, DOMAIN_CATEGORIES } from '../features/domainRegistry.js';
 
 /**
  * Generate insights from event streams
@@ -497,24 +498,7 @@ function formatTimeOfDay(hour) {
  * @returns {string} Domain category
  */
 function categorizeDomain(domain) {
-  const categories = {
-    'social': ['facebook.com', 'twitter.com', 'instagram.com', 'linkedin.com', 'reddit.com', 'tiktok.com'],
-    'video': ['youtube.com', 'netflix.com', 'hulu.com', 'twitch.tv', 'vimeo.com', 'disney.com'],
-    'productivity': ['github.com', 'docs.google.com', 'sheets.google.com', 'notion.so', 'trello.com', 'asana.com', 'jira.com'],
-    'news': ['cnn.com', 'nytimes.com', 'bbc.com', 'washingtonpost.com', 'news.google.com', 'reuters.com'],
-    'shopping': ['amazon.com', 'ebay.com', 'etsy.com', 'walmart.com', 'target.com', 'bestbuy.com'],
-    'education': ['coursera.org', 'udemy.com', 'edx.org', 'khanacademy.org', 'duolingo.com'],
-    'gaming': ['twitch.tv', 'steam.com', 'epicgames.com', 'roblox.com', 'minecraft.net'],
-    'finance': ['chase.com', 'bankofamerica.com', 'wellsfargo.com', 'mint.com', 'robinhood.com']
-  };
-  
-  for (const [category, domains] of Object.entries(categories)) {
-    if (domains.some(d => domain.includes(d))) {
-      return category;
-    }
-  }
-  
-  return 'other';
+  return getDomainCategory(domain) || DOMAIN_CATEGORIES.OTHER;
 }
 
 /**
@@ -597,6 +581,7 @@ function analyzeInteractionPatterns(events) {
   for (const event of events) {
     // Skip visibility and idle events
     if (event.event_type === EVENT_TYPES.VISIBILITY_CHANGE || 
+        event.event_type === EVENT_TYPES.PAGE_IDLE ||
         event.event_type === EVENT_TYPES.SYSTEM_IDLE) {
       continue;
     }
@@ -682,6 +667,7 @@ function countIdlePeriods(events) {
   for (const event of events) {
     // Skip visibility and idle events
     if (event.event_type === EVENT_TYPES.VISIBILITY_CHANGE || 
+        event.event_type === EVENT_TYPES.PAGE_IDLE ||
         event.event_type === EVENT_TYPES.SYSTEM_IDLE) {
       continue;
     }
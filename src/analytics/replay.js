@@ -0,0 +1,250 @@
+/**
+ * Focus Nudge - Replay Evaluation
+ *
+ * This module replays stored events through a detection model so model changes
+ * can be measured against the user's own history before they ship. Events are
+ * windowed the way the service worker sees them: per tab in the batches
+ * processEvents handles, or per domain in the intervals
+ * calculateDistractionScores scores. Windows are labelled from nudge feedback,
+ * and the results are summarised as precision, recall, a calibration curve and
+ * the nudge volume the model would have caused.
+ */
+
+import { queryEvents } from '../events/storage.js';
+import { getEventDomain } from '../events/schema.js';
+import { extractFeaturesFromEvents } from '../features/extractor.js';
+import { loadNudgeFeedback, RESPONSE_LABELS } from '../features/nudgeFeedback.js';
+import { evaluateNudge } from '../features/nudgeGovernor.js';
+import { buildCalibrationCurve } from '../../models/calibration.js';
+
+// How events are grouped into prediction windows
+export const REPLAY_MODES = {
+  BATCHES: 'batches', // Per tab, as processEvents checks for distractions
+  SCORES: 'scores'    // Per domain, as calculateDistractionScores scores them
+};
+
+// Replay settings
+export const REPLAY_CONFIG = {
+  batchInterval: 5000,          // processEvents runs every 5 seconds
+  scoreInterval: 5 * 60 * 1000, // calculateDistractionScores runs every 5 minutes
+  labelWindow: 60 * 1000,       // Feedback labels the last window that ended this long before the nudge
+  calibrationBins: 10,
+  threshold: 0.7                // Used when the preferences have no distractionThreshold
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Group events into the windows the service worker would have predicted on
+ * @param {Array} events - Stored events
+ * @param {string} mode - Value from REPLAY_MODES
+ * @param {Object} config - Replay settings
+ * @returns {Array} Windows ({ key, domain, tabId, start, end, events, features }), oldest first
+ */
+export function buildReplayWindows(events, mode = REPLAY_MODES.BATCHES, config = REPLAY_CONFIG) {
+  const sorted = [...events].sort((a, b) => a.timestamp - b.timestamp);
+  const groups = new Map();
+
+  for (const event of sorted) {
+    let key;
+    let domain = null;
+
+    if (mode === REPLAY_MODES.SCORES) {
+      domain = getEventDomain(event);
+      if (!domain) continue;
+      key = `${Math.floor(event.timestamp / config.scoreInterval)}:${domain}`;
+    } else {
+      key = `${Math.floor(event.timestamp / config.batchInterval)}:${event.tab_id}`;
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, { key, domain, tabId: event.tab_id, events: [] });
+    }
+    groups.get(key).events.push(event);
+  }
+
+  const windows = [];
+  for (const group of groups.values()) {
+    const features = extractFeaturesFromEvents(group.events);
+    const domain = group.domain || features.domain;
+
+    // processEvents only checks batches it can attribute to a domain
+    if (!domain) continue;
+
+    windows.push({
+      ...group,
+      domain,
+      start: group.events[0].timestamp,
+      end: group.events[group.events.length - 1].timestamp,
+      features
+    });
+  }
+
+  return windows.sort((a, b) => a.end - b.end);
+}
+
+/**
+ * Label windows from nudge feedback
+ *
+ * A rated nudge labels the last window for its domain that started before the
+ * nudge was shown and ended at most labelWindow before it: for batches, the
+ * batch that triggered the nudge; for score intervals, the interval it fell in.
+ * Batches without a page visit have no domain and, as in processEvents, are
+ * never checked, so only the batch with the page visit can be labelled.
+ *
+ * @param {Array} windows - Windows from buildReplayWindows
+ * @param {Array} feedback - Nudge records from nudgeFeedback.js
+ * @param {Object} config - Replay settings
+ * @returns {number} Number of labelled windows
+ */
+export function labelWindows(windows, feedback, config = REPLAY_CONFIG) {
+  let labelled = 0;
+
+  for (const record of feedback) {
+    if (!(record.response in RESPONSE_LABELS)) continue;
+
+    const trigger = windows
+      .filter(candidate => candidate.domain === record.domain &&
+        candidate.start <= record.timestamp &&
+        record.timestamp - candidate.end <= config.labelWindow)
+      .pop();
+
+    if (trigger) {
+      if (trigger.label === undefined) labelled++;
+      trigger.label = RESPONSE_LABELS[record.response];
+    }
+  }
+
+  return labelled;
+}
+
+/**
+ * Run a model over replay windows
+ * @param {Array} windows - Windows from buildReplayWindows
+ * @param {Function} predict - Async function taking ModelManager.predict input
+ * @param {Object} userPreferences - Preferences the predictions are adjusted for
+ * @returns {Promise<Array>} Results ({ domain, tabId, timestamp, probability, confidence, label })
+ */
+export async function replayWindows(windows, predict, userPreferences = {}) {
+  const sessionData = {};
+  const results = [];
+
+  for (const replayWindow of windows) {
+    // processEvents updates the session data before it checks the batch
+    const domainData = sessionData[replayWindow.domain] || { visits: 0, totalTimeSpent: 0 };
+    domainData.visits += replayWindow.features.pageVisits;
+    domainData.totalTimeSpent += replayWindow.features.timeSpent;
+    sessionData[replayWindow.domain] = domainData;
+
+    const prediction = await predict({
+      events: replayWindow.events,
+      features: replayWindow.features,
+      sessionData: { ...domainData },
+      userPreferences
+    });
+    if (!prediction) continue;
+
+    results.push({
+      domain: replayWindow.domain,
+      tabId: replayWindow.tabId,
+      timestamp: replayWindow.end,
+      probability: prediction.probability,
+      confidence: prediction.confidence,
+      label: replayWindow.label
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Summarise replay results
+ * @param {Array} results - Results from replayWindows
+ * @param {Object} userPreferences - Preferences (distractionThreshold, nudgeFrequency, quietHours)
+ * @param {Object} config - Replay settings
+ * @returns {Object} Precision, recall, calibration curve and nudge volume
+ */
+export function evaluateResults(results, userPreferences = {}, config = REPLAY_CONFIG) {
+  const threshold = userPreferences.distractionThreshold || config.threshold;
+  const labelled = results.filter(result => result.label !== undefined);
+
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+  for (const { probability, label } of labelled) {
+    const flagged = probability >= threshold;
+    if (flagged && label === 1) truePositives++;
+    if (flagged && label === 0) falsePositives++;
+    if (!flagged && label === 1) falseNegatives++;
+  }
+
+  return {
+    threshold,
+    windowCount: results.length,
+    labelledCount: labelled.length,
+    precision: truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : null,
+    recall: truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : null,
+    calibration: buildCalibrationCurve(labelled, config.calibrationBins),
+    nudgeVolume: simulateNudges(results, threshold, userPreferences)
+  };
+}
+
+/**
+ * Replay stored events through a model and evaluate it
+ * @param {Function} predict - Async function taking ModelManager.predict input
+ * @param {Object} options - Replay options
+ * @param {number} [options.startTime] - Earliest event to replay
+ * @param {number} [options.endTime] - Latest event to replay
+ * @param {string} [options.mode] - Value from REPLAY_MODES
+ * @param {Object} [options.userPreferences] - User preferences
+ * @returns {Promise<Object>} Evaluation report
+ */
+export async function evaluateModel(predict, options = {}) {
+  const { startTime, endTime, mode = REPLAY_MODES.BATCHES, userPreferences = {} } = options;
+
+  const { events } = await queryEvents({ startTime, endTime });
+  const windows = buildReplayWindows(events, mode);
+  labelWindows(windows, await loadNudgeFeedback());
+
+  const results = await replayWindows(windows, predict, userPreferences);
+
+  return {
+    mode,
+    eventCount: events.length,
+    ...evaluateResults(results, userPreferences)
+  };
+}
+
+/**
+ * Count the nudges flagged windows would have caused after the nudge governor
+ * @param {Array} results - Results ordered by time
+ * @param {number} threshold - Distraction threshold
+ * @param {Object} userPreferences - Preferences for the governor
+ * @returns {Object} Nudge volume ({ flagged, delivered, perDay, suppressed })
+ */
+function simulateNudges(results, threshold, userPreferences) {
+  const shown = [];
+  const suppressed = {};
+  let flagged = 0;
+
+  for (const { domain, timestamp, probability } of results) {
+    if (probability < threshold) continue;
+    flagged++;
+
+    const decision = evaluateNudge(shown, domain, userPreferences, timestamp);
+    if (decision.allowed) {
+      shown.push({ domain, timestamp, response: null });
+    } else {
+      suppressed[decision.reason] = (suppressed[decision.reason] || 0) + 1;
+    }
+  }
+
+  const span = results.length > 1 ? results[results.length - 1].timestamp - results[0].timestamp : 0;
+
+  return {
+    flagged,
+    delivered: shown.length,
+    perDay: shown.length / Math.max(1, span / DAY),
+    suppressed
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * Focus Nudge - ZIP Archives
+ *
+ * This module writes and reads the ZIP archives data exports are packed in.
+ * Entries are deflated with CompressionStream where the browser supports
+ * raw deflate and stored uncompressed otherwise. Reading supports stored and
+ * deflated entries, which covers archives repacked by the usual tools, but
+ * not ZIP64, encryption or multi-disk archives.
+ */
+
+const SIGNATURES = {
+  localFile: 0x04034b50,
+  centralDirectory: 0x02014b50,
+  endOfCentralDirectory: 0x06054b50
+};
+
+const METHODS = {
+  STORED: 0,
+  DEFLATED: 8
+};
+
+const UTF8_NAMES = 0x0800; // General purpose flag: file names are UTF-8
+
+const textEncoder = new TextEncoder();
+
+let crcTable = null;
+
+/**
+ * Create a ZIP archive
+ * @param {Array} files - Files ({ name, content }) with string or Uint8Array content
+ * @param {Date} modifiedAt - Modification time recorded for every file
+ * @returns {Promise<Uint8Array>} Archive
+ */
+export async function createZip(files, modifiedAt = new Date()) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  const { time, date } = toDosDateTime(modifiedAt);
+
+  for (const file of files) {
+    const name = textEncoder.encode(file.name);
+    const content = typeof file.content === 'string' ? textEncoder.encode(file.content) : file.content;
+    const crc = crc32(content);
+
+    const deflated = await deflateRaw(content);
+    const method = deflated && deflated.length < content.length ? METHODS.DEFLATED : METHODS.STORED;
+    const data = method === METHODS.DEFLATED ? deflated : content;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, SIGNATURES.localFile, true);
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, UTF8_NAMES, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, content.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, SIGNATURES.centralDirectory, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, UTF8_NAMES, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, content.length, true);
+    central.setUint16(28, name.length, true);
+    // Extra field, comment, disk number and attributes stay 0
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, SIGNATURES.endOfCentralDirectory, true);
+  end.setUint16(8, files.length, true);  // Entries on this disk
+  end.setUint16(10, files.length, true); // Entries in total
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Read the files in a ZIP archive
+ * @param {Uint8Array} bytes - Archive
+ * @returns {Promise<Array>} Files ({ name, content }) with Uint8Array content
+ */
+export async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end of central directory record is followed by a comment of up to 64 KB
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === SIGNATURES.endOfCentralDirectory) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entryCount = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const files = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(position, true) !== SIGNATURES.centralDirectory) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const method = view.getUint16(position + 10, true);
+    const crc = view.getUint32(position + 16, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    // The local header's extra field can differ from the central directory's
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === METHODS.STORED) {
+      content = data;
+    } else if (method === METHODS.DEFLATED) {
+      content = await inflateRaw(data);
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+
+    if (crc32(content) !== crc) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+
+    if (!name.endsWith('/')) {
+      files.push({ name, content });
+    }
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+/**
+ * Compute the CRC-32 of bytes
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Deflate bytes without a zlib header
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {Promise<Uint8Array|null>} Deflated bytes, or null where raw deflate isn't supported
+ */
+async function deflateRaw(bytes) {
+  let stream;
+  try {
+    stream = new CompressionStream('deflate-raw');
+  } catch (error) {
+    return null;
+  }
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+/**
+ * Inflate bytes deflated without a zlib header
+ * @param {Uint8Array} bytes - Deflated bytes
+ * @returns {Promise<Uint8Array>} Bytes
+ */
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Convert a date to the MS-DOS date and time ZIP headers use
+ * @param {Date} value - Date, in local time
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(value) {
+  return {
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+    date: ((Math.max(1980, value.getFullYear()) - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+  };
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
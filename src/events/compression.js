@@ -0,0 +1,259 @@
+/**
+ * Focus Nudge - Event Compression
+ *
+ * This module compacts events for IndexedDB. URLs and domains are replaced by
+ * IDs from a dictionary that storage.js keeps in its own object store, and
+ * payload fields that still have their schema default are dropped and filled
+ * back in when the event is read. Raw MOUSE_MOVE and PAGE_SCROLL samples are
+ * rolled up into one INTERACTION_ROLLUP event per minute once they are old
+ * enough that nothing reads them one by one.
+ *
+ * Dropped fields are restored from the current EVENT_PAYLOAD_SCHEMAS, so
+ * changing a payload default changes how stored events read: bump
+ * SCHEMA_VERSION and migrate instead.
+ */
+
+import { EVENT_TYPES, EVENT_PAYLOAD_SCHEMAS, createEvent } from './schema.js';
+
+// Format of compressed records; records without it are stored as they were created
+export const COMPRESSION_VERSION = 1;
+
+// Event types rolled up into INTERACTION_ROLLUP events
+export const ROLLUP_TYPES = [EVENT_TYPES.MOUSE_MOVE, EVENT_TYPES.PAGE_SCROLL];
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Create a dictionary of encoded values
+ *
+ * Entries without a value are forgotten values (see forgetValues). Their IDs
+ * are never given out again, so records still using them decode to nothing.
+ *
+ * @param {Array} entries - Stored entries ({ id, value })
+ * @returns {Object} Dictionary ({ ids, values, nextId, added }); added lists entries not yet stored
+ */
+export function createDictionary(entries = []) {
+  const dictionary = { ids: new Map(), values: new Map(), nextId: 1, added: [] };
+
+  for (const { id, value } of entries) {
+    if (value !== undefined) {
+      dictionary.ids.set(value, id);
+      dictionary.values.set(id, value);
+    }
+    dictionary.nextId = Math.max(dictionary.nextId, id + 1);
+  }
+
+  return dictionary;
+}
+
+/**
+ * Get the ID of a value, adding the value to the dictionary if it is new
+ * @param {Object} dictionary - Dictionary from createDictionary
+ * @param {string} value - Value to encode
+ * @returns {number} Value ID
+ */
+export function encodeValue(dictionary, value) {
+  let id = dictionary.ids.get(value);
+
+  if (id === undefined) {
+    id = dictionary.nextId++;
+    dictionary.ids.set(value, id);
+    dictionary.values.set(id, value);
+    dictionary.added.push({ id, value });
+  }
+
+  return id;
+}
+
+/**
+ * Forget values, so records using them decode as if the values were empty
+ * @param {Object} dictionary - Dictionary from createDictionary
+ * @param {Function} isForgotten - Called with each value, returns whether to forget it
+ * @returns {Array} Entries to store in place of the forgotten ones ({ id }, without a value)
+ */
+export function forgetValues(dictionary, isForgotten) {
+  const tombstones = [];
+
+  for (const [id, value] of dictionary.values) {
+    if (!isForgotten(value)) continue;
+
+    dictionary.ids.delete(value);
+    dictionary.values.delete(id);
+    tombstones.push({ id });
+  }
+
+  // Entries waiting to be stored shouldn't bring the values back
+  dictionary.added = dictionary.added.filter(entry => dictionary.values.has(entry.id));
+
+  return tombstones;
+}
+
+/**
+ * Compress an event for storage
+ * @param {Object} event - Event, with its id and domain
+ * @param {Object} dictionary - Dictionary from createDictionary
+ * @returns {Object} Compressed record
+ */
+export function compressEvent(event, dictionary) {
+  const payload = {};
+
+  for (const [field, value] of Object.entries(omitDefaultFields(event.event_type, event.payload))) {
+    payload[field] = isEncodedField(field) && typeof value === 'string'
+      ? encodeValue(dictionary, value)
+      : value;
+  }
+
+  return {
+    ...event,
+    url: event.url ? encodeValue(dictionary, event.url) : event.url,
+    domain: event.domain ? encodeValue(dictionary, event.domain) : null,
+    payload,
+    compression: COMPRESSION_VERSION
+  };
+}
+
+/**
+ * Decompress a record from storage
+ * @param {Object} record - Stored record (compressed or not)
+ * @param {Object} dictionary - Dictionary from createDictionary
+ * @returns {Object} Event
+ */
+export function decompressEvent(record, dictionary) {
+  if (!record.compression) return record;
+
+  const { compression, ...event } = record;
+  const payload = {};
+
+  for (const [field, value] of Object.entries(event.payload || {})) {
+    payload[field] = isEncodedField(field) && typeof value === 'number'
+      ? decodeValue(dictionary, value, '')
+      : value;
+  }
+
+  return {
+    ...event,
+    url: typeof event.url === 'number' ? decodeValue(dictionary, event.url, '') : event.url,
+    domain: typeof event.domain === 'number' ? decodeValue(dictionary, event.domain, null) : event.domain,
+    payload: restoreDefaultFields(event.event_type, payload)
+  };
+}
+
+/**
+ * Drop the payload fields that have their schema default
+ * @param {string} eventType - Event type
+ * @param {Object} payload - Event payload
+ * @returns {Object} Payload without default fields
+ */
+export function omitDefaultFields(eventType, payload) {
+  const schema = EVENT_PAYLOAD_SCHEMAS[eventType] || {};
+  return Object.fromEntries(Object.entries(payload || {})
+    .filter(([field, value]) => !(field in schema && isDefaultValue(value, schema[field]))));
+}
+
+/**
+ * Fill in the payload fields dropped by omitDefaultFields
+ * @param {string} eventType - Event type
+ * @param {Object} payload - Payload without default fields
+ * @returns {Object} Payload
+ */
+export function restoreDefaultFields(eventType, payload) {
+  return { ...EVENT_PAYLOAD_SCHEMAS[eventType], ...payload };
+}
+
+/**
+ * Roll up MOUSE_MOVE and PAGE_SCROLL samples into one event per minute
+ *
+ * Samples are grouped by session, tab, URL, type and minute. Each rollup
+ * takes the ID, sequence ID and timestamp of the first sample in its group.
+ *
+ * @param {Array} events - Decompressed events of ROLLUP_TYPES, ordered by time
+ * @returns {Array} INTERACTION_ROLLUP events, with the domain of their samples (groups
+ *   that fail validation are left out)
+ */
+export function rollUpInteractionEvents(events) {
+  const groups = new Map();
+
+  for (const event of events) {
+    const minute = Math.floor(event.timestamp / MINUTE);
+    const key = [event.session_id, event.tab_id, event.url, event.event_type, minute].join('|');
+
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  }
+
+  return [...groups.values()].map(samples => {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+
+    const rollup = createEvent(EVENT_TYPES.INTERACTION_ROLLUP, {
+      rolled_up_type: first.event_type,
+      event_count: samples.length,
+      duration: last.timestamp - first.timestamp,
+      distance: measureDistance(samples),
+      max_scroll_depth: Math.max(0, ...samples.map(sample => sample.payload.scroll_depth || 0))
+    }, {
+      timestamp: first.timestamp,
+      url: first.url,
+      tab_id: first.tab_id,
+      session_id: first.session_id,
+      sequence_id: first.sequence_id
+    });
+
+    return rollup && { ...rollup, id: `${first.id}-rollup`, domain: first.domain };
+  }).filter(Boolean);
+}
+
+/**
+ * Sum the distance moved between consecutive samples
+ * @param {Array} samples - MOUSE_MOVE or PAGE_SCROLL events of one group
+ * @returns {number} Distance in pixels
+ */
+function measureDistance(samples) {
+  let distance = 0;
+
+  for (let i = 1; i < samples.length; i++) {
+    const from = samples[i - 1].payload;
+    const to = samples[i].payload;
+
+    if (samples[i].event_type === EVENT_TYPES.MOUSE_MOVE) {
+      distance += Math.hypot((to.x || 0) - (from.x || 0), (to.y || 0) - (from.y || 0));
+    } else {
+      distance += Math.abs((to.scroll_position_y || 0) - (from.scroll_position_y || 0));
+    }
+  }
+
+  return Math.round(distance);
+}
+
+/**
+ * Look up an encoded value
+ * @param {Object} dictionary - Dictionary from createDictionary
+ * @param {number} id - Value ID
+ * @param {*} fallback - Value for IDs missing from the dictionary
+ * @returns {*} Decoded value
+ */
+function decodeValue(dictionary, id, fallback) {
+  return dictionary.values.has(id) ? dictionary.values.get(id) : fallback;
+}
+
+/**
+ * Check whether a payload field holds a URL or domain
+ * @param {string} field - Payload field name
+ * @returns {boolean} Whether the field is dictionary-encoded
+ */
+function isEncodedField(field) {
+  return field === 'domain' || field === 'url' || field === 'referrer' || field.endsWith('_url');
+}
+
+/**
+ * Check whether a payload value equals its schema default
+ * @param {*} value - Payload value
+ * @param {*} defaultValue - Schema default
+ * @returns {boolean} Whether the field can be dropped
+ */
+function isDefaultValue(value, defaultValue) {
+  if (Array.isArray(defaultValue)) {
+    return Array.isArray(value) && value.length === 0 && defaultValue.length === 0;
+  }
+  return value === defaultValue;
+}
@@ -0,0 +1,396 @@
+/**
+ * Focus Nudge - Event Encryption
+ *
+ * This module encrypts events for IndexedDB when the user sets a passphrase.
+ * The URL, domain and payload of an event are encrypted with AES-GCM; the
+ * fields queries and pruning use (timestamp, type, session, tab) stay
+ * readable, and the domain is replaced by a keyed hash so the domain index
+ * still works without revealing the domain.
+ *
+ * Events are encrypted with random data keys. The keyring stores them wrapped
+ * with a key derived from the passphrase through PBKDF2, each data key under
+ * its own ID, so a key can be added or retired without the passphrase.
+ * Rotating wraps every key under a new passphrase and adds a data key for new
+ * and re-encrypted events. The domain hash key isn't rotated, so domain
+ * queries work while events are re-encrypted.
+ *
+ * Session records are encrypted with the same data keys: their summary and
+ * last domain are encrypted, the times, tab and sequence stay readable.
+ */
+
+import { omitDefaultFields, restoreDefaultFields } from './compression.js';
+
+// Format of encrypted records and the keyring
+export const ENCRYPTION_VERSION = 1;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// PBKDF2-SHA-256 iterations for new keyrings
+export const DEFAULT_KDF_ITERATIONS = 600000;
+
+const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const DOMAIN_HASH_BYTES = 16;
+
+// Additional data the domain hash key is wrapped with, in place of a data key ID
+const INDEX_KEY_ID = 'index';
+
+// Prefix of the additional data of session records, so they can't pass for events
+const SESSION_DATA_PREFIX = 'session:';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Create a keyring with a new data key
+ * @param {string} passphrase - Passphrase
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} Keyring to store ({ keyring }) and unlocked keys ({ keys })
+ */
+export async function createKeyring(passphrase, iterations = DEFAULT_KDF_ITERATIONS) {
+  return sealKeyring({
+    currentKeyId: createKeyId(),
+    indexKey: randomBytes(KEY_BYTES),
+    dataKeys: []
+  }, passphrase, iterations);
+}
+
+/**
+ * Unlock a keyring
+ * @param {Object} keyring - Stored keyring
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Unlocked keys
+ */
+export async function unlockKeyring(keyring, passphrase) {
+  if (keyring.version > ENCRYPTION_VERSION) {
+    throw new Error(`Unsupported keyring version: ${keyring.version}`);
+  }
+
+  const wrappingKey = await deriveWrappingKey(passphrase, keyring.kdf);
+
+  let material;
+  try {
+    material = {
+      currentKeyId: keyring.current_key_id,
+      indexKey: await unwrapKey(wrappingKey, keyring.index_key, INDEX_KEY_ID),
+      dataKeys: await Promise.all(keyring.data_keys.map(async entry => ({
+        id: entry.id,
+        createdAt: entry.created_at,
+        key: await unwrapKey(wrappingKey, entry, entry.id)
+      })))
+    };
+  } catch (error) {
+    // AES-GCM fails to authenticate with a key derived from another passphrase
+    throw new Error('Wrong passphrase');
+  }
+
+  return importKeys(material);
+}
+
+/**
+ * Wrap the keys under a new passphrase and add a data key for new events
+ * @param {Object} keys - Unlocked keys
+ * @param {string} passphrase - New passphrase
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} Keyring to store ({ keyring }) and unlocked keys ({ keys })
+ */
+export async function rotateKeyring(keys, passphrase, iterations = DEFAULT_KDF_ITERATIONS) {
+  return sealKeyring({ ...keys.material, currentKeyId: createKeyId() }, passphrase, iterations);
+}
+
+/**
+ * Remove the data keys other than the current one, once no event is encrypted with them
+ * @param {Object} keyring - Stored keyring
+ * @param {Object} keys - Unlocked keys
+ * @returns {Object} Keyring to store ({ keyring }) and unlocked keys ({ keys })
+ */
+export function retireDataKeys(keyring, keys) {
+  const isCurrent = id => id === keys.currentKeyId;
+
+  return {
+    keyring: { ...keyring, data_keys: keyring.data_keys.filter(entry => isCurrent(entry.id)) },
+    keys: {
+      ...keys,
+      dataKeys: new Map([...keys.dataKeys].filter(([id]) => isCurrent(id))),
+      material: { ...keys.material, dataKeys: keys.material.dataKeys.filter(entry => isCurrent(entry.id)) }
+    }
+  };
+}
+
+/**
+ * Get the key material of unlocked keys, to keep them unlocked for the browser session
+ * @param {Object} keys - Unlocked keys
+ * @returns {Object} JSON-serializable key material
+ */
+export function exportKeys(keys) {
+  const { currentKeyId, indexKey, dataKeys } = keys.material;
+  return {
+    currentKeyId,
+    indexKey: Array.from(indexKey),
+    dataKeys: dataKeys.map(entry => ({ ...entry, key: Array.from(entry.key) }))
+  };
+}
+
+/**
+ * Import key material from exportKeys
+ * @param {Object} exported - Key material
+ * @returns {Promise<Object>} Unlocked keys
+ */
+export async function importExportedKeys(exported) {
+  return importKeys({
+    currentKeyId: exported.currentKeyId,
+    indexKey: Uint8Array.from(exported.indexKey),
+    dataKeys: exported.dataKeys.map(entry => ({ ...entry, key: Uint8Array.from(entry.key) }))
+  });
+}
+
+/**
+ * Check whether a stored record is encrypted
+ * @param {Object} record - Stored record
+ * @returns {boolean} Whether the record is encrypted
+ */
+export function isEncrypted(record) {
+  return !!record.encryption;
+}
+
+/**
+ * Encrypt an event for storage
+ * @param {Object} event - Event, with its id and domain
+ * @param {Object} keys - Unlocked keys
+ * @returns {Promise<Object>} Encrypted record
+ */
+export async function encryptEvent(event, keys) {
+  const { url, domain, payload, ...fields } = event;
+  const iv = randomBytes(IV_BYTES);
+  const plaintext = textEncoder.encode(JSON.stringify({
+    url,
+    domain,
+    payload: omitDefaultFields(event.event_type, payload)
+  }));
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: textEncoder.encode(event.id) },
+    keys.dataKeys.get(keys.currentKeyId),
+    plaintext
+  );
+
+  return {
+    ...fields,
+    domain: domain ? await hashDomain(domain, keys) : null,
+    encryption: ENCRYPTION_VERSION,
+    key_id: keys.currentKeyId,
+    iv,
+    ciphertext: new Uint8Array(ciphertext)
+  };
+}
+
+/**
+ * Decrypt a record from storage
+ * @param {Object} record - Encrypted record
+ * @param {Object} keys - Unlocked keys
+ * @returns {Promise<Object>} Event
+ */
+export async function decryptEvent(record, keys) {
+  const { encryption, key_id: keyId, iv, ciphertext, domain, ...fields } = record;
+
+  const key = keys.dataKeys.get(keyId);
+  if (!key) {
+    throw new Error(`Event ${record.id} is encrypted with an unknown key`);
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv, additionalData: textEncoder.encode(record.id) },
+    key,
+    ciphertext
+  );
+  const decrypted = JSON.parse(textDecoder.decode(plaintext));
+
+  return {
+    ...fields,
+    url: decrypted.url,
+    domain: decrypted.domain,
+    payload: restoreDefaultFields(record.event_type, decrypted.payload)
+  };
+}
+
+/**
+ * Encrypt a session record for storage
+ * @param {Object} session - Session record from sessions.js
+ * @param {Object} keys - Unlocked keys
+ * @returns {Promise<Object>} Encrypted record
+ */
+export async function encryptSession(session, keys) {
+  const { summary, last_domain: lastDomain, ...fields } = session;
+  const iv = randomBytes(IV_BYTES);
+  const plaintext = textEncoder.encode(JSON.stringify({ summary, last_domain: lastDomain }));
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: textEncoder.encode(SESSION_DATA_PREFIX + session.session_id) },
+    keys.dataKeys.get(keys.currentKeyId),
+    plaintext
+  );
+
+  return {
+    ...fields,
+    encryption: ENCRYPTION_VERSION,
+    key_id: keys.currentKeyId,
+    iv,
+    ciphertext: new Uint8Array(ciphertext)
+  };
+}
+
+/**
+ * Decrypt a session record from storage
+ * @param {Object} record - Encrypted record
+ * @param {Object} keys - Unlocked keys
+ * @returns {Promise<Object>} Session record
+ */
+export async function decryptSession(record, keys) {
+  const { encryption, key_id: keyId, iv, ciphertext, ...fields } = record;
+
+  const key = keys.dataKeys.get(keyId);
+  if (!key) {
+    throw new Error(`Session ${record.session_id} is encrypted with an unknown key`);
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv, additionalData: textEncoder.encode(SESSION_DATA_PREFIX + record.session_id) },
+    key,
+    ciphertext
+  );
+
+  return { ...fields, ...JSON.parse(textDecoder.decode(plaintext)) };
+}
+
+/**
+ * Hash a domain for the domain index of encrypted events
+ * @param {string} domain - Domain
+ * @param {Object} keys - Unlocked keys
+ * @returns {Promise<string>} Keyed hash, in hex
+ */
+export async function hashDomain(domain, keys) {
+  const signature = await crypto.subtle.sign('HMAC', keys.indexKey, textEncoder.encode(domain.toLowerCase()));
+  return Array.from(new Uint8Array(signature, 0, DOMAIN_HASH_BYTES), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Wrap key material under a passphrase
+ * @param {Object} material - Key material ({ currentKeyId, indexKey, dataKeys }); a data key is
+ *   created for currentKeyId if there is none
+ * @param {string} passphrase - Passphrase
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} Keyring to store ({ keyring }) and unlocked keys ({ keys })
+ */
+async function sealKeyring(material, passphrase, iterations) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const dataKeys = material.dataKeys.some(entry => entry.id === material.currentKeyId)
+    ? material.dataKeys
+    : [...material.dataKeys, { id: material.currentKeyId, createdAt: Date.now(), key: randomBytes(KEY_BYTES) }];
+
+  const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: randomBytes(SALT_BYTES) };
+  const wrappingKey = await deriveWrappingKey(passphrase, kdf);
+
+  const keyring = {
+    id: 'keyring',
+    version: ENCRYPTION_VERSION,
+    kdf,
+    current_key_id: material.currentKeyId,
+    index_key: await wrapKey(wrappingKey, material.indexKey, INDEX_KEY_ID),
+    data_keys: await Promise.all(dataKeys.map(async entry => ({
+      id: entry.id,
+      created_at: entry.createdAt,
+      ...await wrapKey(wrappingKey, entry.key, entry.id)
+    })))
+  };
+
+  return { keyring, keys: await importKeys({ ...material, dataKeys }) };
+}
+
+/**
+ * Import raw key material as WebCrypto keys
+ * @param {Object} material - Key material ({ currentKeyId, indexKey, dataKeys })
+ * @returns {Promise<Object>} Unlocked keys ({ currentKeyId, indexKey, dataKeys, material })
+ */
+async function importKeys(material) {
+  const dataKeys = new Map();
+  for (const entry of material.dataKeys) {
+    dataKeys.set(entry.id, await crypto.subtle.importKey('raw', entry.key, 'AES-GCM', false, ['encrypt', 'decrypt']));
+  }
+
+  return {
+    currentKeyId: material.currentKeyId,
+    indexKey: await crypto.subtle.importKey('raw', material.indexKey, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+    dataKeys,
+    material
+  };
+}
+
+/**
+ * Derive the key that wraps the keyring from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdf - Derivation settings ({ iterations, salt })
+ * @returns {Promise<CryptoKey>} AES-GCM wrapping key
+ */
+async function deriveWrappingKey(passphrase, kdf) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', textEncoder.encode(String(passphrase).normalize('NFC')), 'PBKDF2', false, ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: kdf.salt, iterations: kdf.iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt raw key bytes with the wrapping key
+ * @param {CryptoKey} wrappingKey - Wrapping key
+ * @param {Uint8Array} key - Raw key
+ * @param {string} id - Key ID, bound to the wrapped key
+ * @returns {Promise<Object>} Wrapped key ({ iv, data })
+ */
+async function wrapKey(wrappingKey, key, id) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: textEncoder.encode(id) }, wrappingKey, key
+  );
+  return { iv, data: new Uint8Array(data) };
+}
+
+/**
+ * Decrypt raw key bytes with the wrapping key
+ * @param {CryptoKey} wrappingKey - Wrapping key
+ * @param {Object} wrapped - Wrapped key ({ iv, data })
+ * @param {string} id - Key ID the key was wrapped with
+ * @returns {Promise<Uint8Array>} Raw key
+ */
+async function unwrapKey(wrappingKey, wrapped, id) {
+  const key = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: wrapped.iv, additionalData: textEncoder.encode(id) }, wrappingKey, wrapped.data
+  );
+  return new Uint8Array(key);
+}
+
+/**
+ * Create an ID for a new data key
+ * @returns {string} Key ID
+ */
+function createKeyId() {
+  return `key-${Date.now().toString(36)}-${Array.from(randomBytes(4), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Generate random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
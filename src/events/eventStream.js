@@ -4,6 +4,12 @@
  * This module manages the collection, buffering, and transmission of events
  * in the streaming architecture. It provides a unified interface for working
  * with the event stream across the extension.
+ *
+ * The content script tracks events here; they are sampled, buffered and sent
+ * to the service worker in TRACK_EVENTS batches. The service worker owns the
+ * tab's session and assigns sequence IDs as events arrive, so events from the
+ * page and from the service worker share one sequence per session. The stream
+ * adopts the session ID the service worker reports back.
  */
 
 // We'll use dynamic imports for schema.js
@@ -28,6 +34,7 @@ async function importDependencies() {
 // Configuration
 const CONFIG = {
   bufferSize: 100,                // Max events to buffer before flushing
+  maxBufferedEvents: 1000,        // Oldest events are dropped beyond this while the service worker can't be reached
   flushInterval: 5000,            // Flush interval in ms (5 seconds)
   samplingRates: {                // Sampling rates for high-frequency events
     MOUSE_MOVE: 500,              // Sample mouse moves every 500ms
@@ -43,13 +50,14 @@ const CONFIG = {
 // State
 let eventBuffer = [];
 let sessionId = null;
-let sequenceCounter = 0;
+let trackedCount = 0;
 let lastFlushTime = Date.now();
 let flushTimer = null;
 let samplingTimers = {};
 let isInitialized = false;
 let eventHandlers = [];
 let currentTabId = null;
+let captureLevel = 'full';  // Capture level the service worker reported for the page (see privacy.js)
 
 /**
  * Initialize the event stream
@@ -69,19 +77,21 @@ async function initialize(options = {}) {
     // Merge configuration options
     Object.assign(CONFIG, options);
     
-    // Generate a new session ID
+    // Generate a session ID until the service worker reports the tab's session
     sessionId = generateSessionId();
+    trackedCount = 0;
     
-    // Reset sequence counter
-    sequenceCounter = 0;
-    
-    // Get current tab ID if in content script context
+    // Get current tab ID and session if in content script context
     if (typeof chrome !== 'undefined' && chrome.runtime) {
       try {
-        const tabInfo = await new Promise(resolve => {
-          chrome.runtime.sendMessage({ type: 'GET_TAB_INFO' }, resolve);
-        });
+        const tabInfo = await sendMessage({ type: 'GET_TAB_INFO' });
         currentTabId = tabInfo?.tabId;
+        if (tabInfo?.sessionId) {
+          sessionId = tabInfo.sessionId;
+        }
+        if (tabInfo?.captureLevel) {
+          captureLevel = tabInfo.captureLevel;
+        }
       } catch (e) {
         console.warn('Failed to get tab ID:', e);
       }
@@ -143,6 +153,11 @@ function trackEvent(eventType, payload = {}) {
     return null;
   }
   
+  // The service worker would drop the events of a page it doesn't record
+  if (captureLevel === 'none') {
+    return null;
+  }
+  
   // Check if this event type should be sampled
   if (CONFIG.samplingRates[eventType]) {
     const now = Date.now();
@@ -157,13 +172,18 @@ function trackEvent(eventType, payload = {}) {
     samplingTimers[eventType] = now;
   }
   
-  // Create the event
+  // Create the event (the service worker assigns the sequence ID)
   const event = createEvent(eventType, payload, {
+    url: globalThis.location ? globalThis.location.href : '',
     session_id: sessionId,
-    sequence_id: sequenceCounter++,
     tab_id: currentTabId
   });
   
+  // Invalid events are counted in the schema's validation stats
+  if (!event) return null;
+  
+  trackedCount++;
+  
   // Add to buffer
   eventBuffer.push(event);
   
@@ -198,16 +218,23 @@ async function flushEvents() {
     // Send events to background script
     if (typeof chrome !== 'undefined' && chrome.runtime) {
       try {
-        await new Promise(resolve => {
-          chrome.runtime.sendMessage({
-            type: 'STREAM_EVENTS',
-            events: CONFIG.compressionEnabled ? compressEvents(eventsToFlush) : eventsToFlush
-          }, resolve);
+        const response = await sendMessage({
+          type: 'TRACK_EVENTS',
+          events: CONFIG.compressionEnabled ? compressEvents(eventsToFlush) : eventsToFlush
         });
+        
+        if (!response || !response.success) {
+          throw new Error(response?.error || 'No response from the service worker');
+        }
+        
+        // The session may have timed out or the service worker restarted
+        if (response.sessionId) {
+          sessionId = response.sessionId;
+        }
       } catch (e) {
         console.warn('Failed to send events to background:', e);
         // Put events back in buffer
-        eventBuffer = [...eventsToFlush, ...eventBuffer];
+        eventBuffer = [...eventsToFlush, ...eventBuffer].slice(-CONFIG.maxBufferedEvents);
         return false;
       }
     }
@@ -258,6 +285,23 @@ function notifyEventHandlers(event) {
   });
 }
 
+/**
+ * Send a message to the service worker
+ * @param {Object} message - Message to send
+ * @returns {Promise<Object>} Response
+ */
+function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
 /**
  * Generate a unique session ID
  * @returns {string} Session ID
@@ -298,6 +342,14 @@ function compressEvents(events) {
   return events;
 }
 
+/**
+ * Get the capture level for the page
+ * @returns {string} 'none', 'domain', 'url' or 'full'
+ */
+function getCaptureLevel() {
+  return captureLevel;
+}
+
 /**
  * Get current session information
  * @returns {Object} Session information
@@ -305,7 +357,7 @@ function compressEvents(events) {
 function getSessionInfo() {
   return {
     sessionId,
-    sequenceCounter,
+    trackedCount,
     bufferSize: eventBuffer.length,
     lastFlushTime
   };
@@ -318,5 +370,6 @@ export {
   flushEvents,
   registerEventHandler,
   getSessionInfo,
+  getCaptureLevel,
   EVENT_TYPES
 }; 
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Focus Nudge - History API Hooks
+ * 
+ * Single-page apps navigate with history.pushState and replaceState, which
+ * fire no event. Content scripts run in an isolated world and can't see the
+ * page's calls, so this script runs in the page's world (see manifest.json)
+ * and reports each call to content.js as a window event.
+ */
+
+(() => {
+  const NAVIGATION_EVENT = 'focus-nudge-navigation';
+  
+  // Don't wrap the methods twice if the script is injected again
+  if (window.__focusNudgeHistoryHooked) return;
+  window.__focusNudgeHistoryHooked = true;
+  
+  /**
+   * Wrap a History method so it reports the navigation after it runs
+   * @param {string} method - 'pushState' or 'replaceState'
+   * @param {string} navigationType - Value for the NAVIGATION event payload
+   */
+  const hookHistoryMethod = (method, navigationType) => {
+    const original = history[method];
+    
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      
+      window.dispatchEvent(new CustomEvent(NAVIGATION_EVENT, {
+        detail: { navigationType }
+      }));
+      
+      return result;
+    };
+  };
+  
+  hookHistoryMethod('pushState', 'push_state');
+  hookHistoryMethod('replaceState', 'replace_state');
+})();
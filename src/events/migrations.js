@@ -0,0 +1,57 @@
+/**
+ * Focus Nudge - Event Migrations
+ * 
+ * This module upgrades events stored by older versions of the extension to the
+ * current SCHEMA_VERSION when they are read back from IndexedDB. Events written
+ * before versioning have no schema_version and are treated as version 1.
+ */
+
+import { SCHEMA_VERSION, EVENT_TYPES, BASE_EVENT_SCHEMA } from './schema.js';
+
+// Upgrades keyed by the version they upgrade from; each returns the event at the next version
+const MIGRATIONS = {
+  /**
+   * Version 1 to 2
+   *
+   * The content script used to report inactivity on a page as SYSTEM_IDLE and
+   * SYSTEM_ACTIVE. Those are now OS idle states from chrome.idle (with an
+   * idle_state), and page inactivity is PAGE_IDLE and PAGE_ACTIVE.
+   */
+  1: event => {
+    const migrated = {
+      ...BASE_EVENT_SCHEMA,
+      ...event,
+      payload: event.payload || {}
+    };
+    
+    if (!('idle_state' in migrated.payload)) {
+      if (migrated.event_type === EVENT_TYPES.SYSTEM_IDLE) {
+        migrated.event_type = EVENT_TYPES.PAGE_IDLE;
+        migrated.payload = { idle_time: migrated.payload.idle_time || 0 };
+      } else if (migrated.event_type === EVENT_TYPES.SYSTEM_ACTIVE) {
+        migrated.event_type = EVENT_TYPES.PAGE_ACTIVE;
+        migrated.payload = { idle_duration: 0 }; // Not recorded
+      }
+    }
+    
+    return migrated;
+  }
+};
+
+/**
+ * Upgrade a stored event to the current schema version
+ * @param {Object} event - Event as stored
+ * @returns {Object} Event at SCHEMA_VERSION (events from a newer version are returned unchanged)
+ */
+export function migrateEvent(event) {
+  let version = event.schema_version || 1;
+  let migrated = event;
+  
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+    migrated.schema_version = version;
+  }
+  
+  return migrated;
+}
@@ -3,10 +3,16 @@
  * 
  * This module defines the standardized schema for all events in the streaming architecture.
  * Each event follows a consistent format with common fields and event-specific payloads.
+ * Events are validated against the schema when they are created, and events stored
+ * under an older SCHEMA_VERSION are upgraded by migrations.js when they are read.
  */
 
+// Version of the event format; bump it and add a migration when a stored event would change
+const SCHEMA_VERSION = 2;
+
 // Base event schema that all events must follow
 const BASE_EVENT_SCHEMA = {
+  schema_version: SCHEMA_VERSION,
   timestamp: 0,           // Unix timestamp in milliseconds
   event_type: '',         // Type of event (see EVENT_TYPES)
   url: '',                // Current URL
@@ -25,6 +31,7 @@ const EVENT_TYPES = {
   PAGE_SCROLL: 'PAGE_SCROLL',
   PAGE_IDLE: 'PAGE_IDLE',
   PAGE_ACTIVE: 'PAGE_ACTIVE',
+  PAGE_RESIZE: 'PAGE_RESIZE',
   
   // User interaction events
   MOUSE_CLICK: 'MOUSE_CLICK',
@@ -32,6 +39,7 @@ const EVENT_TYPES = {
   KEY_PRESS: 'KEY_PRESS',
   COPY: 'COPY',
   PASTE: 'PASTE',
+  INTERACTION_ROLLUP: 'INTERACTION_ROLLUP', // Old MOUSE_MOVE or PAGE_SCROLL samples, one per minute
   
   // Navigation events
   TAB_SWITCH: 'TAB_SWITCH',
@@ -74,6 +82,22 @@ const EVENT_PAYLOAD_SCHEMAS = {
     is_active_tab: true
   },
   
+  [EVENT_TYPES.PAGE_EXIT]: {
+    page_title: '',
+    time_spent: 0
+  },
+  
+  [EVENT_TYPES.PAGE_FOCUS]: {
+    page_title: '',
+    url: ''
+  },
+  
+  [EVENT_TYPES.PAGE_BLUR]: {
+    page_title: '',
+    url: '',
+    time_spent: 0
+  },
+  
   [EVENT_TYPES.PAGE_SCROLL]: {
     scroll_position_y: 0,
     scroll_position_x: 0,
@@ -84,6 +108,19 @@ const EVENT_PAYLOAD_SCHEMAS = {
     document_height: 0
   },
   
+  [EVENT_TYPES.PAGE_IDLE]: {
+    idle_time: 0             // Milliseconds without interaction on the page when it was marked idle
+  },
+  
+  [EVENT_TYPES.PAGE_ACTIVE]: {
+    idle_duration: 0         // Milliseconds from the last interaction to this one
+  },
+  
+  [EVENT_TYPES.PAGE_RESIZE]: {
+    window_width: 0,
+    window_height: 0
+  },
+  
   [EVENT_TYPES.MOUSE_CLICK]: {
     x: 0,
     y: 0,
@@ -94,6 +131,32 @@ const EVENT_PAYLOAD_SCHEMAS = {
     button: 0
   },
   
+  [EVENT_TYPES.MOUSE_MOVE]: {
+    x: 0,
+    y: 0,
+    viewport_width: 0,
+    viewport_height: 0
+  },
+  
+  [EVENT_TYPES.KEY_PRESS]: {
+    key: '',
+    is_input: false,
+    target_element: '',
+    has_modifier: false
+  },
+  
+  [EVENT_TYPES.COPY]: {},
+  
+  [EVENT_TYPES.INTERACTION_ROLLUP]: {
+    rolled_up_type: '',      // MOUSE_MOVE or PAGE_SCROLL
+    event_count: 0,          // Samples in the minute
+    duration: 0,             // Milliseconds from the first sample to the last
+    distance: 0,             // Pixels the pointer (MOUSE_MOVE) or the page (PAGE_SCROLL) moved between samples
+    max_scroll_depth: 0      // Deepest scroll depth reached (PAGE_SCROLL only)
+  },
+  
+  [EVENT_TYPES.PASTE]: {},
+  
   [EVENT_TYPES.TAB_SWITCH]: {
     from_url: '',
     from_title: '',
@@ -102,6 +165,28 @@ const EVENT_PAYLOAD_SCHEMAS = {
     time_on_previous_tab: 0
   },
   
+  [EVENT_TYPES.TAB_OPEN]: {
+    opener_tab_id: 0,        // Tab the new tab was opened from, 0 if none
+    window_id: 0,
+    tab_count: 0,            // Open tabs including the new one
+    is_active_tab: false
+  },
+  
+  [EVENT_TYPES.TAB_CLOSE]: {
+    window_id: 0,
+    tab_count: 0,            // Open tabs after the tab closed
+    time_open: 0,            // Milliseconds since TAB_OPEN, 0 if the tab was open before the extension started
+    is_window_closing: false
+  },
+  
+  [EVENT_TYPES.NAVIGATION]: {
+    from_url: '',
+    to_url: '',
+    navigation_type: '',     // 'push_state', 'replace_state', 'pop_state' or 'hash_change'
+    page_title: '',
+    time_on_previous_url: 0  // Milliseconds since the page loaded or the previous navigation
+  },
+  
   [EVENT_TYPES.VIDEO_PLAY]: {
     video_url: '',
     video_title: '',
@@ -111,6 +196,15 @@ const EVENT_PAYLOAD_SCHEMAS = {
     player_type: ''
   },
   
+  [EVENT_TYPES.VIDEO_PAUSE]: {
+    video_url: '',
+    video_title: '',
+    video_duration: 0,
+    video_current_time: 0,
+    is_fullscreen: false,
+    player_type: ''
+  },
+  
   [EVENT_TYPES.VIDEO_PROGRESS]: {
     video_url: '',
     video_title: '',
@@ -121,6 +215,20 @@ const EVENT_PAYLOAD_SCHEMAS = {
     player_type: ''
   },
   
+  [EVENT_TYPES.AUDIO_PLAY]: {
+    audio_url: '',
+    audio_title: '',
+    audio_duration: 0,
+    audio_current_time: 0
+  },
+  
+  [EVENT_TYPES.AUDIO_PAUSE]: {
+    audio_url: '',
+    audio_title: '',
+    audio_duration: 0,
+    audio_current_time: 0
+  },
+  
   [EVENT_TYPES.CONTENT_LOAD]: {
     content_type: '',
     content_length: 0,
@@ -132,53 +240,221 @@ const EVENT_PAYLOAD_SCHEMAS = {
     readability_score: 0
   },
   
+  [EVENT_TYPES.CONTENT_MUTATION]: {
+    mutation_count: 0,       // Mutation records in the sampling window
+    added_nodes: 0,
+    removed_nodes: 0,
+    added_text_length: 0,    // Characters of text in the added nodes
+    has_new_video: false,
+    has_new_audio: false,
+    window_duration: 0       // Milliseconds the mutations were collected over
+  },
+  
+  [EVENT_TYPES.SYSTEM_IDLE]: {
+    idle_state: '',          // 'idle' or 'locked', from chrome.idle
+    idle_time: 0             // Milliseconds the system had been idle when the state changed
+  },
+  
+  [EVENT_TYPES.SYSTEM_ACTIVE]: {
+    idle_state: 'active',
+    idle_duration: 0         // Milliseconds the system was idle or locked
+  },
+  
   [EVENT_TYPES.MODEL_PREDICTION]: {
-    prediction_type: '',
+    prediction_type: '',    // 'active' or 'shadow'
     distraction_score: 0,
     confidence: 0,
-    features_used: [],
+    features_used: [],      // Features named in the prediction's explanation
+    model_type: '',
     model_version: ''
+  },
+
+  [EVENT_TYPES.NUDGE_SHOWN]: {
+    nudge_id: '',
+    nudge_type: '',
+    domain: '',
+    distraction_score: 0,
+    threshold: 0            // Effective threshold for the domain when the nudge was shown
+  },
+
+  [EVENT_TYPES.NUDGE_INTERACTION]: {
+    nudge_id: '',
+    interaction: '',        // 'useful', 'wrong', 'refocus' or 'dismiss'
+    domain: '',
+    time_to_interaction: 0  // Milliseconds between showing the nudge and the interaction
+  },
+
+  [EVENT_TYPES.USER_FEEDBACK]: {
+    feedback_type: '',      // e.g. 'strict_bypass', 'nudge_useful', 'nudge_wrong'
+    domain: '',
+    task_id: '',
+    comment: '',            // Free-text comment or justification
+    duration: 0             // Duration in milliseconds, if applicable
   }
 };
 
+// Counts of events rejected by createEvent since the service worker started
+let validationStats = createValidationStats();
+
 /**
  * Create a new event object with the specified type and payload
+ *
+ * Payload fields missing from the payload get the schema defaults. An event
+ * with an unknown type, a field the schema doesn't define, or a field of the
+ * wrong type is rejected and counted in the validation stats. Base fields
+ * that are null or undefined (e.g. the tab of an event with no tab) get the
+ * base schema defaults.
+ *
  * @param {string} eventType - Type of event from EVENT_TYPES
  * @param {Object} payload - Event-specific data
  * @param {Object} baseData - Base event data (timestamp, url, etc.)
- * @returns {Object} Complete event object
+ * @returns {Object|null} Complete event object, or null if the event is invalid
  */
 function createEvent(eventType, payload = {}, baseData = {}) {
-  // Validate event type
-  if (!EVENT_TYPES[eventType]) {
-    console.error(`Invalid event type: ${eventType}`);
-    return null;
-  }
-  
   // Create base event
   const event = {
     ...BASE_EVENT_SCHEMA,
-    ...baseData,
+    ...Object.fromEntries(Object.entries(baseData).filter(([, value]) => value !== null && value !== undefined)),
+    schema_version: SCHEMA_VERSION,
     event_type: eventType,
     timestamp: baseData.timestamp || Date.now()
   };
   
   // Add event-specific payload
-  if (EVENT_PAYLOAD_SCHEMAS[eventType]) {
-    event.payload = {
-      ...EVENT_PAYLOAD_SCHEMAS[eventType],
-      ...payload
-    };
-  } else {
-    event.payload = payload;
+  event.payload = {
+    ...EVENT_PAYLOAD_SCHEMAS[eventType],
+    ...payload
+  };
+  
+  const errors = validateEvent(event);
+  if (errors.length > 0) {
+    recordRejection(eventType, errors);
+    console.warn(`Rejected ${eventType} event: ${errors.join('; ')}`);
+    return null;
   }
   
+  validationStats.accepted++;
   return event;
 }
 
+/**
+ * Check an event against the schema
+ * @param {Object} event - Event to check
+ * @returns {Array<string>} Validation errors, empty if the event is valid
+ */
+function validateEvent(event) {
+  if (!EVENT_TYPES[event.event_type]) {
+    return [`unknown event type ${event.event_type}`];
+  }
+  
+  const errors = [];
+  
+  for (const [field, defaultValue] of Object.entries(BASE_EVENT_SCHEMA)) {
+    if (getValueType(event[field]) !== getValueType(defaultValue)) {
+      errors.push(`${field} should be a ${getValueType(defaultValue)}, got ${getValueType(event[field])}`);
+    }
+  }
+  
+  if (getValueType(event.payload) !== 'object') {
+    errors.push(`payload should be an object, got ${getValueType(event.payload)}`);
+    return errors;
+  }
+  
+  const schema = EVENT_PAYLOAD_SCHEMAS[event.event_type];
+  for (const [field, value] of Object.entries(event.payload)) {
+    if (!(field in schema)) {
+      errors.push(`payload.${field} is not in the ${event.event_type} schema`);
+    } else if (getValueType(value) !== getValueType(schema[field])) {
+      errors.push(`payload.${field} should be a ${getValueType(schema[field])}, got ${getValueType(value)}`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Get the counts of accepted and rejected events
+ * @returns {Object} Stats ({ accepted, rejected, byType, byError, lastRejection, since })
+ */
+function getValidationStats() {
+  return structuredClone(validationStats);
+}
+
+/**
+ * Reset the counts of accepted and rejected events
+ */
+function resetValidationStats() {
+  validationStats = createValidationStats();
+}
+
+/**
+ * Create empty validation stats
+ * @returns {Object} Validation stats
+ */
+function createValidationStats() {
+  return {
+    accepted: 0,
+    rejected: 0,
+    byType: {},   // Rejections by event type
+    byError: {},  // Rejections by error, without the field values
+    lastRejection: null,
+    since: Date.now()
+  };
+}
+
+/**
+ * Count a rejected event
+ * @param {string} eventType - Type of the rejected event
+ * @param {Array<string>} errors - Validation errors
+ */
+function recordRejection(eventType, errors) {
+  validationStats.rejected++;
+  validationStats.byType[eventType] = (validationStats.byType[eventType] || 0) + 1;
+  
+  for (const error of errors) {
+    const key = error.replace(/, got .*$/, '');
+    validationStats.byError[key] = (validationStats.byError[key] || 0) + 1;
+  }
+  
+  validationStats.lastRejection = { eventType, errors, timestamp: Date.now() };
+}
+
+/**
+ * Get the domain of an event from its payload or URL
+ * @param {Object} event - Event
+ * @returns {string|null} Domain
+ */
+function getEventDomain(event) {
+  if (event.payload && event.payload.domain) {
+    return event.payload.domain;
+  }
+  
+  try {
+    return event.url ? new URL(event.url).hostname || null : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the schema type of a value
+ * @param {*} value - Value to check
+ * @returns {string} 'array', 'null', 'object' or the typeof name
+ */
+function getValueType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
 export {
+  SCHEMA_VERSION,
   EVENT_TYPES,
   createEvent,
+  validateEvent,
+  getValidationStats,
+  resetValidationStats,
+  getEventDomain,
   BASE_EVENT_SCHEMA,
   EVENT_PAYLOAD_SCHEMAS
-}; 
\ No newline at end of file
+};
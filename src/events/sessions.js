@@ -0,0 +1,200 @@
+/**
+ * Focus Nudge - Session Records
+ * 
+ * This module builds the session records kept in the sessions store. A session
+ * is a tab's browsing from its first event until it is inactive for the session
+ * timeout, the tab closes or the system goes idle. The service worker keeps the
+ * open record of each tab in memory, adds each processed batch of events to its
+ * summary and persists it; records are restored when the service worker restarts.
+ */
+
+import { EVENT_TYPES, getEventDomain } from './schema.js';
+
+// Why a session ended
+export const SESSION_END_REASONS = {
+  TIMEOUT: 'timeout',         // No events for the session timeout
+  TAB_CLOSE: 'tab_close',
+  IDLE: 'idle',               // The system went idle or was locked
+  INTERRUPTED: 'interrupted'  // The service worker restarted and the tab already has a new session
+};
+
+// Session summary settings
+export const SESSION_CONFIG = {
+  activeGap: 60 * 1000, // Longer gaps between events are not active time (the content script's idle threshold)
+  maxNudges: 50         // Nudges kept in a summary
+};
+
+/**
+ * Create the record of a new session
+ * @param {string} sessionId - Session ID
+ * @param {number|null} tabId - Tab the session belongs to
+ * @param {number} startTime - When the session started
+ * @returns {Object} Open session record
+ */
+export function createSessionRecord(sessionId, tabId, startTime) {
+  return {
+    session_id: sessionId,
+    tab_id: tabId,
+    start_time: startTime,
+    end_time: null,           // Not indexed while null, so open sessions stay out of the end_time index
+    open: 1,                  // Only while open, so the open index holds just the open sessions
+    end_reason: null,
+    last_activity: startTime, // Last event assigned to the session
+    last_event_time: null,    // Timestamp of the latest event in the summary
+    last_domain: null,        // Domain of that event, which the next gap's active time goes to
+    last_sequence_id: 0,
+    summary: {
+      event_count: 0,
+      active_time: 0,
+      domains: {},            // Domain -> { event_count, active_time }
+      detected_task: null,
+      distraction_count: 0,
+      nudges: []              // { nudge_id, nudge_type, domain, timestamp, interaction }
+    }
+  };
+}
+
+/**
+ * Add processed events to a session's summary
+ *
+ * Active time is the sum of the gaps between consecutive events up to
+ * activeGap, attributed to the domain of the earlier event.
+ *
+ * @param {Object} record - Session record (updated in place)
+ * @param {Array} events - Events of the session
+ * @param {Object} options - Summary options
+ * @param {string} [options.detectedTask] - Task detected while the events happened
+ * @param {Object} config - Session summary settings
+ * @returns {Object} The updated record
+ */
+export function updateSessionSummary(record, events, options = {}, config = SESSION_CONFIG) {
+  const summary = record.summary;
+  const sorted = [...events].sort((a, b) => a.timestamp - b.timestamp);
+  let previousDomain = record.last_domain;
+  
+  for (const event of sorted) {
+    const domain = getEventDomain(event);
+    summary.event_count++;
+    
+    if (domain) {
+      summary.domains[domain] = summary.domains[domain] || { event_count: 0, active_time: 0 };
+      summary.domains[domain].event_count++;
+    }
+    
+    // Events can arrive a batch late, so only gaps after the latest event count
+    const gap = record.last_event_time === null ? null : event.timestamp - record.last_event_time;
+    if (gap !== null && gap > 0 && gap <= config.activeGap) {
+      summary.active_time += gap;
+      if (previousDomain && summary.domains[previousDomain]) {
+        summary.domains[previousDomain].active_time += gap;
+      }
+    }
+    
+    if (record.last_event_time === null || event.timestamp >= record.last_event_time) {
+      record.last_event_time = event.timestamp;
+      previousDomain = domain || previousDomain;
+    }
+    
+    record.last_sequence_id = Math.max(record.last_sequence_id, event.sequence_id || 0);
+    recordNudgeEvent(summary, event, config);
+  }
+  
+  record.last_domain = previousDomain;
+  
+  if (options.detectedTask) {
+    summary.detected_task = options.detectedTask;
+  }
+  
+  return record;
+}
+
+/**
+ * Close a session record
+ * @param {Object} record - Open session record (updated in place)
+ * @param {string} reason - Value from SESSION_END_REASONS
+ * @param {number} endTime - When the session ended (defaults to its last activity)
+ * @returns {Object} The closed record
+ */
+export function closeSessionRecord(record, reason, endTime = record.last_activity) {
+  record.end_time = Math.max(record.start_time, endTime);
+  record.end_reason = reason;
+  delete record.open;
+  return record;
+}
+
+/**
+ * Remove forgotten domains from a session's summary
+ *
+ * The events and active time of those domains are taken off the session's
+ * totals, so the summary reads as if the domains were never visited.
+ *
+ * @param {Object} record - Session record (updated in place)
+ * @param {Function} isForgotten - Called with a domain, returns whether to remove it
+ * @returns {boolean} Whether the record changed
+ */
+export function forgetSessionDomains(record, isForgotten) {
+  const summary = record.summary;
+  let changed = false;
+  
+  for (const [domain, domainSummary] of Object.entries(summary.domains)) {
+    if (!isForgotten(domain)) continue;
+    
+    summary.event_count = Math.max(0, summary.event_count - domainSummary.event_count);
+    summary.active_time = Math.max(0, summary.active_time - domainSummary.active_time);
+    delete summary.domains[domain];
+    changed = true;
+  }
+  
+  const nudges = summary.nudges.filter(nudge => !nudge.domain || !isForgotten(nudge.domain));
+  if (nudges.length !== summary.nudges.length) {
+    summary.nudges = nudges;
+    changed = true;
+  }
+  
+  if (record.last_domain && isForgotten(record.last_domain)) {
+    record.last_domain = null;
+    changed = true;
+  }
+  
+  return changed;
+}
+
+/**
+ * Check whether a session overlaps a time range
+ * @param {Object} record - Session record
+ * @param {number} [startTime] - Start of the range
+ * @param {number} [endTime] - End of the range
+ * @param {number} now - Current time, the end of open sessions
+ * @returns {boolean} Whether the session was active at some point in the range
+ */
+export function sessionOverlaps(record, startTime, endTime, now = Date.now()) {
+  const sessionEnd = record.end_time === null ? now : record.end_time;
+  return (startTime === undefined || sessionEnd >= startTime) &&
+    (endTime === undefined || record.start_time <= endTime);
+}
+
+/**
+ * Add a nudge event to a session summary
+ * @param {Object} summary - Session summary
+ * @param {Object} event - Event
+ * @param {Object} config - Session summary settings
+ */
+function recordNudgeEvent(summary, event, config) {
+  const payload = event.payload || {};
+  
+  if (event.event_type === EVENT_TYPES.NUDGE_SHOWN) {
+    summary.nudges.push({
+      nudge_id: payload.nudge_id,
+      nudge_type: payload.nudge_type,
+      domain: payload.domain,
+      timestamp: event.timestamp,
+      interaction: null
+    });
+    summary.nudges = summary.nudges.slice(-config.maxNudges);
+  } else if (event.event_type === EVENT_TYPES.NUDGE_INTERACTION) {
+    const nudge = summary.nudges.find(shown => shown.nudge_id === payload.nudge_id);
+    if (nudge) {
+      nudge.interaction = payload.interaction;
+    }
+  }
+}
@@ -3,12 +3,50 @@
  * 
  * This module provides storage services for the event stream using IndexedDB.
  * It handles persisting events, retrieving event history, and managing storage limits.
+ * Events are stored compressed (see compression.js), with the dictionary of
+ * encoded URLs and domains in its own object store.
+ *
+ * With encryption enabled (see encryption.js), events are stored encrypted
+ * instead and the keyring is kept in its own object store. The unlocked keys
+ * are kept in session storage until the store is locked or the browser
+ * closes. Session summaries are encrypted with the events. While the store
+ * is locked, encrypted events and sessions are skipped by reads, and new
+ * events and session records are held in memory until it's unlocked. Those
+ * are lost if the service worker stops first; the status counts the lost
+ * events.
  */
 
+import { migrateEvent } from './migrations.js';
+import { sessionOverlaps, forgetSessionDomains } from './sessions.js';
+import { getEventDomain } from './schema.js';
+import {
+  createDictionary,
+  compressEvent,
+  decompressEvent,
+  forgetValues,
+  rollUpInteractionEvents,
+  ROLLUP_TYPES
+} from './compression.js';
+import {
+  createKeyring,
+  unlockKeyring,
+  rotateKeyring,
+  retireDataKeys,
+  exportKeys,
+  importExportedKeys,
+  isEncrypted,
+  encryptEvent,
+  decryptEvent,
+  encryptSession,
+  decryptSession,
+  hashDomain,
+  DEFAULT_KDF_ITERATIONS
+} from './encryption.js';
+
 // Database configuration
 const DB_CONFIG = {
   name: 'FocusNudgeEvents',
-  version: 1,
+  version: 5,
   stores: {
     events: {
       keyPath: 'id',
@@ -16,27 +54,82 @@ const DB_CONFIG = {
         { name: 'timestamp', keyPath: 'timestamp', options: { unique: false } },
         { name: 'session_id', keyPath: 'session_id', options: { unique: false } },
         { name: 'event_type', keyPath: 'event_type', options: { unique: false } },
-        { name: 'url', keyPath: 'url', options: { unique: false } }
+        { name: 'url', keyPath: 'url', options: { unique: false } },
+        // Version 2: compound indexes for queries that filter by one field and a time range
+        { name: 'session_time', keyPath: ['session_id', 'timestamp'], options: { unique: false } },
+        { name: 'type_time', keyPath: ['event_type', 'timestamp'], options: { unique: false } },
+        { name: 'domain_time', keyPath: ['domain', 'timestamp'], options: { unique: false } }
       ]
     },
     sessions: {
       keyPath: 'session_id',
       indexes: [
         { name: 'start_time', keyPath: 'start_time', options: { unique: false } },
-        { name: 'end_time', keyPath: 'end_time', options: { unique: false } }
+        { name: 'end_time', keyPath: 'end_time', options: { unique: false } },
+        // Version 5: open sessions, which restoring reads when the service worker starts
+        { name: 'open', keyPath: 'open', options: { unique: false } }
+      ]
+    },
+    // Version 3: URLs and domains encoded in compressed events
+    dictionary: {
+      keyPath: 'id',
+      indexes: [
+        { name: 'value', keyPath: 'value', options: { unique: true } }
       ]
+    },
+    // Version 4: the keyring of encrypted events
+    keyring: {
+      keyPath: 'id',
+      indexes: []
     }
   },
   maxEvents: 100000,           // Maximum number of events to store
   maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
+  maxBytes: 200 * 1024 * 1024, // Most bytes the extension's storage should use
+  maxQuotaShare: 0.5,          // Most of the origin's storage quota the extension should use
   pruneThreshold: 0.9,         // Prune when storage is 90% full
-  compressionEnabled: true     // Whether to compress stored events
+  pruneTarget: 0.7,            // Prune down to 70% capacity
+  rollupAge: 7 * 24 * 60 * 60 * 1000, // Roll up MOUSE_MOVE and PAGE_SCROLL samples after 7 days
+  rollupBatchSize: 500,        // Samples replaced by rollups per transaction
+  mergeBatchSize: 1000,        // Imported events checked and added per transaction
+  compressionEnabled: true,    // Whether to compress stored events
+  scanPageSize: 500,           // Events read per transaction, decrypted between transactions
+  maxPendingEvents: 5000,      // Most new events held in memory while the store is locked
+  kdfIterations: DEFAULT_KDF_ITERATIONS // PBKDF2 iterations for new passphrases
 };
 
+// Session storage key of the unlocked keys
+const SESSION_KEYS_KEY = 'eventStoreKeys';
+
+// Session storage key of the counts of events held and lost while locked
+const SESSION_PENDING_KEY = 'eventStorePending';
+
+const MINUTE = 60 * 1000;
+
 // Database instance
 let db = null;
 let isInitialized = false;
 
+// Encoded URLs and domains, loaded from the dictionary store
+let dictionary = createDictionary();
+
+// Stored keyring (null when encryption is off) and the unlocked keys (null while locked)
+let keyring = null;
+let keys = null;
+
+// New events and session records waiting for the store to be unlocked
+let pendingEvents = [];
+let pendingSessions = new Map();
+
+// Events dropped while locked: over maxPendingEvents, or held when the worker stopped
+let lostEvents = 0;
+
+// Running re-encryption of stored events
+let reencryption = null;
+
+// Measures stored sizes in UTF-8 bytes
+const textEncoder = new TextEncoder();
+
 /**
  * Initialize the event storage
  * @returns {Promise<boolean>} Whether initialization was successful
@@ -48,10 +141,30 @@ async function initialize() {
     // Open database
     db = await openDatabase();
     
+    dictionary = createDictionary(await runTransaction('dictionary', 'readonly', store => {
+      return new Promise((resolve) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+      });
+    }));
+    
+    const keyringRequest = await runTransaction('keyring', 'readonly', store => store.get('keyring'));
+    keyring = keyringRequest.result || null;
+    if (keyring) {
+      keys = await loadSessionKeys();
+      await loadLostEvents();
+    }
+    
+    isInitialized = true;
+    
+    // Finish re-encrypting events if the worker stopped halfway
+    if (keys && keyring.migration_pending) {
+      startReencryption();
+    }
+    
     // Check storage usage and prune if necessary
     await pruneOldEvents();
     
-    isInitialized = true;
     return true;
   } catch (error) {
     console.error('Failed to initialize event storage:', error);
@@ -69,18 +182,30 @@ function openDatabase() {
     
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
+      const transaction = event.target.transaction;
       
-      // Create object stores and indexes
+      // Create object stores and indexes, including indexes added after the store was created
       for (const [storeName, storeConfig] of Object.entries(DB_CONFIG.stores)) {
-        if (!db.objectStoreNames.contains(storeName)) {
-          const store = db.createObjectStore(storeName, { keyPath: storeConfig.keyPath });
-          
-          // Create indexes
-          for (const index of storeConfig.indexes) {
+        const store = db.objectStoreNames.contains(storeName)
+          ? transaction.objectStore(storeName)
+          : db.createObjectStore(storeName, { keyPath: storeConfig.keyPath });
+        
+        for (const index of storeConfig.indexes) {
+          if (!store.indexNames.contains(index.name)) {
             store.createIndex(index.name, index.keyPath, index.options);
           }
         }
       }
+      
+      // Events stored before version 3 are uncompressed, and before version 2 have no domain
+      if (event.oldVersion > 0 && event.oldVersion < 3) {
+        upgradeStoredEvents(transaction);
+      }
+      
+      // Sessions stored before version 5 aren't in the open index
+      if (event.oldVersion > 0 && event.oldVersion < 5) {
+        upgradeStoredSessions(transaction);
+      }
     };
     
     request.onsuccess = (event) => {
@@ -93,6 +218,51 @@ function openDatabase() {
   });
 }
 
+/**
+ * Rewrite events stored before version 3 in the current format
+ *
+ * Events are migrated first: decompressing fills in the current payload
+ * defaults, which older migrations don't expect.
+ *
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ */
+function upgradeStoredEvents(transaction) {
+  const upgradeDictionary = createDictionary();
+  const request = transaction.objectStore('events').openCursor();
+  
+  request.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      const dictionaryStore = transaction.objectStore('dictionary');
+      upgradeDictionary.added.forEach(entry => dictionaryStore.put(entry));
+      return;
+    }
+    
+    const stored = migrateEvent(cursor.value);
+    const upgraded = { ...stored, domain: getEventDomain(stored) };
+    cursor.update(DB_CONFIG.compressionEnabled ? compressEvent(upgraded, upgradeDictionary) : upgraded);
+    cursor.continue();
+  };
+}
+
+/**
+ * Add the open sessions stored before version 5 to the open index
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ */
+function upgradeStoredSessions(transaction) {
+  const request = transaction.objectStore('sessions').openCursor();
+  
+  request.onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    
+    if (cursor.value.end_time === null) {
+      cursor.update({ ...cursor.value, open: 1 });
+    }
+    cursor.continue();
+  };
+}
+
 /**
  * Store events in the database
  * @param {Array} events - Events to store
@@ -106,18 +276,23 @@ async function storeEvents(events) {
   if (!events || events.length === 0) return true;
   
   try {
-    // Add unique IDs to events if they don't have them
+    // Add unique IDs to events if they don't have them, and the domain for the domain_time index
     const eventsToStore = events.map(event => ({
       ...event,
-      id: event.id || `${event.session_id}-${event.sequence_id}`
+      id: event.id || `${event.session_id}-${event.sequence_id}`,
+      domain: getEventDomain(event)
     }));
     
-    // Store events in transaction
-    await runTransaction('events', 'readwrite', store => {
-      eventsToStore.forEach(event => {
-        store.add(DB_CONFIG.compressionEnabled ? compressEvent(event) : event);
-      });
-    });
+    if (isEncrypting() && !keys) {
+      // Keep the newest events when the store stays locked for long
+      const held = pendingEvents.concat(eventsToStore);
+      lostEvents += Math.max(0, held.length - DB_CONFIG.maxPendingEvents);
+      pendingEvents = held.slice(-DB_CONFIG.maxPendingEvents);
+      await savePendingCounts();
+      return true;
+    }
+    
+    await writeEvents(eventsToStore);
     
     return true;
   } catch (error) {
@@ -127,60 +302,368 @@ async function storeEvents(events) {
 }
 
 /**
- * Retrieve events from the database
- * @param {Object} options - Query options
- * @param {string} options.sessionId - Filter by session ID
- * @param {string} options.eventType - Filter by event type
- * @param {string} options.url - Filter by URL
- * @param {number} options.startTime - Filter by start time
- * @param {number} options.endTime - Filter by end time
- * @param {number} options.limit - Maximum number of events to retrieve
- * @param {boolean} options.reverse - Whether to retrieve in reverse order
- * @returns {Promise<Array>} Retrieved events
- */
-async function getEvents(options = {}) {
+ * Add the events that aren't stored yet, such as events from a data import
+ * @param {Array} events - Events with their id, each id at most once
+ * @returns {Promise<Object>} Counts ({ added, duplicates }), duplicates being events already stored
+ */
+async function mergeEvents(events) {
   if (!isInitialized) {
     await initialize();
   }
   
-  try {
-    let index = 'timestamp';
-    let range = null;
-    
-    // Determine which index to use
-    if (options.sessionId) {
-      index = 'session_id';
-      range = IDBKeyRange.only(options.sessionId);
-    } else if (options.eventType) {
-      index = 'event_type';
-      range = IDBKeyRange.only(options.eventType);
-    } else if (options.url) {
-      index = 'url';
-      range = IDBKeyRange.only(options.url);
-    } else if (options.startTime && options.endTime) {
-      index = 'timestamp';
-      range = IDBKeyRange.bound(options.startTime, options.endTime);
-    } else if (options.startTime) {
-      index = 'timestamp';
-      range = IDBKeyRange.lowerBound(options.startTime);
-    } else if (options.endTime) {
-      index = 'timestamp';
-      range = IDBKeyRange.upperBound(options.endTime);
-    }
+  const counts = { added: 0, duplicates: 0 };
+  
+  for (let i = 0; i < events.length; i += DB_CONFIG.mergeBatchSize) {
+    const batch = events.slice(i, i + DB_CONFIG.mergeBatchSize);
     
-    // Retrieve events
-    const events = await runTransaction('events', 'readonly', store => {
-      return getAllFromIndex(store, index, range, options.limit, options.reverse);
+    const storedIds = await runTransaction('events', 'readonly', store => {
+      return Promise.all(batch.map(event => new Promise((resolve, reject) => {
+        const request = store.getKey(event.id);
+        request.onsuccess = () => resolve(request.result !== undefined);
+        request.onerror = (errorEvent) => reject(new Error(`Failed to look up event: ${errorEvent.target.error}`));
+      })));
     });
     
-    // Decompress events if necessary
-    return events.map(event => 
-      DB_CONFIG.compressionEnabled ? decompressEvent(event) : event
-    );
+    const newEvents = batch
+      .filter((event, index) => !storedIds[index])
+      .map(event => ({ ...event, domain: getEventDomain(event) }));
+    
+    await writeEvents(newEvents);
+    counts.added += newEvents.length;
+    counts.duplicates += batch.length - newEvents.length;
+  }
+  
+  return counts;
+}
+
+/**
+ * Encode and add events, with the dictionary entries they use, in one transaction
+ * @param {Array} events - Events with their id and domain
+ * @param {Array<string>} deleteIds - IDs of events to delete in the same transaction
+ * @returns {Promise<void>}
+ */
+async function writeEvents(events, deleteIds = []) {
+  const { records, added } = await encodeEvents(events);
+  
+  try {
+    await runTransaction(['events', 'dictionary'], 'readwrite', (store, transaction) => {
+      const dictionaryStore = transaction.objectStore('dictionary');
+      added.forEach(entry => dictionaryStore.put(entry));
+      deleteIds.forEach(id => store.delete(id));
+      records.forEach(record => store.add(record));
+    });
   } catch (error) {
-    console.error('Failed to retrieve events:', error);
-    return [];
+    // Other writes may already use the new entries, so store them with the next write
+    dictionary.added.unshift(...added);
+    throw error;
+  }
+}
+
+/**
+ * Encode events for storage: encrypted, or compressed when encryption is off
+ * @param {Array} events - Events with their id and domain
+ * @returns {Promise<Object>} Records to store ({ records }) and the dictionary entries they add ({ added })
+ */
+async function encodeEvents(events) {
+  if (isEncrypting()) {
+    if (!keys) {
+      throw new Error('The event store is locked');
+    }
+    return { records: await Promise.all(events.map(event => encryptEvent(event, keys))), added: [] };
+  }
+  
+  const records = events.map(event => DB_CONFIG.compressionEnabled ? compressEvent(event, dictionary) : event);
+  return { records, added: dictionary.added.splice(0) };
+}
+
+/**
+ * Decode a stored record
+ * @param {Object} record - Stored record
+ * @returns {Promise<Object|null>} Event, or null if it's encrypted and the store is locked
+ */
+async function decodeRecord(record) {
+  if (isEncrypted(record)) {
+    return keys ? migrateEvent(await decryptEvent(record, keys)) : null;
+  }
+  return migrateEvent(decompressEvent(record, dictionary));
+}
+
+/**
+ * Query events
+ *
+ * Filters combine: the most selective one picks the index (session, then
+ * domain, then a single event type, then time) and the others are checked on
+ * each event. Results are ordered by time. When a limit cuts the results
+ * short, nextCursor continues the query from the last event returned.
+ *
+ * @param {Object} query - Event query
+ * @param {string} [query.sessionId] - Filter by session ID
+ * @param {string|Array<string>} [query.eventType] - Filter by event type(s)
+ * @param {string} [query.domain] - Filter by domain
+ * @param {string} [query.url] - Filter by URL
+ * @param {number} [query.tabId] - Filter by tab ID
+ * @param {number} [query.startTime] - Earliest timestamp (inclusive)
+ * @param {number} [query.endTime] - Latest timestamp (inclusive)
+ * @param {boolean} [query.reverse] - Newest first
+ * @param {number} [query.limit] - Maximum number of events to retrieve
+ * @param {Object} [query.after] - nextCursor from the previous page
+ * @returns {Promise<Object>} Page ({ events, nextCursor }), nextCursor null on the last page
+ */
+async function queryEvents(query = {}) {
+  const events = [];
+  
+  try {
+    await scanEvents(query, event => {
+      events.push(event);
+      return !query.limit || events.length < query.limit;
+    });
+  } catch (error) {
+    console.error('Failed to query events:', error);
+    return { events: [], nextCursor: null };
+  }
+  
+  const last = events[events.length - 1];
+  const hasMore = query.limit && events.length === query.limit;
+  
+  return {
+    events,
+    nextCursor: hasMore ? { timestamp: last.timestamp, id: last.id } : null
+  };
+}
+
+/**
+ * Iterate over the events matching a query, one page at a time
+ * @param {Object} query - Event query (see queryEvents), without limit and after
+ * @param {number} pageSize - Events read per transaction
+ * @yields {Object} Events, ordered by time
+ */
+async function* iterateEvents(query = {}, pageSize = 500) {
+  let after = null;
+  
+  do {
+    const page = await queryEvents({ ...query, limit: pageSize, after });
+    yield* page.events;
+    after = page.nextCursor;
+  } while (after);
+}
+
+/**
+ * Count the events matching a query
+ * @param {Object} query - Event query (see queryEvents)
+ * @returns {Promise<number>} Number of events
+ */
+async function countEvents(query = {}) {
+  let count = 0;
+  await scanEvents(query, () => {
+    count++;
+    return true;
+  });
+  return count;
+}
+
+/**
+ * Count the events matching a query per domain
+ * @param {Object} query - Event query (see queryEvents)
+ * @returns {Promise<Array>} Domains ({ domain, count }), most events first
+ */
+async function getDistinctDomains(query = {}) {
+  const counts = new Map();
+  await scanEvents(query, event => {
+    if (event.domain) {
+      counts.set(event.domain, (counts.get(event.domain) || 0) + 1);
+    }
+    return true;
+  });
+  
+  return [...counts]
+    .map(([domain, count]) => ({ domain, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Count the events matching a query per time bucket
+ * @param {Object} query - Event query (see queryEvents)
+ * @param {number} bucketSize - Bucket length in milliseconds (buckets start at multiples of it)
+ * @returns {Promise<Array>} Non-empty buckets ({ start, count }), oldest first
+ */
+async function countEventsByTime(query = {}, bucketSize = 60 * 60 * 1000) {
+  const counts = new Map();
+  await scanEvents({ ...query, reverse: false }, event => {
+    const start = Math.floor(event.timestamp / bucketSize) * bucketSize;
+    counts.set(start, (counts.get(start) || 0) + 1);
+    return true;
+  });
+  
+  return [...counts].map(([start, count]) => ({ start, count }));
+}
+
+/**
+ * Walk the events matching a query in time order
+ *
+ * Events are read a page at a time, so encrypted events can be decrypted
+ * between transactions; IndexedDB commits a transaction that waits on anything else.
+ *
+ * @param {Object} query - Event query (see queryEvents)
+ * @param {Function} visit - Called with each matching event; returning false stops the walk
+ * @returns {Promise<void>}
+ */
+async function scanEvents(query, visit) {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  const plan = await planEventQuery(query);
+  if (!plan) return;
+  
+  const matches = createEventFilter(query, plan.indexedFilter);
+  const after = query.after;
+  const direction = query.reverse ? 'prev' : 'next';
+  let position = null;
+  
+  do {
+    const page = await runTransaction('events', 'readonly', store => {
+      return readIndexPage(store.index(plan.index), plan.range, direction, position);
+    });
+    
+    for (const entry of page) {
+      const stored = entry.record;
+      
+      // Skip up to and including the last event of the previous page
+      const seen = after && stored.timestamp === after.timestamp &&
+        (query.reverse ? stored.id >= after.id : stored.id <= after.id);
+      if (seen) continue;
+      
+      const decoded = await decodeRecord(stored);
+      if (decoded && matches(decoded) && visit(decoded) === false) return;
+    }
+    
+    position = page.length === DB_CONFIG.scanPageSize ? page[page.length - 1] : null;
+  } while (position);
+}
+
+/**
+ * Read a page of records from an index
+ * @param {IDBIndex} index - Index
+ * @param {IDBKeyRange} range - Key range
+ * @param {string} direction - Cursor direction ('next' or 'prev')
+ * @param {Object|null} position - Last entry ({ key, primaryKey }) of the previous page
+ * @returns {Promise<Array>} Entries ({ key, primaryKey, record }), at most scanPageSize
+ */
+function readIndexPage(index, range, direction, position) {
+  return new Promise((resolve, reject) => {
+    const request = index.openCursor(range, direction);
+    const page = [];
+    let resumed = !position;
+    
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor || page.length >= DB_CONFIG.scanPageSize) {
+        resolve(page);
+        return;
+      }
+      
+      if (!resumed) {
+        const order = (indexedDB.cmp(cursor.key, position.key) || indexedDB.cmp(cursor.primaryKey, position.primaryKey)) *
+          (direction === 'prev' ? -1 : 1);
+        if (order < 0) {
+          cursor.continuePrimaryKey(position.key, position.primaryKey);
+          return;
+        }
+        resumed = true;
+        if (order === 0) {
+          cursor.continue();
+          return;
+        }
+      }
+      
+      page.push({ key: cursor.key, primaryKey: cursor.primaryKey, record: cursor.value });
+      cursor.continue();
+    };
+    
+    request.onerror = (event) => {
+      reject(new Error(`Failed to retrieve records: ${event.target.error}`));
+    };
+  });
+}
+
+/**
+ * Pick the index and key range for a query
+ * @param {Object} query - Event query (see queryEvents)
+ * @returns {Promise<Object|null>} Plan ({ index, range, indexedFilter }) where indexedFilter is the filter the
+ *   index covers, or null if no event can match
+ */
+async function planEventQuery(query) {
+  // A page after a cursor starts at the cursor's timestamp
+  let startTime = query.startTime ?? -Infinity;
+  let endTime = query.endTime ?? Infinity;
+  if (query.after) {
+    if (query.reverse) {
+      endTime = Math.min(endTime, query.after.timestamp);
+    } else {
+      startTime = Math.max(startTime, query.after.timestamp);
+    }
   }
+  
+  let domainKey = query.domain;
+  if (query.domain) {
+    domainKey = await getDomainKey(query.domain);
+    if (domainKey === undefined) return null;
+  }
+  
+  const eventTypes = [].concat(query.eventType || []);
+  const compound = [
+    ['sessionId', 'session_time', query.sessionId],
+    ['domain', 'domain_time', domainKey],
+    ['eventType', 'type_time', eventTypes.length === 1 ? eventTypes[0] : undefined]
+  ].find(([, , value]) => value !== undefined && value !== null);
+  
+  if (compound) {
+    const [filter, index, value] = compound;
+    return {
+      index,
+      range: IDBKeyRange.bound([value, startTime], [value, endTime]),
+      indexedFilter: filter
+    };
+  }
+  
+  return {
+    index: 'timestamp',
+    range: IDBKeyRange.bound(startTime, endTime),
+    indexedFilter: null
+  };
+}
+
+/**
+ * Get the stored form of a domain, for the domain_time index
+ * @param {string} domain - Domain
+ * @returns {Promise<string|number|null|undefined>} Stored domain; null if the index can't be used,
+ *   undefined if no stored event can have the domain
+ */
+async function getDomainKey(domain) {
+  if (keyring && keys) {
+    // Until events are re-encrypted, the domain is hashed in some and encoded in others
+    return keyring.migration_pending ? null : hashDomain(domain, keys);
+  }
+  
+  // Stored domains are dictionary IDs, and a domain missing from the dictionary has no events
+  return DB_CONFIG.compressionEnabled ? dictionary.ids.get(domain) : domain;
+}
+
+/**
+ * Build the check for the filters the index doesn't cover
+ * @param {Object} query - Event query (see queryEvents)
+ * @param {string|null} indexedFilter - Filter covered by the index
+ * @returns {Function} Predicate on decoded events
+ */
+function createEventFilter(query, indexedFilter) {
+  const eventTypes = query.eventType ? new Set([].concat(query.eventType)) : null;
+  
+  return event =>
+    (indexedFilter === 'sessionId' || !query.sessionId || event.session_id === query.sessionId) &&
+    (indexedFilter === 'domain' || !query.domain || event.domain === query.domain) &&
+    (!eventTypes || eventTypes.has(event.event_type)) &&
+    (!query.url || event.url === query.url) &&
+    (query.tabId === undefined || event.tab_id === query.tabId);
 }
 
 /**
@@ -216,20 +699,20 @@ function getAllFromIndex(store, indexName, range, limit, reverse) {
 }
 
 /**
- * Run a transaction on an object store
- * @param {string} storeName - Object store name
+ * Run a transaction on one or more object stores
+ * @param {string|Array<string>} storeName - Object store name, or names with the store passed to the callback first
  * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
- * @param {Function} callback - Transaction callback
+ * @param {Function} callback - Transaction callback, called with the store and the transaction
  * @returns {Promise<any>} Transaction result
  */
 function runTransaction(storeName, mode, callback) {
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(storeName, mode);
-    const store = transaction.objectStore(storeName);
+    const store = transaction.objectStore([].concat(storeName)[0]);
     
     let result;
     try {
-      result = callback(store);
+      result = callback(store, transaction);
     } catch (error) {
       reject(error);
       return;
@@ -247,44 +730,21 @@ function runTransaction(storeName, mode, callback) {
 
 /**
  * Prune old events to stay within storage limits
+ *
+ * Old events are pruned when the event count nears maxEvents, and the oldest
+ * events when the storage used nears the byte budget: maxBytes or
+ * maxQuotaShare of the quota, whichever is smaller. Sessions that ended more
+ * than maxAge ago are always deleted.
+ *
  * @returns {Promise<number>} Number of events pruned
  */
 async function pruneOldEvents() {
   if (!isInitialized) return 0;
   
   try {
-    // Get event count
-    const count = await runTransaction('events', 'readonly', store => {
-      return new Promise((resolve) => {
-        const countRequest = store.count();
-        countRequest.onsuccess = () => resolve(countRequest.result);
-      });
-    });
-    
-    // Check if we need to prune
-    if (count < DB_CONFIG.maxEvents * DB_CONFIG.pruneThreshold) {
-      return 0;
-    }
-    
-    // Calculate cutoff time for age-based pruning
-    const cutoffTime = Date.now() - DB_CONFIG.maxAge;
-    
-    // Get events to prune
-    const oldEvents = await getEvents({
-      endTime: cutoffTime,
-      limit: count - Math.floor(DB_CONFIG.maxEvents * 0.7) // Prune down to 70% capacity
-    });
-    
-    if (oldEvents.length === 0) return 0;
-    
-    // Delete old events
-    await runTransaction('events', 'readwrite', store => {
-      oldEvents.forEach(event => {
-        store.delete(event.id);
-      });
-    });
-    
-    return oldEvents.length;
+    await pruneOldSessions();
+    const pruned = await pruneByCount();
+    return pruned + await pruneByBytes();
   } catch (error) {
     console.error('Failed to prune old events:', error);
     return 0;
@@ -292,93 +752,593 @@ async function pruneOldEvents() {
 }
 
 /**
- * Clear all events from storage
- * @returns {Promise<boolean>} Whether clear was successful
+ * Delete the sessions that ended more than maxAge ago
+ *
+ * Sessions are deleted by their end time alone, so encrypted sessions are pruned while the store is locked.
+ *
+ * @returns {Promise<number>} Number of sessions deleted
  */
-async function clearEvents() {
-  if (!isInitialized) {
-    await initialize();
-  }
-  
-  try {
-    await runTransaction('events', 'readwrite', store => {
-      store.clear();
+function pruneOldSessions() {
+  return runTransaction('sessions', 'readwrite', store => {
+    return new Promise((resolve, reject) => {
+      const request = store.index('end_time').openKeyCursor(IDBKeyRange.upperBound(Date.now() - DB_CONFIG.maxAge, true));
+      let deleted = 0;
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve(deleted);
+          return;
+        }
+        
+        store.delete(cursor.primaryKey);
+        deleted++;
+        cursor.continue();
+      };
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to delete sessions: ${event.target.error}`));
+      };
     });
-    
-    return true;
-  } catch (error) {
-    console.error('Failed to clear events:', error);
-    return false;
+  });
+}
+
+/**
+ * Prune events older than maxAge when the event count nears maxEvents
+ * @returns {Promise<number>} Number of events pruned
+ */
+async function pruneByCount() {
+  const count = await countStoredEvents();
+  
+  // Check if we need to prune
+  if (count < DB_CONFIG.maxEvents * DB_CONFIG.pruneThreshold) {
+    return 0;
   }
+  
+  // Calculate cutoff time for age-based pruning
+  const cutoffTime = Date.now() - DB_CONFIG.maxAge;
+  
+  // Events are deleted by their timestamp alone, so encrypted events are pruned while the store is locked
+  return deleteOldestEvents(count - Math.floor(DB_CONFIG.maxEvents * DB_CONFIG.pruneTarget), cutoffTime);
 }
 
 /**
- * Compress an event for storage
- * @param {Object} event - Event to compress
- * @returns {Object} Compressed event
+ * Prune the oldest events when the storage used nears the byte budget
+ * @returns {Promise<number>} Number of events pruned
  */
-function compressEvent(event) {
-  // In a real implementation, we would use a compression algorithm
-  // For now, we'll just return the event
-  return event;
+async function pruneByBytes() {
+  const estimate = await estimateStorage();
+  if (!estimate) return 0;
+  
+  const budget = getByteBudget(estimate);
+  if (estimate.usage < budget * DB_CONFIG.pruneThreshold) {
+    return 0;
+  }
+  
+  const count = await countStoredEvents();
+  if (count === 0) return 0;
+  
+  // Sessions, the dictionary and indexes count towards the usage, so this errs on pruning more
+  const bytesPerEvent = estimate.usage / count;
+  const excess = estimate.usage - budget * DB_CONFIG.pruneTarget;
+  
+  return deleteOldestEvents(Math.ceil(excess / bytesPerEvent));
 }
 
 /**
- * Decompress an event from storage
- * @param {Object} event - Compressed event
- * @returns {Object} Decompressed event
+ * Delete the oldest events
+ * @param {number} count - Number of events to delete
+ * @param {number} endTime - Latest timestamp to delete (inclusive)
+ * @returns {Promise<number>} Number of events deleted
  */
-function decompressEvent(event) {
-  // In a real implementation, we would use a decompression algorithm
-  // For now, we'll just return the event
-  return event;
+function deleteOldestEvents(count, endTime = Infinity) {
+  return runTransaction('events', 'readwrite', store => {
+    return new Promise((resolve, reject) => {
+      const request = store.index('timestamp').openKeyCursor(IDBKeyRange.upperBound(endTime));
+      let deleted = 0;
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || deleted >= count) {
+          resolve(deleted);
+          return;
+        }
+        
+        store.delete(cursor.primaryKey);
+        deleted++;
+        cursor.continue();
+      };
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to delete records: ${event.target.error}`));
+      };
+    });
+  });
 }
 
 /**
- * Get storage statistics
- * @returns {Promise<Object>} Storage statistics
+ * Replace old MOUSE_MOVE and PAGE_SCROLL samples with per-minute rollups
+ * @param {number} now - Current time
+ * @returns {Promise<number>} Number of samples rolled up
  */
-async function getStorageStats() {
+async function rollUpOldEvents(now = Date.now()) {
   if (!isInitialized) {
     await initialize();
   }
   
+  // Encrypted samples can't be read while the store is locked
+  if (isLocked()) return 0;
+  
+  // End at a minute boundary, so no minute is rolled up in two parts
+  const cutoffTime = Math.floor((now - DB_CONFIG.rollupAge) / MINUTE) * MINUTE - 1;
+  let rolledUp = 0;
+  
   try {
-    // Get event count
-    const eventCount = await runTransaction('events', 'readonly', store => {
-      return new Promise((resolve) => {
-        const countRequest = store.count();
-        countRequest.onsuccess = () => resolve(countRequest.result);
-      });
-    });
-    
-    // Get session count
-    const sessionCount = await runTransaction('sessions', 'readonly', store => {
-      return new Promise((resolve) => {
-        const countRequest = store.count();
-        countRequest.onsuccess = () => resolve(countRequest.result);
-      });
+    for (const eventType of ROLLUP_TYPES) {
+      let samples = [];
+      
+      for await (const event of iterateEvents({ eventType, endTime: cutoffTime }, DB_CONFIG.rollupBatchSize)) {
+        // Write whole minutes only
+        const last = samples[samples.length - 1];
+        if (samples.length >= DB_CONFIG.rollupBatchSize &&
+            Math.floor(event.timestamp / MINUTE) !== Math.floor(last.timestamp / MINUTE)) {
+          await writeEvents(rollUpInteractionEvents(samples), samples.map(sample => sample.id));
+          rolledUp += samples.length;
+          samples = [];
+        }
+        samples.push(event);
+      }
+      
+      if (samples.length > 0) {
+        await writeEvents(rollUpInteractionEvents(samples), samples.map(sample => sample.id));
+        rolledUp += samples.length;
+      }
+    }
+  } catch (error) {
+    console.error('Failed to roll up old events:', error);
+  }
+  
+  return rolledUp;
+}
+
+/**
+ * Count the stored events
+ * @returns {Promise<number>} Number of events
+ */
+function countStoredEvents() {
+  return runTransaction('events', 'readonly', store => {
+    return new Promise((resolve) => {
+      const countRequest = store.count();
+      countRequest.onsuccess = () => resolve(countRequest.result);
+    });
+  });
+}
+
+/**
+ * Get the storage used by the extension and its quota
+ * @returns {Promise<Object|null>} Estimate ({ usage, quota }) in bytes, or null if unavailable
+ */
+async function estimateStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+  
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    console.error('Failed to estimate storage usage:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the most bytes the extension's storage should use
+ * @param {Object} estimate - Estimate from estimateStorage
+ * @returns {number} Byte budget
+ */
+function getByteBudget(estimate) {
+  return Math.min(DB_CONFIG.maxBytes, estimate.quota * DB_CONFIG.maxQuotaShare);
+}
+
+/**
+ * Clear all events from storage
+ * @returns {Promise<boolean>} Whether clear was successful
+ */
+async function clearEvents() {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  try {
+    await runTransaction('events', 'readwrite', store => {
+      store.clear();
     });
+    pendingEvents = [];
+    await savePendingCounts();
+    
+    return true;
+  } catch (error) {
+    console.error('Failed to clear events:', error);
+    return false;
+  }
+}
+
+/**
+ * Forget sites: delete their events and remove them from the rest of the store
+ *
+ * Encrypted events have to be read to find the sites, so the store must be unlocked.
+ *
+ * Events on a forgotten domain are deleted. Other events can still point to
+ * the sites, as a referrer, a link or the tab switched to: those URLs are
+ * forgotten in the dictionary, so they read as empty, and the titles that go
+ * with them are cleared. The domains are also taken out of session summaries.
+ *
+ * @param {Function} isForgotten - Called with a hostname, returns whether to forget it
+ * @returns {Promise<Object>} Counts ({ deleted, updated, sessions }) of events deleted and
+ *   updated and sessions updated
+ */
+async function forgetSites(isForgotten) {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  if (isLocked()) {
+    throw new Error('Unlock the event store to forget sites');
+  }
+  
+  const isForgottenValue = value => typeof value === 'string' && value !== '' && isForgotten(getValueHostname(value));
+  
+  const counts = await rewriteEvents(event => {
+    if (isForgottenValue(event.domain) || isForgottenValue(event.url)) {
+      return null;
+    }
+    
+    const payload = forgetPayloadUrls(event.payload, isForgottenValue);
+    return payload !== event.payload ? { ...event, payload } : undefined;
+  });
+  
+  await runTransaction('dictionary', 'readwrite', store => {
+    forgetValues(dictionary, isForgottenValue).forEach(entry => store.put(entry));
+  });
+  
+  counts.sessions = await rewriteSessions(session => {
+    return forgetSessionDomains(session, isForgotten) ? session : undefined;
+  });
+  
+  return counts;
+}
+
+/**
+ * Rewrite stored events, one page at a time in primary key order
+ *
+ * Events deleted while a page is being rewritten stay deleted.
+ *
+ * @param {Function} rewrite - Called with each event and its stored record; returns the event to
+ *   store in its place, null to delete it, or undefined to leave it
+ * @returns {Promise<Object>} Counts ({ deleted, updated }) of events deleted and updated
+ */
+async function rewriteEvents(rewrite) {
+  const counts = { deleted: 0, updated: 0 };
+  let lastId = null;
+  
+  while (true) {
+    const range = lastId === null ? null : IDBKeyRange.lowerBound(lastId, true);
+    const request = await runTransaction('events', 'readonly', store => store.getAll(range, DB_CONFIG.scanPageSize));
+    const records = request.result;
+    if (records.length === 0) break;
+    lastId = records[records.length - 1].id;
+    
+    const deleteIds = [];
+    const updates = [];
+    for (const record of records) {
+      const event = await decodeRecord(record);
+      if (!event) {
+        throw new Error('The event store is locked');
+      }
+      
+      const result = rewrite(event, record);
+      if (result === null) {
+        deleteIds.push(record.id);
+      } else if (result) {
+        updates.push(result);
+      }
+    }
+    
+    if (deleteIds.length === 0 && updates.length === 0) continue;
+    
+    const { records: updated, added } = await encodeEvents(updates);
+    try {
+      await runTransaction(['events', 'dictionary'], 'readwrite', (store, transaction) => {
+        const dictionaryStore = transaction.objectStore('dictionary');
+        added.forEach(entry => dictionaryStore.put(entry));
+        deleteIds.forEach(id => store.delete(id));
+        updated.forEach(record => {
+          const keyRequest = store.getKey(record.id);
+          keyRequest.onsuccess = () => {
+            if (keyRequest.result !== undefined) {
+              store.put(record);
+            }
+          };
+        });
+      });
+    } catch (error) {
+      dictionary.added.unshift(...added);
+      throw error;
+    }
+    
+    counts.deleted += deleteIds.length;
+    counts.updated += updated.length;
+  }
+  
+  return counts;
+}
+
+/**
+ * Rewrite stored session records, one page at a time in session ID order
+ *
+ * Records stored again while a page is being rewritten keep their newer version.
+ *
+ * @param {Function} rewrite - Called with each session and its stored record; returns the
+ *   session to store in its place, or undefined to leave it
+ * @returns {Promise<number>} Number of sessions updated
+ */
+async function rewriteSessions(rewrite) {
+  let updated = 0;
+  let lastId = null;
+  
+  while (true) {
+    const range = lastId === null ? null : IDBKeyRange.lowerBound(lastId, true);
+    const request = await runTransaction('sessions', 'readonly', store => store.getAll(range, DB_CONFIG.scanPageSize));
+    const records = request.result;
+    if (records.length === 0) break;
+    lastId = records[records.length - 1].session_id;
     
-    // Get oldest event timestamp
-    const oldestEvent = await getEvents({
-      limit: 1
+    const updates = [];
+    for (const record of records) {
+      // Unencrypted records are decoded as they are, and rewrite may change them
+      const stored = JSON.stringify(record);
+      const session = await decodeSession(record);
+      if (!session) {
+        throw new Error('The event store is locked');
+      }
+      
+      const result = rewrite(session, record);
+      if (result) {
+        updates.push({ stored, record: await encodeSession(result) });
+      }
+    }
+    
+    if (updates.length === 0) continue;
+    
+    await runTransaction('sessions', 'readwrite', store => {
+      updates.forEach(({ stored, record }) => {
+        const request = store.get(record.session_id);
+        request.onsuccess = () => {
+          if (request.result && JSON.stringify(request.result) === stored) {
+            store.put(record);
+            updated++;
+          }
+        };
+      });
     });
+  }
+  
+  return updated;
+}
+
+/**
+ * Clear the URLs of forgotten sites in a payload, and the titles that go with them
+ * @param {Object} payload - Event payload
+ * @param {Function} isForgottenValue - Called with a URL, returns whether its site is forgotten
+ * @returns {Object} The payload, or a copy if anything was cleared
+ */
+function forgetPayloadUrls(payload, isForgottenValue) {
+  let result = payload;
+  
+  for (const [field, value] of Object.entries(payload || {})) {
+    const isUrl = field === 'url' || field === 'referrer' || field.endsWith('_url');
+    if (!isUrl || !isForgottenValue(value)) continue;
+    
+    if (result === payload) {
+      result = { ...payload };
+    }
+    result[field] = '';
+    
+    const titleField = field.replace(/_url$/, '_title');
+    if (titleField !== field && titleField in result) {
+      result[titleField] = '';
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Get the hostname of a stored URL or domain
+ * @param {string} value - URL or domain
+ * @returns {string} Hostname
+ */
+function getValueHostname(value) {
+  try {
+    return new URL(value).hostname || value;
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Store a session record, replacing the stored record of the same session
+ * @param {Object} session - Session record from sessions.js
+ * @returns {Promise<boolean>} Whether storage was successful
+ */
+async function storeSession(session) {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  try {
+    if (isEncrypting() && !keys) {
+      pendingSessions.set(session.session_id, structuredClone(session));
+      return true;
+    }
+    
+    const record = await encodeSession(session);
+    await runTransaction('sessions', 'readwrite', store => {
+      store.put(record);
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Failed to store session:', error);
+    return false;
+  }
+}
+
+/**
+ * Retrieve a session record
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session record, or null if it's encrypted and the store is locked
+ */
+async function getSession(sessionId) {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  try {
+    if (pendingSessions.has(sessionId)) {
+      return pendingSessions.get(sessionId);
+    }
     
-    // Get newest event timestamp
-    const newestEvent = await getEvents({
-      limit: 1,
-      reverse: true
+    const request = await runTransaction('sessions', 'readonly', store => store.get(sessionId));
+    return request.result ? await decodeSession(request.result) : null;
+  } catch (error) {
+    console.error('Failed to retrieve session:', error);
+    return null;
+  }
+}
+
+/**
+ * Retrieve the sessions that were active in a time range
+ * @param {Object} options - Query options
+ * @param {number} options.startTime - Sessions that ended before this are left out
+ * @param {number} options.endTime - Sessions that started after this are left out
+ * @param {number} options.tabId - Filter by tab ID
+ * @param {boolean} options.openOnly - Only sessions that haven't ended
+ * @param {number} options.limit - Maximum number of sessions to retrieve
+ * @returns {Promise<Array>} Sessions, oldest first, without the encrypted ones while the store is locked
+ */
+async function getSessions(options = {}) {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  try {
+    // Open sessions are read from their own index, so restoring them doesn't read the history
+    const records = await runTransaction('sessions', 'readonly', store => {
+      if (options.openOnly) {
+        return getAllFromIndex(store, 'open', null);
+      }
+      const range = options.endTime !== undefined ? IDBKeyRange.upperBound(options.endTime) : null;
+      return getAllFromIndex(store, 'start_time', range);
     });
     
+    const stored = (await Promise.all(records.map(decodeSession)))
+      .filter(session => session && !pendingSessions.has(session.session_id));
+    const sessions = pendingSessions.size > 0 || options.openOnly
+      ? stored.concat([...pendingSessions.values()]).sort((a, b) => a.start_time - b.start_time)
+      : stored;
+    
+    const now = Date.now();
+    const matching = sessions.filter(session => 
+      sessionOverlaps(session, options.startTime, options.endTime, now) &&
+      (options.tabId === undefined || session.tab_id === options.tabId) &&
+      (!options.openOnly || session.end_time === null)
+    );
+    
+    return options.limit ? matching.slice(0, options.limit) : matching;
+  } catch (error) {
+    console.error('Failed to retrieve sessions:', error);
+    return [];
+  }
+}
+
+/**
+ * Encode a session record for storage: encrypted when encryption is on
+ * @param {Object} session - Session record
+ * @returns {Promise<Object>} Record to store
+ */
+async function encodeSession(session) {
+  if (isEncrypting()) {
+    if (!keys) {
+      throw new Error('The event store is locked');
+    }
+    return encryptSession(session, keys);
+  }
+  return session;
+}
+
+/**
+ * Decode a stored session record
+ * @param {Object} record - Stored record
+ * @returns {Promise<Object|null>} Session record, or null if it's encrypted and the store is locked
+ */
+async function decodeSession(record) {
+  if (isEncrypted(record)) {
+    return keys ? decryptSession(record, keys) : null;
+  }
+  return record;
+}
+
+/**
+ * Get storage statistics
+ *
+ * Sizes are of the records as stored and as read back, in UTF-8 bytes of
+ * their JSON; IndexedDB's own overhead and indexes are only in usage.
+ *
+ * @returns {Promise<Object>} Storage statistics
+ */
+async function getStorageStats() {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  try {
+    // Get event count
+    const eventCount = await countStoredEvents();
+    
+    // Get session count
+    const sessionCount = await runTransaction('sessions', 'readonly', store => {
+      return new Promise((resolve) => {
+        const countRequest = store.count();
+        countRequest.onsuccess = () => resolve(countRequest.result);
+      });
+    });
+    
+    // Get oldest and newest event timestamps, readable while the store is locked
+    const oldestEventTime = await getEdgeTimestamp('next');
+    const newestEventTime = await getEdgeTimestamp('prev');
+    
+    const sizes = await measureStoredEvents();
+    const estimate = await estimateStorage();
+    
     return {
       eventCount,
       sessionCount,
-      oldestEventTime: oldestEvent[0]?.timestamp || null,
-      newestEventTime: newestEvent[0]?.timestamp || null,
+      oldestEventTime,
+      newestEventTime,
+      storedBytes: sizes.storedBytes,
+      rawBytes: sizes.rawBytes,
+      compressionRatio: sizes.storedBytes > 0 ? sizes.rawBytes / sizes.storedBytes : null,
+      bytesByType: sizes.bytesByType,
+      dictionarySize: dictionary.values.size,
+      usage: estimate ? estimate.usage : null,
+      quota: estimate ? estimate.quota : null,
+      byteBudget: estimate ? getByteBudget(estimate) : DB_CONFIG.maxBytes,
       maxEvents: DB_CONFIG.maxEvents,
       maxAge: DB_CONFIG.maxAge,
-      compressionEnabled: DB_CONFIG.compressionEnabled
+      compressionEnabled: DB_CONFIG.compressionEnabled,
+      encryptionEnabled: keyring !== null
     };
   } catch (error) {
     console.error('Failed to get storage stats:', error);
@@ -387,18 +1347,436 @@ async function getStorageStats() {
       sessionCount: 0,
       oldestEventTime: null,
       newestEventTime: null,
+      storedBytes: 0,
+      rawBytes: 0,
+      compressionRatio: null,
+      bytesByType: {},
+      dictionarySize: 0,
+      usage: null,
+      quota: null,
+      byteBudget: DB_CONFIG.maxBytes,
       maxEvents: DB_CONFIG.maxEvents,
       maxAge: DB_CONFIG.maxAge,
-      compressionEnabled: DB_CONFIG.compressionEnabled
+      compressionEnabled: DB_CONFIG.compressionEnabled,
+      encryptionEnabled: keyring !== null
     };
   }
 }
 
+/**
+ * Get the timestamp of the oldest or newest stored event
+ * @param {string} direction - 'next' for the oldest, 'prev' for the newest
+ * @returns {Promise<number|null>} Timestamp, or null without events
+ */
+function getEdgeTimestamp(direction) {
+  return runTransaction('events', 'readonly', store => {
+    return new Promise((resolve, reject) => {
+      const request = store.index('timestamp').openKeyCursor(null, direction);
+      request.onsuccess = () => resolve(request.result ? request.result.key : null);
+      request.onerror = (event) => {
+        reject(new Error(`Failed to retrieve records: ${event.target.error}`));
+      };
+    });
+  });
+}
+
+/**
+ * Measure the stored events
+ * @returns {Promise<Object>} Sizes ({ storedBytes, rawBytes, bytesByType }), bytesByType
+ *   giving { count, storedBytes, rawBytes } per event type
+ */
+function measureStoredEvents() {
+  return runTransaction('events', 'readonly', store => {
+    return new Promise((resolve, reject) => {
+      const sizes = { storedBytes: 0, rawBytes: 0, bytesByType: {} };
+      const request = store.openCursor();
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve(sizes);
+          return;
+        }
+        
+        const record = cursor.value;
+        const storedBytes = measureBytes(record);
+        // Encrypted events can't be decompressed without decrypting them, so count as stored
+        const rawBytes = isEncrypted(record) ? storedBytes : measureBytes(decompressEvent(record, dictionary));
+        const typeSizes = sizes.bytesByType[record.event_type] ||
+          (sizes.bytesByType[record.event_type] = { count: 0, storedBytes: 0, rawBytes: 0 });
+        
+        typeSizes.count++;
+        typeSizes.storedBytes += storedBytes;
+        typeSizes.rawBytes += rawBytes;
+        sizes.storedBytes += storedBytes;
+        sizes.rawBytes += rawBytes;
+        
+        cursor.continue();
+      };
+      
+      request.onerror = (event) => {
+        reject(new Error(`Failed to retrieve records: ${event.target.error}`));
+      };
+    });
+  });
+}
+
+/**
+ * Measure a record in UTF-8 bytes of its JSON, and bytes of its binary fields
+ * @param {Object} record - Record
+ * @returns {number} Size in bytes
+ */
+function measureBytes(record) {
+  const { iv, ciphertext, ...fields } = record;
+  return textEncoder.encode(JSON.stringify(fields)).length + (iv ? iv.length : 0) + (ciphertext ? ciphertext.length : 0);
+}
+
+/**
+ * Get the encryption status of the event store
+ * @returns {Promise<Object>} Status ({ enabled, locked, reencrypting, disabling, pendingEvents, lostEvents,
+ *   keyCount, keyCreatedAt })
+ */
+async function getEncryptionStatus() {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  const currentKey = keyring && keyring.data_keys.find(entry => entry.id === keyring.current_key_id);
+  
+  return {
+    enabled: keyring !== null && !keyring.disabling,
+    locked: isLocked(),
+    reencrypting: !!(keyring && keyring.migration_pending),
+    disabling: !!(keyring && keyring.disabling),
+    pendingEvents: pendingEvents.length,
+    lostEvents,
+    keyCount: keyring ? keyring.data_keys.length : 0,
+    keyCreatedAt: currentKey ? currentKey.created_at : null
+  };
+}
+
+/**
+ * Encrypt the event store with a passphrase
+ *
+ * New events are encrypted right away; stored events are encrypted in the background.
+ *
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Encryption status
+ */
+async function enableEncryption(passphrase) {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  if (keyring) {
+    throw new Error(keyring.disabling ? 'Encryption is still being turned off' : 'Encryption is already enabled');
+  }
+  
+  const created = await createKeyring(passphrase, DB_CONFIG.kdfIterations);
+  await saveKeyring({ ...created.keyring, migration_pending: true }, created.keys);
+  startReencryption();
+  
+  return getEncryptionStatus();
+}
+
+/**
+ * Unlock the event store, storing the events and sessions held while it was locked
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Encryption status
+ */
+async function unlockEncryption(passphrase) {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  if (!keyring) {
+    throw new Error('Encryption is not enabled');
+  }
+  
+  keys = await unlockKeyring(keyring, passphrase);
+  await saveSessionKeys(keys);
+  await storePendingRecords();
+  lostEvents = 0;
+  await savePendingCounts();
+  
+  if (keyring.migration_pending) {
+    startReencryption();
+  }
+  
+  return getEncryptionStatus();
+}
+
+/**
+ * Lock the event store, forgetting the unlocked keys
+ * @returns {Promise<Object>} Encryption status
+ */
+async function lockEncryption() {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  if (!keyring) {
+    throw new Error('Encryption is not enabled');
+  }
+  
+  // Re-encryption stops at its next page and continues after the next unlock
+  keys = null;
+  await saveSessionKeys(null);
+  
+  return getEncryptionStatus();
+}
+
+/**
+ * Change the passphrase and rotate the data key
+ *
+ * New events are encrypted with the new data key right away; stored events
+ * are re-encrypted in the background, and the old keys are removed after.
+ *
+ * @param {string} passphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase, or nothing to keep the current one
+ * @returns {Promise<Object>} Encryption status
+ */
+async function rotateEncryptionKey(passphrase, newPassphrase) {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  if (!keyring || keyring.disabling) {
+    throw new Error('Encryption is not enabled');
+  }
+  
+  const unlocked = await unlockKeyring(keyring, passphrase);
+  const rotated = await rotateKeyring(unlocked, newPassphrase || passphrase, DB_CONFIG.kdfIterations);
+  await saveKeyring({ ...rotated.keyring, migration_pending: true }, rotated.keys);
+  startReencryption();
+  
+  return getEncryptionStatus();
+}
+
+/**
+ * Turn encryption off: stored events are decrypted in the background and the keyring deleted after
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Encryption status
+ */
+async function disableEncryption(passphrase) {
+  if (!isInitialized) {
+    await initialize();
+  }
+  
+  if (!keyring || keyring.disabling) {
+    throw new Error('Encryption is not enabled');
+  }
+  
+  const unlocked = await unlockKeyring(keyring, passphrase);
+  await saveKeyring({ ...keyring, disabling: true, migration_pending: true }, unlocked);
+  await storePendingRecords();
+  lostEvents = 0;
+  await savePendingCounts();
+  startReencryption();
+  
+  return getEncryptionStatus();
+}
+
+/**
+ * Check whether new events are encrypted
+ * @returns {boolean} Whether new events are encrypted
+ */
+function isEncrypting() {
+  return keyring !== null && !keyring.disabling;
+}
+
+/**
+ * Check whether encrypted events can't be read or written
+ * @returns {boolean} Whether the store is locked
+ */
+function isLocked() {
+  return keyring !== null && keys === null;
+}
+
+/**
+ * Store the keyring and use its keys
+ * @param {Object} record - Keyring
+ * @param {Object} unlockedKeys - Unlocked keys of the keyring
+ * @returns {Promise<void>}
+ */
+async function saveKeyring(record, unlockedKeys) {
+  await runTransaction('keyring', 'readwrite', store => {
+    store.put(record);
+  });
+  keyring = record;
+  keys = unlockedKeys;
+  await saveSessionKeys(unlockedKeys);
+}
+
+/**
+ * Store the events and session records held while the store was locked
+ * @returns {Promise<void>}
+ */
+async function storePendingRecords() {
+  if (pendingEvents.length > 0) {
+    await writeEvents(pendingEvents);
+    pendingEvents = [];
+  }
+  
+  if (pendingSessions.size > 0) {
+    const records = await Promise.all([...pendingSessions.values()].map(encodeSession));
+    await runTransaction('sessions', 'readwrite', store => {
+      records.forEach(record => store.put(record));
+    });
+    pendingSessions = new Map();
+  }
+}
+
+/**
+ * Re-encrypt stored events in the background, unless already running
+ * @returns {Promise<void>}
+ */
+function startReencryption() {
+  if (!reencryption) {
+    reencryption = reencryptEvents()
+      .catch(error => console.error('Failed to re-encrypt events:', error))
+      .finally(() => {
+        reencryption = null;
+      });
+  }
+  return reencryption;
+}
+
+/**
+ * Encrypt the stored events and sessions that aren't encrypted with the current data key, or
+ * decrypt all of them when encryption is being turned off
+ *
+ * A pass that rewrote every event with the key that's still current retires
+ * the other keys; the key can be rotated again during a pass, which then
+ * takes another one. The dictionary is cleared once no event uses it.
+ *
+ * @returns {Promise<void>}
+ */
+async function reencryptEvents() {
+  while (keyring && keyring.migration_pending && keys) {
+    const targetKeyId = keyring.disabling ? null : keys.currentKeyId;
+    
+    const isCurrent = record => targetKeyId === null
+      ? !isEncrypted(record)
+      : isEncrypted(record) && record.key_id === targetKeyId;
+    
+    await rewriteEvents((event, record) => isCurrent(record) ? undefined : event);
+    await rewriteSessions((session, record) => isCurrent(record) ? undefined : session);
+    
+    if (!keys) return;
+    
+    if (keyring.disabling) {
+      await runTransaction('keyring', 'readwrite', store => {
+        store.delete('keyring');
+      });
+      keyring = null;
+      keys = null;
+      await saveSessionKeys(null);
+      return;
+    }
+    
+    if (keys.currentKeyId === targetKeyId) {
+      const retired = retireDataKeys(keyring, keys);
+      keyring = { ...retired.keyring, migration_pending: false };
+      await runTransaction('keyring', 'readwrite', store => {
+        store.put(keyring);
+      });
+      
+      // The store may have been locked meanwhile
+      if (keys) {
+        keys = retired.keys;
+        await saveSessionKeys(keys);
+      }
+      
+      await runTransaction('dictionary', 'readwrite', store => {
+        store.clear();
+      });
+      dictionary = createDictionary();
+    }
+  }
+}
+
+/**
+ * Load the keys unlocked earlier in the browser session
+ * @returns {Promise<Object|null>} Unlocked keys, or null
+ */
+async function loadSessionKeys() {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.session) return null;
+  
+  try {
+    const result = await chrome.storage.session.get(SESSION_KEYS_KEY);
+    return result[SESSION_KEYS_KEY] ? await importExportedKeys(result[SESSION_KEYS_KEY]) : null;
+  } catch (error) {
+    console.error('Failed to load unlocked keys:', error);
+    return null;
+  }
+}
+
+/**
+ * Keep unlocked keys for the browser session, so the store stays unlocked when the worker restarts
+ * @param {Object|null} unlockedKeys - Unlocked keys, or null to forget them
+ * @returns {Promise<void>}
+ */
+async function saveSessionKeys(unlockedKeys) {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.session) return;
+  
+  if (unlockedKeys) {
+    await chrome.storage.session.set({ [SESSION_KEYS_KEY]: exportKeys(unlockedKeys) });
+  } else {
+    await chrome.storage.session.remove(SESSION_KEYS_KEY);
+  }
+}
+
+/**
+ * Count the events held when the worker stopped while the store was locked as lost
+ * @returns {Promise<void>}
+ */
+async function loadLostEvents() {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.session) return;
+  
+  try {
+    const result = await chrome.storage.session.get(SESSION_PENDING_KEY);
+    const counts = result[SESSION_PENDING_KEY] || {};
+    lostEvents = (counts.held || 0) + (counts.lost || 0);
+    await savePendingCounts();
+  } catch (error) {
+    console.error('Failed to load lost event count:', error);
+  }
+}
+
+/**
+ * Keep the counts of events held and lost while locked for the browser session
+ * @returns {Promise<void>}
+ */
+async function savePendingCounts() {
+  if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.session) return;
+  
+  await chrome.storage.session.set({
+    [SESSION_PENDING_KEY]: { held: pendingEvents.length, lost: lostEvents }
+  });
+}
+
 export {
   initialize,
   storeEvents,
-  getEvents,
+  mergeEvents,
+  queryEvents,
+  iterateEvents,
+  countEvents,
+  getDistinctDomains,
+  countEventsByTime,
   clearEvents,
   pruneOldEvents,
+  rollUpOldEvents,
+  forgetSites,
+  getEncryptionStatus,
+  enableEncryption,
+  unlockEncryption,
+  lockEncryption,
+  rotateEncryptionKey,
+  disableEncryption,
+  storeSession,
+  getSession,
+  getSessions,
   getStorageStats
 }; 
\ No newline at end of file
@@ -0,0 +1,315 @@
+/**
+ * Focus Nudge - Domain Registry
+ *
+ * This module is the single source of truth for domain categories. It tells
+ * the rest of the extension what kind of site a domain is, whether it is a
+ * known distraction, and how much the models should adjust their scores for it.
+ * Users can edit the registry and move it between machines as JSON.
+ */
+
+// Storage key for the user's registry
+const STORAGE_KEY = 'domainRegistry';
+
+// Version of the exported JSON format
+const EXPORT_FORMAT_VERSION = 1;
+
+// Supported domain categories
+export const DOMAIN_CATEGORIES = {
+  VIDEO: 'video',
+  AUDIO: 'audio',
+  SOCIAL: 'social',
+  PRODUCTIVITY: 'productivity',
+  NEWS: 'news',
+  SHOPPING: 'shopping',
+  EDUCATION: 'education',
+  GAMING: 'gaming',
+  FINANCE: 'finance',
+  OTHER: 'other'
+};
+
+// Default registry entries
+export const DEFAULT_DOMAIN_ENTRIES = [
+  // Video
+  { domain: 'youtube.com', category: DOMAIN_CATEGORIES.VIDEO, distraction: true, adjustment: 0.2 },
+  { domain: 'netflix.com', category: DOMAIN_CATEGORIES.VIDEO, distraction: true, adjustment: 0.2 },
+  { domain: 'hulu.com', category: DOMAIN_CATEGORIES.VIDEO, distraction: true, adjustment: 0.2 },
+  { domain: 'twitch.tv', category: DOMAIN_CATEGORIES.VIDEO, distraction: true, adjustment: 0 },
+  { domain: 'vimeo.com', category: DOMAIN_CATEGORIES.VIDEO, distraction: false, adjustment: 0 },
+  { domain: 'disney.com', category: DOMAIN_CATEGORIES.VIDEO, distraction: false, adjustment: 0 },
+
+  // Audio
+  { domain: 'spotify.com', category: DOMAIN_CATEGORIES.AUDIO, distraction: false, adjustment: 0 },
+  { domain: 'soundcloud.com', category: DOMAIN_CATEGORIES.AUDIO, distraction: false, adjustment: 0 },
+
+  // Social
+  { domain: 'facebook.com', category: DOMAIN_CATEGORIES.SOCIAL, distraction: true, adjustment: 0.2 },
+  { domain: 'twitter.com', category: DOMAIN_CATEGORIES.SOCIAL, distraction: true, adjustment: 0.2 },
+  { domain: 'instagram.com', category: DOMAIN_CATEGORIES.SOCIAL, distraction: true, adjustment: 0.2 },
+  { domain: 'reddit.com', category: DOMAIN_CATEGORIES.SOCIAL, distraction: true, adjustment: 0.2 },
+  { domain: 'tiktok.com', category: DOMAIN_CATEGORIES.SOCIAL, distraction: true, adjustment: 0.3 },
+  { domain: 'linkedin.com', category: DOMAIN_CATEGORIES.SOCIAL, distraction: false, adjustment: 0 },
+
+  // Productivity
+  { domain: 'github.com', category: DOMAIN_CATEGORIES.PRODUCTIVITY, distraction: false, adjustment: 0 },
+  { domain: 'docs.google.com', category: DOMAIN_CATEGORIES.PRODUCTIVITY, distraction: false, adjustment: 0 },
+  { domain: 'sheets.google.com', category: DOMAIN_CATEGORIES.PRODUCTIVITY, distraction: false, adjustment: 0 },
+  { domain: 'slides.google.com', category: DOMAIN_CATEGORIES.PRODUCTIVITY, distraction: false, adjustment: 0 },
+  { domain: 'notion.so', category: DOMAIN_CATEGORIES.PRODUCTIVITY, distraction: false, adjustment: 0 },
+  { domain: 'trello.com', category: DOMAIN_CATEGORIES.PRODUCTIVITY, distraction: false, adjustment: 0 },
+  { domain: 'asana.com', category: DOMAIN_CATEGORIES.PRODUCTIVITY, distraction: false, adjustment: 0 },
+  { domain: 'jira.com', category: DOMAIN_CATEGORIES.PRODUCTIVITY, distraction: false, adjustment: 0 },
+
+  // News
+  { domain: 'news.google.com', category: DOMAIN_CATEGORIES.NEWS, distraction: false, adjustment: 0 },
+  { domain: 'nytimes.com', category: DOMAIN_CATEGORIES.NEWS, distraction: false, adjustment: 0 },
+  { domain: 'cnn.com', category: DOMAIN_CATEGORIES.NEWS, distraction: false, adjustment: 0 },
+  { domain: 'bbc.com', category: DOMAIN_CATEGORIES.NEWS, distraction: false, adjustment: 0 },
+  { domain: 'washingtonpost.com', category: DOMAIN_CATEGORIES.NEWS, distraction: false, adjustment: 0 },
+  { domain: 'reuters.com', category: DOMAIN_CATEGORIES.NEWS, distraction: false, adjustment: 0 },
+
+  // Shopping
+  { domain: 'amazon.com', category: DOMAIN_CATEGORIES.SHOPPING, distraction: false, adjustment: 0.1 },
+  { domain: 'ebay.com', category: DOMAIN_CATEGORIES.SHOPPING, distraction: false, adjustment: 0.1 },
+  { domain: 'etsy.com', category: DOMAIN_CATEGORIES.SHOPPING, distraction: false, adjustment: 0 },
+  { domain: 'walmart.com', category: DOMAIN_CATEGORIES.SHOPPING, distraction: false, adjustment: 0 },
+  { domain: 'target.com', category: DOMAIN_CATEGORIES.SHOPPING, distraction: false, adjustment: 0 },
+  { domain: 'bestbuy.com', category: DOMAIN_CATEGORIES.SHOPPING, distraction: false, adjustment: 0 },
+
+  // Education
+  { domain: 'coursera.org', category: DOMAIN_CATEGORIES.EDUCATION, distraction: false, adjustment: 0 },
+  { domain: 'udemy.com', category: DOMAIN_CATEGORIES.EDUCATION, distraction: false, adjustment: 0 },
+  { domain: 'edx.org', category: DOMAIN_CATEGORIES.EDUCATION, distraction: false, adjustment: 0 },
+  { domain: 'khanacademy.org', category: DOMAIN_CATEGORIES.EDUCATION, distraction: false, adjustment: 0 },
+  { domain: 'duolingo.com', category: DOMAIN_CATEGORIES.EDUCATION, distraction: false, adjustment: 0 },
+
+  // Gaming
+  { domain: 'steam.com', category: DOMAIN_CATEGORIES.GAMING, distraction: false, adjustment: 0 },
+  { domain: 'epicgames.com', category: DOMAIN_CATEGORIES.GAMING, distraction: false, adjustment: 0 },
+  { domain: 'roblox.com', category: DOMAIN_CATEGORIES.GAMING, distraction: false, adjustment: 0 },
+  { domain: 'minecraft.net', category: DOMAIN_CATEGORIES.GAMING, distraction: false, adjustment: 0 },
+
+  // Finance
+  { domain: 'chase.com', category: DOMAIN_CATEGORIES.FINANCE, distraction: false, adjustment: 0 },
+  { domain: 'bankofamerica.com', category: DOMAIN_CATEGORIES.FINANCE, distraction: false, adjustment: 0 },
+  { domain: 'wellsfargo.com', category: DOMAIN_CATEGORIES.FINANCE, distraction: false, adjustment: 0 },
+  { domain: 'mint.com', category: DOMAIN_CATEGORIES.FINANCE, distraction: false, adjustment: 0 },
+  { domain: 'robinhood.com', category: DOMAIN_CATEGORIES.FINANCE, distraction: false, adjustment: 0 }
+];
+
+// In-memory registry, keyed by domain
+let registry = buildIndex(DEFAULT_DOMAIN_ENTRIES);
+
+/**
+ * Check whether a hostname is a domain or one of its subdomains
+ * @param {string} hostname - Hostname to check (e.g. "www.youtube.com")
+ * @param {string} domain - Registered domain (e.g. "youtube.com")
+ * @returns {boolean} Whether the hostname matches
+ */
+export function domainMatches(hostname, domain) {
+  if (!hostname || !domain) return false;
+
+  const host = hostname.toLowerCase();
+  const target = domain.toLowerCase();
+  return host === target || host.endsWith(`.${target}`);
+}
+
+/**
+ * Find the most specific registry entry for a hostname
+ *
+ * "docs.google.com" is matched before "google.com", and "notyoutube.com"
+ * does not match "youtube.com".
+ *
+ * @param {string} hostname - Hostname to look up
+ * @returns {Object|null} Registry entry
+ */
+export function lookupDomain(hostname) {
+  if (!hostname) return null;
+
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (registry.has(candidate)) {
+      return registry.get(candidate);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the category of a domain
+ * @param {string} hostname - Hostname to look up
+ * @returns {string|null} Category from DOMAIN_CATEGORIES
+ */
+export function getDomainCategory(hostname) {
+  const entry = lookupDomain(hostname);
+  return entry ? entry.category : null;
+}
+
+/**
+ * Check whether a domain is a known distraction
+ * @param {string} hostname - Hostname to look up
+ * @returns {boolean} Whether the domain is a known distraction
+ */
+export function isDistractionDomain(hostname) {
+  const entry = lookupDomain(hostname);
+  return entry ? entry.distraction === true : false;
+}
+
+/**
+ * Get the model score adjustment for a domain
+ * @param {string} hostname - Hostname to look up
+ * @returns {number} Adjustment to add to the distraction probability
+ */
+export function getDomainAdjustment(hostname) {
+  const entry = lookupDomain(hostname);
+  return entry ? entry.adjustment : 0;
+}
+
+/**
+ * Get a copy of all registry entries
+ * @returns {Array} Registry entries
+ */
+export function getDomainRegistry() {
+  return Array.from(registry.values()).map(entry => ({ ...entry }));
+}
+
+/**
+ * Load the user's registry from storage, falling back to the defaults
+ * @returns {Promise<Array>} Registry entries
+ */
+export async function loadDomainRegistry() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    const storedEntries = result[STORAGE_KEY];
+
+    registry = buildIndex(Array.isArray(storedEntries) ? storedEntries : DEFAULT_DOMAIN_ENTRIES);
+  } catch (error) {
+    console.error('Failed to load domain registry:', error);
+    registry = buildIndex(DEFAULT_DOMAIN_ENTRIES);
+  }
+
+  return getDomainRegistry();
+}
+
+/**
+ * Replace the registry with a new set of entries and persist it
+ * @param {Array} entries - Registry entries
+ * @returns {Promise<Array>} Saved registry entries
+ */
+export async function saveDomainRegistry(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('Domain registry must be an array of entries');
+  }
+
+  registry = buildIndex(entries.map(normalizeEntry));
+  await chrome.storage.local.set({ [STORAGE_KEY]: getDomainRegistry() });
+
+  return getDomainRegistry();
+}
+
+/**
+ * Restore the default registry
+ * @returns {Promise<Array>} Default registry entries
+ */
+export async function resetDomainRegistry() {
+  return saveDomainRegistry(DEFAULT_DOMAIN_ENTRIES);
+}
+
+/**
+ * Export the registry as JSON
+ * @returns {string} JSON document
+ */
+export function exportDomainRegistry() {
+  return JSON.stringify({
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: getDomainRegistry()
+  }, null, 2);
+}
+
+/**
+ * Import a registry from JSON
+ * @param {string} json - JSON document produced by exportDomainRegistry (or a bare entry array)
+ * @param {Object} options - Import options
+ * @param {boolean} options.merge - Merge into the current registry instead of replacing it
+ * @returns {Promise<Array>} Saved registry entries
+ */
+export async function importDomainRegistry(json, options = {}) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Domain registry import is not valid JSON');
+  }
+
+  const entries = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Domain registry import has no entries');
+  }
+
+  if (data.version && data.version > EXPORT_FORMAT_VERSION) {
+    throw new Error(`Unsupported domain registry version: ${data.version}`);
+  }
+
+  // Validate everything before touching the current registry
+  const importedEntries = entries.map(normalizeEntry);
+
+  if (options.merge) {
+    const merged = new Map(registry);
+    importedEntries.forEach(entry => merged.set(entry.domain, entry));
+    return saveDomainRegistry(Array.from(merged.values()));
+  }
+
+  return saveDomainRegistry(importedEntries);
+}
+
+/**
+ * Build a lookup index from registry entries
+ * @param {Array} entries - Registry entries
+ * @returns {Map} Index keyed by domain
+ */
+function buildIndex(entries) {
+  const index = new Map();
+  entries.forEach(entry => {
+    const normalizedEntry = normalizeEntry(entry);
+    index.set(normalizedEntry.domain, normalizedEntry);
+  });
+  return index;
+}
+
+/**
+ * Validate and normalize a registry entry
+ * @param {Object} entry - Raw entry
+ * @returns {Object} Normalized entry
+ */
+function normalizeEntry(entry) {
+  if (!entry || typeof entry.domain !== 'string') {
+    throw new Error('Domain registry entry requires a domain');
+  }
+
+  const domain = entry.domain
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split('/')[0];
+
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+    throw new Error(`Invalid domain in registry: ${entry.domain}`);
+  }
+
+  const category = Object.values(DOMAIN_CATEGORIES).includes(entry.category)
+    ? entry.category
+    : DOMAIN_CATEGORIES.OTHER;
+
+  const adjustment = Number(entry.adjustment) || 0;
+
+  return {
+    domain,
+    category,
+    distraction: entry.distraction === true,
+    adjustment: Math.max(-1, Math.min(1, adjustment))
+  };
+}
@@ -6,6 +6,7 @@
  */
 
 import { EVENT_TYPES } from '../events/schema.js';
+import { getDomainCategory, DOMAIN_CATEGORIES } from './domainRegistry.js';
 
 // Feature extraction configuration
 const DEFAULT_CONFIG = {
@@ -26,6 +27,127 @@ const DEFAULT_CONFIG = {
   includeTemporalFeatures: true
 };
 
+/**
+ * Extract the features the detection models read from one batch of events
+ *
+ * This is the extraction the service worker runs on each processed batch (and
+ * on each domain's events when scoring), so replays see the same features.
+ *
+ * @param {Array} events - Events for one tab or domain, ordered by time
+ * @returns {Object} Features
+ */
+export function extractFeaturesFromEvents(events) {
+  // Initialize features
+  const features = {
+    timeSpent: 0,
+    scrollCount: 0,
+    scrollDepth: 0,
+    clickCount: 0,
+    tabSwitches: 0,
+    videoPlayCount: 0,
+    videoPauseCount: 0,
+    videoWatchTime: 0,
+    keyPressCount: 0,
+    copyCount: 0,
+    pasteCount: 0,
+    idleTime: 0,
+    pageVisits: 0,
+    contentType: null,
+    hasVideo: false,
+    hasAudio: false,
+    hasForms: false,
+    hasComments: false,
+    readabilityScore: 0
+  };
+  
+  // Extract page metadata from PAGE_VISIT events
+  const pageVisitEvents = events.filter(event => event.event_type === EVENT_TYPES.PAGE_VISIT);
+  if (pageVisitEvents.length > 0) {
+    const latestPageVisit = pageVisitEvents[pageVisitEvents.length - 1];
+    features.url = latestPageVisit.url;
+    features.domain = latestPageVisit.payload?.domain || new URL(latestPageVisit.url).hostname;
+    features.pageTitle = latestPageVisit.payload?.page_title || '';
+    features.pageVisits = pageVisitEvents.length;
+  }
+  
+  // Fall back to the most recent event URL so task path rules can be applied
+  if (!features.url) {
+    const eventWithUrl = [...events].reverse().find(event => event.url);
+    features.url = eventWithUrl ? eventWithUrl.url : '';
+  }
+  
+  // Calculate time range
+  const timestamps = events.map(event => event.timestamp);
+  const minTime = Math.min(...timestamps);
+  const maxTime = Math.max(...timestamps);
+  features.timeSpent = maxTime - minTime;
+  
+  // Process each event
+  events.forEach(event => {
+    switch (event.event_type) {
+      case EVENT_TYPES.PAGE_SCROLL:
+        features.scrollCount++;
+        features.scrollDepth = Math.max(features.scrollDepth, event.payload?.scroll_depth || 0);
+        break;
+        
+      case EVENT_TYPES.MOUSE_CLICK:
+        features.clickCount++;
+        break;
+        
+      case EVENT_TYPES.TAB_SWITCH:
+        features.tabSwitches++;
+        break;
+        
+      case EVENT_TYPES.VIDEO_PLAY:
+        features.videoPlayCount++;
+        features.hasVideo = true;
+        break;
+        
+      case EVENT_TYPES.VIDEO_PAUSE:
+        features.videoPauseCount++;
+        features.hasVideo = true;
+        break;
+        
+      case EVENT_TYPES.VIDEO_PROGRESS:
+        features.videoWatchTime += event.payload?.watch_time || 0;
+        features.hasVideo = true;
+        break;
+        
+      case EVENT_TYPES.KEY_PRESS:
+        features.keyPressCount++;
+        break;
+        
+      case EVENT_TYPES.COPY:
+        features.copyCount++;
+        break;
+        
+      case EVENT_TYPES.PASTE:
+        features.pasteCount++;
+        break;
+        
+      case EVENT_TYPES.AUDIO_PLAY:
+        features.hasAudio = true;
+        break;
+        
+      case EVENT_TYPES.PAGE_IDLE:
+      case EVENT_TYPES.SYSTEM_IDLE:
+        features.idleTime += event.payload?.idle_time || 0;
+        break;
+        
+      case EVENT_TYPES.CONTENT_LOAD:
+        features.contentType = event.payload?.content_type || null;
+        features.hasVideo = features.hasVideo || event.payload?.has_video || false;
+        features.hasAudio = event.payload?.has_audio || false;
+        features.hasForms = event.payload?.has_forms || false;
+        features.hasComments = event.payload?.has_comments || false;
+        features.readabilityScore = event.payload?.readability_score || 0;
+        break;
+    }
+  });
+  
+  return features;
+}
+
 /**
  * Extract features from an event stream
  * @param {Array} events - Array of events
@@ -229,8 +351,8 @@ function calculateActiveTime(events) {
   let lastActiveTimestamp = null;
   
   for (const event of events) {
-    // Skip system idle events
-    if (event.event_type === EVENT_TYPES.SYSTEM_IDLE) {
+    // Skip page and system idle events
+    if (event.event_type === EVENT_TYPES.PAGE_IDLE || event.event_type === EVENT_TYPES.SYSTEM_IDLE) {
       continue;
     }
     
@@ -259,14 +381,14 @@ function calculateActiveTime(events) {
 function calculateIdleTime(events) {
   let idleTime = 0;
   
-  // Find SYSTEM_IDLE events
+  // Find PAGE_IDLE and SYSTEM_IDLE events
   const idleEvents = events.filter(event => 
-    event.event_type === EVENT_TYPES.SYSTEM_IDLE);
+    event.event_type === EVENT_TYPES.PAGE_IDLE || event.event_type === EVENT_TYPES.SYSTEM_IDLE);
   
   // Sum up idle durations
   for (const event of idleEvents) {
-    if (event.payload && event.payload.duration) {
-      idleTime += event.payload.duration;
+    if (event.payload && event.payload.idle_time) {
+      idleTime += event.payload.idle_time;
     }
   }
   
@@ -442,40 +564,10 @@ function determineContentType(events, domain) {
     return 'audio';
   }
   
-  // Check domain against known types
-  const domainTypes = {
-    'youtube.com': 'video',
-    'vimeo.com': 'video',
-    'netflix.com': 'video',
-    'hulu.com': 'video',
-    'spotify.com': 'audio',
-    'soundcloud.com': 'audio',
-    'facebook.com': 'social',
-    'twitter.com': 'social',
-    'instagram.com': 'social',
-    'linkedin.com': 'social',
-    'reddit.com': 'social',
-    'github.com': 'productivity',
-    'docs.google.com': 'productivity',
-    'sheets.google.com': 'productivity',
-    'slides.google.com': 'productivity',
-    'notion.so': 'productivity',
-    'trello.com': 'productivity',
-    'asana.com': 'productivity',
-    'jira.com': 'productivity',
-    'news.google.com': 'news',
-    'nytimes.com': 'news',
-    'cnn.com': 'news',
-    'bbc.com': 'news',
-    'amazon.com': 'shopping',
-    'ebay.com': 'shopping',
-    'etsy.com': 'shopping'
-  };
-  
-  for (const [domainPattern, type] of Object.entries(domainTypes)) {
-    if (domain.includes(domainPattern)) {
-      return type;
-    }
+  // Check domain against the domain registry
+  const category = getDomainCategory(domain);
+  if (category && category !== DOMAIN_CATEGORIES.OTHER) {
+    return category;
   }
   
   // Check for content load events with specific types
@@ -538,8 +630,10 @@ function addTimeWindowFeatures(features, events, timeWindows) {
  * @param {string} domain - Domain
  */
 function addDomainSpecificFeatures(features, events, domain) {
+  const category = getDomainCategory(domain);
+  
   // Social media specific features
-  if (['facebook.com', 'twitter.com', 'instagram.com', 'reddit.com', 'tiktok.com'].some(d => domain.includes(d))) {
+  if (category === DOMAIN_CATEGORIES.SOCIAL) {
     features.isSocialMedia = true;
     features.feedScrollCount = countEventType(events, EVENT_TYPES.SCROLL);
     features.socialEngagement = calculateSocialEngagement(events);
@@ -548,7 +642,7 @@ function addDomainSpecificFeatures(features, events, domain) {
   }
   
   // Video platform specific features
-  if (['youtube.com', 'netflix.com', 'hulu.com', 'twitch.tv', 'vimeo.com'].some(d => domain.includes(d))) {
+  if (category === DOMAIN_CATEGORIES.VIDEO) {
     features.isVideoPlatform = true;
     features.videoCount = countVideoEvents(events);
     features.videoCompletionRate = calculateVideoCompletionRate(events);
@@ -557,7 +651,7 @@ function addDomainSpecificFeatures(features, events, domain) {
   }
   
   // Shopping platform specific features
-  if (['amazon.com', 'ebay.com', 'etsy.com', 'walmart.com', 'target.com'].some(d => domain.includes(d))) {
+  if (category === DOMAIN_CATEGORIES.SHOPPING) {
     features.isShoppingPlatform = true;
     features.productViewCount = countProductViews(events);
   } else {
@@ -565,7 +659,7 @@ function addDomainSpecificFeatures(features, events, domain) {
   }
   
   // News platform specific features
-  if (['cnn.com', 'nytimes.com', 'bbc.com', 'washingtonpost.com', 'news.google.com'].some(d => domain.includes(d))) {
+  if (category === DOMAIN_CATEGORIES.NEWS) {
     features.isNewsPlatform = true;
     features.articleCount = countArticleViews(events);
   } else {
@@ -573,7 +667,7 @@ function addDomainSpecificFeatures(features, events, domain) {
   }
   
   // Productivity platform specific features
-  if (['github.com', 'docs.google.com', 'notion.so', 'trello.com', 'asana.com', 'jira.com'].some(d => domain.includes(d))) {
+  if (category === DOMAIN_CATEGORIES.PRODUCTIVITY) {
     features.isProductivityPlatform = true;
     features.editCount = countEditEvents(events);
   } else {
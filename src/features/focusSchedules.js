@@ -0,0 +1,196 @@
+/**
+ * Focus Nudge - Focus Schedules
+ *
+ * This module manages recurring focus schedules ("every weekday 9:00-12:00 is
+ * Deep Work"). Each entry maps days of the week and a time range to a focus
+ * task. The background script uses the window and boundary helpers to start
+ * and stop task mode from chrome.alarms.
+ */
+
+// Storage key for schedule entries
+const STORAGE_KEY = 'focusSchedules';
+
+// How far ahead to look for the next schedule boundary (in days)
+const LOOKAHEAD_DAYS = 8;
+
+/**
+ * Load all schedule entries from storage
+ * @returns {Promise<Array>} Schedule entries
+ */
+export async function loadFocusSchedules() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+}
+
+/**
+ * Create or update a schedule entry
+ * @param {Object} entry - Schedule entry
+ * @param {string} entry.taskId - Focus task ID or built-in task type
+ * @param {Array<number>} entry.days - Days of the week (0 = Sunday)
+ * @param {string} entry.start - Start time ("HH:MM")
+ * @param {string} entry.end - End time ("HH:MM"), earlier than start for windows past midnight
+ * @param {boolean} entry.strict - Whether to use strict focus mode
+ * @returns {Promise<Object>} The saved entry
+ */
+export async function saveFocusSchedule(entry) {
+  const normalizedEntry = normalizeEntry(entry);
+  const schedules = await loadFocusSchedules();
+  const existingIndex = schedules.findIndex(s => s.id === normalizedEntry.id);
+
+  if (existingIndex !== -1) {
+    schedules[existingIndex] = normalizedEntry;
+  } else {
+    schedules.push(normalizedEntry);
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: schedules });
+  return normalizedEntry;
+}
+
+/**
+ * Delete a schedule entry
+ * @param {string} scheduleId - Schedule entry ID
+ * @returns {Promise<boolean>} Whether an entry was deleted
+ */
+export async function deleteFocusSchedule(scheduleId) {
+  const schedules = await loadFocusSchedules();
+  const remainingSchedules = schedules.filter(s => s.id !== scheduleId);
+
+  if (remainingSchedules.length === schedules.length) {
+    return false;
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: remainingSchedules });
+  return true;
+}
+
+/**
+ * Find the schedule window in effect at a given time
+ *
+ * When entries overlap, the one that started most recently wins, so a short
+ * meeting-prep block inside a long Deep Work block takes over for its
+ * duration and Deep Work resumes afterwards.
+ *
+ * @param {Array} schedules - Schedule entries
+ * @param {number} now - Time to check
+ * @returns {Object|null} Active window ({ entry, start, end })
+ */
+export function getActiveScheduleWindow(schedules, now = Date.now()) {
+  let activeWindow = null;
+
+  for (const scheduleWindow of getScheduleWindows(schedules, now)) {
+    if (scheduleWindow.start <= now && now < scheduleWindow.end) {
+      if (!activeWindow || scheduleWindow.start > activeWindow.start) {
+        activeWindow = scheduleWindow;
+      }
+    }
+  }
+
+  return activeWindow;
+}
+
+/**
+ * Find the next time any schedule window starts or ends
+ * @param {Array} schedules - Schedule entries
+ * @param {number} now - Time to search from
+ * @returns {number|null} Next boundary timestamp
+ */
+export function getNextScheduleBoundary(schedules, now = Date.now()) {
+  let nextBoundary = null;
+
+  for (const scheduleWindow of getScheduleWindows(schedules, now)) {
+    for (const boundary of [scheduleWindow.start, scheduleWindow.end]) {
+      if (boundary > now && (nextBoundary === null || boundary < nextBoundary)) {
+        nextBoundary = boundary;
+      }
+    }
+  }
+
+  return nextBoundary;
+}
+
+/**
+ * Expand schedule entries into concrete time windows around a given time
+ * @param {Array} schedules - Schedule entries
+ * @param {number} now - Reference time
+ * @returns {Array} Windows ({ entry, start, end })
+ */
+function getScheduleWindows(schedules, now) {
+  const windows = [];
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  // Start a day early to catch windows that run past midnight
+  for (let offset = -1; offset < LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(today);
+    day.setDate(today.getDate() + offset);
+
+    for (const entry of schedules) {
+      if (entry.enabled === false || !entry.days.includes(day.getDay())) continue;
+
+      const start = atTime(day, entry.start);
+      let end = atTime(day, entry.end);
+
+      if (end <= start) {
+        const nextDay = new Date(day);
+        nextDay.setDate(day.getDate() + 1);
+        end = atTime(nextDay, entry.end);
+      }
+
+      windows.push({ entry, start, end });
+    }
+  }
+
+  return windows;
+}
+
+/**
+ * Get the timestamp of a clock time on a given day (local time)
+ * @param {Date} day - Day at midnight
+ * @param {string} time - Clock time ("HH:MM")
+ * @returns {number} Timestamp
+ */
+function atTime(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Validate and normalize a schedule entry before storing it
+ * @param {Object} entry - Raw schedule entry
+ * @returns {Object} Normalized schedule entry
+ */
+function normalizeEntry(entry) {
+  if (!entry || !entry.taskId) {
+    throw new Error('Schedule entry requires a task');
+  }
+
+  const days = Array.from(new Set((entry.days || []).map(Number)))
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    .sort();
+
+  if (days.length === 0) {
+    throw new Error('Schedule entry requires at least one day');
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!timePattern.test(entry.start) || !timePattern.test(entry.end)) {
+    throw new Error('Schedule times must use HH:MM');
+  }
+
+  if (entry.start === entry.end) {
+    throw new Error('Schedule start and end times must differ');
+  }
+
+  return {
+    id: entry.id || `schedule-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    taskId: entry.taskId,
+    days,
+    start: entry.start,
+    end: entry.end,
+    strict: entry.strict === true,
+    enabled: entry.enabled !== false
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * Focus Nudge - Focus Tasks
+ *
+ * This module manages user-defined focus tasks. A focus task describes what
+ * the user wants to work on ("Write Q3 report") together with the domains and
+ * URL paths that are relevant to it and the domains that should always be
+ * treated as distractions while it is active.
+ */
+
+import { domainMatches } from './domainRegistry.js';
+
+// Storage key for user-defined tasks
+const STORAGE_KEY = 'focusTasks';
+
+// Result of evaluating a URL against a task definition
+export const TASK_RELEVANCE = {
+  ALLOWED: 'allowed',
+  BLOCKED: 'blocked',
+  NEUTRAL: 'neutral'
+};
+
+// Built-in task definitions, keyed by the task type used by the Focus Companion
+export const BUILT_IN_TASKS = {
+  job_application: {
+    id: 'job_application',
+    name: 'Job Application',
+    taskType: 'job_application',
+    builtIn: true,
+    allowedDomains: [
+      'linkedin.com',
+      'indeed.com',
+      'glassdoor.com',
+      'monster.com',
+      'ziprecruiter.com',
+      'careers.google.com',
+      'jobs.lever.co',
+      'greenhouse.io',
+      'workday.com'
+    ],
+    allowedPaths: [],
+    blockedDomains: []
+  }
+};
+
+/**
+ * Load all user-defined focus tasks from storage
+ * @returns {Promise<Array>} User-defined tasks
+ */
+export async function loadFocusTasks() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+}
+
+/**
+ * Get all tasks available for selection (built-in and user-defined)
+ * @returns {Promise<Array>} Task definitions
+ */
+export async function getAllFocusTasks() {
+  const userTasks = await loadFocusTasks();
+  return [...Object.values(BUILT_IN_TASKS), ...userTasks];
+}
+
+/**
+ * Find a task definition by ID or built-in task type
+ * @param {string} taskId - Task ID or built-in task type
+ * @returns {Promise<Object|null>} Task definition
+ */
+export async function getFocusTask(taskId) {
+  if (!taskId) return null;
+
+  if (BUILT_IN_TASKS[taskId]) {
+    return BUILT_IN_TASKS[taskId];
+  }
+
+  const userTasks = await loadFocusTasks();
+  return userTasks.find(task => task.id === taskId) || null;
+}
+
+/**
+ * Create or update a user-defined focus task
+ * @param {Object} task - Task definition
+ * @param {string} task.name - Display name
+ * @param {Array<string>} task.allowedDomains - Domains relevant to the task
+ * @param {Array<string>} task.allowedPaths - URL path patterns relevant to the task
+ * @param {Array<string>} task.blockedDomains - Domains that are always distractions
+ * @returns {Promise<Object>} The saved task
+ */
+export async function saveFocusTask(task) {
+  const normalizedTask = normalizeTask(task);
+
+  if (BUILT_IN_TASKS[normalizedTask.id]) {
+    throw new Error(`Cannot overwrite built-in task: ${normalizedTask.id}`);
+  }
+
+  const userTasks = await loadFocusTasks();
+  const existingIndex = userTasks.findIndex(t => t.id === normalizedTask.id);
+
+  if (existingIndex !== -1) {
+    userTasks[existingIndex] = {
+      ...userTasks[existingIndex],
+      ...normalizedTask,
+      updatedAt: Date.now()
+    };
+  } else {
+    userTasks.push(normalizedTask);
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: userTasks });
+  return existingIndex !== -1 ? userTasks[existingIndex] : normalizedTask;
+}
+
+/**
+ * Delete a user-defined focus task
+ * @param {string} taskId - Task ID
+ * @returns {Promise<boolean>} Whether a task was deleted
+ */
+export async function deleteFocusTask(taskId) {
+  const userTasks = await loadFocusTasks();
+  const remainingTasks = userTasks.filter(task => task.id !== taskId);
+
+  if (remainingTasks.length === userTasks.length) {
+    return false;
+  }
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: remainingTasks });
+  return true;
+}
+
+/**
+ * Evaluate how a page relates to a task definition
+ * @param {Object} task - Task definition
+ * @param {string} url - Page URL
+ * @param {string} domain - Page domain (used when the URL is unavailable)
+ * @returns {string} Value from TASK_RELEVANCE
+ */
+export function evaluateTaskRelevance(task, url, domain) {
+  if (!task) return TASK_RELEVANCE.NEUTRAL;
+
+  let hostname = domain || '';
+  let pathname = '/';
+
+  if (url) {
+    try {
+      const parsedUrl = new URL(url);
+      hostname = parsedUrl.hostname;
+      pathname = parsedUrl.pathname;
+    } catch (error) {
+      // Invalid URL, fall back to the domain
+    }
+  }
+
+  if (!hostname) return TASK_RELEVANCE.NEUTRAL;
+
+  // Blocked domains take precedence over everything else
+  if ((task.blockedDomains || []).some(d => domainMatches(hostname, d))) {
+    return TASK_RELEVANCE.BLOCKED;
+  }
+
+  if ((task.allowedDomains || []).some(d => domainMatches(hostname, d))) {
+    return TASK_RELEVANCE.ALLOWED;
+  }
+
+  if ((task.allowedPaths || []).some(pattern => pathMatches(hostname, pathname, pattern))) {
+    return TASK_RELEVANCE.ALLOWED;
+  }
+
+  return TASK_RELEVANCE.NEUTRAL;
+}
+
+/**
+ * Check whether a page matches a URL path pattern
+ *
+ * Patterns starting with "/" are matched against the path only
+ * ("/jobs/*"), other patterns against host and path
+ * ("docs.google.com/document/*"). "*" matches any run of characters.
+ *
+ * @param {string} hostname - Page hostname
+ * @param {string} pathname - Page path
+ * @param {string} pattern - Path pattern
+ * @returns {boolean} Whether the page matches
+ */
+function pathMatches(hostname, pathname, pattern) {
+  if (pattern.startsWith('/')) {
+    return wildcardToRegExp(pattern).test(pathname);
+  }
+
+  // Allow the pattern's host to match subdomains, e.g. "google.com/maps" on www.google.com
+  const slashIndex = pattern.indexOf('/');
+  const patternHost = slashIndex === -1 ? pattern : pattern.slice(0, slashIndex);
+  const patternPath = slashIndex === -1 ? '/*' : pattern.slice(slashIndex);
+
+  return domainMatches(hostname, patternHost) && wildcardToRegExp(patternPath).test(pathname);
+}
+
+/**
+ * Convert a wildcard pattern to an anchored regular expression
+ * @param {string} pattern - Pattern with "*" wildcards
+ * @returns {RegExp} Regular expression
+ */
+function wildcardToRegExp(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Normalize a task definition before storing it
+ * @param {Object} task - Raw task definition
+ * @returns {Object} Normalized task definition
+ */
+function normalizeTask(task) {
+  if (!task || typeof task.name !== 'string' || task.name.trim() === '') {
+    throw new Error('Focus task requires a name');
+  }
+
+  const now = Date.now();
+
+  return {
+    id: task.id || `task-${now.toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    name: task.name.trim(),
+    allowedDomains: normalizeList(task.allowedDomains).map(stripDomain),
+    allowedPaths: normalizeList(task.allowedPaths),
+    blockedDomains: normalizeList(task.blockedDomains).map(stripDomain),
+    createdAt: task.createdAt || now
+  };
+}
+
+/**
+ * Normalize a list of strings, accepting arrays or comma/newline separated text
+ * @param {Array|string} value - List value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function normalizeList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\n,]/);
+  return items
+    .map(item => String(item).trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Strip scheme, "www." and path from a domain entry
+ * @param {string} entry - Domain entry as typed by the user
+ * @returns {string} Bare domain
+ */
+function stripDomain(entry) {
+  return entry
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split('/')[0];
+}
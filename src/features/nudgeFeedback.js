@@ -0,0 +1,191 @@
+/**
+ * Focus Nudge - Nudge Feedback
+ *
+ * This module records every nudge shown together with the user's response to
+ * it, and turns those responses into per-domain threshold adjustments. Nudges
+ * marked useful (or followed by a refocus) make a domain easier to flag;
+ * nudges marked wrong (or dismissed) make it harder.
+ */
+
+// Storage key for nudge records (also read by the popup and insights page)
+const STORAGE_KEY = 'nudgeFeedback';
+
+// Maximum number of nudge records kept in storage
+export const MAX_RECORDS = 500;
+
+// User responses to a nudge
+export const NUDGE_RESPONSES = {
+  USEFUL: 'useful',
+  WRONG: 'wrong',
+  REFOCUS: 'refocus',
+  DISMISS: 'dismiss'
+};
+
+// How strongly each response moves the threshold (negative lowers it)
+export const RESPONSE_WEIGHTS = {
+  [NUDGE_RESPONSES.USEFUL]: -1,
+  [NUDGE_RESPONSES.REFOCUS]: -1,
+  [NUDGE_RESPONSES.WRONG]: 1,
+  [NUDGE_RESPONSES.DISMISS]: 0.5
+};
+
+// Responses that label the nudged behavior: 1 = distracted, 0 = focused work
+export const RESPONSE_LABELS = {
+  [NUDGE_RESPONSES.USEFUL]: 1,
+  [NUDGE_RESPONSES.REFOCUS]: 1,
+  [NUDGE_RESPONSES.WRONG]: 0
+};
+
+// Threshold adaptation settings
+export const THRESHOLD_ADAPTATION = {
+  maxShift: 0.2,          // Largest change from the global threshold
+  priorWeight: 3,         // Neutral responses assumed per domain, so one click doesn't swing it
+  recentResponses: 20,    // Only the most recent responses per domain count
+  minThreshold: 0.3,
+  maxThreshold: 0.95
+};
+
+/**
+ * Load all nudge records from storage
+ * @returns {Promise<Array>} Nudge records, oldest first
+ */
+export async function loadNudgeFeedback() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+}
+
+/**
+ * Record that a nudge was shown
+ * @param {Object} nudge - Nudge sent to the content script
+ * @param {number} threshold - Threshold the nudge was checked against
+ * @param {Object} features - Model feature values, kept so responses can label them for training
+ * @returns {Promise<Object>} The stored record
+ */
+export async function recordNudgeShown(nudge, threshold, features = null) {
+  const record = {
+    id: nudge.id,
+    domain: nudge.domain,
+    type: nudge.type,
+    distractionScore: nudge.distractionScore,
+    rawScore: Number.isFinite(nudge.rawScore) ? nudge.rawScore : null, // Model score before calibration
+    modelVersionId: nudge.modelVersionId || null,
+    threshold,
+    features,
+    timestamp: nudge.timestamp || Date.now(),
+    response: null,
+    respondedAt: null
+  };
+
+  const records = await loadNudgeFeedback();
+  records.push(record);
+  await chrome.storage.local.set({ [STORAGE_KEY]: records.slice(-MAX_RECORDS) });
+
+  return record;
+}
+
+/**
+ * Record the user's response to a nudge
+ * @param {string} nudgeId - Nudge ID
+ * @param {string} response - Value from NUDGE_RESPONSES
+ * @returns {Promise<Object|null>} The updated record
+ */
+export async function recordNudgeResponse(nudgeId, response) {
+  if (!Object.values(NUDGE_RESPONSES).includes(response)) {
+    throw new Error(`Unknown nudge response: ${response}`);
+  }
+
+  const records = await loadNudgeFeedback();
+  const record = records.find(r => r.id === nudgeId);
+  if (!record) return null;
+
+  // An explicit useful/wrong rating replaces a dismiss or refocus, not the other way round
+  const isRating = response === NUDGE_RESPONSES.USEFUL || response === NUDGE_RESPONSES.WRONG;
+  const hasRating = record.response === NUDGE_RESPONSES.USEFUL || record.response === NUDGE_RESPONSES.WRONG;
+  if (hasRating && !isRating) return record;
+
+  record.response = response;
+  record.respondedAt = Date.now();
+  await chrome.storage.local.set({ [STORAGE_KEY]: records });
+
+  return record;
+}
+
+/**
+ * Add nudge records that aren't stored yet, such as records from a data import
+ * @param {Array} imported - Nudge records
+ * @returns {Promise<Object>} Counts ({ added, duplicates })
+ */
+export async function mergeNudgeFeedback(imported) {
+  const records = await loadNudgeFeedback();
+  const knownIds = new Set(records.map(record => record.id));
+  const added = [];
+
+  for (const record of imported) {
+    if (knownIds.has(record.id)) continue;
+    knownIds.add(record.id);
+    added.push(record);
+  }
+
+  const merged = [...records, ...added].sort((a, b) => a.timestamp - b.timestamp);
+  await chrome.storage.local.set({ [STORAGE_KEY]: merged.slice(-MAX_RECORDS) });
+
+  return { added: added.length, duplicates: imported.length - added.length };
+}
+
+/**
+ * Delete the nudge records of forgotten domains
+ * @param {Function} isForgotten - Called with a domain, returns whether to delete its records
+ * @returns {Promise<number>} Number of records deleted
+ */
+export async function forgetNudgeFeedback(isForgotten) {
+  const records = await loadNudgeFeedback();
+  const kept = records.filter(record => !record.domain || !isForgotten(record.domain));
+
+  if (kept.length < records.length) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: kept });
+  }
+
+  return records.length - kept.length;
+}
+
+/**
+ * Compute per-domain threshold shifts from nudge responses
+ * @param {Array} records - Nudge records
+ * @returns {Object} Map of domain to threshold shift
+ */
+export function computeThresholdShifts(records) {
+  const responsesByDomain = {};
+
+  records.forEach(record => {
+    if (!record.domain || !(record.response in RESPONSE_WEIGHTS)) return;
+    responsesByDomain[record.domain] = responsesByDomain[record.domain] || [];
+    responsesByDomain[record.domain].push(record.response);
+  });
+
+  const shifts = {};
+
+  for (const [domain, responses] of Object.entries(responsesByDomain)) {
+    const recent = responses.slice(-THRESHOLD_ADAPTATION.recentResponses);
+    const total = recent.reduce((sum, response) => sum + RESPONSE_WEIGHTS[response], 0);
+    const average = total / (recent.length + THRESHOLD_ADAPTATION.priorWeight);
+
+    shifts[domain] = average * THRESHOLD_ADAPTATION.maxShift;
+  }
+
+  return shifts;
+}
+
+/**
+ * Get the distraction threshold for a domain
+ * @param {Object} shifts - Threshold shifts from computeThresholdShifts
+ * @param {string} domain - Domain
+ * @param {number} baseThreshold - Global distraction threshold
+ * @returns {number} Effective threshold
+ */
+export function getEffectiveThreshold(shifts, domain, baseThreshold) {
+  const shift = shifts[domain] || 0;
+  return Math.max(
+    THRESHOLD_ADAPTATION.minThreshold,
+    Math.min(THRESHOLD_ADAPTATION.maxThreshold, baseThreshold + shift)
+  );
+}
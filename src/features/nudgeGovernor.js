@@ -0,0 +1,171 @@
+/**
+ * Focus Nudge - Nudge Governor
+ *
+ * This module decides whether a nudge may be shown right now. It enforces a
+ * minimum interval between nudges (globally and per domain), a daily nudge
+ * budget and quiet hours, and escalates nudges for domains where earlier
+ * nudges were ignored. Suppressed nudges are logged for the insights page.
+ */
+
+// Storage key for the suppressed nudge log
+const STORAGE_KEY = 'suppressedNudges';
+
+// Maximum number of suppressed nudges kept in storage
+const MAX_SUPPRESSED = 500;
+
+// Limits for each nudgeFrequency preference (intervals in milliseconds)
+export const NUDGE_LIMITS = {
+  low: {
+    globalInterval: 15 * 60 * 1000,
+    domainInterval: 30 * 60 * 1000,
+    dailyBudget: 10
+  },
+  medium: {
+    globalInterval: 5 * 60 * 1000,
+    domainInterval: 15 * 60 * 1000,
+    dailyBudget: 25
+  },
+  high: {
+    globalInterval: 2 * 60 * 1000,
+    domainInterval: 5 * 60 * 1000,
+    dailyBudget: 50
+  }
+};
+
+// Why a nudge was not shown
+export const SUPPRESSION_REASONS = {
+  QUIET_HOURS: 'quiet_hours',
+  DAILY_BUDGET: 'daily_budget',
+  GLOBAL_INTERVAL: 'global_interval',
+  DOMAIN_INTERVAL: 'domain_interval'
+};
+
+// Consecutive ignored nudges on a domain before the next one escalates a level
+export const IGNORES_PER_ESCALATION = 2;
+
+// Highest escalation level
+export const MAX_ESCALATION_LEVEL = 2;
+
+/**
+ * Decide whether a nudge for a domain may be shown
+ * @param {Array} records - Nudge records from nudgeFeedback.js, oldest first
+ * @param {string} domain - Domain the nudge is for
+ * @param {Object} preferences - User preferences (nudgeFrequency, quietHours)
+ * @param {number} now - Current time
+ * @returns {Object} Decision ({ allowed, reason, escalationLevel })
+ */
+export function evaluateNudge(records, domain, preferences = {}, now = Date.now()) {
+  const limits = NUDGE_LIMITS[preferences.nudgeFrequency] || NUDGE_LIMITS.medium;
+  const suppress = reason => ({ allowed: false, reason, escalationLevel: 0 });
+
+  if (isWithinQuietHours(preferences.quietHours, now)) {
+    return suppress(SUPPRESSION_REASONS.QUIET_HOURS);
+  }
+
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+  const shownToday = records.filter(record => record.timestamp >= startOfDay.getTime());
+
+  if (shownToday.length >= limits.dailyBudget) {
+    return suppress(SUPPRESSION_REASONS.DAILY_BUDGET);
+  }
+
+  const lastShown = records[records.length - 1];
+  if (lastShown && now - lastShown.timestamp < limits.globalInterval) {
+    return suppress(SUPPRESSION_REASONS.GLOBAL_INTERVAL);
+  }
+
+  const domainRecords = records.filter(record => record.domain === domain);
+  const lastShownForDomain = domainRecords[domainRecords.length - 1];
+  if (lastShownForDomain && now - lastShownForDomain.timestamp < limits.domainInterval) {
+    return suppress(SUPPRESSION_REASONS.DOMAIN_INTERVAL);
+  }
+
+  return {
+    allowed: true,
+    reason: null,
+    escalationLevel: getEscalationLevel(domainRecords)
+  };
+}
+
+/**
+ * Get the escalation level from a domain's nudge records
+ *
+ * A nudge counts as ignored when the user never responded to it. Any
+ * response, including a dismissal, resets the count.
+ *
+ * @param {Array} domainRecords - Nudge records for one domain, oldest first
+ * @returns {number} Escalation level (0 = normal)
+ */
+export function getEscalationLevel(domainRecords) {
+  let ignored = 0;
+
+  for (let i = domainRecords.length - 1; i >= 0 && !domainRecords[i].response; i--) {
+    ignored++;
+  }
+
+  return Math.min(MAX_ESCALATION_LEVEL, Math.floor(ignored / IGNORES_PER_ESCALATION));
+}
+
+/**
+ * Check whether a time falls within quiet hours
+ * @param {Object} quietHours - Quiet hours ({ enabled, start: "HH:MM", end: "HH:MM" })
+ * @param {number} now - Time to check
+ * @returns {boolean} Whether nudges should be held back
+ */
+export function isWithinQuietHours(quietHours, now = Date.now()) {
+  if (!quietHours || !quietHours.enabled || !quietHours.start || !quietHours.end) {
+    return false;
+  }
+
+  const date = new Date(now);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  // Quiet hours such as 22:00-07:00 run past midnight
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Load the suppressed nudge log
+ * @returns {Promise<Array>} Suppressed nudges, oldest first
+ */
+export async function loadSuppressedNudges() {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+}
+
+/**
+ * Log a nudge that was not shown
+ * @param {Object} nudge - Nudge that was suppressed
+ * @param {string} reason - Value from SUPPRESSION_REASONS
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function recordSuppressedNudge(nudge, reason) {
+  const entry = {
+    domain: nudge.domain,
+    type: nudge.type,
+    distractionScore: nudge.distractionScore,
+    reason,
+    timestamp: nudge.timestamp || Date.now()
+  };
+
+  const suppressed = await loadSuppressedNudges();
+  suppressed.push(entry);
+  await chrome.storage.local.set({ [STORAGE_KEY]: suppressed.slice(-MAX_SUPPRESSED) });
+
+  return entry;
+}
+
+/**
+ * Convert a clock time to minutes after midnight
+ * @param {string} time - Clock time ("HH:MM")
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
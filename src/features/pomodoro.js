@@ -0,0 +1,125 @@
+/**
+ * Focus Nudge - Pomodoro Cycles
+ *
+ * This module implements the Pomodoro state machine used by task mode. A
+ * session alternates work intervals with short breaks and takes a long break
+ * after every N work intervals. The background script advances the state when
+ * the focusModeEnd alarm fires.
+ */
+
+// Pomodoro phases
+export const POMODORO_PHASES = {
+  WORK: 'work',
+  SHORT_BREAK: 'short_break',
+  LONG_BREAK: 'long_break'
+};
+
+// Default Pomodoro configuration (durations in milliseconds)
+export const DEFAULT_POMODORO_CONFIG = {
+  workDuration: 25 * 60 * 1000,       // 25 minutes
+  shortBreakDuration: 5 * 60 * 1000,  // 5 minutes
+  longBreakDuration: 15 * 60 * 1000,  // 15 minutes
+  longBreakEvery: 4,                  // Long break after every 4 work intervals
+  totalCycles: 0                      // Number of work intervals, 0 runs until stopped
+};
+
+// Shortest allowed phase (1 minute, the chrome.alarms minimum)
+const MIN_PHASE_DURATION = 60 * 1000;
+
+/**
+ * Start a Pomodoro session
+ * @param {Object} config - Pomodoro configuration (see DEFAULT_POMODORO_CONFIG)
+ * @param {number} now - Start time
+ * @returns {Object} Pomodoro state
+ */
+export function startPomodoro(config = {}, now = Date.now()) {
+  const normalizedConfig = normalizePomodoroConfig(config);
+
+  return {
+    config: normalizedConfig,
+    phase: POMODORO_PHASES.WORK,
+    cycle: 1,
+    completedCycles: 0,
+    phaseStartTime: now,
+    phaseEndTime: now + normalizedConfig.workDuration,
+    finished: false
+  };
+}
+
+/**
+ * Move a Pomodoro session to its next phase
+ * @param {Object} state - Current Pomodoro state
+ * @param {number} now - Time the current phase ended
+ * @returns {Object} Next Pomodoro state
+ */
+export function advancePomodoro(state, now = Date.now()) {
+  const { config } = state;
+
+  if (state.phase === POMODORO_PHASES.WORK) {
+    const completedCycles = state.completedCycles + 1;
+
+    if (config.totalCycles > 0 && completedCycles >= config.totalCycles) {
+      return {
+        ...state,
+        completedCycles,
+        phaseStartTime: now,
+        phaseEndTime: now,
+        finished: true
+      };
+    }
+
+    const isLongBreak = completedCycles % config.longBreakEvery === 0;
+    const breakDuration = isLongBreak ? config.longBreakDuration : config.shortBreakDuration;
+
+    return {
+      ...state,
+      phase: isLongBreak ? POMODORO_PHASES.LONG_BREAK : POMODORO_PHASES.SHORT_BREAK,
+      completedCycles,
+      phaseStartTime: now,
+      phaseEndTime: now + breakDuration
+    };
+  }
+
+  // Breaks are always followed by the next work interval
+  return {
+    ...state,
+    phase: POMODORO_PHASES.WORK,
+    cycle: state.cycle + 1,
+    phaseStartTime: now,
+    phaseEndTime: now + config.workDuration
+  };
+}
+
+/**
+ * Check whether a Pomodoro session is on a break
+ * @param {Object} state - Pomodoro state
+ * @returns {boolean} Whether the current phase is a break
+ */
+export function isBreakPhase(state) {
+  return !!state && !state.finished && state.phase !== POMODORO_PHASES.WORK;
+}
+
+/**
+ * Validate a Pomodoro configuration, filling in defaults
+ * @param {Object} config - Raw configuration
+ * @returns {Object} Normalized configuration
+ */
+export function normalizePomodoroConfig(config = {}) {
+  const duration = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.max(number, MIN_PHASE_DURATION) : fallback;
+  };
+
+  const count = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+  };
+
+  return {
+    workDuration: duration(config.workDuration, DEFAULT_POMODORO_CONFIG.workDuration),
+    shortBreakDuration: duration(config.shortBreakDuration, DEFAULT_POMODORO_CONFIG.shortBreakDuration),
+    longBreakDuration: duration(config.longBreakDuration, DEFAULT_POMODORO_CONFIG.longBreakDuration),
+    longBreakEvery: Math.max(1, count(config.longBreakEvery, DEFAULT_POMODORO_CONFIG.longBreakEvery)),
+    totalCycles: count(config.totalCycles, DEFAULT_POMODORO_CONFIG.totalCycles)
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Focus Nudge - Local Preferences
+ *
+ * This module updates the preferences kept in local storage. The popup saves
+ * the nudging settings there and the background script the state of focus
+ * mode, so each writes only its own fields and keeps the others.
+ */
+
+// Storage key for the preferences object
+const STORAGE_KEY = 'userPreferences';
+
+/**
+ * Merge changes into the stored preferences
+ * @param {Object} changes - Preference fields to change
+ * @returns {Promise<Object>} The stored preferences
+ */
+export async function saveLocalPreferences(changes) {
+  const result = await chrome.storage.local.get(STORAGE_KEY);
+  const preferences = { ...result[STORAGE_KEY], ...changes };
+
+  await chrome.storage.local.set({ [STORAGE_KEY]: preferences });
+  return preferences;
+}
+
+/**
+ * Get the preference fields that describe focus mode
+ * @param {Object} focusMode - Focus mode state from the background script
+ * @returns {Object} Focus mode preference fields
+ */
+export function getFocusModePreferences(focusMode) {
+  return {
+    focusMode: focusMode.active,
+    focusModeStartTime: focusMode.active ? focusMode.startTime : null,
+    focusModeEndTime: focusMode.active ? focusMode.endTime : null,
+    currentTaskType: focusMode.active ? focusMode.taskType : null,
+    currentTaskId: focusMode.active ? focusMode.taskId : null,
+    currentTaskName: focusMode.active && focusMode.task ? focusMode.task.name : null,
+    strictMode: focusMode.active && focusMode.strict
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * Focus Nudge - Privacy Controls
+ *
+ * This module decides how much of a page the extension records. Every event
+ * passes through applyPrivacySettings before it is queued for storage: a
+ * site's capture level can drop its events, cut URLs to their origin or
+ * remove page text and titles, and the text that is kept has emails, phone
+ * numbers and card numbers scrubbed out. Banking and health sites and
+ * incognito tabs are not recorded unless the user sets a level for the site.
+ */
+
+import { DOMAIN_CATEGORIES, getDomainCategory } from './domainRegistry.js';
+
+// Storage key for the user's privacy settings
+const STORAGE_KEY = 'privacySettings';
+
+// How much of a site is recorded, from least to most
+export const CAPTURE_LEVELS = {
+  NONE: 'none',     // Nothing
+  DOMAIN: 'domain', // Events, with URLs cut to their origin and no page text or titles
+  URL: 'url',       // Events and URLs, with no page text or titles
+  FULL: 'full'      // Events, URLs, page text and titles
+};
+
+const LEVEL_ORDER = [CAPTURE_LEVELS.NONE, CAPTURE_LEVELS.DOMAIN, CAPTURE_LEVELS.URL, CAPTURE_LEVELS.FULL];
+
+// Kinds of site that aren't recorded by default
+export const SENSITIVE_CONTEXTS = {
+  BANKING: 'banking',
+  HEALTH: 'health'
+};
+
+// Sensitive sites beyond the domain registry's finance category
+const SENSITIVE_DOMAINS = {
+  [SENSITIVE_CONTEXTS.BANKING]: [
+    'paypal.com', 'citi.com', 'capitalone.com', 'usbank.com', 'schwab.com', 'fidelity.com',
+    'americanexpress.com', 'discover.com', 'venmo.com', 'hsbc.com', 'barclays.co.uk', 'monzo.com', 'revolut.com'
+  ],
+  [SENSITIVE_CONTEXTS.HEALTH]: [
+    'webmd.com', 'mayoclinic.org', 'zocdoc.com', 'kp.org', 'kaiserpermanente.org', 'mychart.com',
+    'goodrx.com', 'teladoc.com', 'nhs.uk', 'patient.info', 'betterhelp.com', 'talkspace.com'
+  ]
+};
+
+// Words in a hostname that mark a sensitive site (bank.example.com, examplehealth.org)
+const SENSITIVE_KEYWORDS = {
+  [SENSITIVE_CONTEXTS.BANKING]: ['bank', 'creditunion'],
+  [SENSITIVE_CONTEXTS.HEALTH]: ['health', 'clinic', 'hospital', 'pharmacy', 'patient', 'medical']
+};
+
+// Event payload fields holding text the user read or typed (data exports redact them too)
+export const TEXT_FIELDS = new Set([
+  'page_title', 'from_title', 'to_title', 'video_title', 'audio_title',
+  'page_text', 'target_text', 'content_summary', 'comment', 'key'
+]);
+
+// Text fields scrubbed at FULL; keys are single characters
+const SCRUBBED_FIELDS = new Set([...TEXT_FIELDS].filter(field => field !== 'key'));
+
+const PII_PATTERNS = {
+  email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  card: /(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g,
+  // Not part of a longer group of numbers, such as a reference that isn't a card number
+  phone: /(?<![\w+]|\d[\s.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-]?)\d{3,4}[\s.-]?\d{3,4}(?![\w-]|[\s.-]\d)/g
+};
+
+// Default settings
+export const DEFAULT_PRIVACY_SETTINGS = {
+  defaultLevel: CAPTURE_LEVELS.FULL,
+  domainLevels: {},            // Domain -> capture level, for the domain and its subdomains
+  excludeSensitiveSites: true, // Record nothing on banking and health sites without a level of their own
+  stripQueryStrings: true,     // Remove query strings and fragments from recorded URLs
+  scrubPII: true               // Replace emails, phone numbers and card numbers in recorded text
+};
+
+// In-memory settings
+let settings = normalizeSettings(DEFAULT_PRIVACY_SETTINGS);
+
+/**
+ * Get a copy of the privacy settings
+ * @returns {Object} Privacy settings
+ */
+export function getPrivacySettings() {
+  return { ...settings, domainLevels: { ...settings.domainLevels } };
+}
+
+/**
+ * Load the user's privacy settings from storage, falling back to the defaults
+ * @returns {Promise<Object>} Privacy settings
+ */
+export async function loadPrivacySettings() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEY);
+    settings = normalizeSettings({ ...DEFAULT_PRIVACY_SETTINGS, ...result[STORAGE_KEY] });
+  } catch (error) {
+    console.error('Failed to load privacy settings:', error);
+    settings = normalizeSettings(DEFAULT_PRIVACY_SETTINGS);
+  }
+
+  return getPrivacySettings();
+}
+
+/**
+ * Update the privacy settings and persist them
+ * @param {Object} changes - Settings to change; domainLevels replaces the stored levels
+ * @returns {Promise<Object>} Saved privacy settings
+ */
+export async function savePrivacySettings(changes) {
+  settings = normalizeSettings({ ...settings, ...changes });
+  await chrome.storage.local.set({ [STORAGE_KEY]: getPrivacySettings() });
+
+  return getPrivacySettings();
+}
+
+/**
+ * Get the kind of sensitive site a hostname belongs to
+ * @param {string} hostname - Hostname to check
+ * @returns {string|null} Value from SENSITIVE_CONTEXTS
+ */
+export function getSensitiveContext(hostname) {
+  if (!hostname) return null;
+
+  const host = hostname.toLowerCase();
+  if (getDomainCategory(host) === DOMAIN_CATEGORIES.FINANCE) {
+    return SENSITIVE_CONTEXTS.BANKING;
+  }
+
+  // Keywords are matched in the labels before the top-level domain
+  const labels = host.split('.').slice(0, -1);
+
+  for (const context of Object.values(SENSITIVE_CONTEXTS)) {
+    if (SENSITIVE_DOMAINS[context].some(domain => host === domain || host.endsWith(`.${domain}`)) ||
+        labels.some(label => SENSITIVE_KEYWORDS[context].some(keyword => label.includes(keyword)))) {
+      return context;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the capture level for a URL or hostname
+ *
+ * A level set for the site wins (the most specific domain first), then
+ * sensitive site exclusion, then the default level.
+ *
+ * @param {string} urlOrHostname - Page URL or hostname
+ * @param {Object} options - Context
+ * @param {boolean} [options.incognito] - Whether the page is in an incognito window
+ * @returns {string} Value from CAPTURE_LEVELS
+ */
+export function getCaptureLevel(urlOrHostname, options = {}) {
+  if (options.incognito) return CAPTURE_LEVELS.NONE;
+
+  const hostname = getHostname(urlOrHostname);
+  if (!hostname) return settings.defaultLevel;
+
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const level = settings.domainLevels[labels.slice(i).join('.')];
+    if (level) return level;
+  }
+
+  if (settings.excludeSensitiveSites && getSensitiveContext(hostname)) {
+    return CAPTURE_LEVELS.NONE;
+  }
+
+  return settings.defaultLevel;
+}
+
+/**
+ * Apply the privacy settings to an event before it is stored
+ *
+ * URLs and titles in the payload (a link's URL, the tab switched to) follow
+ * the level of their own site where it is lower than the event's.
+ *
+ * @param {Object} event - Validated event
+ * @param {Object} options - Context, as for getCaptureLevel
+ * @returns {Object|null} Event to store, or null if the site isn't recorded
+ */
+export function applyPrivacySettings(event, options = {}) {
+  const level = getCaptureLevel(event.url, options);
+  if (level === CAPTURE_LEVELS.NONE) return null;
+
+  const fieldLevel = value => lowerLevel(level, getCaptureLevel(value, options));
+  const payload = {};
+
+  for (const [field, value] of Object.entries(event.payload || {})) {
+    if (typeof value !== 'string' || value === '') {
+      payload[field] = value;
+    } else if (isUrlField(field)) {
+      payload[field] = redactUrl(value, fieldLevel(value));
+    } else if (TEXT_FIELDS.has(field)) {
+      // A title goes with the URL of the same name (from_title with from_url)
+      const pairedUrl = event.payload[field.replace(/_title$/, '_url')];
+      const textLevel = field.endsWith('_title') && pairedUrl ? fieldLevel(pairedUrl) : level;
+      payload[field] = redactText(field, value, textLevel);
+    } else if (field === 'domain') {
+      payload[field] = fieldLevel(value) === CAPTURE_LEVELS.NONE ? '' : value;
+    } else {
+      payload[field] = value;
+    }
+  }
+
+  return {
+    ...event,
+    url: event.url ? redactUrl(event.url, level) : event.url,
+    payload
+  };
+}
+
+/**
+ * Remove the query string and fragment from a URL
+ * @param {string} url - URL
+ * @returns {string} URL without them, or the value unchanged if it isn't a URL
+ */
+export function stripQueryString(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Replace emails, phone numbers and card numbers in text
+ *
+ * Digit runs are only taken for card numbers when they pass the Luhn check;
+ * phone numbers are matched loosely, so some other numbers go too.
+ *
+ * @param {string} text - Text to scrub
+ * @returns {string} Text with [email], [phone] and [card] in their place
+ */
+export function scrubPII(text) {
+  if (!text) return text;
+
+  return text
+    .replace(PII_PATTERNS.email, '[email]')
+    .replace(PII_PATTERNS.card, match => passesLuhnCheck(match.replace(/\D/g, '')) ? '[card]' : match)
+    .replace(PII_PATTERNS.phone, '[phone]');
+}
+
+/**
+ * Get the domain a user typed, which can be a hostname or a URL
+ * @param {string} value - Domain or URL (e.g. "https://www.example.com/page")
+ * @returns {string} Lowercase hostname without "www." (e.g. "example.com")
+ */
+export function normalizeDomain(value) {
+  const trimmed = String(value || '').trim();
+  const hostname = getHostname(trimmed.includes('://') ? trimmed : `https://${trimmed}`);
+
+  if (!hostname || !hostname.includes('.')) {
+    throw new Error(`Invalid domain: ${value}`);
+  }
+
+  return hostname;
+}
+
+/**
+ * Redact a URL for a capture level
+ * @param {string} url - URL
+ * @param {string} level - Value from CAPTURE_LEVELS
+ * @returns {string} Redacted URL
+ */
+function redactUrl(url, level) {
+  if (level === CAPTURE_LEVELS.NONE) return '';
+
+  if (level === CAPTURE_LEVELS.DOMAIN) {
+    try {
+      const { protocol, host, origin } = new URL(url);
+      return origin !== 'null' ? origin : `${protocol}//${host}`;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  return settings.stripQueryStrings ? stripQueryString(url) : url;
+}
+
+/**
+ * Redact a text field for a capture level
+ * @param {string} field - Payload field name
+ * @param {string} text - Text
+ * @param {string} level - Value from CAPTURE_LEVELS
+ * @returns {string} Redacted text
+ */
+function redactText(field, text, level) {
+  if (level !== CAPTURE_LEVELS.FULL) return '';
+  return settings.scrubPII && SCRUBBED_FIELDS.has(field) ? scrubPII(text) : text;
+}
+
+/**
+ * Get the lower of two capture levels
+ * @param {string} a - Value from CAPTURE_LEVELS
+ * @param {string} b - Value from CAPTURE_LEVELS
+ * @returns {string} Lower level
+ */
+function lowerLevel(a, b) {
+  return LEVEL_ORDER[Math.min(LEVEL_ORDER.indexOf(a), LEVEL_ORDER.indexOf(b))];
+}
+
+/**
+ * Get the hostname of a URL or hostname
+ * @param {string} value - URL or hostname
+ * @returns {string|null} Lowercase hostname without "www."
+ */
+function getHostname(value) {
+  if (!value) return null;
+
+  let hostname;
+  try {
+    hostname = new URL(value).hostname;
+  } catch (error) {
+    hostname = /^[\w.-]+$/.test(value) ? value : '';
+  }
+
+  return hostname ? hostname.toLowerCase().replace(/\.$/, '').replace(/^www\./, '') : null;
+}
+
+/**
+ * Check whether a field holds a URL
+ * @param {string} field - Payload field name
+ * @returns {boolean} Whether the field is a URL
+ */
+function isUrlField(field) {
+  return field === 'url' || field === 'referrer' || field.endsWith('_url');
+}
+
+/**
+ * Check a card number's Luhn checksum
+ * @param {string} digits - Card number digits
+ * @returns {boolean} Whether the checksum is valid
+ */
+function passesLuhnCheck(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Validate and normalize privacy settings
+ * @param {Object} raw - Raw settings
+ * @returns {Object} Normalized settings
+ */
+function normalizeSettings(raw) {
+  const levels = Object.values(CAPTURE_LEVELS);
+
+  if (!levels.includes(raw.defaultLevel)) {
+    throw new Error(`Unknown capture level: ${raw.defaultLevel}`);
+  }
+
+  const domainLevels = {};
+  for (const [domain, level] of Object.entries(raw.domainLevels || {})) {
+    if (!levels.includes(level)) {
+      throw new Error(`Unknown capture level for ${domain}: ${level}`);
+    }
+    domainLevels[normalizeDomain(domain)] = level;
+  }
+
+  return {
+    defaultLevel: raw.defaultLevel,
+    domainLevels,
+    excludeSensitiveSites: raw.excludeSensitiveSites !== false,
+    stripQueryStrings: raw.stripQueryStrings !== false,
+    scrubPII: raw.scrubPII !== false
+  };
+}
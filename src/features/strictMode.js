@@ -0,0 +1,152 @@
+/**
+ * Focus Nudge - Strict Focus Mode
+ *
+ * This module decides which pages strict focus mode blocks, and lets the user
+ * through to a blocked site for a while after they explain why. The
+ * background script keeps the focus session in session storage, so blocking
+ * and bypasses survive the service worker stopping until the browser closes.
+ */
+
+import { domainMatches, isDistractionDomain } from './domainRegistry.js';
+import { evaluateTaskRelevance, TASK_RELEVANCE } from './focusTasks.js';
+import { isBreakPhase } from './pomodoro.js';
+
+// Minimum characters for a bypass justification
+export const MIN_JUSTIFICATION_LENGTH = 10;
+
+// Longest strict mode bypass (30 minutes)
+export const MAX_BYPASS_DURATION = 30 * 60 * 1000;
+
+// Session storage key for the focus session
+const STORAGE_KEY = 'focusSession';
+
+// Second-level labels under country codes that are public suffixes (co.uk, com.au)
+const PUBLIC_SECOND_LEVEL_LABELS = new Set(['ac', 'co', 'com', 'edu', 'gov', 'gv', 'ne', 'net', 'or', 'org']);
+
+/**
+ * Check whether the user was let through to a domain and the bypass has not expired
+ * @param {Object} bypasses - Bypasses: domain -> expiry timestamp
+ * @param {string} hostname - Hostname to check
+ * @param {number} now - Current time
+ * @returns {boolean} Whether a bypass is active
+ */
+export function hasActiveBypass(bypasses, hostname, now = Date.now()) {
+  return Object.entries(bypasses || {}).some(([domain, expiresAt]) => {
+    return expiresAt > now && domainMatches(hostname, domain);
+  });
+}
+
+/**
+ * Check whether strict focus mode should block a URL
+ * @param {Object} focusMode - Focus mode state from the background script
+ * @param {string} url - Page URL
+ * @param {Array<string>} allowedSites - Domains the user always allows
+ * @param {number} now - Current time
+ * @returns {boolean} Whether the URL is blocked
+ */
+export function isBlockedInStrictMode(focusMode, url, allowedSites = [], now = Date.now()) {
+  if (!focusMode.active || !focusMode.strict || !url) return false;
+  if (isBreakPhase(focusMode.pomodoro)) return false;
+
+  let hostname;
+  try {
+    const parsedUrl = new URL(url);
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') return false;
+    hostname = parsedUrl.hostname;
+  } catch (error) {
+    return false;
+  }
+
+  const relevance = evaluateTaskRelevance(focusMode.task, url, hostname);
+  if (relevance === TASK_RELEVANCE.ALLOWED) return false;
+  if (allowedSites.some(site => domainMatches(hostname, site))) return false;
+  if (hasActiveBypass(focusMode.bypasses, hostname, now)) return false;
+
+  return relevance === TASK_RELEVANCE.BLOCKED || isDistractionDomain(hostname);
+}
+
+/**
+ * Let the user through to a blocked site
+ * @param {Object} bypasses - Current bypasses: domain -> expiry timestamp
+ * @param {Object} request - Bypass request
+ * @param {string} request.url - URL of the blocked page
+ * @param {string} request.justification - Why the user needs the site
+ * @param {number|string} request.minutes - Requested duration, capped at MAX_BYPASS_DURATION
+ * @param {number} now - Current time
+ * @returns {Object} Bypass ({ hostname, expiresAt, duration, justification, bypasses }) with the updated bypasses
+ */
+export function createBypass(bypasses, request, now = Date.now()) {
+  const justification = String(request.justification || '').trim();
+  if (justification.length < MIN_JUSTIFICATION_LENGTH) {
+    throw new Error(`Please explain why you need this site (at least ${MIN_JUSTIFICATION_LENGTH} characters)`);
+  }
+
+  const minutes = parseInt(request.minutes, 10);
+  if (!(minutes > 0)) {
+    throw new Error('Bypass duration must be at least one minute');
+  }
+
+  const hostname = new URL(request.url).hostname.replace(/^www\./, '');
+  if (!isSiteHostname(hostname)) {
+    // Bypasses match subdomains, so a suffix would let the user through to every site under it
+    throw new Error(`Can't bypass strict mode for ${hostname || request.url}`);
+  }
+
+  const duration = Math.min(minutes * 60 * 1000, MAX_BYPASS_DURATION);
+  const expiresAt = now + duration;
+
+  return {
+    hostname,
+    expiresAt,
+    duration,
+    justification,
+    bypasses: { ...bypasses, [hostname]: expiresAt }
+  };
+}
+
+/**
+ * Check whether a hostname names a site rather than a top-level domain or public suffix
+ * @param {string} hostname - Hostname without www.
+ * @returns {boolean} Whether the hostname can be bypassed
+ */
+function isSiteHostname(hostname) {
+  const labels = hostname.split('.');
+  if (labels.length < 2 || labels.some(label => label === '')) return false;
+  if (/^[\d.]+$/.test(hostname) || hostname.startsWith('[')) return false;
+
+  const [secondLevel, topLevel] = labels.slice(-2);
+  return !(labels.length === 2 && topLevel.length === 2 && PUBLIC_SECOND_LEVEL_LABELS.has(secondLevel));
+}
+
+/**
+ * Drop the bypasses that have expired
+ * @param {Object} bypasses - Bypasses: domain -> expiry timestamp
+ * @param {number} now - Current time
+ * @returns {Object} Bypasses still active
+ */
+export function removeExpiredBypasses(bypasses, now = Date.now()) {
+  return Object.fromEntries(Object.entries(bypasses || {}).filter(([, expiresAt]) => expiresAt > now));
+}
+
+/**
+ * Save the focus session, without its stats (kept in focusStats)
+ * @param {Object} focusMode - Focus mode state from the background script
+ * @returns {Promise<void>}
+ */
+export async function saveFocusSession(focusMode) {
+  const { stats, ...session } = focusMode;
+  await chrome.storage.session.set({ [STORAGE_KEY]: session });
+}
+
+/**
+ * Load the focus session saved before the service worker stopped
+ * @param {number} now - Current time
+ * @returns {Promise<Object|null>} Focus session without stats and with expired bypasses dropped, or null
+ */
+export async function loadFocusSession(now = Date.now()) {
+  const result = await chrome.storage.session.get(STORAGE_KEY);
+  const session = result[STORAGE_KEY];
+  if (!session) return null;
+
+  return { ...session, bypasses: removeExpiredBypasses(session.bypasses, now) };
+}
@@ -51,7 +51,9 @@ export function initializeFocusCompanion() {
     hide: () => focusCompanion.hide(),
     setExpression: (expression) => focusCompanion.setExpression(expression),
     showDistraction: (distractionData) => focusCompanion.showDistraction(distractionData),
-    showTaskTransition: (previousTask, newTask) => focusCompanion.showTaskTransition(previousTask, newTask)
+    showTaskTransition: (previousTask, newTask) => focusCompanion.showTaskTransition(previousTask, newTask),
+    showFocusModeEndedNotification: (data) => focusCompanion.showFocusModeEndedNotification(data),
+    showPomodoroPhase: (data) => focusCompanion.showPomodoroPhase(data)
   };
   
   // Return the proxy
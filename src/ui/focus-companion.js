@@ -711,6 +711,7 @@ class FocusCompanion {
       </div>
       <div class="bubble-content">
         ${this.getDistractionMessage(distractionData.distractionType)}
+        ${distractionData.reason ? `<div class="distraction-reason">Why: ${distractionData.reason}</div>` : ''}
       </div>
       <div class="bubble-actions">
         <button class="action-button primary" id="refocus">Refocus</button>
@@ -719,11 +720,12 @@ class FocusCompanion {
     `;
     
     // Add event listeners to buttons
-    document.getElementById('refocus').addEventListener('click', () => {
+    const root = this.shadowRoot || document;
+    root.getElementById('refocus').addEventListener('click', () => {
       this.refocus(distractionData);
     });
     
-    document.getElementById('dismiss-distraction').addEventListener('click', () => {
+    root.getElementById('dismiss-distraction').addEventListener('click', () => {
       this.dismissDistraction();
     });
     
@@ -741,14 +743,17 @@ class FocusCompanion {
     // Set thinking expression
     this.setExpression('thinking');
     
+    // A distraction can be flagged before any task has been detected
+    const taskType = this.currentTask ? this.currentTask.taskType : 'unknown';
+    
     // Update bubble content
     this.bubble.innerHTML = `
       <div class="bubble-header">
-        <span class="task-icon">${this.getTaskIcon(this.currentTask.taskType)}</span>
-        <span class="task-name">${this.getTaskName(this.currentTask.taskType)} Mode</span>
+        <span class="task-icon">${this.getTaskIcon(taskType)}</span>
+        <span class="task-name">${this.getTaskName(taskType)} Mode</span>
       </div>
       <div class="bubble-content">
-        Let's get back to ${this.getTaskName(this.currentTask.taskType.toLowerCase())}. You can do this!
+        Let's get back to ${this.getTaskName(taskType).toLowerCase()}. You can do this!
       </div>
       <div class="bubble-actions">
         <button class="action-button primary" id="got-it-refocus">Got it!</button>
@@ -756,14 +761,15 @@ class FocusCompanion {
     `;
     
     // Add event listener to button
-    document.getElementById('got-it-refocus').addEventListener('click', () => {
+    const root = this.shadowRoot || document;
+    root.getElementById('got-it-refocus').addEventListener('click', () => {
       this.hide();
     });
     
-    // Send message to background script
+    // Send message to background script (recorded against the latest nudge in this tab)
     chrome.runtime.sendMessage({
       type: 'REFOCUS',
-      taskType: this.currentTask.taskType,
+      taskType,
       distractionType: distractionData.distractionType
     });
     
@@ -1026,6 +1032,79 @@ class FocusCompanion {
     }, 10000);
   }
   
+  /**
+   * Show a notification when a Pomodoro phase starts
+   * @param {Object} data - The phase data (phase, cycle, message)
+   */
+  showPomodoroPhase(data) {
+    console.log('[Focus Companion] Pomodoro phase changed:', data);
+    
+    const isWork = data.phase === 'work';
+    this.setExpression(isWork ? 'thinking' : 'happy');
+    
+    this.bubble.innerHTML = `
+      <div class="bubble-header">
+        <span class="task-icon">${isWork ? '🍅' : '☕'}</span>
+        <span class="task-name">${this.getPomodoroPhaseName(data.phase)}</span>
+      </div>
+      <div class="bubble-content">
+        ${data.message}
+      </div>
+      <div class="bubble-actions">
+        <button class="action-button primary" id="got-it-pomodoro">Got it!</button>
+      </div>
+    `;
+    
+    setTimeout(() => {
+      const root = this.shadowRoot || document;
+      const gotItButton = root.getElementById('got-it-pomodoro');
+      
+      if (gotItButton) {
+        gotItButton.addEventListener('click', () => {
+          this.hide();
+        });
+      }
+    }, 100);
+    
+    this.show();
+    
+    // Auto-hide after 10 seconds
+    setTimeout(() => {
+      this.hide();
+    }, 10000);
+  }
+  
+  /**
+   * Get the display name of a Pomodoro phase
+   * @param {string} phase - The phase from the background script
+   * @returns {string} The display name
+   */
+  getPomodoroPhaseName(phase) {
+    const phaseNames = {
+      'work': 'Focus Time',
+      'short_break': 'Short Break',
+      'long_break': 'Long Break'
+    };
+    
+    return phaseNames[phase] || 'Focus Time';
+  }
+  
+  /**
+   * Format Pomodoro cycle progress, e.g. "Cycle 2 ●●○○"
+   * @param {Object} pomodoro - Pomodoro progress from focusStats
+   * @returns {string} The formatted progress
+   */
+  formatPomodoroProgress(pomodoro) {
+    // Dots show progress towards the next long break
+    const setSize = pomodoro.longBreakEvery;
+    const doneInSet = pomodoro.completedCycles % setSize;
+    const filled = pomodoro.phase === 'long_break' ? setSize : doneInSet;
+    const dots = '●'.repeat(filled) + '○'.repeat(setSize - filled);
+    const total = pomodoro.totalCycles > 0 ? ` of ${pomodoro.totalCycles}` : '';
+    
+    return `Cycle ${pomodoro.cycle}${total} ${dots}`;
+  }
+  
   /**
    * Show focus stats
    * @param {Object} stats - The focus stats to display
@@ -1041,6 +1120,8 @@ class FocusCompanion {
           <span class="timer-value" id="focus-time-remaining" style="font-size: 20px; font-weight: 500;">--:--</span>
         </div>
         
+        <div class="pomodoro-progress" id="pomodoro-progress" style="display: none; text-align: center; margin-bottom: 15px; font-size: 14px; color: #6e8efb; letter-spacing: 1px;"></div>
+        
         <div class="focus-stats-grid" style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 10px;">
           <div class="stat-card" style="background: #f8f9fa; padding: 12px; border-radius: 8px; text-align: center;">
             <div class="stat-value" id="focus-score" style="font-size: 24px; font-weight: 500; color: #6e8efb;">${stats.focusScore}</div>
@@ -1155,6 +1236,23 @@ class FocusCompanion {
         const timeRemainingEl = this.shadowRoot.getElementById('focus-time-remaining');
         const meterFill = this.shadowRoot.querySelector('.focus-meter-fill');
         const distractionListEl = this.shadowRoot.getElementById('distraction-list');
+        const timerLabelEl = this.shadowRoot.querySelector('.timer-label');
+        const pomodoroProgressEl = this.shadowRoot.getElementById('pomodoro-progress');
+        
+        // Pomodoro sessions count down the current phase instead of the session
+        const pomodoro = stats.pomodoro;
+        const timerEndTime = pomodoro ? pomodoro.phaseEndTime : stats.endTime;
+        
+        if (timerLabelEl) {
+          timerLabelEl.textContent = pomodoro
+            ? this.getPomodoroPhaseName(pomodoro.phase)
+            : 'Focus Time Remaining';
+        }
+        
+        if (pomodoroProgressEl) {
+          pomodoroProgressEl.style.display = pomodoro ? 'block' : 'none';
+          pomodoroProgressEl.textContent = pomodoro ? this.formatPomodoroProgress(pomodoro) : '';
+        }
 
         // Update focus score
         if (focusScoreEl) {
@@ -1193,9 +1291,12 @@ class FocusCompanion {
         }
 
         // Update time remaining if timer is active
-        if (timeRemainingEl && stats.endTime) {
-          const remaining = Math.max(0, stats.endTime - now);
-          if (remaining === 0) {
+        if (timeRemainingEl && timerEndTime) {
+          const remaining = Math.max(0, timerEndTime - now);
+          if (remaining === 0 && pomodoro) {
+            // The background script starts the next phase shortly
+            timeRemainingEl.textContent = '0:00';
+          } else if (remaining === 0) {
             timeRemainingEl.textContent = 'Session Complete!';
             // Session ended, stop the interval
             this.stopStatsInterval();
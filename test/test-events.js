@@ -14,15 +14,11 @@ const mockChrome = {
       // Simulate response from background script
       setTimeout(() => {
         if (message.type === 'GET_TAB_INFO') {
-          callback({ tabId: 123, url: 'https://example.com' });
-        } else if (message.type === 'GET_EVENT_STREAM_FUNCTIONS') {
-          callback({ success: true });
-        } else if (message.type === 'TRACK_EVENT') {
-          callback({ success: true });
+          callback({ success: true, tabId: 123, url: 'https://example.com', sessionId: 'test-session' });
+        } else if (message.type === 'TRACK_EVENTS') {
+          callback({ success: true, accepted: message.events.length, rejected: 0 });
         } else if (message.type === 'FLUSH_EVENTS') {
           callback({ success: true });
-        } else if (message.type === 'CLEANUP_EVENTS') {
-          callback({ success: true });
         } else {
           callback({ success: false, error: 'Unknown message type' });
         }
@@ -64,20 +60,22 @@ async function testEventTracking() {
   // Simulate page visit event
   console.log('Simulating PAGE_VISIT event...');
   chrome.runtime.sendMessage({
-    type: 'TRACK_EVENT',
-    eventType: 'PAGE_VISIT',
-    payload: {
-      page_title: 'Test Page',
-      domain: 'example.com',
-      referrer: '',
-      page_text: 'This is a test page',
-      tab_count: 1,
-      window_width: 1024,
-      window_height: 768,
-      is_active_tab: true
-    },
-    url: 'https://example.com',
-    timestamp: Date.now()
+    type: 'TRACK_EVENTS',
+    events: [{
+      event_type: 'PAGE_VISIT',
+      payload: {
+        page_title: 'Test Page',
+        domain: 'example.com',
+        referrer: '',
+        page_text: 'This is a test page',
+        tab_count: 1,
+        window_width: 1024,
+        window_height: 768,
+        is_active_tab: true
+      },
+      url: 'https://example.com',
+      timestamp: Date.now()
+    }]
   }, response => {
     console.log('PAGE_VISIT response:', response);
   });
@@ -88,19 +86,21 @@ async function testEventTracking() {
   // Simulate scroll event
   console.log('Simulating PAGE_SCROLL event...');
   chrome.runtime.sendMessage({
-    type: 'TRACK_EVENT',
-    eventType: 'PAGE_SCROLL',
-    payload: {
-      scroll_position_y: 100,
-      scroll_position_x: 0,
-      scroll_depth: 0.1,
-      scroll_direction: 'down',
-      scroll_speed: 10,
-      viewport_height: 768,
-      document_height: 2000
-    },
-    url: 'https://example.com',
-    timestamp: Date.now()
+    type: 'TRACK_EVENTS',
+    events: [{
+      event_type: 'PAGE_SCROLL',
+      payload: {
+        scroll_position_y: 100,
+        scroll_position_x: 0,
+        scroll_depth: 0.1,
+        scroll_direction: 'down',
+        scroll_speed: 10,
+        viewport_height: 768,
+        document_height: 2000
+      },
+      url: 'https://example.com',
+      timestamp: Date.now()
+    }]
   }, response => {
     console.log('PAGE_SCROLL response:', response);
   });
@@ -111,19 +111,21 @@ async function testEventTracking() {
   // Simulate mouse click event
   console.log('Simulating MOUSE_CLICK event...');
   chrome.runtime.sendMessage({
-    type: 'TRACK_EVENT',
-    eventType: 'MOUSE_CLICK',
-    payload: {
-      x: 100,
-      y: 200,
-      target_element: 'button',
-      target_text: 'Click me',
-      is_link: false,
-      link_url: '',
-      button: 0
-    },
-    url: 'https://example.com',
-    timestamp: Date.now()
+    type: 'TRACK_EVENTS',
+    events: [{
+      event_type: 'MOUSE_CLICK',
+      payload: {
+        x: 100,
+        y: 200,
+        target_element: 'button',
+        target_text: 'Click me',
+        is_link: false,
+        link_url: '',
+        button: 0
+      },
+      url: 'https://example.com',
+      timestamp: Date.now()
+    }]
   }, response => {
     console.log('MOUSE_CLICK response:', response);
   });
@@ -0,0 +1,82 @@
+import { describe, test, expect } from 'vitest';
+import {
+  applyCalibration,
+  buildCalibrationSamples,
+  fitCalibration,
+  fitIsotonic,
+  CALIBRATION_METHODS
+} from '../models/calibration.js';
+import ModelManager from '../models/ModelManager.js';
+
+// Rated nudges whose raw scores were all 0.9, half of them rated wrong
+const overconfidentRecords = Array.from({ length: 30 }, (_, i) => ({
+  modelVersionId: 'rule-based@0.1.0',
+  rawScore: 0.9,
+  response: i % 2 === 0 ? 'useful' : 'wrong'
+}));
+
+describe('Calibration Tests', () => {
+  test('should only use rated nudges scored by the version', () => {
+    const records = [
+      ...overconfidentRecords.slice(0, 3),
+      { modelVersionId: 'random-forest@0.2.0', rawScore: 0.8, response: 'useful' },
+      { modelVersionId: 'rule-based@0.1.0', rawScore: 0.8, response: 'dismiss' },
+      { modelVersionId: 'rule-based@0.1.0', rawScore: null, response: 'useful' }
+    ];
+
+    expect(buildCalibrationSamples(records, 'rule-based@0.1.0')).toEqual([
+      { probability: 0.9, label: 1 },
+      { probability: 0.9, label: 0 },
+      { probability: 0.9, label: 1 }
+    ]);
+    expect(fitCalibration(buildCalibrationSamples(records, 'rule-based@0.1.0'))).toBeNull();
+  });
+
+  test('should pull overconfident scores towards the observed rate with Platt scaling', () => {
+    const calibration = fitCalibration(buildCalibrationSamples(overconfidentRecords, 'rule-based@0.1.0'));
+
+    expect(calibration.method).toBe(CALIBRATION_METHODS.PLATT);
+    expect(calibration.sampleCount).toBe(30);
+    expect(applyCalibration(calibration, 0.9)).toBeCloseTo(0.5, 1);
+    expect(calibration.curve.before).toHaveLength(1);
+    expect(calibration.curve.before[0]).toMatchObject({ from: 0.9, count: 30, observedRate: 0.5 });
+    expect(calibration.curve.after[0].meanProbability).toBeCloseTo(0.5, 1);
+  });
+
+  test('should fit a monotonic step function with isotonic regression', () => {
+    const calibration = {
+      method: CALIBRATION_METHODS.ISOTONIC,
+      params: fitIsotonic([
+        { probability: 0.1, label: 0 },
+        { probability: 0.2, label: 1 },
+        { probability: 0.3, label: 0 },
+        { probability: 0.4, label: 1 }
+      ])
+    };
+
+    expect(calibration.params.points.map(({ x, y }) => [x, y])).toEqual([[0.1, 0.01], [0.25, 0.5], [0.4, 0.99]]);
+    expect(applyCalibration(calibration, 0.05)).toBe(0.01);
+    expect(applyCalibration(calibration, 0.325)).toBeCloseTo(0.745);
+    expect(applyCalibration(calibration, 0.9)).toBe(0.99);
+  });
+
+  test('should compare calibrated probabilities with the threshold as they are', () => {
+    const manager = new ModelManager();
+    manager.calibrations['rule-based@0.1.0'] = fitCalibration(buildCalibrationSamples(overconfidentRecords, 'rule-based@0.1.0'));
+    const preferences = { distractionThreshold: 0.7, nudgeFrequency: 'high' };
+
+    const calibrated = manager.applyUserPreferences(
+      manager.calibrate({ probability: 0.9, confidence: 0.8 }, 'rule-based@0.1.0'),
+      preferences
+    );
+    const uncalibrated = manager.applyUserPreferences(
+      manager.calibrate({ probability: 0.6, confidence: 0.8 }, 'sequence-model@0.1.0'),
+      preferences
+    );
+
+    expect(calibrated).toMatchObject({ rawProbability: 0.9, calibrated: true, isDistraction: false });
+    expect(calibrated.probability).toBeCloseTo(0.5, 1);
+    expect(uncalibrated).toMatchObject({ rawProbability: 0.6, calibrated: false, isDistraction: true });
+    expect(uncalibrated.probability).toBeCloseTo(0.78);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, test, expect } from 'vitest';
+import {
+  buildExportFiles,
+  parseExportFiles,
+  EXPORT_FORMATS,
+  REDACTION_PROFILES
+} from '../src/analytics/dataExport.js';
+import { createZip, readZip } from '../src/analytics/zip.js';
+import { createEvent } from '../src/events/schema.js';
+
+const base = Date.UTC(2024, 0, 8, 10, 0, 0);
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const event = (sequenceId, eventType, payload, url = 'https://www.youtube.com/watch?v=abc') => ({
+  ...createEvent(eventType, payload, {
+    timestamp: base + sequenceId * 1000,
+    url,
+    tab_id: 7,
+    session_id: 'session-1',
+    sequence_id: sequenceId
+  }),
+  id: `session-1-${sequenceId}`
+});
+
+const tables = {
+  events: [
+    event(1, 'PAGE_VISIT', { page_title: 'Cat videos', domain: 'www.youtube.com', referrer: 'https://news.example.com/a?b=c' }),
+    event(2, 'KEY_PRESS', { key: 'p', is_input: true })
+  ],
+  sessions: [{
+    session_id: 'session-1',
+    tab_id: 7,
+    start_time: base,
+    end_time: null,
+    last_domain: 'www.youtube.com',
+    summary: { event_count: 2, domains: { 'www.youtube.com': { event_count: 2, active_time: 1000 } } }
+  }],
+  feedback: [{
+    id: 'nudge-1',
+    domain: 'www.youtube.com',
+    response: 'useful',
+    features: { timeSpent: 60000, scrollDepth: 0.5 },
+    timestamp: base + 5000
+  }],
+  preferences: [{ distractionThreshold: 0.7, allowedSites: ['docs.example.com'] }]
+};
+
+const exportFiles = (format, redaction) => buildExportFiles(tables, {
+  format,
+  redaction,
+  startTime: base,
+  exportedAt: base + 60000
+});
+
+const toZipFiles = files => files.map(({ name, content }) => ({ name, content: textEncoder.encode(content) }));
+
+describe('Data Export Tests', () => {
+  test('should round-trip files through a ZIP archive', async () => {
+    const files = [
+      { name: 'events.jsonl', content: '{"title":"Café ☕"}\n'.repeat(200) },
+      { name: 'empty.csv', content: '' }
+    ];
+
+    const read = await readZip(await createZip(files));
+
+    expect(read.map(file => [file.name, textDecoder.decode(file.content)])).toEqual(
+      files.map(file => [file.name, file.content])
+    );
+  });
+
+  test('should redact URLs, text and sites consistently across tables', () => {
+    const files = exportFiles(EXPORT_FORMATS.JSONL, REDACTION_PROFILES.ANONYMOUS);
+    const read = name => files.find(file => file.name === name).content.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(files.map(file => file.name)).toEqual([
+      'manifest.json', 'events.jsonl', 'sessions.jsonl', 'distraction_scores.jsonl',
+      'focus_stats.jsonl', 'feedback.jsonl', 'preferences.jsonl'
+    ]);
+    expect(JSON.parse(files[0].content)).toMatchObject({
+      format: 'jsonl',
+      redaction: 'anonymous',
+      startTime: base,
+      endTime: null,
+      tables: { events: 2, sessions: 1, distraction_scores: 0, feedback: 1 }
+    });
+
+    const [visit, keyPress] = read('events.jsonl');
+    expect(visit.url).toBe('https://site-1');
+    expect(visit.payload).toMatchObject({ page_title: '', domain: 'site-1', referrer: 'https://site-2' });
+    expect(keyPress.payload).toMatchObject({ key: '', is_input: true });
+
+    const [session] = read('sessions.jsonl');
+    expect(session.last_domain).toBe('site-1');
+    expect(Object.keys(session.summary.domains)).toEqual(['site-1']);
+    expect(read('feedback.jsonl')[0]).toMatchObject({ domain: 'site-1', features: { timeSpent: 60000 } });
+    expect(read('preferences.jsonl')[0].allowedSites).toEqual(['site-3']);
+  });
+
+  test('should remove the page text of content loads, and the sites in it', () => {
+    const contentLoad = event(3, 'CONTENT_LOAD', {
+      content_type: 'article',
+      content_summary: 'Read more on news.example.com and www.youtube.com',
+      has_video: true
+    });
+
+    const exportEvents = redaction => buildExportFiles({ events: [contentLoad] }, {
+      format: EXPORT_FORMATS.JSONL,
+      redaction,
+      exportedAt: base
+    }).find(file => file.name === 'events.jsonl').content;
+
+    expect(JSON.parse(exportEvents(REDACTION_PROFILES.URLS)).payload).toMatchObject({
+      content_type: 'article',
+      content_summary: '',
+      has_video: true
+    });
+    expect(exportEvents(REDACTION_PROFILES.ANONYMOUS)).not.toMatch(/youtube|example\.com/);
+  });
+
+  test('should flatten rows to CSV columns', () => {
+    const files = exportFiles(EXPORT_FORMATS.CSV, REDACTION_PROFILES.NONE);
+    const [header, row] = files.find(file => file.name === 'feedback.csv').content.split('\r\n');
+    const [sessionHeader, sessionRow] = files.find(file => file.name === 'sessions.csv').content.split('\r\n');
+
+    expect(header).toBe('id,domain,response,features.timeSpent,features.scrollDepth,timestamp');
+    expect(row).toBe(`nudge-1,www.youtube.com,useful,60000,0.5,${base + 5000}`);
+
+    // Objects keyed by domain stay JSON in one column
+    expect(sessionHeader).toBe('session_id,tab_id,start_time,end_time,last_domain,summary.event_count,summary.domains');
+    expect(sessionRow).toContain('"{""www.youtube.com"":{""event_count"":2,""active_time"":1000}}"');
+  });
+
+  test('should read a JSON Lines export back, rejecting invalid and repeated events', () => {
+    const files = exportFiles(EXPORT_FORMATS.JSONL, REDACTION_PROFILES.NONE);
+    const eventsFile = files.find(file => file.name === 'events.jsonl');
+    eventsFile.content += [
+      JSON.stringify(tables.events[0]),
+      JSON.stringify({ ...tables.events[1], id: 'session-1-3', payload: { key: 'p', clipboard: 'secret' } })
+    ].join('\n');
+
+    const imported = parseExportFiles(toZipFiles(files));
+
+    expect(imported.events.events.map(importedEvent => importedEvent.id)).toEqual(['session-1-1', 'session-1-2']);
+    expect(imported.events.events[0]).toEqual(tables.events[0]);
+    expect(imported.events).toMatchObject({ rejected: 1, duplicates: 1 });
+    expect(imported.sessions).toEqual(tables.sessions);
+    expect(imported.feedback).toEqual(tables.feedback);
+  });
+
+  test('should refuse CSV and redacted exports', () => {
+    expect(() => parseExportFiles(toZipFiles(exportFiles(EXPORT_FORMATS.CSV, REDACTION_PROFILES.NONE))))
+      .toThrow('Only JSON Lines exports can be imported');
+    expect(() => parseExportFiles(toZipFiles(exportFiles(EXPORT_FORMATS.JSONL, REDACTION_PROFILES.URLS))))
+      .toThrow('Redacted exports can\'t be imported');
+  });
+});
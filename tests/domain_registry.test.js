@@ -0,0 +1,80 @@
+import { describe, beforeEach, test, expect, vi } from 'vitest';
+import {
+  lookupDomain,
+  getDomainCategory,
+  isDistractionDomain,
+  getDomainAdjustment,
+  saveDomainRegistry,
+  resetDomainRegistry,
+  exportDomainRegistry,
+  importDomainRegistry,
+  DOMAIN_CATEGORIES
+} from '../src/features/domainRegistry.js';
+
+// Mock storage
+const storage = new Map();
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn((key) => Promise.resolve({ [key]: storage.get(key) })),
+      set: vi.fn((items) => {
+        Object.entries(items).forEach(([key, value]) => storage.set(key, value));
+        return Promise.resolve();
+      })
+    }
+  }
+};
+
+describe('Domain Registry Tests', () => {
+  beforeEach(async () => {
+    storage.clear();
+    await resetDomainRegistry();
+  });
+
+  test('should match subdomains but not lookalike domains', () => {
+    expect(isDistractionDomain('www.youtube.com')).toBe(true);
+    expect(isDistractionDomain('m.youtube.com')).toBe(true);
+    expect(isDistractionDomain('notyoutube.com')).toBe(false);
+    expect(lookupDomain('youtube.com.example.org')).toBeNull();
+  });
+
+  test('should prefer the most specific entry', async () => {
+    await saveDomainRegistry([
+      { domain: 'google.com', category: DOMAIN_CATEGORIES.OTHER, distraction: true, adjustment: 0.1 },
+      { domain: 'docs.google.com', category: DOMAIN_CATEGORIES.PRODUCTIVITY, distraction: false, adjustment: 0 }
+    ]);
+
+    expect(getDomainCategory('docs.google.com')).toBe(DOMAIN_CATEGORIES.PRODUCTIVITY);
+    expect(isDistractionDomain('docs.google.com')).toBe(false);
+    expect(isDistractionDomain('mail.google.com')).toBe(true);
+    expect(getDomainAdjustment('mail.google.com')).toBe(0.1);
+  });
+
+  test('should round-trip through JSON export and import', async () => {
+    const json = exportDomainRegistry();
+
+    await saveDomainRegistry([]);
+    expect(isDistractionDomain('youtube.com')).toBe(false);
+
+    await importDomainRegistry(json);
+    expect(isDistractionDomain('youtube.com')).toBe(true);
+    expect(storage.get('domainRegistry').length).toBeGreaterThan(0);
+  });
+
+  test('should merge imported entries into the current registry', async () => {
+    await importDomainRegistry(JSON.stringify({
+      version: 1,
+      entries: [{ domain: 'https://www.news.ycombinator.com/', category: 'news', distraction: true }]
+    }), { merge: true });
+
+    expect(isDistractionDomain('news.ycombinator.com')).toBe(true);
+    expect(isDistractionDomain('youtube.com')).toBe(true);
+  });
+
+  test('should reject invalid imports without changing the registry', async () => {
+    await expect(importDomainRegistry('not json')).rejects.toThrow();
+    await expect(importDomainRegistry(JSON.stringify({ entries: [{ domain: 'not a domain' }] }))).rejects.toThrow();
+    expect(isDistractionDomain('youtube.com')).toBe(true);
+  });
+});
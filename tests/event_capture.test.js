@@ -0,0 +1,46 @@
+import { describe, test, expect } from 'vitest';
+import { EVENT_TYPES, EVENT_PAYLOAD_SCHEMAS, createEvent } from '../src/events/schema.js';
+import { extractFeaturesFromEvents } from '../src/features/extractor.js';
+
+const base = Date.UTC(2024, 0, 8, 10, 0, 0);
+
+describe('Event Capture Tests', () => {
+  test('should define payloads for the captured browser events', () => {
+    const captured = [
+      EVENT_TYPES.TAB_OPEN,
+      EVENT_TYPES.TAB_CLOSE,
+      EVENT_TYPES.NAVIGATION,
+      EVENT_TYPES.AUDIO_PLAY,
+      EVENT_TYPES.AUDIO_PAUSE,
+      EVENT_TYPES.CONTENT_MUTATION,
+      EVENT_TYPES.PAGE_IDLE,
+      EVENT_TYPES.PAGE_ACTIVE,
+      EVENT_TYPES.SYSTEM_IDLE,
+      EVENT_TYPES.SYSTEM_ACTIVE
+    ];
+    for (const eventType of captured) {
+      expect(EVENT_PAYLOAD_SCHEMAS[eventType]).toBeDefined();
+    }
+
+    // Fields the caller leaves out get the schema defaults
+    const event = createEvent(EVENT_TYPES.TAB_CLOSE, { tab_count: 3 }, { tab_id: 7, timestamp: base });
+    expect(event.payload).toEqual({ window_id: 0, tab_count: 3, time_open: 0, is_window_closing: false });
+    expect(event.tab_id).toBe(7);
+  });
+
+  test('should count page and system idle time and audio playback', () => {
+    const events = [
+      { event_type: EVENT_TYPES.PAGE_VISIT, timestamp: base, payload: { domain: 'music.example.com' } },
+      { event_type: EVENT_TYPES.AUDIO_PLAY, timestamp: base + 1000, payload: { audio_url: 'https://music.example.com/a.mp3' } },
+      { event_type: EVENT_TYPES.PAGE_IDLE, timestamp: base + 61000, payload: { idle_time: 60000 } },
+      { event_type: EVENT_TYPES.PAGE_ACTIVE, timestamp: base + 90000, payload: { idle_duration: 89000 } },
+      { event_type: EVENT_TYPES.SYSTEM_IDLE, timestamp: base + 200000, payload: { idle_state: 'locked', idle_time: 0 } },
+      { event_type: EVENT_TYPES.SYSTEM_IDLE, timestamp: base + 400000, payload: { idle_state: 'idle', idle_time: 60000 } }
+    ];
+
+    const features = extractFeaturesFromEvents(events);
+    expect(features.idleTime).toBe(120000);
+    expect(features.hasAudio).toBe(true);
+    expect(features.domain).toBe('music.example.com');
+  });
+});
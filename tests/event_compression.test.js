@@ -0,0 +1,104 @@
+import { describe, test, expect } from 'vitest';
+import {
+  createDictionary,
+  compressEvent,
+  decompressEvent,
+  forgetValues,
+  rollUpInteractionEvents
+} from '../src/events/compression.js';
+import { createEvent } from '../src/events/schema.js';
+
+const base = Date.UTC(2024, 0, 8, 10, 0, 0);
+const SECOND = 1000;
+
+const stored = (eventType, payload, offset = 0, sequenceId = 1, url = 'https://docs.example.com/spec') => ({
+  ...createEvent(eventType, payload, {
+    timestamp: base + offset,
+    url,
+    tab_id: 7,
+    session_id: 'session-1',
+    sequence_id: sequenceId
+  }),
+  id: `session-1-${sequenceId}`,
+  domain: new URL(url).hostname
+});
+
+describe('Event Compression Tests', () => {
+  test('should encode URLs and drop default payload fields, and read the event back unchanged', () => {
+    const dictionary = createDictionary();
+    const event = stored('NAVIGATION', {
+      from_url: 'https://docs.example.com/spec',
+      to_url: 'https://docs.example.com/api',
+      navigation_type: 'pushState'
+    });
+
+    const record = compressEvent(event, dictionary);
+
+    // The page URL and from_url share an ID
+    expect(record.url).toBe(record.payload.from_url);
+    expect(typeof record.domain).toBe('number');
+    expect(record.payload).not.toHaveProperty('page_title');
+    expect(record.payload).not.toHaveProperty('time_on_previous_url');
+    expect(dictionary.added.map(entry => entry.value)).toEqual([
+      'https://docs.example.com/spec',
+      'https://docs.example.com/api',
+      'docs.example.com'
+    ]);
+
+    // A dictionary loaded from the stored entries decodes the record
+    const loaded = createDictionary(dictionary.added);
+    expect(decompressEvent(record, loaded)).toEqual(event);
+    expect(loaded.nextId).toBe(4);
+  });
+
+  test('should read uncompressed records as they are', () => {
+    const event = stored('PAGE_EXIT', { time_spent: 5000 });
+    expect(decompressEvent(event, createDictionary())).toBe(event);
+  });
+
+  test('should read forgotten values as empty without reusing their IDs', () => {
+    const dictionary = createDictionary();
+    const record = compressEvent(stored('PAGE_VISIT', {
+      domain: 'docs.example.com',
+      referrer: 'https://mail.example.org/inbox'
+    }), dictionary);
+
+    const tombstones = forgetValues(dictionary, value => value.includes('mail.example.org'));
+    expect(tombstones).toEqual([{ id: record.payload.referrer }]);
+    expect(decompressEvent(record, dictionary).payload.referrer).toBe('');
+
+    // A dictionary loaded with the tombstone gives out new IDs after it
+    const loaded = createDictionary([...dictionary.added, ...tombstones]);
+    expect(loaded.values.has(record.payload.referrer)).toBe(false);
+    expect(loaded.nextId).toBe(4);
+    expect(decompressEvent(record, loaded).payload.domain).toBe('docs.example.com');
+  });
+
+  test('should roll up samples per session, URL, type and minute', () => {
+    const rollups = rollUpInteractionEvents([
+      stored('MOUSE_MOVE', { x: 0, y: 0 }, 0, 1),
+      stored('MOUSE_MOVE', { x: 30, y: 40 }, 10 * SECOND, 2),
+      stored('PAGE_SCROLL', { scroll_position_y: 400, scroll_depth: 20 }, 15 * SECOND, 3),
+      stored('PAGE_SCROLL', { scroll_position_y: 100, scroll_depth: 35 }, 20 * SECOND, 4),
+      stored('MOUSE_MOVE', { x: 30, y: 40 }, 70 * SECOND, 5)
+    ]);
+
+    expect(rollups.map(rollup => [rollup.id, rollup.timestamp, rollup.payload])).toEqual([
+      ['session-1-1-rollup', base, {
+        rolled_up_type: 'MOUSE_MOVE', event_count: 2, duration: 10 * SECOND, distance: 50, max_scroll_depth: 0
+      }],
+      ['session-1-3-rollup', base + 15 * SECOND, {
+        rolled_up_type: 'PAGE_SCROLL', event_count: 2, duration: 5 * SECOND, distance: 300, max_scroll_depth: 35
+      }],
+      ['session-1-5-rollup', base + 70 * SECOND, {
+        rolled_up_type: 'MOUSE_MOVE', event_count: 1, duration: 0, distance: 0, max_scroll_depth: 0
+      }]
+    ]);
+    expect(rollups[0]).toMatchObject({
+      event_type: 'INTERACTION_ROLLUP',
+      tab_id: 7,
+      sequence_id: 1,
+      domain: 'docs.example.com'
+    });
+  });
+});
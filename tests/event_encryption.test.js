@@ -0,0 +1,132 @@
+import { describe, test, expect } from 'vitest';
+import {
+  createKeyring,
+  unlockKeyring,
+  rotateKeyring,
+  retireDataKeys,
+  exportKeys,
+  importExportedKeys,
+  encryptEvent,
+  decryptEvent,
+  encryptSession,
+  decryptSession,
+  hashDomain
+} from '../src/events/encryption.js';
+import { createEvent } from '../src/events/schema.js';
+import { createSessionRecord, updateSessionSummary } from '../src/events/sessions.js';
+
+const base = Date.UTC(2024, 0, 8, 10, 0, 0);
+
+// Few iterations keep the tests fast; the stored keyring records the count
+const ITERATIONS = 1000;
+
+const event = (sequenceId, url = 'https://Docs.example.com/spec?q=1') => ({
+  ...createEvent('PAGE_VISIT', { page_title: 'Spec', domain: 'docs.example.com' }, {
+    timestamp: base + sequenceId * 1000,
+    url,
+    tab_id: 7,
+    session_id: 'session-1',
+    sequence_id: sequenceId
+  }),
+  id: `session-1-${sequenceId}`,
+  domain: new URL(url).hostname
+});
+
+describe('Event Encryption Tests', () => {
+  test('should encrypt the URL, domain and payload and keep the indexed fields readable', async () => {
+    const { keys } = await createKeyring('correct horse', ITERATIONS);
+    const original = event(1);
+
+    const record = await encryptEvent(original, keys);
+
+    expect(record).toMatchObject({
+      id: 'session-1-1',
+      timestamp: base + 1000,
+      event_type: 'PAGE_VISIT',
+      session_id: 'session-1',
+      tab_id: 7,
+      encryption: 1,
+      key_id: keys.currentKeyId
+    });
+    expect(record).not.toHaveProperty('url');
+    expect(record).not.toHaveProperty('payload');
+    expect(JSON.stringify(record)).not.toContain('docs.example.com');
+
+    // The domain is hashed the same way for the domain index, whatever its case
+    expect(record.domain).toMatch(/^[0-9a-f]{32}$/);
+    expect(record.domain).toBe(await hashDomain('DOCS.example.com', keys));
+    expect(record.domain).not.toBe(await hashDomain('news.example.com', keys));
+
+    expect(await decryptEvent(record, keys)).toEqual(original);
+  });
+
+  test('should unlock with the passphrase only, and keep keys across a worker restart', async () => {
+    const { keyring, keys } = await createKeyring('correct horse', ITERATIONS);
+    const record = await encryptEvent(event(1), keys);
+
+    expect(keyring.kdf.iterations).toBe(ITERATIONS);
+    await expect(unlockKeyring(keyring, 'wrong horse')).rejects.toThrow('Wrong passphrase');
+    await expect(createKeyring('short', ITERATIONS)).rejects.toThrow('at least 8 characters');
+
+    const unlocked = await unlockKeyring(keyring, 'correct horse');
+    expect(await decryptEvent(record, unlocked)).toEqual(event(1));
+
+    // Session storage holds JSON
+    const restored = await importExportedKeys(JSON.parse(JSON.stringify(exportKeys(unlocked))));
+    expect(await decryptEvent(record, restored)).toEqual(event(1));
+  });
+
+  test('should refuse a record moved to another event', async () => {
+    const { keys } = await createKeyring('correct horse', ITERATIONS);
+    const record = await encryptEvent(event(1), keys);
+
+    await expect(decryptEvent({ ...record, id: 'session-1-2' }, keys)).rejects.toThrow();
+  });
+
+  test('should encrypt the summary and last domain of a session record', async () => {
+    const { keys } = await createKeyring('correct horse', ITERATIONS);
+    const session = updateSessionSummary(createSessionRecord('session-1', 7, base), [event(1), event(2)]);
+
+    const record = await encryptSession(session, keys);
+
+    expect(record).toMatchObject({
+      session_id: 'session-1',
+      tab_id: 7,
+      start_time: base,
+      end_time: null,
+      encryption: 1,
+      key_id: keys.currentKeyId
+    });
+    expect(record).not.toHaveProperty('summary');
+    expect(record).not.toHaveProperty('last_domain');
+    expect(JSON.stringify(record)).not.toContain('docs.example.com');
+
+    expect(await decryptSession(record, keys)).toEqual(session);
+    await expect(decryptSession({ ...record, session_id: 'session-2' }, keys)).rejects.toThrow();
+    await expect(decryptEvent({ ...record, id: 'session-1' }, keys)).rejects.toThrow();
+  });
+
+  test('should rotate to a new passphrase and data key, reading old events until their key is retired', async () => {
+    const created = await createKeyring('correct horse', ITERATIONS);
+    const oldRecord = await encryptEvent(event(1), created.keys);
+
+    const { keyring, keys } = await rotateKeyring(created.keys, 'battery staple', ITERATIONS);
+    const newRecord = await encryptEvent(event(2), keys);
+
+    await expect(unlockKeyring(keyring, 'correct horse')).rejects.toThrow('Wrong passphrase');
+    const unlocked = await unlockKeyring(keyring, 'battery staple');
+
+    expect(newRecord.key_id).not.toBe(oldRecord.key_id);
+    expect(newRecord.key_id).toBe(keyring.current_key_id);
+    expect(keyring.data_keys).toHaveLength(2);
+    expect(await decryptEvent(oldRecord, unlocked)).toEqual(event(1));
+
+    // The domain index doesn't change with the data key
+    expect(newRecord.domain).toBe(oldRecord.domain);
+
+    const retired = retireDataKeys(keyring, unlocked);
+    expect(retired.keyring.data_keys.map(entry => entry.id)).toEqual([keyring.current_key_id]);
+    expect(await decryptEvent(newRecord, retired.keys)).toEqual(event(2));
+    await expect(decryptEvent(oldRecord, retired.keys)).rejects.toThrow('unknown key');
+  });
+});
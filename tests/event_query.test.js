@@ -0,0 +1,153 @@
+import 'fake-indexeddb/auto';
+import { describe, beforeEach, test, expect } from 'vitest';
+import {
+  storeEvents,
+  queryEvents,
+  iterateEvents,
+  countEvents,
+  getDistinctDomains,
+  countEventsByTime,
+  clearEvents
+} from '../src/events/storage.js';
+import { createEvent } from '../src/events/schema.js';
+
+const base = Date.UTC(2024, 0, 8, 10, 0, 0);
+const MINUTE = 60 * 1000;
+
+const URLS = ['https://docs.example.com/spec', 'https://www.youtube.com/watch?v=abc', 'https://news.example.com/'];
+const TYPES = ['PAGE_VISIT', 'MOUSE_CLICK', 'KEY_PRESS'];
+
+// Sessions, tabs, sites and types interleave; every third event shares the timestamp of the one before
+const buildEvents = (count) => {
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    const sessionId = `session-${i % 2}`;
+    events.push({
+      ...createEvent(TYPES[i % 3], {}, {
+        timestamp: base + Math.ceil(i * 2 / 3) * MINUTE,
+        url: URLS[Math.floor(i / 4) % 3],
+        tab_id: i % 2 === 0 ? 7 : 8,
+        session_id: sessionId,
+        sequence_id: i
+      }),
+      id: `${sessionId}-${String(i).padStart(4, '0')}`
+    });
+  }
+  return events;
+};
+
+const byTime = (a, b) => a.timestamp - b.timestamp || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+const domainOf = event => new URL(event.url).hostname;
+const ids = events => events.map(event => event.id);
+
+// Every event matching a query, worked out without the store
+const expected = (events, query, reverse = false) => {
+  const eventTypes = query.eventType ? [].concat(query.eventType) : null;
+  const matching = events.filter(event =>
+    (!query.sessionId || event.session_id === query.sessionId) &&
+    (!query.domain || domainOf(event) === query.domain) &&
+    (!eventTypes || eventTypes.includes(event.event_type)) &&
+    (!query.url || event.url === query.url) &&
+    (query.tabId === undefined || event.tab_id === query.tabId) &&
+    (query.startTime === undefined || event.timestamp >= query.startTime) &&
+    (query.endTime === undefined || event.timestamp <= query.endTime)
+  ).sort(byTime);
+  return reverse ? matching.reverse() : matching;
+};
+
+// Read a query page by page
+const readPages = async (query, limit) => {
+  const pages = [];
+  let after = null;
+  do {
+    const page = await queryEvents({ ...query, limit, after });
+    pages.push(page.events);
+    after = page.nextCursor;
+  } while (after);
+  return pages;
+};
+
+describe('Event Query Tests', () => {
+  const events = buildEvents(60);
+
+  beforeEach(async () => {
+    await clearEvents();
+    expect(await storeEvents(events)).toBe(true);
+  });
+
+  test('should combine filters on each compound index', async () => {
+    const queries = [
+      // session_time
+      { sessionId: 'session-1', eventType: 'MOUSE_CLICK', domain: 'www.youtube.com' },
+      { sessionId: 'session-0', tabId: 7, startTime: base + 5 * MINUTE, endTime: base + 20 * MINUTE },
+      // domain_time
+      { domain: 'docs.example.com', eventType: ['PAGE_VISIT', 'KEY_PRESS'], endTime: base + 30 * MINUTE },
+      { domain: 'news.example.com', url: 'https://news.example.com/', tabId: 8 },
+      // type_time
+      { eventType: 'KEY_PRESS', tabId: 8, startTime: base + 10 * MINUTE },
+      // timestamp
+      { eventType: ['PAGE_VISIT', 'MOUSE_CLICK'], url: URLS[0] }
+    ];
+
+    for (const query of queries) {
+      const { events: found } = await queryEvents(query);
+      expect(ids(found)).toEqual(ids(expected(events, query)));
+      expect(found.length).toBeGreaterThan(0);
+    }
+
+    expect((await queryEvents({ domain: 'unknown.example.com' })).events).toEqual([]);
+    expect((await queryEvents({ sessionId: 'session-0', domain: 'unknown.example.com' })).events).toEqual([]);
+  });
+
+  test('should return stored events unchanged', async () => {
+    const { events: [found] } = await queryEvents({ limit: 1 });
+
+    expect(found).toEqual({ ...events[0], domain: 'docs.example.com' });
+  });
+
+  test('should page forwards and backwards without duplicates or gaps', async () => {
+    for (const query of [{}, { sessionId: 'session-0' }, { domain: 'www.youtube.com' }, { eventType: 'PAGE_VISIT' }]) {
+      for (const reverse of [false, true]) {
+        const pages = await readPages({ ...query, reverse }, 7);
+
+        expect(pages.slice(0, -1).every(page => page.length === 7)).toBe(true);
+        expect(ids(pages.flat())).toEqual(ids(expected(events, query, reverse)));
+      }
+    }
+  });
+
+  test('should continue across store reads when more events match than fit in one', async () => {
+    const many = buildEvents(1300);
+    await clearEvents();
+    await storeEvents(many);
+
+    const iterated = [];
+    for await (const event of iterateEvents({ sessionId: 'session-1' }, 400)) {
+      iterated.push(event);
+    }
+    expect(ids(iterated)).toEqual(ids(expected(many, { sessionId: 'session-1' })));
+
+    const { events: newestFirst } = await queryEvents({ domain: 'docs.example.com', reverse: true });
+    expect(ids(newestFirst)).toEqual(ids(expected(many, { domain: 'docs.example.com' }, true)));
+  });
+
+  test('should count events in total, per domain and per time bucket', async () => {
+    const query = { sessionId: 'session-0', endTime: base + 30 * MINUTE };
+    const matching = expected(events, query);
+
+    expect(await countEvents(query)).toBe(matching.length);
+    expect(await countEvents({ domain: 'unknown.example.com' })).toBe(0);
+
+    const domainCounts = new Map();
+    matching.forEach(event => domainCounts.set(domainOf(event), (domainCounts.get(domainOf(event)) || 0) + 1));
+    const domains = await getDistinctDomains(query);
+    expect(domains.map(({ domain, count }) => [domain, count]).sort())
+      .toEqual([...domainCounts].sort());
+    expect(domains.map(({ count }) => count)).toEqual([...domainCounts.values()].sort((a, b) => b - a));
+
+    const buckets = await countEventsByTime({ ...query, reverse: true }, 10 * MINUTE);
+    expect(buckets.map(bucket => bucket.start)).toEqual([base, base + 10 * MINUTE, base + 20 * MINUTE, base + 30 * MINUTE]);
+    expect(buckets.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(matching.length);
+    expect(buckets[0].count).toBe(matching.filter(event => event.timestamp < base + 10 * MINUTE).length);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import {
+  SCHEMA_VERSION,
+  EVENT_TYPES,
+  createEvent,
+  getValidationStats,
+  resetValidationStats
+} from '../src/events/schema.js';
+import { migrateEvent } from '../src/events/migrations.js';
+
+const base = Date.UTC(2024, 0, 8, 10, 0, 0);
+
+describe('Event Schema Tests', () => {
+  beforeEach(() => {
+    resetValidationStats();
+  });
+
+  test('should version events and fill missing base fields', () => {
+    const event = createEvent(EVENT_TYPES.SYSTEM_IDLE, { idle_state: 'locked' }, { tab_id: null, timestamp: base });
+
+    expect(event.schema_version).toBe(SCHEMA_VERSION);
+    expect(event.tab_id).toBe(0);
+    expect(event.payload).toEqual({ idle_state: 'locked', idle_time: 0 });
+    expect(getValidationStats()).toMatchObject({ accepted: 1, rejected: 0 });
+  });
+
+  test('should reject and count invalid events', () => {
+    expect(createEvent('PAGE_WOBBLE', {})).toBeNull();
+    expect(createEvent(EVENT_TYPES.PAGE_SCROLL, { scroll_depth: '0.5' })).toBeNull();
+    expect(createEvent(EVENT_TYPES.PAGE_SCROLL, { scroll_depth: null })).toBeNull();
+    expect(createEvent(EVENT_TYPES.COPY, { clipboard: 'secret' })).toBeNull();
+    expect(createEvent(EVENT_TYPES.COPY, {}, { session_id: 42 })).toBeNull();
+
+    const stats = getValidationStats();
+    expect(stats.rejected).toBe(5);
+    expect(stats.byType).toEqual({ PAGE_WOBBLE: 1, PAGE_SCROLL: 2, COPY: 2 });
+    expect(stats.byError['payload.scroll_depth should be a number']).toBe(2);
+    expect(stats.lastRejection.errors).toEqual(['session_id should be a string, got number']);
+  });
+
+  test('should migrate unversioned events on read', () => {
+    const stored = [
+      { id: 's-1', event_type: 'SYSTEM_IDLE', timestamp: base, session_id: 's', sequence_id: 1, payload: { idle_time: 60000 } },
+      { id: 's-2', event_type: 'SYSTEM_ACTIVE', timestamp: base + 5000, session_id: 's', sequence_id: 2 },
+      { id: 's-3', event_type: 'SYSTEM_IDLE', timestamp: base + 9000, session_id: 's', sequence_id: 3, payload: { idle_state: 'idle', idle_time: 60000 } }
+    ];
+
+    const [pageIdle, pageActive, systemIdle] = stored.map(migrateEvent);
+
+    expect(pageIdle).toMatchObject({ id: 's-1', event_type: 'PAGE_IDLE', schema_version: SCHEMA_VERSION, payload: { idle_time: 60000 } });
+    expect(pageActive).toMatchObject({ event_type: 'PAGE_ACTIVE', url: '', tab_id: 0, payload: { idle_duration: 0 } });
+    expect(systemIdle.event_type).toBe('SYSTEM_IDLE');
+
+    // Current events are returned as they are
+    const current = createEvent(EVENT_TYPES.COPY, {}, { timestamp: base });
+    expect(migrateEvent(current)).toBe(current);
+  });
+});
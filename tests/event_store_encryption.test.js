@@ -0,0 +1,142 @@
+import { IDBFactory } from 'fake-indexeddb';
+import 'fake-indexeddb/auto';
+import { describe, beforeEach, test, expect, vi } from 'vitest';
+import { createEvent } from '../src/events/schema.js';
+import { createSessionRecord, updateSessionSummary } from '../src/events/sessions.js';
+
+// Few iterations keep the tests fast
+vi.mock('../src/events/encryption.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  DEFAULT_KDF_ITERATIONS: 1000
+}));
+
+// Mock session storage, kept across service worker restarts
+const storage = new Map();
+
+global.chrome = {
+  storage: {
+    session: {
+      get: vi.fn((key) => Promise.resolve({ [key]: storage.get(key) })),
+      set: vi.fn((items) => {
+        Object.entries(items).forEach(([key, value]) => storage.set(key, structuredClone(value)));
+        return Promise.resolve();
+      }),
+      remove: vi.fn((key) => {
+        storage.delete(key);
+        return Promise.resolve();
+      })
+    }
+  }
+};
+
+const base = Date.UTC(2024, 0, 8, 10, 0, 0);
+const PASSPHRASE = 'correct horse';
+
+const events = (count, sessionId = 'session-1') => Array.from({ length: count }, (_, i) => ({
+  ...createEvent('PAGE_VISIT', { page_title: 'Spec' }, {
+    timestamp: base + i * 1000,
+    url: 'https://docs.example.com/spec',
+    tab_id: 7,
+    session_id: sessionId,
+    sequence_id: i
+  }),
+  id: `${sessionId}-${i}`
+}));
+
+const session = (sessionId, startTime = base) => {
+  return updateSessionSummary(createSessionRecord(sessionId, 7, startTime), events(2, sessionId));
+};
+
+// Load the storage module as a restarted service worker would
+const startWorker = async () => {
+  vi.resetModules();
+  return import('../src/events/storage.js');
+};
+
+// Read the records of an object store as stored
+const readStored = (storeName) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('FocusNudgeEvents');
+  request.onsuccess = () => {
+    const db = request.result;
+    const getAll = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+    getAll.onsuccess = () => {
+      db.close();
+      resolve(getAll.result);
+    };
+    getAll.onerror = () => reject(getAll.error);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+// Wait for the background re-encryption walk
+const waitForReencryption = async (store) => {
+  for (let i = 0; i < 100 && (await store.getEncryptionStatus()).reencrypting; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect((await store.getEncryptionStatus()).reencrypting).toBe(false);
+};
+
+describe('Event Store Encryption Tests', () => {
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    storage.clear();
+  });
+
+  test('should encrypt session summaries and hold new sessions while locked', async () => {
+    const store = await startWorker();
+    await store.storeSession(session('session-1'));
+    await store.enableEncryption(PASSPHRASE);
+    await waitForReencryption(store);
+
+    await store.storeSession(session('session-2', base + 1000));
+    const stored = await readStored('sessions');
+    expect(stored.map(record => record.encryption)).toEqual([1, 1]);
+    expect(JSON.stringify(stored)).not.toContain('docs.example.com');
+    expect(await store.getSession('session-1')).toEqual(session('session-1'));
+    expect(await store.getSessions()).toEqual([session('session-1'), session('session-2', base + 1000)]);
+
+    // Encrypted sessions can't be read while locked; new ones wait in memory
+    await store.lockEncryption();
+    expect(await store.getSession('session-1')).toBeNull();
+    await store.storeSession(session('session-3', base + 2000));
+    expect(await store.getSessions()).toEqual([session('session-3', base + 2000)]);
+    expect(await readStored('sessions')).toHaveLength(2);
+
+    await store.unlockEncryption(PASSPHRASE);
+    expect((await readStored('sessions')).every(record => record.encryption === 1)).toBe(true);
+    expect(await store.getSessions()).toHaveLength(3);
+
+    // Forgetting a site reads and rewrites the encrypted summaries
+    expect((await store.forgetSites(hostname => hostname === 'docs.example.com')).sessions).toBe(3);
+    expect((await store.getSession('session-2')).summary.domains).toEqual({});
+
+    await store.disableEncryption(PASSPHRASE);
+    await waitForReencryption(store);
+    expect((await readStored('sessions')).some(record => record.encryption)).toBe(false);
+    expect((await store.getSession('session-3')).tab_id).toBe(7);
+  });
+
+  test('should count the events held while locked that are lost', async () => {
+    let store = await startWorker();
+    await store.enableEncryption(PASSPHRASE);
+    await waitForReencryption(store);
+    await store.lockEncryption();
+
+    await store.storeEvents(events(3));
+    expect(await store.getEncryptionStatus()).toMatchObject({ locked: true, pendingEvents: 3, lostEvents: 0 });
+
+    // The worker stops before the store is unlocked
+    store = await startWorker();
+    expect(await store.getEncryptionStatus()).toMatchObject({ locked: true, pendingEvents: 0, lostEvents: 3 });
+    store = await startWorker();
+    expect((await store.getEncryptionStatus()).lostEvents).toBe(3);
+
+    // Only the newest maxPendingEvents are held
+    await store.storeEvents(events(5002, 'session-2'));
+    expect(await store.getEncryptionStatus()).toMatchObject({ pendingEvents: 5000, lostEvents: 5 });
+
+    await store.unlockEncryption(PASSPHRASE);
+    expect(await store.getEncryptionStatus()).toMatchObject({ locked: false, pendingEvents: 0, lostEvents: 0 });
+    expect(await readStored('events')).toHaveLength(5000);
+  });
+});
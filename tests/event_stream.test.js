@@ -0,0 +1,89 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import {
+  initialize,
+  cleanup,
+  trackEvent,
+  flushEvents,
+  getSessionInfo
+} from '../src/events/eventStream.js';
+
+const base = Date.UTC(2024, 0, 8, 10, 0, 0);
+
+/**
+ * Stub the chrome API with a service worker that answers with the given handler
+ */
+function stubChrome(handleMessage) {
+  const messages = [];
+  const chrome = {
+    runtime: {
+      lastError: null,
+      getURL: path => new URL(`../${path}`, import.meta.url).href,
+      sendMessage: (message, callback) => {
+        messages.push(message);
+        const response = handleMessage(message);
+        if (response instanceof Error) {
+          chrome.runtime.lastError = { message: response.message };
+          callback(undefined);
+          chrome.runtime.lastError = null;
+        } else {
+          callback(response);
+        }
+      }
+    }
+  };
+  vi.stubGlobal('chrome', chrome);
+  return messages;
+}
+
+describe('Event Stream Tests', () => {
+  afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  test('should adopt the tab session and send sampled events in one batch', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(base);
+    const messages = stubChrome(message => message.type === 'GET_TAB_INFO'
+      ? { success: true, tabId: 7, sessionId: 'tab-session' }
+      : { success: true, accepted: message.events.length, rejected: 0, sessionId: 'tab-session' });
+
+    expect(await initialize()).toBe(true);
+
+    // Mouse moves are sampled every 500ms
+    expect(trackEvent('MOUSE_MOVE', { x: 1, y: 2 })).not.toBeNull();
+    expect(trackEvent('MOUSE_MOVE', { x: 3, y: 4 })).toBeNull();
+    expect(trackEvent('COPY')).not.toBeNull();
+
+    expect(await flushEvents()).toBe(true);
+
+    const batches = messages.filter(message => message.type === 'TRACK_EVENTS');
+    expect(batches).toHaveLength(1);
+    expect(batches[0].events.map(event => event.event_type)).toEqual(['MOUSE_MOVE', 'COPY']);
+    expect(batches[0].events[0]).toMatchObject({ session_id: 'tab-session', tab_id: 7, timestamp: base });
+    expect(getSessionInfo()).toMatchObject({ sessionId: 'tab-session', trackedCount: 2, bufferSize: 0 });
+  });
+
+  test('should keep events while the service worker is unreachable and follow session changes', async () => {
+    let reachable = false;
+    stubChrome(message => {
+      if (message.type === 'GET_TAB_INFO') return { success: true, tabId: 7, sessionId: 'old-session' };
+      return reachable
+        ? { success: true, accepted: message.events.length, rejected: 0, sessionId: 'new-session' }
+        : new Error('Could not establish connection. Receiving end does not exist.');
+    });
+
+    await initialize();
+    trackEvent('PASTE');
+
+    expect(await flushEvents()).toBe(false);
+    expect(getSessionInfo().bufferSize).toBe(1);
+
+    // The session timed out in the service worker, so later events use the new one
+    reachable = true;
+    expect(await flushEvents()).toBe(true);
+    expect(getSessionInfo()).toMatchObject({ sessionId: 'new-session', bufferSize: 0 });
+    expect(trackEvent('PASTE').session_id).toBe('new-session');
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, test, expect } from 'vitest';
+import {
+  createExplanation,
+  combineExplanations,
+  formatExplanation
+} from '../models/explanation.js';
+
+const MINUTE = 60 * 1000;
+
+describe('Prediction Explanation Tests', () => {
+  test('should keep the top contributing features', () => {
+    const explanation = createExplanation(
+      { timeSpent: 0.35, scrollCount: 0.2, clickCount: -0.05, tabSwitches: 0.001, idleTime: 0.02 },
+      { timeSpent: 22 * MINUTE, scrollCount: 80, clickCount: 2, idleTime: 0 },
+      0.1
+    );
+
+    expect(explanation.features.map(feature => feature.name)).toEqual(['timeSpent', 'scrollCount', 'clickCount']);
+    expect(formatExplanation(explanation))
+      .toBe('timeSpent 22m (+0.35), scrollCount 80 (+0.2), clickCount 2 (-0.05), domain adjustment (+0.1)');
+  });
+
+  test('should combine explanations by each model\'s share', () => {
+    const combined = combineExplanations([
+      { explanation: createExplanation({ timeSpent: 0.4 }, { timeSpent: 20 * MINUTE }, 0.2), share: 0.5 },
+      { explanation: createExplanation({ timeSpent: 0.2, scrollCount: 0.3 }, { timeSpent: 20 * MINUTE, scrollCount: 60 }), share: 0.5 },
+      { explanation: null, share: 0 }
+    ]);
+
+    expect(combined.features).toEqual([
+      { name: 'timeSpent', value: 20 * MINUTE, contribution: 0.3 },
+      { name: 'scrollCount', value: 60, contribution: 0.15 }
+    ]);
+    expect(combined.domainAdjustment).toBe(0.1);
+    expect(combineExplanations([{ explanation: null, share: 1 }])).toBeNull();
+  });
+});
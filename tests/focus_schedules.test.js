@@ -0,0 +1,50 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getActiveScheduleWindow,
+  getNextScheduleBoundary
+} from '../src/features/focusSchedules.js';
+
+// Local time helper; 2024-01-08 is a Monday
+const at = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2024, 0, day, hours, minutes).getTime();
+};
+
+const deepWork = { id: 'deep-work', taskId: 'task-deep', days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' };
+const meetingPrep = { id: 'prep', taskId: 'task-prep', days: [1], start: '10:00', end: '10:30' };
+const lateNight = { id: 'late', taskId: 'task-late', days: [5], start: '22:00', end: '01:00' };
+
+describe('Focus Schedule Tests', () => {
+  test('should find the window for the current day and time', () => {
+    expect(getActiveScheduleWindow([deepWork], at(8, '10:00')).entry.id).toBe('deep-work');
+    expect(getActiveScheduleWindow([deepWork], at(8, '12:00'))).toBeNull();
+    expect(getActiveScheduleWindow([deepWork], at(13, '10:00'))).toBeNull(); // Saturday
+  });
+
+  test('should prefer the most recently started overlapping entry', () => {
+    const schedules = [deepWork, meetingPrep];
+
+    expect(getActiveScheduleWindow(schedules, at(8, '10:15')).entry.id).toBe('prep');
+    expect(getActiveScheduleWindow(schedules, at(8, '10:45')).entry.id).toBe('deep-work');
+  });
+
+  test('should handle windows that run past midnight', () => {
+    const activeWindow = getActiveScheduleWindow([lateNight], at(13, '00:30'));
+
+    expect(activeWindow.entry.id).toBe('late');
+    expect(activeWindow.start).toBe(at(12, '22:00'));
+    expect(activeWindow.end).toBe(at(13, '01:00'));
+  });
+
+  test('should find the next boundary across overlaps and days', () => {
+    const schedules = [deepWork, meetingPrep];
+
+    expect(getNextScheduleBoundary(schedules, at(8, '10:15'))).toBe(at(8, '10:30'));
+    expect(getNextScheduleBoundary(schedules, at(8, '12:00'))).toBe(at(9, '09:00'));
+    expect(getNextScheduleBoundary([], at(8, '12:00'))).toBeNull();
+  });
+
+  test('should ignore disabled entries', () => {
+    expect(getActiveScheduleWindow([{ ...deepWork, enabled: false }], at(8, '10:00'))).toBeNull();
+  });
+});
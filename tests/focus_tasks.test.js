@@ -0,0 +1,40 @@
+import { describe, test, expect } from 'vitest';
+import {
+  evaluateTaskRelevance,
+  TASK_RELEVANCE,
+  BUILT_IN_TASKS
+} from '../src/features/focusTasks.js';
+
+const reportTask = {
+  id: 'task-q3',
+  name: 'Write Q3 report',
+  allowedDomains: ['docs.google.com'],
+  allowedPaths: ['github.com/acme/reports/*', '/wiki/*'],
+  blockedDomains: ['news.ycombinator.com']
+};
+
+describe('Focus Task Relevance Tests', () => {
+  test('should allow domains and their subdomains', () => {
+    expect(evaluateTaskRelevance(reportTask, 'https://docs.google.com/document/d/1')).toBe(TASK_RELEVANCE.ALLOWED);
+    expect(evaluateTaskRelevance(BUILT_IN_TASKS.job_application, 'https://www.linkedin.com/jobs')).toBe(TASK_RELEVANCE.ALLOWED);
+  });
+
+  test('should not match domains that only share a suffix string', () => {
+    expect(evaluateTaskRelevance(reportTask, 'https://notdocs.google.com/')).toBe(TASK_RELEVANCE.NEUTRAL);
+  });
+
+  test('should allow matching URL paths only', () => {
+    expect(evaluateTaskRelevance(reportTask, 'https://github.com/acme/reports/pull/4')).toBe(TASK_RELEVANCE.ALLOWED);
+    expect(evaluateTaskRelevance(reportTask, 'https://github.com/acme/website')).toBe(TASK_RELEVANCE.NEUTRAL);
+    expect(evaluateTaskRelevance(reportTask, 'https://intranet.example.com/wiki/Q3')).toBe(TASK_RELEVANCE.ALLOWED);
+  });
+
+  test('should flag blocked domains', () => {
+    expect(evaluateTaskRelevance(reportTask, 'https://news.ycombinator.com/item?id=1')).toBe(TASK_RELEVANCE.BLOCKED);
+  });
+
+  test('should fall back to the domain when no URL is available', () => {
+    expect(evaluateTaskRelevance(reportTask, '', 'docs.google.com')).toBe(TASK_RELEVANCE.ALLOWED);
+    expect(evaluateTaskRelevance(null, '', 'docs.google.com')).toBe(TASK_RELEVANCE.NEUTRAL);
+  });
+});
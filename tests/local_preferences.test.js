@@ -0,0 +1,68 @@
+import { describe, beforeEach, test, expect, vi } from 'vitest';
+import { saveLocalPreferences, getFocusModePreferences } from '../src/features/preferences.js';
+
+// Mock storage
+const storage = new Map();
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn((key) => Promise.resolve({ [key]: storage.get(key) })),
+      set: vi.fn((items) => {
+        Object.entries(items).forEach(([key, value]) => storage.set(key, value));
+        return Promise.resolve();
+      })
+    }
+  }
+};
+
+const popupPreferences = {
+  nudgingEnabled: false,
+  nudgeFrequency: 'low',
+  quietHours: { enabled: true, start: '21:00', end: '08:00' }
+};
+
+describe('Local Preferences Tests', () => {
+  beforeEach(() => {
+    storage.clear();
+    storage.set('userPreferences', popupPreferences);
+  });
+
+  test('should keep the popup settings when focus mode starts and stops', async () => {
+    await saveLocalPreferences(getFocusModePreferences({
+      active: true,
+      startTime: 1000,
+      endTime: 5000,
+      taskType: 'writing',
+      taskId: 'task-1',
+      task: { id: 'task-1', name: 'Write report' },
+      strict: true
+    }));
+
+    expect(storage.get('userPreferences')).toEqual({
+      ...popupPreferences,
+      focusMode: true,
+      focusModeStartTime: 1000,
+      focusModeEndTime: 5000,
+      currentTaskType: 'writing',
+      currentTaskId: 'task-1',
+      currentTaskName: 'Write report',
+      strictMode: true
+    });
+
+    await saveLocalPreferences(getFocusModePreferences({ active: false, strict: false, task: null }));
+
+    expect(storage.get('userPreferences')).toMatchObject({
+      ...popupPreferences,
+      focusMode: false,
+      currentTaskName: null,
+      strictMode: false
+    });
+  });
+
+  test('should start from empty preferences', async () => {
+    storage.clear();
+
+    expect(await saveLocalPreferences({ nudgeFrequency: 'high' })).toEqual({ nudgeFrequency: 'high' });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, test, expect } from 'vitest';
+import ModelManager, { MODEL_TYPES, ENSEMBLE_METHODS } from '../models/ModelManager.js';
+
+const input = {
+  events: [],
+  features: { domain: 'example.com' },
+  sessionData: {},
+  userPreferences: { distractionThreshold: 0.5 }
+};
+
+// Stand-in model returning a fixed prediction
+const fixedModel = (probability, confidence = 0.8) => ({
+  version: '1.0.0',
+  isLoaded: true,
+  predict: () => ({ isDistraction: probability > 0.5, probability, confidence })
+});
+
+const createManager = (members, config) => {
+  const manager = new ModelManager();
+  manager.models = { ...members, [MODEL_TYPES.ENSEMBLE]: { version: '0.1.0', isLoaded: true } };
+  manager.ensembleConfig = { ...manager.ensembleConfig, ...config };
+  manager.activeModelType = MODEL_TYPES.ENSEMBLE;
+  manager.isInitialized = true;
+  return manager;
+};
+
+describe('Model Ensemble Tests', () => {
+  test('should average registered models by weight and report contributions', async () => {
+    const manager = createManager(
+      { first: fixedModel(0.9), second: fixedModel(0.3) },
+      { weights: { first: 3, second: 1 } }
+    );
+
+    const prediction = await manager.predict(input);
+
+    expect(prediction.probability).toBeCloseTo(0.75);
+    expect(prediction.contributions.map(c => c.modelType)).toEqual(['first', 'second']);
+    expect(prediction.contributions[0].contribution).toBeCloseTo(0.675);
+    expect(prediction.contributions[1].contribution).toBeCloseTo(0.075);
+    expect(prediction.disagreement).toBeCloseTo(0.6);
+    expect(prediction.modelsDisagree).toBe(true);
+  });
+
+  test('should leave out models without enough data', async () => {
+    const manager = createManager(
+      { first: fixedModel(0.8), second: fixedModel(0, 0) },
+      { weights: { first: 1, second: 1 } }
+    );
+
+    const prediction = await manager.predict(input);
+
+    expect(prediction.probability).toBeCloseTo(0.8);
+    expect(prediction.contributions).toHaveLength(1);
+    expect(prediction.modelsDisagree).toBe(false);
+  });
+
+  test('should stack member log-odds', async () => {
+    const manager = createManager(
+      { first: fixedModel(0.8), second: fixedModel(0.5) },
+      {
+        method: ENSEMBLE_METHODS.STACKING,
+        weights: { first: 1, second: 1 },
+        stacking: { intercept: 0, coefficients: { first: 2, second: 1 } }
+      }
+    );
+
+    const prediction = await manager.predict(input);
+
+    // sigmoid(2 * logit(0.8)) = 0.8^2 / (0.8^2 + 0.2^2)
+    expect(prediction.probability).toBeCloseTo(0.64 / 0.68);
+    expect(prediction.method).toBe(ENSEMBLE_METHODS.STACKING);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, test, expect } from 'vitest';
+import ModelRegistry, { REGISTRY_LIMITS } from '../models/ModelRegistry.js';
+
+const trainedForest = (revision) => ({
+  modelType: 'random-forest',
+  version: `0.2.0-user.${revision}`,
+  trainedAt: revision,
+  artifact: { trees: [], baseVersion: '0.2.0' }
+});
+
+describe('Model Registry Tests', () => {
+  test('should promote versions and roll back to the previous one', () => {
+    const registry = new ModelRegistry();
+    registry.register({ modelType: 'random-forest', version: '0.2.0' });
+    registry.register({ modelType: 'rule-based', version: '0.1.0' });
+
+    registry.promote('random-forest@0.2.0');
+    registry.promote('rule-based@0.1.0');
+    expect(registry.getActive().id).toBe('rule-based@0.1.0');
+
+    expect(registry.rollback().id).toBe('random-forest@0.2.0');
+    expect(registry.activeId).toBe('random-forest@0.2.0');
+    expect(() => registry.rollback()).toThrow(/no earlier model version/);
+  });
+
+  test('should keep shadow versions apart from the active one', () => {
+    const registry = new ModelRegistry();
+    registry.register({ modelType: 'random-forest', version: '0.2.0' });
+    registry.register(trainedForest(1));
+    registry.promote('random-forest@0.2.0');
+
+    registry.setShadow('random-forest@0.2.0-user.1', true);
+    registry.recordShadowResult('random-forest@0.2.0-user.1', true);
+    registry.recordShadowResult('random-forest@0.2.0-user.1', false);
+
+    expect(() => registry.setShadow('random-forest@0.2.0', true)).toThrow(/active/);
+    expect(registry.get('random-forest@0.2.0-user.1').metrics.shadow).toEqual({ predictions: 2, agreements: 1 });
+
+    registry.promote('random-forest@0.2.0-user.1');
+    expect(registry.shadowIds).toEqual([]);
+    expect(registry.getCurrent('random-forest').id).toBe('random-forest@0.2.0-user.1');
+  });
+
+  test('should drop old trained versions that are not in use', () => {
+    const registry = new ModelRegistry();
+    registry.register(trainedForest(1));
+    registry.promote('random-forest@0.2.0-user.1');
+
+    for (let revision = 2; revision <= REGISTRY_LIMITS.maxTrainedVersions + 2; revision++) {
+      registry.register(trainedForest(revision));
+    }
+
+    const versions = registry.list().map(version => version.version);
+    expect(versions).toHaveLength(REGISTRY_LIMITS.maxTrainedVersions);
+    expect(versions).toContain('0.2.0-user.1');
+    expect(versions).not.toContain('0.2.0-user.2');
+    expect(registry.list()[0]).not.toHaveProperty('artifact');
+  });
+});
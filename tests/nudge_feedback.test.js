@@ -0,0 +1,107 @@
+import { describe, beforeEach, test, expect, vi } from 'vitest';
+import {
+  NUDGE_RESPONSES,
+  RESPONSE_WEIGHTS,
+  THRESHOLD_ADAPTATION,
+  MAX_RECORDS,
+  loadNudgeFeedback,
+  recordNudgeShown,
+  recordNudgeResponse,
+  computeThresholdShifts,
+  getEffectiveThreshold
+} from '../src/features/nudgeFeedback.js';
+
+// Mock storage
+const storage = new Map();
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn((key) => Promise.resolve({ [key]: storage.get(key) })),
+      set: vi.fn((items) => {
+        Object.entries(items).forEach(([key, value]) => storage.set(key, value));
+        return Promise.resolve();
+      })
+    }
+  }
+};
+
+const { maxShift, priorWeight, recentResponses } = THRESHOLD_ADAPTATION;
+
+const responses = (domain, ...list) => list.map(response => ({ domain, response }));
+const repeat = (count, response) => Array(count).fill(response);
+
+describe('Nudge Feedback Tests', () => {
+  beforeEach(() => {
+    storage.clear();
+  });
+
+  test('should weigh each response, ignoring unanswered nudges', () => {
+    const shifts = computeThresholdShifts([
+      ...responses('useful.example.com', NUDGE_RESPONSES.USEFUL),
+      ...responses('refocus.example.com', NUDGE_RESPONSES.REFOCUS),
+      ...responses('wrong.example.com', NUDGE_RESPONSES.WRONG),
+      ...responses('dismiss.example.com', NUDGE_RESPONSES.DISMISS),
+      ...responses('unanswered.example.com', null),
+      ...responses(null, NUDGE_RESPONSES.WRONG)
+    ]);
+
+    expect(Object.keys(shifts).sort()).toEqual([
+      'dismiss.example.com', 'refocus.example.com', 'useful.example.com', 'wrong.example.com'
+    ]);
+    for (const response of Object.values(NUDGE_RESPONSES)) {
+      expect(shifts[`${response}.example.com`]).toBeCloseTo(RESPONSE_WEIGHTS[response] / (1 + priorWeight) * maxShift);
+    }
+    expect(shifts['useful.example.com']).toBeLessThan(0);
+    expect(shifts['dismiss.example.com']).toBeLessThan(shifts['wrong.example.com']);
+  });
+
+  test('should shrink shifts towards zero until a domain has several responses', () => {
+    const shiftAfter = count => computeThresholdShifts(responses('a.example.com', ...repeat(count, NUDGE_RESPONSES.WRONG)))['a.example.com'];
+
+    expect(shiftAfter(1)).toBeCloseTo(maxShift / (1 + priorWeight));
+    expect(shiftAfter(5)).toBeCloseTo(maxShift * 5 / (5 + priorWeight));
+    expect(shiftAfter(1)).toBeLessThan(shiftAfter(5));
+    expect(shiftAfter(5)).toBeLessThan(shiftAfter(recentResponses));
+  });
+
+  test('should keep shifts within maxShift and thresholds within their bounds', () => {
+    const shifts = computeThresholdShifts([
+      ...responses('wrong.example.com', ...repeat(200, NUDGE_RESPONSES.WRONG)),
+      ...responses('useful.example.com', ...repeat(200, NUDGE_RESPONSES.USEFUL))
+    ]);
+
+    expect(shifts['wrong.example.com']).toBeLessThanOrEqual(maxShift);
+    expect(shifts['useful.example.com']).toBeGreaterThanOrEqual(-maxShift);
+    expect(getEffectiveThreshold(shifts, 'wrong.example.com', 0.7)).toBeCloseTo(0.7 + shifts['wrong.example.com']);
+    expect(getEffectiveThreshold(shifts, 'wrong.example.com', 0.9)).toBe(THRESHOLD_ADAPTATION.maxThreshold);
+    expect(getEffectiveThreshold(shifts, 'useful.example.com', 0.4)).toBe(THRESHOLD_ADAPTATION.minThreshold);
+    expect(getEffectiveThreshold(shifts, 'other.example.com', 0.7)).toBe(0.7);
+  });
+
+  test('should only count the most recent responses per domain', () => {
+    const shifts = computeThresholdShifts(responses('a.example.com',
+      ...repeat(recentResponses, NUDGE_RESPONSES.USEFUL),
+      ...repeat(recentResponses, NUDGE_RESPONSES.WRONG)
+    ));
+
+    expect(shifts['a.example.com']).toBeCloseTo(maxShift * recentResponses / (recentResponses + priorWeight));
+  });
+
+  test('should keep the newest records up to the cap, and ratings over dismissals', async () => {
+    for (let i = 0; i < MAX_RECORDS + 5; i++) {
+      await recordNudgeShown({ id: `nudge-${i}`, domain: 'a.example.com', type: 'reminder', distractionScore: 0.8, timestamp: i }, 0.7);
+    }
+
+    const records = await loadNudgeFeedback();
+    expect(records).toHaveLength(MAX_RECORDS);
+    expect(records[0].id).toBe('nudge-5');
+    expect(await recordNudgeResponse('nudge-0', NUDGE_RESPONSES.USEFUL)).toBeNull();
+
+    expect((await recordNudgeResponse('nudge-5', NUDGE_RESPONSES.WRONG)).response).toBe(NUDGE_RESPONSES.WRONG);
+    expect((await recordNudgeResponse('nudge-5', NUDGE_RESPONSES.DISMISS)).response).toBe(NUDGE_RESPONSES.WRONG);
+    expect((await recordNudgeResponse('nudge-6', NUDGE_RESPONSES.DISMISS)).response).toBe(NUDGE_RESPONSES.DISMISS);
+    expect((await recordNudgeResponse('nudge-6', NUDGE_RESPONSES.USEFUL)).response).toBe(NUDGE_RESPONSES.USEFUL);
+    await expect(recordNudgeResponse('nudge-7', 'maybe')).rejects.toThrow('Unknown nudge response');
+  });
+});
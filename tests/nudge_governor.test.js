@@ -0,0 +1,56 @@
+import { describe, test, expect } from 'vitest';
+import {
+  evaluateNudge,
+  isWithinQuietHours,
+  SUPPRESSION_REASONS
+} from '../src/features/nudgeGovernor.js';
+
+const MINUTE = 60 * 1000;
+
+// Local time helper on 2024-01-08
+const at = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2024, 0, 8, hours, minutes).getTime();
+};
+
+const shown = (domain, time, response = null) => ({ domain, timestamp: at(time), response });
+
+describe('Nudge Governor Tests', () => {
+  test('should enforce global and per-domain intervals', () => {
+    const records = [shown('youtube.com', '10:00', 'dismiss')];
+
+    expect(evaluateNudge(records, 'reddit.com', {}, at('10:03')).reason).toBe(SUPPRESSION_REASONS.GLOBAL_INTERVAL);
+    expect(evaluateNudge(records, 'youtube.com', {}, at('10:10')).reason).toBe(SUPPRESSION_REASONS.DOMAIN_INTERVAL);
+    expect(evaluateNudge(records, 'reddit.com', {}, at('10:10')).allowed).toBe(true);
+    expect(evaluateNudge(records, 'youtube.com', {}, at('10:15')).allowed).toBe(true);
+  });
+
+  test('should stop at the daily budget', () => {
+    const records = Array.from({ length: 10 }, (_, i) => ({
+      domain: `site${i}.com`,
+      timestamp: at('08:00') + i * 30 * MINUTE,
+      response: 'useful'
+    }));
+
+    expect(evaluateNudge(records, 'other.com', { nudgeFrequency: 'low' }, at('18:00')).reason)
+      .toBe(SUPPRESSION_REASONS.DAILY_BUDGET);
+    expect(evaluateNudge(records, 'other.com', { nudgeFrequency: 'medium' }, at('18:00')).allowed).toBe(true);
+  });
+
+  test('should escalate after repeated ignores and reset on a response', () => {
+    const ignored = [shown('reddit.com', '09:00'), shown('reddit.com', '09:20')];
+
+    expect(evaluateNudge(ignored, 'reddit.com', {}, at('10:00')).escalationLevel).toBe(1);
+    expect(evaluateNudge([...ignored, shown('reddit.com', '09:40', 'refocus')], 'reddit.com', {}, at('10:00')).escalationLevel).toBe(0);
+  });
+
+  test('should honour quiet hours that run past midnight', () => {
+    const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+
+    expect(isWithinQuietHours(quietHours, at('23:30'))).toBe(true);
+    expect(isWithinQuietHours(quietHours, at('06:59'))).toBe(true);
+    expect(isWithinQuietHours(quietHours, at('07:00'))).toBe(false);
+    expect(isWithinQuietHours({ ...quietHours, enabled: false }, at('23:30'))).toBe(false);
+    expect(evaluateNudge([], 'reddit.com', { quietHours }, at('23:30')).reason).toBe(SUPPRESSION_REASONS.QUIET_HOURS);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, test, expect } from 'vitest';
+import {
+  startPomodoro,
+  advancePomodoro,
+  isBreakPhase,
+  normalizePomodoroConfig,
+  POMODORO_PHASES
+} from '../src/features/pomodoro.js';
+
+const MINUTE = 60 * 1000;
+
+const config = {
+  workDuration: 25 * MINUTE,
+  shortBreakDuration: 5 * MINUTE,
+  longBreakDuration: 15 * MINUTE,
+  longBreakEvery: 2
+};
+
+describe('Pomodoro Tests', () => {
+  test('should start with a work interval', () => {
+    const state = startPomodoro(config, 0);
+
+    expect(state.phase).toBe(POMODORO_PHASES.WORK);
+    expect(state.cycle).toBe(1);
+    expect(state.phaseEndTime).toBe(25 * MINUTE);
+    expect(isBreakPhase(state)).toBe(false);
+  });
+
+  test('should alternate work and breaks with a long break every N cycles', () => {
+    let state = startPomodoro(config, 0);
+    const phases = [];
+
+    for (let i = 0; i < 5; i++) {
+      state = advancePomodoro(state, state.phaseEndTime);
+      phases.push(state.phase);
+    }
+
+    expect(phases).toEqual([
+      POMODORO_PHASES.SHORT_BREAK,
+      POMODORO_PHASES.WORK,
+      POMODORO_PHASES.LONG_BREAK,
+      POMODORO_PHASES.WORK,
+      POMODORO_PHASES.SHORT_BREAK
+    ]);
+    expect(state.completedCycles).toBe(3);
+    expect(isBreakPhase(state)).toBe(true);
+  });
+
+  test('should time breaks from when the previous phase ended', () => {
+    const state = advancePomodoro(startPomodoro(config, 0), 26 * MINUTE);
+
+    expect(state.phaseStartTime).toBe(26 * MINUTE);
+    expect(state.phaseEndTime).toBe(31 * MINUTE);
+  });
+
+  test('should finish after the configured number of cycles', () => {
+    let state = startPomodoro({ ...config, totalCycles: 2 }, 0);
+
+    state = advancePomodoro(state, state.phaseEndTime); // short break
+    state = advancePomodoro(state, state.phaseEndTime); // work, cycle 2
+    state = advancePomodoro(state, state.phaseEndTime); // done
+
+    expect(state.finished).toBe(true);
+    expect(state.completedCycles).toBe(2);
+    expect(isBreakPhase(state)).toBe(false);
+  });
+
+  test('should fill in defaults for invalid configuration', () => {
+    const normalized = normalizePomodoroConfig({ workDuration: -1, longBreakEvery: 0, shortBreakDuration: 1000 });
+
+    expect(normalized.workDuration).toBe(25 * MINUTE);
+    expect(normalized.longBreakEvery).toBe(1);
+    expect(normalized.shortBreakDuration).toBe(MINUTE);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, beforeEach, test, expect, vi } from 'vitest';
+import {
+  CAPTURE_LEVELS,
+  DEFAULT_PRIVACY_SETTINGS,
+  savePrivacySettings,
+  loadPrivacySettings,
+  getCaptureLevel,
+  getSensitiveContext,
+  applyPrivacySettings,
+  stripQueryString,
+  scrubPII
+} from '../src/features/privacy.js';
+import { createEvent } from '../src/events/schema.js';
+
+// Mock storage
+const storage = new Map();
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn((key) => Promise.resolve({ [key]: storage.get(key) })),
+      set: vi.fn((items) => {
+        Object.entries(items).forEach(([key, value]) => storage.set(key, value));
+        return Promise.resolve();
+      })
+    }
+  }
+};
+
+const visit = (url, payload = {}) => createEvent('PAGE_VISIT', {
+  page_title: 'Inbox (3) - jane.doe@example.com',
+  domain: new URL(url).hostname,
+  referrer: 'https://search.example.com/?q=symptoms',
+  page_text: 'Call 555-123-4567 or pay with 4111 1111 1111 1111, order 1234 5678 9012 3456',
+  ...payload
+}, { url, tab_id: 7, session_id: 'session-1', sequence_id: 1 });
+
+describe('Privacy Controls Tests', () => {
+  beforeEach(async () => {
+    storage.clear();
+    await savePrivacySettings(DEFAULT_PRIVACY_SETTINGS);
+  });
+
+  test('should scrub emails, phone numbers and Luhn-valid card numbers', () => {
+    expect(scrubPII('Mail jane.doe+work@mail.example.co.uk today')).toBe('Mail [email] today');
+    expect(scrubPII('Call +1 (555) 123-4567 or 020 7946 0958')).toBe('Call [phone] or [phone]');
+    expect(scrubPII('Card 4111-1111-1111-1111, ref 1234 5678 9012 3456'))
+      .toBe('Card [card], ref 1234 5678 9012 3456');
+    expect(scrubPII('Meeting on 2024-01-08 at 10:30 in room 42')).toBe('Meeting on 2024-01-08 at 10:30 in room 42');
+  });
+
+  test('should keep page text at the full level with queries stripped and PII scrubbed', () => {
+    const event = applyPrivacySettings(visit('https://mail.example.com/inbox?session=abc#message-1'));
+
+    expect(event.url).toBe('https://mail.example.com/inbox');
+    expect(event.payload).toMatchObject({
+      page_title: 'Inbox (3) - [email]',
+      referrer: 'https://search.example.com/',
+      page_text: 'Call [phone] or pay with [card], order 1234 5678 9012 3456'
+    });
+    expect(stripQueryString('not a url?x=1')).toBe('not a url?x=1');
+  });
+
+  test('should cut URLs and text for lower levels, with the most specific site winning', async () => {
+    await savePrivacySettings({
+      domainLevels: { 'example.com': CAPTURE_LEVELS.DOMAIN, 'https://www.docs.example.com/': CAPTURE_LEVELS.URL }
+    });
+
+    const mail = applyPrivacySettings(visit('https://mail.example.com/inbox?session=abc'));
+    expect(mail.url).toBe('https://mail.example.com');
+    expect(mail.payload).toMatchObject({ page_title: '', page_text: '', domain: 'mail.example.com' });
+    // The referrer's own level is lower than the page's
+    expect(mail.payload.referrer).toBe('https://search.example.com');
+
+    const docs = applyPrivacySettings(visit('https://docs.example.com/spec?tab=2'));
+    expect(docs.url).toBe('https://docs.example.com/spec');
+    expect(docs.payload.page_text).toBe('');
+
+    await savePrivacySettings({ domainLevels: { 'example.com': CAPTURE_LEVELS.NONE } });
+    expect(applyPrivacySettings(visit('https://mail.example.com/'))).toBeNull();
+    expect(applyPrivacySettings(visit('https://example.org/'))).not.toBeNull();
+  });
+
+  test('should exclude banking, health and incognito contexts unless the site has a level', async () => {
+    expect(getSensitiveContext('secure.chase.com')).toBe('banking');
+    expect(getSensitiveContext('online.examplebank.co.uk')).toBe('banking');
+    expect(getSensitiveContext('www.mayoclinic.org')).toBe('health');
+    expect(getSensitiveContext('portal.cityhospital.org')).toBe('health');
+    expect(getSensitiveContext('news.example.com')).toBeNull();
+
+    expect(applyPrivacySettings(visit('https://www.chase.com/'))).toBeNull();
+    expect(applyPrivacySettings(visit('https://docs.example.com/'), { incognito: true })).toBeNull();
+
+    // A link from an ordinary page to an excluded site loses its URL
+    const click = applyPrivacySettings(createEvent('MOUSE_CLICK', {
+      target_text: 'Pay bill',
+      link_url: 'https://www.chase.com/pay'
+    }, { url: 'https://docs.example.com/', tab_id: 7, session_id: 'session-1', sequence_id: 2 }));
+    expect(click.payload).toMatchObject({ target_text: 'Pay bill', link_url: '' });
+
+    await savePrivacySettings({ domainLevels: { 'chase.com': CAPTURE_LEVELS.DOMAIN } });
+    expect(getCaptureLevel('https://secure.chase.com/')).toBe(CAPTURE_LEVELS.DOMAIN);
+
+    await savePrivacySettings({ domainLevels: {}, excludeSensitiveSites: false });
+    expect(getCaptureLevel('https://secure.chase.com/')).toBe(CAPTURE_LEVELS.FULL);
+  });
+
+  test('should persist settings and reject unknown levels', async () => {
+    await savePrivacySettings({ defaultLevel: CAPTURE_LEVELS.URL, domainLevels: { 'WWW.Example.com': 'none' } });
+    expect(storage.get('privacySettings')).toMatchObject({ defaultLevel: 'url', domainLevels: { 'example.com': 'none' } });
+
+    // Missing settings take their defaults
+    storage.set('privacySettings', { defaultLevel: 'domain' });
+    expect(await loadPrivacySettings()).toMatchObject({ defaultLevel: 'domain', domainLevels: {}, scrubPII: true });
+
+    await expect(savePrivacySettings({ defaultLevel: 'everything' })).rejects.toThrow('Unknown capture level');
+    await expect(savePrivacySettings({ domainLevels: { 'not a domain': 'none' } })).rejects.toThrow('Invalid domain');
+  });
+});
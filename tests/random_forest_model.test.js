@@ -0,0 +1,141 @@
+import { readFileSync } from 'fs';
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import RandomForestModel, {
+  parseTreesData,
+  parseFeatureImportance
+} from '../models/random-forest/model.js';
+import OnnxClient from '../models/random-forest/onnxClient.js';
+
+const FEATURE_NAMES = ['timeSpent', 'scrollCount', 'scrollDepth', 'clickCount', 'tabSwitches', 'videoWatchTime'];
+
+// Splits on timeSpent <= 600 seconds, then on clickCount <= 1.5
+const exportedTree = {
+  treeIndex: 0,
+  feature_names: FEATURE_NAMES,
+  children_left: [1, -1, 3, -1, -1],
+  children_right: [2, -1, 4, -1, -1],
+  feature: [0, -2, 3, -2, -2],
+  threshold: [600, -2, 1.5, -2, -2],
+  value: [0.5, 0.1, 0.7, 0.95, 0.4]
+};
+
+describe('Random Forest Model Tests', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('should evaluate exported trees in extension units', async () => {
+    const model = new RandomForestModel();
+    await model.load();
+    model.exportedTrees = parseTreesData([exportedTree]);
+
+    expect(model.predict({ timeSpent: 5 * 60 * 1000, clickCount: 0 }).probability).toBeCloseTo(0.1);
+    expect(model.predict({ timeSpent: 15 * 60 * 1000, clickCount: 0 }).probability).toBeCloseTo(0.95);
+    expect(model.predict({ timeSpent: 15 * 60 * 1000, clickCount: 10 }).probability).toBeCloseTo(0.4);
+  });
+
+  test('should explain predictions by the splits on the path', async () => {
+    const model = new RandomForestModel();
+    await model.load();
+    model.exportedTrees = parseTreesData([exportedTree]);
+
+    const { explanation } = model.predict({ timeSpent: 15 * 60 * 1000, clickCount: 0 });
+
+    expect(explanation.features).toEqual([
+      { name: 'clickCount', value: 0, contribution: 0.25 },
+      { name: 'timeSpent', value: 15 * 60 * 1000, contribution: 0.2 }
+    ]);
+    expect(explanation.domainAdjustment).toBe(0);
+  });
+
+  test('should ship exported trees the evaluator can load', async () => {
+    const shipped = JSON.parse(readFileSync(new URL('../models/random-forest/model_data/trees_data.json', import.meta.url)));
+    const model = new RandomForestModel();
+    await model.load();
+    model.exportedTrees = parseTreesData(shipped);
+
+    expect(model.exportedTrees).toHaveLength(100);
+    expect(model.predict({ timeSpent: 2 * 60 * 1000, scrollCount: 5, scrollDepth: 0.3, clickCount: 6 }).isDistraction).toBe(false);
+    expect(model.predict({
+      timeSpent: 20 * 60 * 1000, scrollCount: 60, scrollDepth: 0.9, clickCount: 0, tabSwitches: 8, videoWatchTime: 400
+    }).isDistraction).toBe(true);
+  });
+
+  test('should reject trees that do not match the model features', () => {
+    expect(() => parseTreesData([{ ...exportedTree, feature_names: [...FEATURE_NAMES.slice(1), 'mouseSpeed'] }]))
+      .toThrow(/don't match/);
+    expect(() => parseTreesData([{ treeIndex: 0, feature_names: FEATURE_NAMES }]))
+      .toThrow(/no tree structure/);
+    expect(() => parseTreesData([{ ...exportedTree, children_left: [1, -1, 0, -1, -1] }]))
+      .toThrow(/malformed/);
+  });
+
+  test('should report loaded feature importance', () => {
+    const importance = Object.fromEntries(FEATURE_NAMES.map((name, i) => [name, i / 15]));
+
+    expect(parseFeatureImportance(importance)).toEqual(importance);
+    expect(() => parseFeatureImportance({ timeSpent: 1 })).toThrow(/scrollDepth/);
+  });
+
+  test('should run the ONNX model in train_model.py units', async () => {
+    const model = new RandomForestModel();
+    await model.load();
+    model.exportedTrees = parseTreesData([exportedTree]);
+    const onnxPredictor = vi.fn(async () => 0.8);
+    model.useOnnx(onnxPredictor);
+
+    const prediction = await model.predictAsync({ timeSpent: 90 * 1000, scrollCount: 12, videoWatchTime: 30 });
+
+    expect(onnxPredictor).toHaveBeenCalledWith([90, 12, 0, 0, 0, 30]);
+    expect(prediction.probability).toBeCloseTo(0.8);
+    expect(prediction.confidence).toBeCloseTo(0.8);
+  });
+
+  test('should fall back to the JavaScript trees when the offscreen document does not answer', async () => {
+    vi.stubGlobal('chrome', {
+      offscreen: { createDocument: vi.fn(async () => {}) },
+      runtime: {
+        getURL: path => `chrome-extension://focus-nudge/${path}`,
+        getContexts: vi.fn(async () => []),
+        sendMessage: vi.fn(() => new Promise(() => {}))
+      }
+    });
+    const client = new OnnxClient({ documentPath: 'offscreen.html', timeout: 10, coldStartTimeout: 10, retryInterval: 60 * 1000 });
+    const model = new RandomForestModel();
+    await model.load();
+    model.exportedTrees = parseTreesData([exportedTree]);
+    model.useOnnx(input => client.predict(input));
+
+    const prediction = await model.predictAsync({ timeSpent: 5 * 60 * 1000, clickCount: 0 });
+
+    expect(prediction.probability).toBeCloseTo(0.1);
+    expect(chrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+    expect(client.isAvailable()).toBe(false);
+    expect(await client.predict([0, 0, 0, 0, 0, 0])).toBeNull();
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('should wait longer for the first prediction of a new offscreen document', async () => {
+    let contexts = [];
+    const answerIn = delay => () => new Promise(resolve => setTimeout(() => resolve({ success: true, probability: 0.7 }), delay));
+    vi.stubGlobal('chrome', {
+      offscreen: { createDocument: vi.fn(async () => { contexts = [{ contextType: 'OFFSCREEN_DOCUMENT' }]; }) },
+      runtime: {
+        getURL: path => `chrome-extension://focus-nudge/${path}`,
+        getContexts: vi.fn(async () => contexts),
+        sendMessage: vi.fn(answerIn(30))
+      }
+    });
+    const client = new OnnxClient({ documentPath: 'offscreen.html', timeout: 10, coldStartTimeout: 100, retryInterval: 60 * 1000 });
+
+    // Loading the runtime and model takes longer than a prediction
+    expect(await client.predict([0, 0, 0, 0, 0, 0])).toBe(0.7);
+
+    chrome.runtime.sendMessage.mockImplementation(answerIn(0));
+    expect(await client.predict([0, 0, 0, 0, 0, 0])).toBe(0.7);
+
+    chrome.runtime.sendMessage.mockImplementation(answerIn(30));
+    expect(await client.predict([0, 0, 0, 0, 0, 0])).toBeNull();
+    expect(chrome.offscreen.createDocument).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,42 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { describe, test, expect } from 'vitest';
+import RandomForestModel, { parseTreesData, toOnnxInput } from '../models/random-forest/model.js';
+
+// ONNX Runtime Web's Node build, running the WebAssembly bundled in lib/onnxruntime-web
+const ort = createRequire(import.meta.url)('onnxruntime-web');
+ort.env.wasm.wasmPaths = fileURLToPath(new URL('../lib/onnxruntime-web/', import.meta.url));
+ort.env.wasm.numThreads = 1;
+ort.env.wasm.simd = false;
+
+const readShipped = path => readFileSync(new URL(`../models/random-forest/${path}`, import.meta.url));
+
+const behaviors = [
+  { timeSpent: 2 * 60 * 1000, scrollCount: 5, scrollDepth: 0.3, clickCount: 6, tabSwitches: 1, videoWatchTime: 0 },
+  { timeSpent: 20 * 60 * 1000, scrollCount: 60, scrollDepth: 0.9, clickCount: 0, tabSwitches: 8, videoWatchTime: 400 },
+  { timeSpent: 11 * 60 * 1000, scrollCount: 12, scrollDepth: 0.85, clickCount: 1, tabSwitches: 6, videoWatchTime: 350 }
+];
+
+describe('Random Forest ONNX Model Tests', () => {
+  test('should return the same probabilities as the exported trees', async () => {
+    const session = await ort.InferenceSession.create(readShipped('onnx/random_forest_model.onnx'), {
+      executionProviders: ['wasm']
+    });
+    const model = new RandomForestModel();
+    await model.load();
+    model.exportedTrees = parseTreesData(JSON.parse(readShipped('model_data/trees_data.json')));
+
+    expect(session.inputNames).toEqual(['float_input']);
+    for (const features of behaviors) {
+      const input = toOnnxInput(features);
+      const outputs = await session.run({
+        float_input: new ort.Tensor('float32', Float32Array.from(input), [1, input.length])
+      });
+
+      // A [1, 2] tensor, as offscreen.js reads it
+      expect(outputs.output_probability.dims).toEqual([1, 2]);
+      expect(outputs.output_probability.data[1]).toBeCloseTo(model.predict(features).probability, 5);
+    }
+  });
+});
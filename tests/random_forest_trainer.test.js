@@ -0,0 +1,98 @@
+import { describe, test, expect, vi } from 'vitest';
+import {
+  buildTrainingSet,
+  hasEnoughLabels,
+  trainRandomForest,
+  trainFromFeedback
+} from '../models/random-forest/trainer.js';
+import RandomForestModel from '../models/random-forest/model.js';
+
+// Mock storage
+const storage = new Map();
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn((key) => Promise.resolve({ [key]: storage.get(key) })),
+      set: vi.fn((items) => {
+        Object.entries(items).forEach(([key, value]) => storage.set(key, value));
+        return Promise.resolve();
+      })
+    }
+  }
+};
+
+const MINUTE = 60 * 1000;
+
+// Long video sessions were useful nudges, short sessions were wrong ones
+const labelledRecords = Array.from({ length: 24 }, (_, i) => {
+  const distracted = i % 2 === 0;
+  return {
+    domain: 'example.com',
+    response: distracted ? 'useful' : 'wrong',
+    features: {
+      timeSpent: (distracted ? 20 : 3) * MINUTE + i * 1000,
+      videoWatchTime: distracted ? 600 + i : i,
+      clickCount: distracted ? 2 : 20
+    }
+  };
+});
+
+describe('Random Forest Trainer Tests', () => {
+  test('should only label feature vectors with a clear response', () => {
+    const samples = buildTrainingSet([
+      ...labelledRecords.slice(0, 2),
+      { domain: 'example.com', response: 'dismiss', features: {} },
+      { domain: 'example.com', response: 'useful' }
+    ]);
+
+    expect(samples.map(sample => sample.label)).toEqual([1, 0]);
+  });
+
+  test('should require enough labels of each class', () => {
+    expect(hasEnoughLabels(buildTrainingSet(labelledRecords))).toBe(true);
+    expect(hasEnoughLabels(buildTrainingSet(labelledRecords.slice(0, 10)))).toBe(false);
+    expect(hasEnoughLabels(buildTrainingSet(labelledRecords.filter(r => r.response === 'useful')))).toBe(false);
+  });
+
+  test('should train a forest that separates the labelled sessions', async () => {
+    const forest = trainRandomForest(buildTrainingSet(labelledRecords));
+    const model = new RandomForestModel();
+    await model.load();
+    model.useTrainedForest({ ...forest, version: '0.2.0-user.1', trainedAt: 0 });
+
+    const distracted = model.predict({ timeSpent: 25 * MINUTE, videoWatchTime: 900, clickCount: 1 });
+    const focused = model.predict({ timeSpent: 2 * MINUTE, videoWatchTime: 0, clickCount: 25 });
+
+    expect(distracted.probability).toBeGreaterThan(0.8);
+    expect(focused.probability).toBeLessThan(0.2);
+    expect(model.version).toBe('0.2.0-user.1');
+    expect(Object.values(forest.featureImportance).reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+  });
+
+  test('should be reproducible for the same labels', () => {
+    const samples = buildTrainingSet(labelledRecords);
+    expect(trainRandomForest(samples)).toEqual(trainRandomForest(samples));
+  });
+
+  test('should retrain when feedback at its cap replaces old labels with new ones', async () => {
+    // A full feedback store, with few distinct values to keep training fast
+    const record = (i) => ({
+      domain: 'example.com',
+      response: i % 2 === 0 ? 'useful' : 'wrong',
+      features: { timeSpent: (i % 2 === 0 ? 20 : 3) * MINUTE + (i % 7) * 1000, clickCount: i % 5 }
+    });
+    const records = Array.from({ length: 500 }, (_, i) => record(i));
+
+    const first = await trainFromFeedback(records, '0.2.0');
+    expect(first.revision).toBe(1);
+    expect(await trainFromFeedback(records, '0.2.0')).toEqual(first);
+
+    // The oldest label drops out as a new one comes in, so the count stays the same
+    const rotated = [...records.slice(1), record(503)];
+    const second = await trainFromFeedback(rotated, '0.2.0');
+    expect(second.sampleCount).toBe(first.sampleCount);
+    expect(second.revision).toBe(2);
+    expect(second.version).toBe('0.2.0-user.2');
+  });
+});
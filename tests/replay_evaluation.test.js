@@ -0,0 +1,71 @@
+import { describe, test, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import {
+  buildReplayWindows,
+  labelWindows,
+  replayWindows,
+  evaluateResults,
+  REPLAY_MODES
+} from '../src/analytics/replay.js';
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/replay_session.json', import.meta.url), 'utf8'));
+
+// Stand-in model that only knows YouTube is a distraction
+const predictByDomain = async ({ features }) => ({
+  probability: features.domain === 'youtube.com' ? 0.9 : 0.2,
+  confidence: 0.8
+});
+
+const preferences = { distractionThreshold: 0.7, nudgeFrequency: 'medium' };
+
+describe('Replay Evaluation Tests', () => {
+  test('should window events like the service worker', () => {
+    const batches = buildReplayWindows(fixture.events, REPLAY_MODES.BATCHES);
+    const scores = buildReplayWindows(fixture.events, REPLAY_MODES.SCORES);
+
+    // Only batches with a page visit have a domain for processEvents to check
+    expect(batches.map(window => window.domain)).toEqual(['docs.example.com', 'youtube.com', 'docs.example.com']);
+    expect(scores.map(window => window.domain)).toEqual(['docs.example.com', 'youtube.com', 'docs.example.com']);
+    expect(scores.reduce((sum, window) => sum + window.events.length, 0)).toBe(fixture.events.length);
+  });
+
+  test('should label windows from rated nudges', () => {
+    const batches = buildReplayWindows(fixture.events, REPLAY_MODES.BATCHES);
+    const scores = buildReplayWindows(fixture.events, REPLAY_MODES.SCORES);
+
+    expect(labelWindows(batches, fixture.feedback)).toBe(2);
+    expect(batches.map(window => window.label)).toEqual([undefined, 1, 0]);
+    expect(labelWindows(scores, fixture.feedback)).toBe(2);
+    expect(scores.map(window => window.label)).toEqual([undefined, 1, 0]);
+  });
+
+  test('should report precision, recall, calibration and nudge volume', async () => {
+    const windows = buildReplayWindows(fixture.events, REPLAY_MODES.SCORES);
+    labelWindows(windows, fixture.feedback);
+
+    const report = evaluateResults(await replayWindows(windows, predictByDomain, preferences), preferences);
+
+    expect(report).toMatchObject({ windowCount: 3, labelledCount: 2, precision: 1, recall: 1 });
+    expect(report.calibration).toEqual([
+      { from: 0.2, to: 0.3, count: 1, meanProbability: 0.2, observedRate: 0 },
+      { from: 0.9, to: 1, count: 1, meanProbability: 0.9, observedRate: 1 }
+    ]);
+    expect(report.nudgeVolume).toMatchObject({ flagged: 1, delivered: 1, suppressed: {} });
+  });
+
+  test('should count nudges the governor would hold back', () => {
+    const start = fixture.events[0].timestamp;
+    const results = [0, 60, 120].map(seconds => ({
+      domain: 'youtube.com',
+      timestamp: start + seconds * 1000,
+      probability: 0.95,
+      confidence: 1
+    }));
+
+    expect(evaluateResults(results, preferences).nudgeVolume).toMatchObject({
+      flagged: 3,
+      delivered: 1,
+      suppressed: { global_interval: 2 }
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, test, expect } from 'vitest';
+import SequenceModel, { toSymbols, SEQUENCE_SYMBOLS } from '../models/sequence-model/model.js';
+
+// Build events of the given types, one second apart
+const eventsOf = (types, url = 'https://docs.example.com/page', tabId = 1, start = 0) =>
+  types.map((eventType, i) => ({ event_type: eventType, url, tab_id: tabId, timestamp: start + i * 1000 }));
+
+describe('Sequence Model Tests', () => {
+  test('should reduce events to symbols with domain changes', () => {
+    const events = [
+      ...eventsOf(['KEY_PRESS', 'MOUSE_MOVE']),
+      ...eventsOf(['PAGE_VISIT'], 'https://www.youtube.com/watch')
+    ];
+
+    expect(toSymbols(events)).toEqual([
+      SEQUENCE_SYMBOLS.TYPE,
+      SEQUENCE_SYMBOLS.DOMAIN_CHANGE,
+      SEQUENCE_SYMBOLS.NAVIGATE_DISTRACTING
+    ]);
+  });
+
+  test('should score scrolling and switching above typing', async () => {
+    const model = new SequenceModel();
+    await model.load();
+
+    const distracted = model.predict(eventsOf(Array(6).fill(['PAGE_SCROLL', 'PAGE_SCROLL', 'PAGE_BLUR']).flat(), undefined, 1));
+    const focused = model.predict(eventsOf(Array(6).fill(['KEY_PRESS', 'KEY_PRESS', 'MOUSE_CLICK']).flat(), undefined, 2));
+
+    expect(distracted.probability).toBeGreaterThan(0.7);
+    expect(focused.probability).toBeLessThan(0.3);
+  });
+
+  test('should combine event batches for the same tab', async () => {
+    const model = new SequenceModel();
+    await model.load();
+
+    expect(model.predict(eventsOf(['PAGE_SCROLL', 'PAGE_SCROLL', 'PAGE_SCROLL'])).confidence).toBe(0);
+    expect(model.predict(eventsOf(['PAGE_SCROLL', 'PAGE_SCROLL', 'PAGE_SCROLL'], undefined, 1, 3000)).confidence).toBeGreaterThan(0);
+  });
+});
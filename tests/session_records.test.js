@@ -0,0 +1,93 @@
+import { describe, test, expect } from 'vitest';
+import {
+  SESSION_END_REASONS,
+  createSessionRecord,
+  updateSessionSummary,
+  closeSessionRecord,
+  forgetSessionDomains,
+  sessionOverlaps
+} from '../src/events/sessions.js';
+
+const base = Date.UTC(2024, 0, 8, 10, 0, 0);
+const SECOND = 1000;
+
+const event = (offset, eventType, sequenceId, payload = {}, url = 'https://docs.example.com/spec') => ({
+  event_type: eventType,
+  timestamp: base + offset,
+  url,
+  session_id: 'session-1',
+  sequence_id: sequenceId,
+  payload
+});
+
+describe('Session Record Tests', () => {
+  test('should summarise domains, active time and nudges across batches', () => {
+    const session = createSessionRecord('session-1', 7, base);
+
+    updateSessionSummary(session, [
+      event(0, 'PAGE_VISIT', 1, { domain: 'docs.example.com' }),
+      event(20 * SECOND, 'PAGE_SCROLL', 2),
+      // Gaps longer than a minute are not active time
+      event(5 * 60 * SECOND, 'PAGE_VISIT', 3, { domain: 'youtube.com' }, 'https://youtube.com/watch?v=abc')
+    ], { detectedTask: 'research' });
+
+    updateSessionSummary(session, [
+      event(5 * 60 * SECOND + 30 * SECOND, 'NUDGE_SHOWN', 4, { nudge_id: 'n1', nudge_type: 'reminder', domain: 'youtube.com' }),
+      event(5 * 60 * SECOND + 40 * SECOND, 'NUDGE_INTERACTION', 5, { nudge_id: 'n1', interaction: 'refocus', domain: 'youtube.com' })
+    ]);
+
+    expect(session.summary).toMatchObject({
+      event_count: 5,
+      active_time: 60 * SECOND,
+      detected_task: 'research',
+      domains: {
+        'docs.example.com': { event_count: 2, active_time: 20 * SECOND },
+        'youtube.com': { event_count: 3, active_time: 40 * SECOND }
+      },
+      nudges: [{ nudge_id: 'n1', nudge_type: 'reminder', interaction: 'refocus', timestamp: base + 330 * SECOND }]
+    });
+    expect(session.last_sequence_id).toBe(5);
+  });
+
+  test('should close sessions and find them by time range', () => {
+    const closed = createSessionRecord('session-1', 7, base);
+    closed.last_activity = base + 10 * 60 * SECOND;
+    closeSessionRecord(closed, SESSION_END_REASONS.TIMEOUT);
+
+    expect(closed).toMatchObject({ end_time: base + 10 * 60 * SECOND, end_reason: 'timeout' });
+
+    // Idle can be detected before the session's first event is processed
+    const idle = closeSessionRecord(createSessionRecord('session-2', 8, base), SESSION_END_REASONS.IDLE, base - SECOND);
+    expect(idle.end_time).toBe(base);
+
+    const open = createSessionRecord('session-3', 9, base + 60 * 60 * SECOND);
+    const now = base + 90 * 60 * SECOND;
+
+    expect(sessionOverlaps(closed, base + 5 * 60 * SECOND, base + 6 * 60 * SECOND, now)).toBe(true);
+    expect(sessionOverlaps(closed, base + 20 * 60 * SECOND, undefined, now)).toBe(false);
+    expect(sessionOverlaps(open, base + 80 * 60 * SECOND, undefined, now)).toBe(true);
+    expect(sessionOverlaps(open, undefined, base + 30 * 60 * SECOND, now)).toBe(false);
+  });
+
+  test('should take forgotten domains out of the summary and its totals', () => {
+    const session = createSessionRecord('session-1', 7, base);
+
+    updateSessionSummary(session, [
+      event(0, 'PAGE_VISIT', 1, { domain: 'docs.example.com' }),
+      event(20 * SECOND, 'PAGE_VISIT', 2, { domain: 'm.youtube.com' }, 'https://m.youtube.com/'),
+      event(30 * SECOND, 'NUDGE_SHOWN', 3, { nudge_id: 'n1', nudge_type: 'reminder', domain: 'm.youtube.com' })
+    ]);
+
+    const isForgotten = domain => domain === 'youtube.com' || domain.endsWith('.youtube.com');
+    expect(forgetSessionDomains(session, isForgotten)).toBe(true);
+
+    expect(session.summary).toMatchObject({
+      event_count: 1,
+      active_time: 20 * SECOND,
+      domains: { 'docs.example.com': { event_count: 1, active_time: 20 * SECOND } },
+      nudges: []
+    });
+    expect(session.last_domain).toBeNull();
+    expect(forgetSessionDomains(session, isForgotten)).toBe(false);
+  });
+});
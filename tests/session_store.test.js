@@ -0,0 +1,71 @@
+import { IDBFactory } from 'fake-indexeddb';
+import 'fake-indexeddb/auto';
+import { describe, beforeEach, test, expect, vi } from 'vitest';
+import { createSessionRecord, closeSessionRecord, SESSION_END_REASONS } from '../src/events/sessions.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.now();
+
+const session = (sessionId, startTime, endTime = null) => {
+  const record = createSessionRecord(sessionId, 7, startTime);
+  return endTime === null ? record : closeSessionRecord(record, SESSION_END_REASONS.TAB_CLOSE, endTime);
+};
+
+// Load the storage module as a newly started service worker would
+const startWorker = async () => {
+  vi.resetModules();
+  return import('../src/events/storage.js');
+};
+
+// Create the database as version 4 stored it, with the given session records
+const createVersion4Database = (records) => new Promise((resolve, reject) => {
+  const request = indexedDB.open('FocusNudgeEvents', 4);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore('sessions', { keyPath: 'session_id' });
+    store.createIndex('start_time', 'start_time', { unique: false });
+    store.createIndex('end_time', 'end_time', { unique: false });
+    records.forEach(record => store.put(record));
+  };
+  request.onsuccess = () => {
+    request.result.close();
+    resolve();
+  };
+  request.onerror = () => reject(request.error);
+});
+
+const ids = sessions => sessions.map(record => record.session_id);
+
+describe('Session Store Tests', () => {
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+  });
+
+  test('should read open sessions oldest first, and prune sessions that ended before maxAge', async () => {
+    const store = await startWorker();
+    await store.storeSession(session('b-open', now - 2 * DAY));
+    await store.storeSession(session('a-open', now - 40 * DAY));
+    await store.storeSession(session('c-closed', now - 3 * DAY, now - 2 * DAY));
+    await store.storeSession(session('d-old', now - 41 * DAY, now - 40 * DAY));
+
+    expect(ids(await store.getSessions({ openOnly: true }))).toEqual(['a-open', 'b-open']);
+    expect(await store.getSession('b-open')).toHaveProperty('open', 1);
+    expect(await store.getSession('c-closed')).not.toHaveProperty('open');
+
+    await store.pruneOldEvents();
+    expect(ids(await store.getSessions())).toEqual(['a-open', 'c-closed', 'b-open']);
+
+    // Closing a session takes it out of the open index
+    await store.storeSession(closeSessionRecord(await store.getSession('a-open'), SESSION_END_REASONS.TIMEOUT, now - DAY));
+    expect(ids(await store.getSessions({ openOnly: true }))).toEqual(['b-open']);
+  });
+
+  test('should add the open sessions of a version 4 database to the open index', async () => {
+    const { open, ...storedOpen } = session('open', now - DAY);
+    await createVersion4Database([storedOpen, session('closed', now - 2 * DAY, now - DAY)]);
+
+    const store = await startWorker();
+
+    expect(ids(await store.getSessions({ openOnly: true }))).toEqual(['open']);
+    expect(ids(await store.getSessions())).toEqual(['closed', 'open']);
+  });
+});
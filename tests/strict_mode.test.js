@@ -0,0 +1,122 @@
+import { describe, beforeEach, test, expect, vi } from 'vitest';
+import {
+  MAX_BYPASS_DURATION,
+  isBlockedInStrictMode,
+  createBypass,
+  removeExpiredBypasses,
+  saveFocusSession,
+  loadFocusSession
+} from '../src/features/strictMode.js';
+import { POMODORO_PHASES } from '../src/features/pomodoro.js';
+
+// Mock session storage
+const storage = new Map();
+
+global.chrome = {
+  storage: {
+    session: {
+      get: vi.fn((key) => Promise.resolve({ [key]: storage.get(key) })),
+      set: vi.fn((items) => {
+        Object.entries(items).forEach(([key, value]) => storage.set(key, structuredClone(value)));
+        return Promise.resolve();
+      })
+    }
+  }
+};
+
+const now = Date.UTC(2024, 0, 8, 10, 0, 0);
+const MINUTE = 60 * 1000;
+
+const focusMode = (overrides = {}) => ({
+  active: true,
+  strict: true,
+  task: {
+    id: 'task-1',
+    name: 'Write report',
+    allowedDomains: ['youtube-nocookie.com', 'music.youtube.com'],
+    blockedDomains: ['news.example.com']
+  },
+  bypasses: {},
+  pomodoro: null,
+  ...overrides
+});
+
+describe('Strict Mode Tests', () => {
+  beforeEach(() => {
+    storage.clear();
+  });
+
+  test('should block distraction and task-blocked sites only while strict focus mode is on', () => {
+    const blocked = (url, state = focusMode(), allowedSites = []) => isBlockedInStrictMode(state, url, allowedSites, now);
+
+    expect(blocked('https://www.youtube.com/watch?v=abc')).toBe(true);
+    expect(blocked('https://news.example.com/today')).toBe(true);
+    expect(blocked('https://docs.example.com/spec')).toBe(false);
+
+    // Sites allowed for the task or by the user win over the registry
+    expect(blocked('https://music.youtube.com/')).toBe(false);
+    expect(blocked('https://www.youtube.com/', focusMode(), ['youtube.com'])).toBe(false);
+
+    expect(blocked('chrome://extensions')).toBe(false);
+    expect(blocked('not a url')).toBe(false);
+    expect(blocked('https://www.youtube.com/', focusMode({ strict: false }))).toBe(false);
+    expect(blocked('https://www.youtube.com/', focusMode({ active: false }))).toBe(false);
+    expect(blocked('https://www.youtube.com/', focusMode({
+      pomodoro: { phase: POMODORO_PHASES.SHORT_BREAK, finished: false }
+    }))).toBe(false);
+  });
+
+  test('should let the user through for the bypass duration, on subdomains too', () => {
+    const { bypasses, hostname, expiresAt } = createBypass({}, {
+      url: 'https://www.youtube.com/watch?v=abc',
+      justification: 'Conference talk for the report',
+      minutes: '10'
+    }, now);
+
+    expect(hostname).toBe('youtube.com');
+    expect(expiresAt).toBe(now + 10 * MINUTE);
+
+    const state = focusMode({ bypasses });
+    expect(isBlockedInStrictMode(state, 'https://m.youtube.com/', [], now + 9 * MINUTE)).toBe(false);
+    expect(isBlockedInStrictMode(state, 'https://m.youtube.com/', [], now + 10 * MINUTE)).toBe(true);
+    expect(removeExpiredBypasses(bypasses, now + 10 * MINUTE)).toEqual({});
+  });
+
+  test('should require a justification of 10 characters and cap bypasses at 30 minutes', () => {
+    const request = { url: 'https://www.youtube.com/', justification: 'Need it!', minutes: 5 };
+
+    expect(() => createBypass({}, request, now)).toThrow('at least 10 characters');
+    expect(() => createBypass({}, { ...request, justification: '   research   ' }, now)).toThrow('at least 10 characters');
+    expect(() => createBypass({}, { ...request, justification: 'Watching a tutorial', minutes: 0 }, now))
+      .toThrow('at least one minute');
+
+    const bypass = createBypass({ 'reddit.com': now + MINUTE }, { ...request, justification: 'Watching a tutorial', minutes: 90 }, now);
+    expect(bypass.duration).toBe(MAX_BYPASS_DURATION);
+    expect(bypass.bypasses).toEqual({ 'reddit.com': now + MINUTE, 'youtube.com': now + MAX_BYPASS_DURATION });
+  });
+
+  test('should only bypass sites, not top-level domains or public suffixes', () => {
+    const request = { justification: 'Watching a tutorial', minutes: 5 };
+
+    for (const url of ['https://com/', 'https://www.com/', 'https://co.uk/', 'https://www.com.au/', 'http://192.168.0.1/']) {
+      expect(() => createBypass({}, { ...request, url }, now)).toThrow("Can't bypass strict mode");
+    }
+
+    expect(createBypass({}, { ...request, url: 'https://www.bbc.co.uk/' }, now).hostname).toBe('bbc.co.uk');
+    expect(createBypass({}, { ...request, url: 'https://reddit.com/' }, now).hostname).toBe('reddit.com');
+  });
+
+  test('should restore the focus session without its stats or expired bypasses', async () => {
+    expect(await loadFocusSession(now)).toBeNull();
+
+    await saveFocusSession({
+      ...focusMode({ bypasses: { 'youtube.com': now + MINUTE, 'reddit.com': now - MINUTE } }),
+      stats: { focusScore: 95 }
+    });
+
+    const restored = await loadFocusSession(now);
+    expect(restored).not.toHaveProperty('stats');
+    expect(restored).toMatchObject({ active: true, strict: true, task: { id: 'task-1' } });
+    expect(restored.bypasses).toEqual({ 'youtube.com': now + MINUTE });
+  });
+});